@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Runs an eval dataset against a running worker (npm run dev, with
+// EVAL_ENDPOINT = "on") and saves the report as JSON and Markdown - see
+// src/eval.js for what gets measured.
+//
+//   npm run eval -- --label chunks-400
+//   npm run eval -- --label chunks-300 --baseline eval/reports/<earlier run>.json
+//
+// Options: --dataset (a directory with questions.json and corpus/, default
+// eval/datasets/default), --url (default http://localhost:8787), --label,
+// --k (recall@k, default 5), --judge (lexical or model), --baseline (an
+// earlier report to compare with), --out (default eval/reports)
+
+import { readFile, readdir, writeFile, mkdir } from 'node:fs/promises';
+import { join, basename } from 'node:path';
+import { parseArgs } from 'node:util';
+
+const { values: options } = parseArgs({
+  options: {
+    dataset: { type: 'string', default: 'eval/datasets/default' },
+    url: { type: 'string', default: 'http://localhost:8787' },
+    label: { type: 'string' },
+    k: { type: 'string' },
+    judge: { type: 'string' },
+    baseline: { type: 'string' },
+    out: { type: 'string', default: 'eval/reports' }
+  }
+});
+
+// questions.json plus every file in corpus/, sent as base64 so PDFs and
+// images work the same as Markdown
+async function loadDataset(directory) {
+  const { questions, name } = JSON.parse(await readFile(join(directory, 'questions.json'), 'utf-8'));
+  const corpusDirectory = join(directory, 'corpus');
+  const documents = [];
+  for (const file of (await readdir(corpusDirectory)).sort()) {
+    documents.push({ name: file, data: (await readFile(join(corpusDirectory, file))).toString('base64') });
+  }
+  return { name: name || basename(directory), documents, questions };
+}
+
+async function main() {
+  const dataset = await loadDataset(options.dataset);
+  const baseline = options.baseline ? JSON.parse(await readFile(options.baseline, 'utf-8')).report ?? null : null;
+
+  console.log(`🧪 Running "${dataset.name}" (${dataset.documents.length} documents, ${dataset.questions.length} questions) against ${options.url}...`);
+  const response = await fetch(new URL('/api/eval', options.url), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      dataset,
+      label: options.label,
+      k: options.k ? Number(options.k) : undefined,
+      judge: options.judge,
+      baseline
+    })
+  });
+  const body = await response.json().catch(() => ({ error: `${response.status} ${response.statusText}` }));
+  if (!response.ok) {
+    throw new Error(`${body.error}${body.details ? `: ${body.details}` : ''}`);
+  }
+
+  // Saved as { report } so a report can be passed straight back as --baseline
+  const name = `${body.report.startedAt.replace(/[:.]/g, '-')}-${(options.label || dataset.name).replace(/[^\w.-]+/g, '-')}`;
+  await mkdir(options.out, { recursive: true });
+  await writeFile(join(options.out, `${name}.json`), `${JSON.stringify({ report: body.report }, null, 2)}\n`);
+  await writeFile(join(options.out, `${name}.md`), body.markdown);
+
+  console.log(`\n${body.markdown}`);
+  console.log(`📄 Saved ${join(options.out, name)}.json and .md`);
+}
+
+main().catch(error => {
+  console.error(`❌ Eval failed: ${error.message}`);
+  process.exit(1);
+});
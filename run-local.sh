@@ -7,6 +7,9 @@ API_PORT=${API_PORT:-8787}
 FRONTEND_PORT=${FRONTEND_PORT:-3000}
 OPEN_BROWSER=${OPEN_BROWSER:-1}
 FRONTEND_PATH=${FRONTEND_PATH:-/cf_ai_chat-assistant/}
+# LOCAL=1 runs wrangler in local mode - no Vectorize there, so the worker
+# falls back to its local vector index (src/local-vector-store.js)
+LOCAL=${LOCAL:-0}
 
 echo "🚀 Starting AI Chat Assistant locally..."
 echo ""
@@ -32,10 +35,16 @@ lsof -ti:${API_PORT} | xargs kill -9 2>/dev/null || true
 lsof -ti:${FRONTEND_PORT} | xargs kill -9 2>/dev/null || true
 
 # Start the Worker in development mode using main wrangler.toml
-# Note: Using remote mode (without --local) to enable Vectorize bindings
+# Note: remote mode by default to get the real Vectorize index
 echo "🔧 Starting Cloudflare Worker on http://localhost:${API_PORT}"
-echo "⚠️  Note: Using REMOTE mode for Vectorize support. Vectorize requires remote connection."
-echo "⚠️  Vectorize bindings only work in remote mode, not local mode."
+if [ "${LOCAL}" = "1" ]; then
+  WRANGLER_MODE="--local"
+  echo "🧪 Note: Using LOCAL mode. Vectors are kept in the local vector index (Durable Object SQLite), not Vectorize."
+else
+  WRANGLER_MODE="--remote"
+  echo "⚠️  Note: Using REMOTE mode for Vectorize support. Vectorize requires remote connection."
+  echo "⚠️  Vectorize bindings only work in remote mode - run with LOCAL=1 to use the local vector index instead."
+fi
 echo ""
 
 # Create a log file for wrangler output
@@ -48,7 +57,7 @@ rm -f "$WRANGLER_LOG"
   [ -s "$NVM_DIR/nvm.sh" ] && \. "$NVM_DIR/nvm.sh"
   
   # Run wrangler dev and log output
-  wrangler dev --remote --port ${API_PORT} 2>&1 | tee "$WRANGLER_LOG" | sed -e "s#http://localhost:${API_PORT}#\x1b[34mhttp://localhost:${API_PORT}\x1b[0m#g"
+  wrangler dev ${WRANGLER_MODE} --port ${API_PORT} 2>&1 | tee "$WRANGLER_LOG" | sed -e "s#http://localhost:${API_PORT}#\x1b[34mhttp://localhost:${API_PORT}\x1b[0m#g"
 ) &
 WRANGLER_PID=$!
 
@@ -11,6 +11,15 @@ wrangler vectorize create rag-documents \
   --metric=cosine \
   --description="RAG documents index for AI Agent"
 
+# Metadata indexes - retrieval filters on these so a session (or owner) only
+# ever sees its own uploads. Vectors inserted before an index exists aren't
+# covered by it, so create these before uploading anything
+for property in sessionId owner documentId; do
+  wrangler vectorize create-metadata-index rag-documents \
+    --property-name=$property \
+    --type=string
+done
+
 echo "✅ Vectorize index 'rag-documents' created successfully!"
 echo ""
 echo "Note: Make sure you have Vectorize enabled in your Cloudflare dashboard."
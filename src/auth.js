@@ -0,0 +1,103 @@
+// Who's calling - the `owner` documents get scoped to (see rag.js). It used to
+// be whatever the client sent as `owner`, so anyone could read or delete
+// alice's uploads with ?owner=alice. Now it only comes from Cloudflare Access:
+// put the worker behind an Access application and set ACCESS_TEAM_DOMAIN
+// ("yourteam.cloudflareaccess.com") and ACCESS_AUD (the application's audience
+// tag) in [vars]. Access signs every request it lets through with a JWT in the
+// Cf-Access-Jwt-Assertion header; we check it against the team's public keys
+// and use the email in it (or the service token's client id).
+// Without those vars, or without a valid token, there's no owner and uploads
+// are only scoped to their session
+
+// Access rotates its signing keys now and then - refetch after this long, or
+// straight away when a token names a key we don't have
+const KEYS_CACHE_MS = 60 * 60 * 1000;
+const ALGORITHM = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+
+let cachedKeys = null;
+
+// The verified identity for this request, or null
+export async function getAuthenticatedOwner(request, env) {
+  const teamDomain = normalizeTeamDomain(env.ACCESS_TEAM_DOMAIN);
+  if (!teamDomain || !env.ACCESS_AUD) return null;
+
+  const token = request.headers.get('Cf-Access-Jwt-Assertion');
+  if (!token) return null;
+
+  try {
+    const claims = await verifyAccessToken(token, teamDomain, env.ACCESS_AUD);
+    return claims.email || claims.common_name || null;
+  } catch (error) {
+    console.warn('⚠️ Ignoring an invalid Cloudflare Access token:', error.message);
+    return null;
+  }
+}
+
+// Checks the signature, issuer, audience and expiry. Returns the claims,
+// throws if anything doesn't match
+export async function verifyAccessToken(token, teamDomain, audience) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+  const [header, payload] = parts.slice(0, 2).map(part => JSON.parse(new TextDecoder().decode(base64UrlDecode(part))));
+  if (header.alg !== 'RS256') {
+    throw new Error(`Unexpected algorithm ${header.alg}`);
+  }
+
+  const key = await getSigningKey(teamDomain, header.kid);
+  const valid = await crypto.subtle.verify(
+    ALGORITHM,
+    key,
+    base64UrlDecode(parts[2]),
+    new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) {
+    throw new Error('Bad signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (payload.iss !== `https://${teamDomain}`) {
+    throw new Error(`Unexpected issuer ${payload.iss}`);
+  }
+  if (!audiences.includes(audience)) {
+    throw new Error('Token is for another application');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp < now || (payload.nbf && payload.nbf > now)) {
+    throw new Error('Token expired');
+  }
+  return payload;
+}
+
+async function getSigningKey(teamDomain, kid) {
+  const fresh = cachedKeys && cachedKeys.teamDomain === teamDomain && Date.now() - cachedKeys.fetchedAt < KEYS_CACHE_MS;
+  if (!fresh || !cachedKeys.keys.has(kid)) {
+    const response = await fetch(`https://${teamDomain}/cdn-cgi/access/certs`);
+    if (!response.ok) {
+      throw new Error(`Could not fetch the Access signing keys: ${response.status}`);
+    }
+    const { keys = [] } = await response.json();
+    const imported = new Map();
+    for (const jwk of keys) {
+      imported.set(jwk.kid, await crypto.subtle.importKey('jwk', jwk, ALGORITHM, false, ['verify']));
+    }
+    cachedKeys = { teamDomain, keys: imported, fetchedAt: Date.now() };
+  }
+
+  const key = cachedKeys.keys.get(kid);
+  if (!key) {
+    throw new Error(`Unknown signing key ${kid}`);
+  }
+  return key;
+}
+
+// "https://team.cloudflareaccess.com/" and "team.cloudflareaccess.com" both work
+function normalizeTeamDomain(value) {
+  return typeof value === 'string' ? value.trim().replace(/^https?:\/\//, '').replace(/\/+$/, '') : '';
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
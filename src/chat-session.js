@@ -1,17 +1,108 @@
 //Durable Object for managing chat sessions and conversation state
 //Provides memory and state management for the AI chat application
+//Everything lives in the object's SQLite storage so it survives eviction
+
+import { ChatWorkflow, buildChatPayload } from './workflow.js';
+import { buildRagContext } from './retrieval.js';
+import { withAIProvider } from './fake-ai.js';
+
+// How many past messages get loaded back into the prompt by default
+const DEFAULT_HISTORY_LIMIT = 20;
+
+// Titles are just the first user message, trimmed down to something readable
+const TITLE_MAX_LENGTH = 60;
+
+// Page size limits for GET /api/sessions/:id/messages and the session list
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Every session has its own object, so listing them needs one extra object
+// that keeps an index. It's the same class - it just only ever gets the
+// /api/sessions/index calls and uses its `sessions` table as the index.
+// There's one per signed-in owner (see getDirectoryName) - sessions without
+// an owner aren't listed anywhere, their id is the only way back in
+export const SESSION_DIRECTORY_NAME = '__directory__';
+
+// Routes that don't act on one session: the directory's list and index,
+// and creating a session in the first place
+const SESSIONLESS_ROUTES = ['/api/sessions/index', '/api/sessions/create'];
+
+export function getDirectoryName(owner) {
+  return `${SESSION_DIRECTORY_NAME}:${owner}`;
+}
 
 export class ChatSession {
   constructor(state, env) {
     this.state = state;
-    this.env = env;
-    this.sessions = new Map();
+    this.env = withAIProvider(env);
+    this.sql = state.storage.sql;
+
+    this.initializeSchema();
+  }
+
+  // Creates the tables on first use. CREATE ... IF NOT EXISTS makes this
+  // safe to run every time the object wakes up
+  initializeSchema() {
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        title TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        message_count INTEGER NOT NULL DEFAULT 0,
+        metadata TEXT,
+        owner TEXT
+      );
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        metadata TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_messages_session ON messages (session_id, id);
+      CREATE TABLE IF NOT EXISTS tool_calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id INTEGER NOT NULL,
+        session_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        arguments TEXT,
+        result TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_tool_calls_message ON tool_calls (message_id);
+      CREATE TABLE IF NOT EXISTS session_documents (
+        session_id TEXT NOT NULL,
+        document_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        pinned_at INTEGER NOT NULL,
+        PRIMARY KEY (session_id, document_id)
+      );
+    `);
+
+    // Sessions got an owner later - objects created before that need the column
+    const columns = this.sql.exec('PRAGMA table_info(sessions)').toArray().map(column => column.name);
+    if (!columns.includes('owner')) {
+      this.sql.exec('ALTER TABLE sessions ADD COLUMN owner TEXT');
+    }
   }
 
   async fetch(request) {
     const url = new URL(request.url);
     const path = url.pathname;
 
+    // Everything else acts on one session, which has to be one the worker
+    // created (with a random id, see createSession in index.js). A signed-in
+    // user's session only opens for them - the worker passes along the owner
+    // Cloudflare Access vouched for (auth.js). Anything else is a 404, the
+    // same as a session that doesn't exist
+    const isSessionList = path === '/api/sessions' && request.method === 'GET';
+    if (!SESSIONLESS_ROUTES.includes(path) && !isSessionList &&
+        !this.canAccessSession(url.searchParams.get('sessionId'), url.searchParams.get('owner'))) {
+      return this.jsonResponse({ error: 'Session not found' }, 404);
+    }
+
     // Handle WebSocket connections for real-time chat
     if (request.headers.get('Upgrade') === 'websocket') {
       return this.handleWebSocket(request);
@@ -20,53 +111,51 @@ export class ChatSession {
     // Handle HTTP requests
     switch (path) {
       case '/api/sessions':
-        return this.handleGetSessions(request);
+        return request.method === 'POST'
+          ? this.handleSaveMessages(request)
+          : this.handleGetSessions(request);
+      case '/api/sessions/history':
+        return this.handleGetHistory(request);
+      case '/api/sessions/messages':
+        return this.handleGetMessagesPage(request);
+      case '/api/sessions/info':
+        return this.handleSessionInfo(request);
+      case '/api/sessions/index':
+        return this.handleDirectoryUpdate(request);
       case '/api/sessions/create':
         return this.handleCreateSession(request);
       case '/api/sessions/clear':
         return this.handleClearSession(request);
+      case '/api/sessions/documents':
+        return this.handleSessionDocuments(request);
       default:
         return new Response('Not Found', { status: 404 });
     }
   }
 
+  // WebSocket chat. Each session gets its own Durable Object (the Worker routes
+  // /ws?sessionId=... to idFromName(sessionId)), and sockets are accepted via
+  // the hibernation API so an idle connection doesn't keep the object in memory.
+  // Because the object can be evicted between messages, the session id lives
+  // in the socket attachment instead of on `this`
   async handleWebSocket(request) {
+    const url = new URL(request.url);
+    const sessionId = url.searchParams.get('sessionId');
+    // Set by the worker from Cloudflare Access, never by the client (auth.js)
+    const owner = url.searchParams.get('owner') || null;
+
     const webSocketPair = new WebSocketPair();
     const [client, server] = Object.values(webSocketPair);
 
-    server.accept();
-    
-    // Store the WebSocket connection
-    const sessionId = this.generateSessionId();
-    this.sessions.set(sessionId, {
-      websocket: server,
-      messages: [],
-      createdAt: Date.now()
-    });
-
-    // Handle incoming messages
-    server.addEventListener('message', async (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        await this.handleMessage(sessionId, data);
-      } catch (error) {
-        console.error('Error handling WebSocket message:', error);
-        server.send(JSON.stringify({
-          type: 'error',
-          message: 'Failed to process message'
-        }));
-      }
-    });
-
-    // Handle connection close
-    server.addEventListener('close', () => {
-      this.sessions.delete(sessionId);
-    });
+    this.state.acceptWebSocket(server, [sessionId]);
+    server.serializeAttachment({ sessionId, owner, connectedAt: Date.now() });
+    await this.syncDirectory(sessionId);
 
     // Send session ID to client
     server.send(JSON.stringify({
       type: 'session_created',
-      sessionId: sessionId
+      sessionId: sessionId,
+      session: this.getSession(sessionId)
     }));
 
     return new Response(null, {
@@ -75,129 +164,652 @@ export class ChatSession {
     });
   }
 
-  async handleMessage(sessionId, data) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return;
+  // Hibernation API handlers - the runtime calls these directly, waking the
+  // object back up if it was evicted
+  async webSocketMessage(ws, rawMessage) {
+    const { sessionId, owner } = ws.deserializeAttachment() || {};
+    if (!sessionId) {
+      this.sendToSocket(ws, { type: 'error', message: 'Unknown session' });
+      return;
+    }
 
+    try {
+      const data = JSON.parse(typeof rawMessage === 'string' ? rawMessage : new TextDecoder().decode(rawMessage));
+      await this.handleMessage(ws, sessionId, data, owner);
+    } catch (error) {
+      console.error('Error handling WebSocket message:', error);
+      this.sendToSocket(ws, {
+        type: 'error',
+        message: 'Failed to process message'
+      });
+    }
+  }
+
+  async webSocketClose(ws, code, reason, wasClean) {
+    try {
+      ws.close(code, reason);
+    } catch (error) {
+      // Already closed
+    }
+  }
+
+  async webSocketError(ws, error) {
+    console.error('WebSocket error:', error);
+  }
+
+  async handleMessage(ws, sessionId, data, owner = null) {
     const { type, message, userMessage } = data;
 
     switch (type) {
       case 'user_message':
-        // Store user message
-        session.messages.push({
-          role: 'user',
-          content: userMessage,
-          timestamp: Date.now()
-        });
-
-        // Send to AI processing
-        await this.processWithAI(sessionId, userMessage);
+        await this.processWithAI(ws, sessionId, userMessage || message, { owner });
         break;
 
       case 'get_history':
         // Send conversation history
-        session.websocket.send(JSON.stringify({
+        this.sendToSocket(ws, {
           type: 'history',
-          messages: session.messages
-        }));
+          messages: this.getHistory(sessionId)
+        });
         break;
 
       case 'clear_history':
         // Clear conversation history
-        session.messages = [];
-        session.websocket.send(JSON.stringify({
+        this.clearMessages(sessionId);
+        await this.syncDirectory(sessionId);
+        this.sendToSocket(ws, {
           type: 'history_cleared'
-        }));
+        });
         break;
+
+      case 'ping':
+        this.sendToSocket(ws, { type: 'pong', timestamp: Date.now() });
+        break;
+
+      default:
+        this.sendToSocket(ws, { type: 'error', message: `Unknown message type: ${type}` });
     }
   }
 
-  async processWithAI(sessionId, userMessage) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return;
+  // Runs one chat turn through the same RAG + ChatWorkflow path as /api/chat.
+  // Partial tokens and tool activity go out as typed messages while the agent
+  // works, then `ai_response` with the final answer and metadata
+  async processWithAI(ws, sessionId, userMessage, { owner = null } = {}) {
+    if (!userMessage || typeof userMessage !== 'string') {
+      this.sendToSocket(ws, { type: 'error', message: 'Message is required' });
+      return;
+    }
 
     try {
       // Prepare conversation context for AI
-      const conversationHistory = session.messages.map(msg => ({
+      const conversationHistory = this.getHistory(sessionId).map(msg => ({
         role: msg.role,
         content: msg.content
       }));
 
-      // Call the AI service
-      const aiResponse = await this.callAI(userMessage, conversationHistory);
+      this.sendToSocket(ws, { type: 'start', sessionId, timestamp: Date.now() });
 
-      // Store AI response
-      session.messages.push({
-        role: 'assistant',
-        content: aiResponse,
-        timestamp: Date.now()
+      const { context: ragContext, intent, sources } = await buildRagContext(userMessage, this.env, {
+        scope: { sessionId, owner, documentIds: this.getPinnedDocuments(sessionId) },
+        conversationHistory
       });
 
+      const workflow = new ChatWorkflow();
+      const result = await workflow.execute({
+        message: userMessage,
+        sessionId,
+        conversationHistory,
+        ragContext,
+        sources,
+        retrievalIntent: intent.intent,
+        onEvent: (event, eventData) => this.sendToSocket(ws, { type: event, ...eventData })
+      }, this.env);
+
+      if (!result || !result.response) {
+        throw new Error('The agent workflow did not return a valid response');
+      }
+
+      const responseText = typeof result.response === 'string' ? result.response : String(result.response);
+
+      // Store the user message and the agent's answer together
+      this.appendMessages(sessionId, (result.conversationHistory || []).slice(-2));
+      await this.syncDirectory(sessionId);
+
       // Send AI response to client
-      session.websocket.send(JSON.stringify({
+      this.sendToSocket(ws, {
         type: 'ai_response',
-        message: aiResponse,
-        timestamp: Date.now()
-      }));
+        message: responseText,
+        ...buildChatPayload(result, responseText, sessionId)
+      });
 
     } catch (error) {
       console.error('AI processing error:', error);
-      session.websocket.send(JSON.stringify({
+      this.sendToSocket(ws, {
         type: 'error',
-        message: 'Failed to get AI response'
-      }));
+        message: 'Failed to get AI response',
+        details: error.message
+      });
     }
   }
 
-  async callAI(userMessage, conversationHistory) {
-    // This will be called by the main worker that has AI binding
-    // For now, return a placeholder response
-    return `I received your message: "${userMessage}". This is a placeholder response from the AI assistant.`;
+  // The socket can close while the agent is still thinking - don't let a
+  // failed send kill the turn (the answer is still saved to SQLite)
+  sendToSocket(ws, payload) {
+    try {
+      ws.send(JSON.stringify(payload));
+    } catch (error) {
+      console.warn('⚠️ Failed to send WebSocket message:', error.message);
+    }
   }
 
+  // Lists sessions newest-activity first. On a directory object this is
+  // every session of its owner; on a per-session object it's just that one
   async handleGetSessions(request) {
-    const sessions = Array.from(this.sessions.entries()).map(([id, session]) => ({
-      id,
-      messageCount: session.messages.length,
-      createdAt: session.createdAt
-    }));
+    const url = new URL(request.url);
+    const limit = this.parseLimit(url.searchParams.get('limit'));
 
-    return new Response(JSON.stringify({ sessions }), {
-      headers: { 'Content-Type': 'application/json' }
+    const sessions = this.sql.exec(
+      'SELECT id, title, created_at, updated_at, message_count FROM sessions ORDER BY updated_at DESC LIMIT ?',
+      limit
+    ).toArray().map(row => this.formatSession(row));
+
+    return this.jsonResponse({ sessions });
+  }
+
+  // Saves new messages for a session. The chat route posts the user message
+  // and the agent's answer (with its tool calls) after every turn
+  async handleSaveMessages(request) {
+    const body = await this.readJSON(request);
+    if (!body) {
+      return this.jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const sessionId = new URL(request.url).searchParams.get('sessionId');
+    const { messages } = body;
+    if (!Array.isArray(messages)) {
+      return this.jsonResponse({ error: 'messages is required' }, 400);
+    }
+
+    const saved = this.appendMessages(sessionId, messages);
+    await this.syncDirectory(sessionId);
+
+    return this.jsonResponse({
+      success: true,
+      saved,
+      session: this.getSession(sessionId)
     });
   }
 
-  async handleCreateSession(request) {
-    const sessionId = this.generateSessionId();
-    this.sessions.set(sessionId, {
-      messages: [],
-      createdAt: Date.now()
+  async handleGetHistory(request) {
+    const url = new URL(request.url);
+    const sessionId = url.searchParams.get('sessionId');
+    const limit = parseInt(url.searchParams.get('limit'), 10) || DEFAULT_HISTORY_LIMIT;
+
+    if (!sessionId) {
+      return this.jsonResponse({ error: 'sessionId is required' }, 400);
+    }
+
+    return this.jsonResponse({
+      sessionId,
+      messages: this.getHistory(sessionId, limit)
     });
+  }
 
-    return new Response(JSON.stringify({ sessionId }), {
-      headers: { 'Content-Type': 'application/json' }
+  // Cursor-paginated message history. The cursor is opaque to clients - it's
+  // the last message id of the previous page, base64 encoded. order=asc pages
+  // forward from the start of the conversation, order=desc pages back from
+  // the newest message (what a chat UI wants when it scrolls up)
+  async handleGetMessagesPage(request) {
+    const url = new URL(request.url);
+    const sessionId = url.searchParams.get('sessionId');
+    if (!sessionId || !this.getSession(sessionId)) {
+      return this.jsonResponse({ error: 'Session not found' }, 404);
+    }
+
+    const limit = this.parseLimit(url.searchParams.get('limit'));
+    const order = url.searchParams.get('order') === 'desc' ? 'desc' : 'asc';
+    const cursorParam = url.searchParams.get('cursor');
+    const cursor = cursorParam ? this.decodeCursor(cursorParam) : null;
+    if (cursorParam && cursor === null) {
+      return this.jsonResponse({ error: 'Invalid cursor' }, 400);
+    }
+
+    const comparison = order === 'desc' ? '<' : '>';
+    const query = cursor === null
+      ? `SELECT id, role, content, created_at, metadata FROM messages WHERE session_id = ? ORDER BY id ${order.toUpperCase()} LIMIT ?`
+      : `SELECT id, role, content, created_at, metadata FROM messages WHERE session_id = ? AND id ${comparison} ? ORDER BY id ${order.toUpperCase()} LIMIT ?`;
+    const bindings = cursor === null ? [sessionId, limit + 1] : [sessionId, cursor, limit + 1];
+
+    // Fetch one extra row to know whether there's another page
+    const rows = this.sql.exec(query, ...bindings).toArray();
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    return this.jsonResponse({
+      sessionId,
+      order,
+      messages: page.map(row => this.formatMessage(row)),
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1].id) : null,
+      hasMore
     });
   }
 
+  // GET / PATCH / DELETE for a single session's metadata
+  async handleSessionInfo(request) {
+    const url = new URL(request.url);
+    const sessionId = url.searchParams.get('sessionId');
+    const session = sessionId ? this.getSession(sessionId) : null;
+    if (!session) {
+      return this.jsonResponse({ error: 'Session not found' }, 404);
+    }
+
+    switch (request.method) {
+      case 'GET':
+        return this.jsonResponse({ session });
+
+      case 'PATCH': {
+        const body = await this.readJSON(request);
+        const title = typeof body?.title === 'string' ? body.title.replace(/\s+/g, ' ').trim() : '';
+        if (!title) {
+          return this.jsonResponse({ error: 'title must be a non-empty string' }, 400);
+        }
+        this.sql.exec(
+          'UPDATE sessions SET title = ? WHERE id = ?',
+          title.substring(0, 200), sessionId
+        );
+        await this.syncDirectory(sessionId);
+        return this.jsonResponse({ session: this.getSession(sessionId) });
+      }
+
+      case 'DELETE': {
+        const owner = this.getSessionOwner(sessionId);
+        this.deleteSession(sessionId);
+        await this.removeFromDirectory(sessionId, owner);
+        // Close any live sockets for this session - the conversation is gone
+        for (const ws of this.state.getWebSockets(sessionId)) {
+          try {
+            ws.close(1000, 'Session deleted');
+          } catch (error) {
+            // Already closed
+          }
+        }
+        return this.jsonResponse({ success: true, deleted: sessionId });
+      }
+
+      default:
+        return this.jsonResponse({ error: 'Method Not Allowed' }, 405);
+    }
+  }
+
+  // Directory object only: upsert or remove a session's index row
+  async handleDirectoryUpdate(request) {
+    if (request.method === 'DELETE') {
+      const url = new URL(request.url);
+      const sessionId = url.searchParams.get('sessionId');
+      if (!sessionId) {
+        return this.jsonResponse({ error: 'sessionId is required' }, 400);
+      }
+      this.sql.exec('DELETE FROM sessions WHERE id = ?', sessionId);
+      return this.jsonResponse({ success: true });
+    }
+
+    const session = await this.readJSON(request);
+    if (!session?.id) {
+      return this.jsonResponse({ error: 'session id is required' }, 400);
+    }
+    this.sql.exec(
+      `INSERT INTO sessions (id, title, created_at, updated_at, message_count) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET title = excluded.title, updated_at = excluded.updated_at, message_count = excluded.message_count`,
+      session.id, session.title, session.createdAt, session.lastActivityAt, session.messageCount
+    );
+    return this.jsonResponse({ success: true });
+  }
+
+  // The worker picks the id (crypto.randomUUID) and passes the signed-in
+  // owner, if there is one - from then on only they can open the session
+  async handleCreateSession(request) {
+    const url = new URL(request.url);
+    const sessionId = url.searchParams.get('sessionId');
+    if (!sessionId) {
+      return this.jsonResponse({ error: 'sessionId is required' }, 400);
+    }
+    if (this.getSession(sessionId)) {
+      return this.jsonResponse({ error: 'Session already exists' }, 409);
+    }
+    this.ensureSession(sessionId, url.searchParams.get('owner') || null);
+
+    const body = request.method === 'POST' ? await this.readJSON(request) : null;
+    if (typeof body?.title === 'string' && body.title.trim()) {
+      this.sql.exec('UPDATE sessions SET title = ? WHERE id = ?', body.title.trim().substring(0, 200), sessionId);
+    }
+    await this.syncDirectory(sessionId);
+
+    return this.jsonResponse({ sessionId, session: this.getSession(sessionId) });
+  }
+
   async handleClearSession(request) {
     const url = new URL(request.url);
     const sessionId = url.searchParams.get('sessionId');
-    
-    if (sessionId && this.sessions.has(sessionId)) {
-      this.sessions.get(sessionId).messages = [];
-      return new Response(JSON.stringify({ success: true }), {
-        headers: { 'Content-Type': 'application/json' }
+
+    if (sessionId && this.getSession(sessionId)) {
+      this.clearMessages(sessionId);
+      await this.syncDirectory(sessionId);
+      return this.jsonResponse({ success: true });
+    }
+
+    return this.jsonResponse({ error: 'Session not found' }, 404);
+  }
+
+  // Documents pinned to a session - retrieval only looks at these when there
+  // are any, and the last one pinned is what "summarize this" means.
+  // GET lists them, PUT replaces the set, POST adds (or re-pins to the end),
+  // DELETE ?documentId= unpins one
+  async handleSessionDocuments(request) {
+    const url = new URL(request.url);
+    const sessionId = url.searchParams.get('sessionId');
+    if (!sessionId) {
+      return this.jsonResponse({ error: 'sessionId is required' }, 400);
+    }
+
+    switch (request.method) {
+      case 'GET':
+        return this.jsonResponse({ sessionId, documentIds: this.getPinnedDocuments(sessionId) });
+
+      case 'PUT':
+      case 'POST': {
+        const body = await this.readJSON(request);
+        const documentIds = body?.documentIds;
+        if (!Array.isArray(documentIds) || documentIds.some(id => typeof id !== 'string' || !id)) {
+          return this.jsonResponse({ error: 'documentIds must be an array of document id strings' }, 400);
+        }
+
+        this.ensureSession(sessionId);
+        if (request.method === 'PUT') {
+          this.sql.exec('DELETE FROM session_documents WHERE session_id = ?', sessionId);
+        }
+        this.pinDocuments(sessionId, documentIds);
+        return this.jsonResponse({ sessionId, documentIds: this.getPinnedDocuments(sessionId) });
+      }
+
+      case 'DELETE': {
+        const documentId = url.searchParams.get('documentId');
+        if (!documentId) {
+          return this.jsonResponse({ error: 'documentId is required' }, 400);
+        }
+        this.sql.exec(
+          'DELETE FROM session_documents WHERE session_id = ? AND document_id = ?',
+          sessionId, documentId
+        );
+        return this.jsonResponse({ sessionId, documentIds: this.getPinnedDocuments(sessionId) });
+      }
+
+      default:
+        return this.jsonResponse({ error: 'Method Not Allowed' }, 405);
+    }
+  }
+
+  pinDocuments(sessionId, documentIds) {
+    const now = Date.now();
+    const [{ next }] = this.sql.exec(
+      'SELECT COALESCE(MAX(position), 0) + 1 AS next FROM session_documents WHERE session_id = ?',
+      sessionId
+    ).toArray();
+
+    documentIds.forEach((documentId, index) => {
+      this.sql.exec(
+        `INSERT INTO session_documents (session_id, document_id, position, pinned_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(session_id, document_id) DO UPDATE SET position = excluded.position, pinned_at = excluded.pinned_at`,
+        sessionId, documentId, next + index, now
+      );
+    });
+  }
+
+  // Pinned document ids in pin order (oldest first)
+  getPinnedDocuments(sessionId) {
+    return this.sql.exec(
+      'SELECT document_id FROM session_documents WHERE session_id = ? ORDER BY position',
+      sessionId
+    ).toArray().map(row => row.document_id);
+  }
+
+  // Pushes this session's metadata to its owner's directory object so their
+  // session list stays current. A failure here only makes the list stale, so
+  // it's logged and swallowed
+  async syncDirectory(sessionId) {
+    const session = this.getSession(sessionId);
+    const owner = this.getSessionOwner(sessionId);
+    if (!session || !owner || !this.env?.CHAT_SESSION) return;
+
+    try {
+      await this.getDirectory(owner).fetch('http://internal/api/sessions/index', {
+        method: 'PUT',
+        body: JSON.stringify(session)
       });
+    } catch (error) {
+      console.warn('⚠️ Failed to update session directory:', error);
+    }
+  }
+
+  async removeFromDirectory(sessionId, owner) {
+    if (!owner || !this.env?.CHAT_SESSION) return;
+
+    try {
+      await this.getDirectory(owner).fetch(
+        `http://internal/api/sessions/index?sessionId=${encodeURIComponent(sessionId)}`,
+        { method: 'DELETE' }
+      );
+    } catch (error) {
+      console.warn('⚠️ Failed to remove session from directory:', error);
     }
+  }
 
-    return new Response(JSON.stringify({ error: 'Session not found' }), {
-      status: 404,
+  getDirectory(owner) {
+    const directoryId = this.env.CHAT_SESSION.idFromName(getDirectoryName(owner));
+    return this.env.CHAT_SESSION.get(directoryId);
+  }
+
+  // Makes sure there's a row for the session so metadata has somewhere to go
+  ensureSession(sessionId, owner = null) {
+    const now = Date.now();
+    this.sql.exec(
+      'INSERT OR IGNORE INTO sessions (id, title, created_at, updated_at, message_count, owner) VALUES (?, NULL, ?, ?, 0, ?)',
+      sessionId, now, now, owner
+    );
+  }
+
+  // A session nobody owns opens for whoever has its id; an owned one only
+  // for that owner
+  canAccessSession(sessionId, owner) {
+    if (!sessionId) return false;
+    const rows = this.sql.exec('SELECT owner FROM sessions WHERE id = ?', sessionId).toArray();
+    return rows.length > 0 && (!rows[0].owner || rows[0].owner === owner);
+  }
+
+  getSessionOwner(sessionId) {
+    const rows = this.sql.exec('SELECT owner FROM sessions WHERE id = ?', sessionId).toArray();
+    return rows[0]?.owner || null;
+  }
+
+  getSession(sessionId) {
+    const rows = this.sql.exec(
+      'SELECT id, title, created_at, updated_at, message_count FROM sessions WHERE id = ?',
+      sessionId
+    ).toArray();
+    return rows.length > 0 ? this.formatSession(rows[0]) : null;
+  }
+
+  // Writes messages (and any tool calls the agent made for them) and bumps
+  // the session metadata. Returns how many messages were stored
+  appendMessages(sessionId, messages) {
+    this.ensureSession(sessionId);
+
+    let saved = 0;
+    let firstUserMessage = null;
+
+    for (const msg of messages) {
+      if (!msg || !msg.role || typeof msg.content !== 'string') continue;
+
+      const createdAt = msg.timestamp || Date.now();
+      const agentMetadata = msg.agentMetadata || null;
+      let metadata = agentMetadata
+        ? { toolsUsed: agentMetadata.toolsUsed || [], iterations: agentMetadata.iterations || 0 }
+        : null;
+      // Keep the citations with the answer so old conversations can still be checked
+      if (Array.isArray(msg.sources) && msg.sources.length > 0) {
+        metadata = { ...(metadata || {}), sources: msg.sources };
+      }
+
+      const inserted = this.sql.exec(
+        'INSERT INTO messages (session_id, role, content, created_at, metadata) VALUES (?, ?, ?, ?, ?) RETURNING id',
+        sessionId, msg.role, msg.content, createdAt, metadata ? JSON.stringify(metadata) : null
+      ).toArray();
+      const messageId = inserted[0]?.id;
+
+      for (const call of agentMetadata?.functionCallsExecuted || []) {
+        this.sql.exec(
+          'INSERT INTO tool_calls (message_id, session_id, name, arguments, result, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+          messageId,
+          sessionId,
+          call.name,
+          JSON.stringify(call.arguments ?? {}),
+          JSON.stringify(call.result ?? null),
+          call.timestamp || createdAt
+        );
+      }
+
+      if (msg.role === 'user' && !firstUserMessage) {
+        firstUserMessage = msg.content;
+      }
+      saved++;
+    }
+
+    if (saved > 0) {
+      const title = firstUserMessage ? this.makeTitle(firstUserMessage) : null;
+      this.sql.exec(
+        'UPDATE sessions SET message_count = message_count + ?, updated_at = ?, title = COALESCE(title, ?) WHERE id = ?',
+        saved, Date.now(), title, sessionId
+      );
+    }
+
+    return saved;
+  }
+
+  // Returns the last `limit` messages in chronological order, with the tool
+  // calls attached to the assistant messages that made them
+  getHistory(sessionId, limit = DEFAULT_HISTORY_LIMIT) {
+    const rows = this.sql.exec(
+      'SELECT id, role, content, created_at, metadata FROM messages WHERE session_id = ? ORDER BY id DESC LIMIT ?',
+      sessionId, limit
+    ).toArray().reverse();
+
+    return rows.map(row => this.formatMessage(row));
+  }
+
+  getToolCalls(messageId) {
+    return this.sql.exec(
+      'SELECT name, arguments, result, created_at FROM tool_calls WHERE message_id = ? ORDER BY id',
+      messageId
+    ).toArray().map(row => ({
+      name: row.name,
+      arguments: this.parseJSON(row.arguments, {}),
+      result: this.parseJSON(row.result, null),
+      timestamp: row.created_at
+    }));
+  }
+
+  deleteSession(sessionId) {
+    this.clearMessages(sessionId);
+    this.sql.exec('DELETE FROM session_documents WHERE session_id = ?', sessionId);
+    this.sql.exec('DELETE FROM sessions WHERE id = ?', sessionId);
+  }
+
+  clearMessages(sessionId) {
+    this.sql.exec('DELETE FROM tool_calls WHERE session_id = ?', sessionId);
+    this.sql.exec('DELETE FROM messages WHERE session_id = ?', sessionId);
+    this.sql.exec(
+      'UPDATE sessions SET message_count = 0, updated_at = ? WHERE id = ?',
+      Date.now(), sessionId
+    );
+  }
+
+  formatSession(row) {
+    return {
+      id: row.id,
+      title: row.title || 'New conversation',
+      createdAt: row.created_at,
+      lastActivityAt: row.updated_at,
+      messageCount: row.message_count
+    };
+  }
+
+  formatMessage(row) {
+    const message = {
+      id: row.id,
+      role: row.role,
+      content: row.content,
+      timestamp: row.created_at
+    };
+
+    const metadata = this.parseJSON(row.metadata, null);
+    if (metadata) {
+      message.metadata = metadata;
+    }
+    if (row.role === 'assistant') {
+      const toolCalls = this.getToolCalls(row.id);
+      if (toolCalls.length > 0) {
+        message.toolCalls = toolCalls;
+      }
+    }
+    return message;
+  }
+
+  makeTitle(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    return clean.length > TITLE_MAX_LENGTH
+      ? `${clean.substring(0, TITLE_MAX_LENGTH - 1)}…`
+      : clean;
+  }
+
+  parseLimit(value) {
+    const limit = parseInt(value, 10);
+    if (!limit || limit < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  encodeCursor(messageId) {
+    return btoa(String(messageId));
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const id = parseInt(atob(cursor), 10);
+      return Number.isFinite(id) ? id : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async readJSON(request) {
+    try {
+      return await request.json();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+      status,
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
-  generateSessionId() {
-    return Math.random().toString(36).substring(2, 15) + 
-           Math.random().toString(36).substring(2, 15);
+  parseJSON(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return fallback;
+    }
   }
 }
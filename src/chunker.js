@@ -0,0 +1,274 @@
+// Structure-aware chunking. The old chunker cut the text every 500
+// characters (backing up to the last period or newline), which happily
+// split tables, code blocks and list items down the middle. This one works
+// on blocks instead:
+// - '#' headings start a new chunk, and every chunk remembers the headings
+//   above it as its section path ("Install > Linux > Debian")
+// - paragraphs, lists, tables and fenced code blocks are kept whole when
+//   they fit, and when they don't they're split between sentences, list
+//   items, table rows (repeating the header row) or code lines
+// - chunks are sized in (approximate) tokens rather than characters, since
+//   that's what the embedding model actually has a limit on
+// The extractors turn Markdown, HTML and DOCX into Markdown-style text, so
+// they all get their headings honored here. Size, overlap and whether '#'
+// lines count as headings are configured per document type (the `chunking`
+// field in extractors.js)
+
+export const DEFAULT_CHUNKING = {
+  maxTokens: 200, // roughly what the old 500 character chunks ended up as, plus some room
+  overlapTokens: 30, // the end of a chunk is repeated at the start of the next one
+  headings: true, // treat '# ...' lines as headings - off for plain text, where '#' is usually a comment
+  lineBased: false // split long paragraphs by line instead of by sentence (CSV rows, JSON values)
+};
+
+const MAX_EMBEDDING_TOKENS = 480; // bge-small reads 512 tokens and silently drops the rest
+const MIN_CHUNK_TOKENS = 32;
+const MIN_CHUNK_LENGTH = 20; // characters - anything shorter is noise
+
+// Rough token count without a tokenizer: ~4 characters per token for English
+// prose, but short words and symbols (code, tables) cost more, so take
+// whichever estimate is higher
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const words = text.match(/\S+/g)?.length || 0;
+  return Math.ceil(Math.max(text.length / 4, words * 1.3));
+}
+
+// Returns [{ text, sectionPath, tokens }]
+export function chunkDocument(text, options = {}) {
+  const config = { ...DEFAULT_CHUNKING, ...options };
+  const maxTokens = Math.min(Math.max(config.maxTokens, MIN_CHUNK_TOKENS), MAX_EMBEDDING_TOKENS);
+  const overlapTokens = Math.min(Math.max(config.overlapTokens, 0), Math.floor(maxTokens / 2));
+
+  const chunks = [];
+  const headingStack = []; // [{ level, title }]
+  let sectionPath = '';
+  let current = emptyChunk();
+
+  const flush = (carryOverlap) => {
+    if (current.hasContent) {
+      // An overlap followed by the rest of the same paragraph reads as one
+      // paragraph, everything else is separated like Markdown blocks
+      const chunkText = current.parts.map((part, index) => {
+        if (index === 0) return part.text;
+        const joiner = current.parts[index - 1].type === 'overlap' && part.continues ? ' ' : '\n\n';
+        return joiner + part.text;
+      }).join('').trim();
+      if (chunkText.length >= MIN_CHUNK_LENGTH) {
+        chunks.push({ text: chunkText, sectionPath, tokens: estimateTokens(chunkText) });
+      }
+    }
+
+    // Only prose gets an overlap - half a table row or a dangling line of
+    // code at the top of the next chunk doesn't help anyone
+    const last = current.parts[current.parts.length - 1];
+    const overlap = carryOverlap && current.hasContent && overlapTokens > 0 && last?.type === 'paragraph'
+      ? tailText(last.text, overlapTokens)
+      : '';
+    current = emptyChunk();
+    if (overlap) addPart({ type: 'overlap', text: overlap });
+  };
+
+  const addPart = (part) => {
+    current.parts.push(part);
+    current.tokens += estimateTokens(part.text);
+    if (part.type !== 'heading' && part.type !== 'overlap') current.hasContent = true;
+  };
+
+  for (const block of parseBlocks(text, config.headings)) {
+    if (block.type === 'heading') {
+      flush(false);
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= block.level) {
+        headingStack.pop();
+      }
+      headingStack.push({ level: block.level, title: block.title });
+      sectionPath = headingStack.map(heading => heading.title).join(' > ');
+      addPart(block);
+      continue;
+    }
+
+    const pieces = splitBlock(block, maxTokens, config.lineBased);
+    pieces.forEach((piece, index) => {
+      const tokens = estimateTokens(piece);
+      if (current.tokens + tokens > maxTokens && current.hasContent) {
+        flush(true);
+      }
+      if (current.tokens + tokens > maxTokens) {
+        // Not even the overlap / heading fits next to this piece - drop them,
+        // the heading is still in the section path
+        current = emptyChunk();
+      }
+      addPart({ type: block.type, text: piece, continues: index > 0 });
+    });
+  }
+  flush(false);
+
+  return chunks;
+}
+
+function emptyChunk() {
+  return { parts: [], tokens: 0, hasContent: false };
+}
+
+// ---------------------------------------------------------------------------
+// Blocks
+
+// Splits the text into headings, fenced code, tables, lists and paragraphs
+function parseBlocks(text, detectHeadings) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  const isFence = line => /^\s*(`{3,}|~{3,})/.test(line);
+  const isHeading = line => detectHeadings && /^#{1,6}\s+\S/.test(line);
+  const isTableRow = line => /^\s*\|/.test(line);
+  const isListItem = line => /^\s*([-*+•]|\d+[.)])\s+\S/.test(line);
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    if (isFence(line)) {
+      const fence = line.trim().match(/^(`{3,}|~{3,})/)[1];
+      let end = i + 1;
+      while (end < lines.length && !lines[end].trim().startsWith(fence)) end++;
+      const closed = end < lines.length;
+      blocks.push({
+        type: 'code',
+        open: line,
+        close: closed ? lines[end] : fence,
+        lines: lines.slice(i + 1, end),
+        text: lines.slice(i, closed ? end + 1 : end).join('\n') + (closed ? '' : `\n${fence}`)
+      });
+      i = closed ? end + 1 : end;
+      continue;
+    }
+
+    if (isHeading(line)) {
+      const match = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+      blocks.push({ type: 'heading', level: match[1].length, title: match[2], text: line.trim() });
+      i++;
+      continue;
+    }
+
+    // Everything else runs until a blank line or the start of a different
+    // kind of block
+    const type = isTableRow(line) ? 'table' : isListItem(line) ? 'list' : 'paragraph';
+    const start = i;
+    i++;
+    while (i < lines.length && lines[i].trim() && !isFence(lines[i]) && !isHeading(lines[i])) {
+      if (type === 'table' && !isTableRow(lines[i])) break;
+      if (type !== 'table' && isTableRow(lines[i])) break;
+      if (type === 'paragraph' && isListItem(lines[i])) break;
+      i++;
+    }
+    blocks.push({ type, lines: lines.slice(start, i), text: lines.slice(start, i).join('\n') });
+  }
+
+  return blocks;
+}
+
+// Breaks a block into pieces of at most maxTokens, at the best boundary the
+// block type has
+function splitBlock(block, maxTokens, lineBased) {
+  if (estimateTokens(block.text) <= maxTokens) {
+    return [block.text];
+  }
+
+  switch (block.type) {
+    case 'table': {
+      // Every piece starts with the header row so the columns still make sense
+      const [header, ...rows] = block.lines;
+      if (rows.length === 0) return splitWords(header, maxTokens);
+      const budget = maxTokens - estimateTokens(header);
+      if (budget < MIN_CHUNK_TOKENS) return packUnits(block.lines, maxTokens, '\n');
+      return packUnits(rows, budget, '\n').map(piece => `${header}\n${piece}`);
+    }
+    case 'list': {
+      // Continuation lines stay with the item they belong to
+      const items = [];
+      for (const line of block.lines) {
+        if (/^\s*([-*+•]|\d+[.)])\s+\S/.test(line) || items.length === 0) items.push(line);
+        else items[items.length - 1] += `\n${line}`;
+      }
+      return packUnits(items, maxTokens, '\n');
+    }
+    case 'code': {
+      // Re-fence every piece so each one is still a valid code block
+      const budget = Math.max(maxTokens - estimateTokens(`${block.open}\n${block.close}`), MIN_CHUNK_TOKENS);
+      return packUnits(block.lines, budget, '\n').map(piece => `${block.open}\n${piece}\n${block.close}`);
+    }
+    default: {
+      const units = lineBased ? block.lines : splitSentences(block.text);
+      return packUnits(units, maxTokens, lineBased ? '\n' : '');
+    }
+  }
+}
+
+// Greedily packs units into pieces of at most maxTokens. A unit that's too
+// big on its own gets split between words. Only trailing whitespace is
+// trimmed - leading indentation matters in code
+function packUnits(units, maxTokens, joiner) {
+  const pieces = [];
+  let current = '';
+
+  for (const unit of units) {
+    const candidate = current ? `${current}${joiner}${unit}` : unit;
+    if (estimateTokens(candidate) <= maxTokens) {
+      current = candidate;
+      continue;
+    }
+    if (current.trim()) pieces.push(current.trimEnd());
+    if (estimateTokens(unit) <= maxTokens) {
+      current = unit;
+    } else {
+      const parts = splitWords(unit, maxTokens);
+      current = parts.pop() || '';
+      pieces.push(...parts);
+    }
+  }
+  if (current.trim()) pieces.push(current.trimEnd());
+  return pieces;
+}
+
+function splitWords(text, maxTokens) {
+  const words = text.split(/(\s+)/);
+  const pieces = [];
+  let current = '';
+  for (const word of words) {
+    if (current && estimateTokens(current + word) > maxTokens) {
+      pieces.push(current.trim());
+      current = word.trim() ? word : '';
+    } else {
+      current += word;
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+// Sentences with their trailing whitespace, so joining them with '' gives
+// back the original text (line breaks included)
+function splitSentences(text) {
+  return text.split(/(?<=[.!?]["')\]]*\s+)(?=\S)/).filter(Boolean);
+}
+
+// The last few sentences of a chunk, up to overlapTokens - or its last
+// words if a single sentence is already longer than that
+function tailText(text, overlapTokens) {
+  const sentences = splitSentences(text);
+  let tail = '';
+  for (let i = sentences.length - 1; i >= 0; i--) {
+    const candidate = sentences[i] + tail;
+    if (estimateTokens(candidate) > overlapTokens) break;
+    tail = candidate;
+  }
+  if (!tail.trim()) {
+    const words = text.trim().split(/\s+/);
+    tail = words.slice(-Math.max(1, Math.floor(overlapTokens / 1.3))).join(' ');
+  }
+  return tail.trim();
+}
@@ -0,0 +1,81 @@
+// Content store - the text of every chunk, keyed by its vector id, plus the
+// full text extracted from each document. Chunk text used to live in the
+// Vectorize metadata, which has a size limit per vector (the "truncate to
+// 2000 characters" there never actually got applied) and meant stripping
+// control characters to keep Vectorize happy. Now Vectorize only gets small
+// filterable fields (documentId, sessionId, owner, chunkIndex, page...) and
+// retrieval hydrates the text from here, exactly as the chunker produced it.
+//
+// Like the keyword index it lives in the DocumentLibrary's SQLite and every
+// function takes the object's `sql` handle
+
+// A SQLite row in a Durable Object maxes out at 2MB - characters can take up
+// to 4 bytes, so the full document text is stored in parts
+const TEXT_PART_LENGTH = 400 * 1024;
+
+export function initializeContentSchema(sql) {
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS chunk_contents (
+      id TEXT PRIMARY KEY,
+      document_id TEXT NOT NULL,
+      text TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_chunk_contents_document ON chunk_contents (document_id);
+
+    CREATE TABLE IF NOT EXISTS document_texts (
+      document_id TEXT NOT NULL,
+      part INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      PRIMARY KEY (document_id, part)
+    );
+  `);
+}
+
+// Replaces whatever was stored for the document. chunkTexts are in chunk
+// order, so chunk i is stored under `${documentId}-chunk-${i}` - its vector id
+export function storeDocumentContent(sql, documentId, text, chunkTexts) {
+  deleteDocumentContent(sql, documentId);
+
+  chunkTexts.forEach((chunkText, index) => {
+    sql.exec(
+      'INSERT INTO chunk_contents (id, document_id, text) VALUES (?, ?, ?)',
+      `${documentId}-chunk-${index}`, documentId, chunkText
+    );
+  });
+  for (let offset = 0, part = 0; offset < text.length; offset += TEXT_PART_LENGTH, part++) {
+    sql.exec(
+      'INSERT INTO document_texts (document_id, part, text) VALUES (?, ?, ?)',
+      documentId, part, text.substring(offset, offset + TEXT_PART_LENGTH)
+    );
+  }
+}
+
+// { [vectorId]: text } for the ids we have
+export function getChunkTexts(sql, ids) {
+  const texts = {};
+  // SQLite caps the number of bound parameters, so look them up in batches
+  for (let i = 0; i < ids.length; i += 100) {
+    const batch = ids.slice(i, i + 100);
+    const rows = sql.exec(
+      `SELECT id, text FROM chunk_contents WHERE id IN (${batch.map(() => '?').join(', ')})`,
+      ...batch
+    ).toArray();
+    for (const row of rows) {
+      texts[row.id] = row.text;
+    }
+  }
+  return texts;
+}
+
+// The full extracted text, or null for documents stored before this existed
+export function getDocumentText(sql, documentId) {
+  const parts = sql.exec(
+    'SELECT text FROM document_texts WHERE document_id = ? ORDER BY part ASC', documentId
+  ).toArray();
+  return parts.length > 0 ? parts.map(row => row.text).join('') : null;
+}
+
+export function deleteDocumentContent(sql, documentId) {
+  sql.exec('DELETE FROM chunk_contents WHERE document_id = ?', documentId);
+  sql.exec('DELETE FROM document_texts WHERE document_id = ?', documentId);
+}
@@ -0,0 +1,204 @@
+// Context assembly - turns the ranked chunks into the numbered passages the
+// model reads. The context used to be the chunks joined in score order, so
+// neighbouring chunks repeated their overlap, and a document's second half
+// could come before its first. Now:
+// - chunks are picked in rank order until the token budget is used up
+// - optionally, the chunks right before and after each pick are pulled in
+//   too, budget permitting, so an answer isn't cut off mid-explanation
+// - consecutive chunks of a document (by chunkIndex) are merged into one
+//   passage, with the overlap the chunker repeated between them removed
+// - passages are grouped by document (the document with the best-ranked
+//   chunk first) and ordered by position inside it, summaries first
+// Every passage is labelled with its filename, pages and section.
+//
+// RAG_CONTEXT_TOKENS in [vars] sets the budget, RAG_NEIGHBOR_CHUNKS how many
+// chunks on each side to pull in (0 turns it off)
+
+import { estimateTokens } from './chunker.js';
+import { getChunksByIds } from './rag.js';
+import { hydrateChunks } from './document-library.js';
+import { SUMMARY_KINDS } from './summaries.js';
+
+export const DEFAULT_CONTEXT_TOKENS = 3000;
+const DEFAULT_NEIGHBOR_CHUNKS = 1;
+const MAX_OVERLAP_LENGTH = 1000; // characters - the chunker's overlap is ~30 tokens, this is plenty
+
+// chunks are ranked, best first, in the shape retrieve() returns. scope is
+// the retrieval scope, needed to look up neighbours.
+// Returns { context, passages } - passages are
+// { text, documentId, source, chunkIndex, chunkIndexes, page, endPage,
+//   sectionPath, kind, score } in context order, and context is the passages
+// numbered [1], [2]... with their labels
+export async function buildContext(chunks, env, {
+  scope = {},
+  maxTokens = getContextTokenBudget(env),
+  neighbors = getNeighborCount(env)
+} = {}) {
+  const selected = [];
+  const selectedIds = new Set();
+  const seenTexts = new Set();
+  let usedTokens = 0;
+
+  const trySelect = (chunk, { force = false } = {}) => {
+    const key = chunkKey(chunk);
+    const normalized = chunk.text.replace(/\s+/g, ' ').trim();
+    if (selectedIds.has(key) || seenTexts.has(normalized)) return; // same chunk, or the same text uploaded twice
+    const tokens = estimateTokens(chunk.text);
+    if (!force && usedTokens + tokens > maxTokens) return; // a shorter one further down might still fit
+    selected.push(chunk);
+    selectedIds.add(key);
+    seenTexts.add(normalized);
+    usedTokens += tokens;
+  };
+
+  // The best chunk always goes in, so there's never zero context
+  chunks.forEach((chunk, index) => trySelect(chunk, { force: index === 0 }));
+  const picked = selected.length;
+
+  if (neighbors > 0) {
+    // Nearest neighbours of the best chunks first
+    const wanted = [];
+    for (let distance = 1; distance <= neighbors; distance++) {
+      for (const chunk of selected.slice(0, picked)) {
+        const index = chunk.metadata?.chunkIndex;
+        const documentId = chunk.metadata?.documentId;
+        if (chunk.metadata?.kind || !Number.isInteger(index) || !documentId) continue;
+        for (const neighbor of [index - distance, index + distance]) {
+          const id = `${documentId}-chunk-${neighbor}`;
+          if (neighbor >= 0 && !selectedIds.has(id) && !wanted.includes(id)) wanted.push(id);
+        }
+      }
+    }
+
+    if (wanted.length > 0) {
+      try {
+        const neighbours = await hydrateChunks(await getChunksByIds(wanted, env, scope), env, scope);
+        const found = new Map(neighbours.map(chunk => [chunk.id, chunk]));
+        for (const id of wanted) {
+          const chunk = found.get(id);
+          // Summary chunks are numbered right after the last real chunk - not a neighbour
+          if (chunk && !chunk.metadata?.kind) trySelect({ ...chunk, score: null });
+        }
+      } catch (error) {
+        console.warn('⚠️ Could not load neighbouring chunks:', error.message || error);
+      }
+    }
+  }
+
+  const passages = orderPassages(mergePassages(selected));
+  const context = passages
+    .map((passage, index) => `[${index + 1}] Source: ${formatPassageLabel(passage)}\n${passage.text}`)
+    .join('\n\n---\n\n');
+
+  console.log(`🧩 Context: ${passages.length} passages from ${selected.length} chunks (${selected.length - picked} neighbours), ~${usedTokens} tokens of ${maxTokens}`);
+  return { context, passages };
+}
+
+// "guide.pdf, pages 4-5, section Setup > Linux"
+export function formatPassageLabel(passage) {
+  let label = passage.source;
+  if (passage.kind === SUMMARY_KINDS.DOCUMENT) label += ', document summary';
+  if (passage.kind === SUMMARY_KINDS.SECTION) label += ', section summary';
+  if (passage.page) {
+    label += passage.endPage && passage.endPage !== passage.page
+      ? `, pages ${passage.page}-${passage.endPage}`
+      : `, page ${passage.page}`;
+  }
+  if (passage.sectionPath) label += `, section ${passage.sectionPath}`;
+  return label;
+}
+
+// RAG_CONTEXT_TOKENS in [vars], or DEFAULT_CONTEXT_TOKENS
+export function getContextTokenBudget(env) {
+  const budget = parseInt(env.RAG_CONTEXT_TOKENS, 10);
+  return budget > 0 ? budget : DEFAULT_CONTEXT_TOKENS;
+}
+
+function getNeighborCount(env) {
+  const count = parseInt(env.RAG_NEIGHBOR_CHUNKS, 10);
+  return Number.isInteger(count) && count >= 0 ? count : DEFAULT_NEIGHBOR_CHUNKS;
+}
+
+function chunkKey(chunk) {
+  return chunk.id || `${chunk.metadata?.documentId}-chunk-${chunk.metadata?.chunkIndex}`;
+}
+
+// Chunks -> passages. Consecutive real chunks of the same document merge;
+// summaries, and anything without a chunkIndex, stay on their own
+function mergePassages(chunks) {
+  const byDocument = new Map();
+  chunks.forEach((chunk, rank) => {
+    const documentId = chunk.metadata?.documentId || chunk.id?.split('-chunk-')[0] || 'unknown';
+    if (!byDocument.has(documentId)) byDocument.set(documentId, { rank, chunks: [] });
+    byDocument.get(documentId).chunks.push(chunk);
+  });
+
+  const passages = [];
+  for (const [documentId, { rank, chunks: documentChunks }] of byDocument) {
+    const sorted = [...documentChunks].sort((a, b) => positionOf(a) - positionOf(b));
+    let current = null;
+    for (const chunk of sorted) {
+      const index = chunk.metadata?.chunkIndex;
+      const mergeable = !chunk.metadata?.kind && Number.isInteger(index);
+      if (current && mergeable && current.mergeable && index === current.lastIndex + 1) {
+        current.text += joinWithoutOverlap(current.text, chunk.text);
+        current.lastIndex = index;
+        current.chunkIndexes.push(index);
+        if (Number.isInteger(chunk.metadata?.page)) {
+          current.page = current.page ?? chunk.metadata.page;
+          current.endPage = chunk.metadata.page;
+        }
+        if (typeof chunk.score === 'number') current.score = Math.max(current.score ?? chunk.score, chunk.score);
+        continue;
+      }
+
+      current = {
+        text: chunk.text,
+        documentId,
+        source: chunk.metadata?.source || documentId,
+        chunkIndex: Number.isInteger(index) ? index : null,
+        chunkIndexes: Number.isInteger(index) ? [index] : [],
+        page: chunk.metadata?.page ?? null,
+        endPage: chunk.metadata?.page ?? null,
+        sectionPath: chunk.metadata?.sectionPath || null,
+        kind: chunk.metadata?.kind || null,
+        score: typeof chunk.score === 'number' ? chunk.score : null,
+        documentRank: rank,
+        mergeable,
+        lastIndex: index
+      };
+      passages.push(current);
+    }
+  }
+  return passages;
+}
+
+// Documents in the order their best chunk was ranked, then position
+function orderPassages(passages) {
+  return passages
+    .sort((a, b) => a.documentRank - b.documentRank || positionOf(a) - positionOf(b))
+    .map(({ documentRank, mergeable, lastIndex, ...passage }) => passage);
+}
+
+// Document summary, then section summaries, then the text in order
+function positionOf(item) {
+  const kind = item.kind ?? item.metadata?.kind;
+  const index = item.chunkIndex ?? item.metadata?.chunkIndex ?? 0;
+  if (kind === SUMMARY_KINDS.DOCUMENT) return -2e9;
+  if (kind === SUMMARY_KINDS.SECTION) return -1e9 + index;
+  return index;
+}
+
+// The chunker starts a chunk with the end of the previous one. Find the
+// longest end of `previous` that `next` starts with and drop it - what's left
+// still starts with the space or blank line the chunker joined them with
+function joinWithoutOverlap(previous, next) {
+  const longest = Math.min(previous.length, next.length, MAX_OVERLAP_LENGTH);
+  for (let length = longest; length >= 10; length--) {
+    if (previous.endsWith(next.substring(0, length))) {
+      const rest = next.substring(length);
+      return /^\s/.test(rest) || rest === '' ? rest : ` ${rest}`;
+    }
+  }
+  return `\n\n${next}`;
+}
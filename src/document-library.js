@@ -0,0 +1,778 @@
+// Durable Object that keeps track of every ingested document - filename, type,
+// size, chunk count, who uploaded it and when. Vectorize only knows about
+// chunks, so without this there was no way to list uploads or find all the
+// vectors that belong to one document when deleting it.
+// There's one instance per scope (see getLibraryName) - each signed-in owner
+// has their own library and so does each anonymous session, so one busy user
+// never queues behind everybody else's uploads and searches
+//
+// It also runs ingestion. /api/upload used to extract, embed and upsert inside
+// the request, and then chat had to guess (by timestamps, with retries) whether
+// Vectorize had caught up. Now an upload just queues a job here and an alarm
+// works through the queue, moving each job through JOB_STAGES. A document is
+// only 'ready' once its vectors can actually be read back, so chat can wait on
+// that instead of guessing
+//
+// The keyword index (keyword-index.js) lives here too, so BM25 search runs
+// against the same SQLite as the registry and is cleaned up with it. So does
+// the content store (content-store.js) - the text of every chunk and the full
+// extracted text of every document, which used to be crammed into Vectorize
+// metadata. And when there's no Vectorize binding, so do the vectors
+// (local-vector-store.js)
+
+import { processDocument, waitForIndexedVectors, deleteDocumentVectors, buildVectorFilter } from './rag.js';
+import { initializeKeywordSchema, indexDocumentChunks, deleteDocumentChunks, searchKeywordIndex } from './keyword-index.js';
+import { initializeContentSchema, storeDocumentContent, getChunkTexts, getDocumentText, deleteDocumentContent } from './content-store.js';
+import { hasVectorizeBinding, initializeVectorSchema, createSqlVectorIndex } from './local-vector-store.js';
+import { withAIProvider } from './fake-ai.js';
+
+// Same paging limits as the session API
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Uploads are stored in pieces - a SQLite row in a Durable Object maxes out at 2MB
+const PAYLOAD_PART_SIZE = 1024 * 1024;
+// A job that was mid-run when the object got evicted is retried this many times
+const MAX_JOB_ATTEMPTS = 3;
+
+
+export const JOB_STAGES = ['queued', 'extracting', 'chunking', 'summarizing', 'embedding', 'indexing', 'ready', 'failed'];
+const FINISHED_STAGES = ['ready', 'failed'];
+
+export class DocumentLibrary {
+  constructor(state, env) {
+    this.state = state;
+    this.sql = state.storage.sql;
+
+    this.initializeSchema();
+
+    // Without Vectorize the vectors live in this object - ingestion running
+    // here writes to the table directly instead of calling itself over /vectors
+    this.localVectors = hasVectorizeBinding(env) ? null : createSqlVectorIndex(this.sql);
+    env = withAIProvider(env);
+    this.env = this.localVectors ? { ...env, VECTORIZE: this.localVectors } : env;
+  }
+
+  initializeSchema() {
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        id TEXT PRIMARY KEY,
+        filename TEXT,
+        type TEXT NOT NULL,
+        size INTEGER NOT NULL DEFAULT 0,
+        chunk_count INTEGER NOT NULL DEFAULT 0,
+        text_length INTEGER NOT NULL DEFAULT 0,
+        session_id TEXT,
+        owner TEXT,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_documents_session ON documents (session_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_documents_owner ON documents (owner, created_at);
+
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        document_id TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        error TEXT,
+        source TEXT NOT NULL,
+        filename TEXT,
+        type TEXT NOT NULL,
+        size INTEGER NOT NULL DEFAULT 0,
+        session_id TEXT,
+        owner TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_stage ON jobs (stage, created_at);
+      CREATE INDEX IF NOT EXISTS idx_jobs_document ON jobs (document_id);
+
+      CREATE TABLE IF NOT EXISTS job_payloads (
+        job_id TEXT NOT NULL,
+        part INTEGER NOT NULL,
+        data BLOB NOT NULL,
+        PRIMARY KEY (job_id, part)
+      );
+    `);
+    initializeKeywordSchema(this.sql);
+    initializeContentSchema(this.sql);
+    initializeVectorSchema(this.sql);
+
+    // The document summary (see summaries.js) came later - libraries created
+    // before that need the column added
+    const columns = this.sql.exec('PRAGMA table_info(documents)').toArray().map(column => column.name);
+    if (!columns.includes('summary')) {
+      this.sql.exec('ALTER TABLE documents ADD COLUMN summary TEXT');
+    }
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    switch (url.pathname) {
+      case '/documents':
+        return this.handleList(request);
+      case '/documents/item':
+        return this.handleItem(request);
+      case '/documents/status':
+        return this.handleStatus(request);
+      case '/documents/summaries':
+        return this.handleSummaries(request);
+      case '/documents/text':
+        return this.handleText(request);
+      case '/content':
+        return this.handleContent(request);
+      case '/content/chunks':
+        return this.handleChunkContents(request);
+      case '/jobs':
+        return this.handleCreateJob(request);
+      case '/jobs/item':
+        return this.handleJob(request);
+      case '/keywords/search':
+        return this.handleKeywordSearch(request);
+      case '/vectors/upsert':
+      case '/vectors/query':
+      case '/vectors/get':
+      case '/vectors/delete':
+        return this.handleVectors(request, url.pathname.split('/').pop());
+      default:
+        return new Response('Not Found', { status: 404 });
+    }
+  }
+
+  // Records a document once its ingestion job has stored the chunks
+  registerDocument(doc) {
+    this.sql.exec(
+      `INSERT INTO documents (id, filename, type, size, chunk_count, text_length, session_id, owner, created_at, summary)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET filename = excluded.filename, size = excluded.size,
+         chunk_count = excluded.chunk_count, text_length = excluded.text_length, summary = excluded.summary`,
+      doc.id,
+      doc.filename || null,
+      doc.type,
+      Number(doc.size) || 0,
+      Number(doc.chunkCount) || 0,
+      Number(doc.textLength) || 0,
+      doc.sessionId || null,
+      doc.owner || null,
+      doc.createdAt || Date.now(),
+      doc.summary || null
+    );
+  }
+
+  // Newest first, limited to one session or owner - never the whole library
+  async handleList(request) {
+    const url = new URL(request.url);
+    const owner = url.searchParams.get('owner');
+    const sessionId = url.searchParams.get('sessionId');
+    if (!owner && !sessionId) {
+      return this.jsonResponse({ error: 'sessionId or owner is required' }, 400);
+    }
+
+    const limit = this.parseLimit(url.searchParams.get('limit'));
+    const column = owner ? 'owner' : 'session_id';
+    const documents = this.sql.exec(
+      `SELECT * FROM documents WHERE ${column} = ? ORDER BY created_at DESC LIMIT ?`,
+      owner || sessionId, limit
+    ).toArray().map(row => this.formatDocument(row));
+
+    return this.jsonResponse({ documents });
+  }
+
+  // GET / DELETE one document. The caller has to name the session or owner
+  // it belongs to - a mismatch is a 404 so ids can't be probed
+  async handleItem(request) {
+    const document = this.getAllowedDocument(new URL(request.url));
+    if (!document) {
+      return this.jsonResponse({ error: 'Document not found' }, 404);
+    }
+
+    switch (request.method) {
+      case 'GET':
+        return this.jsonResponse({ document });
+
+      case 'DELETE':
+        this.sql.exec('DELETE FROM documents WHERE id = ?', document.id);
+        deleteDocumentChunks(this.sql, document.id);
+        deleteDocumentContent(this.sql, document.id);
+        return this.jsonResponse({ success: true, document });
+
+      default:
+        return this.jsonResponse({ error: 'Method Not Allowed' }, 405);
+    }
+  }
+
+  // The full text extracted from one document, scoped like handleItem.
+  // text is null for documents ingested before the content store existed
+  async handleText(request) {
+    const document = this.getAllowedDocument(new URL(request.url));
+    if (!document) {
+      return this.jsonResponse({ error: 'Document not found' }, 404);
+    }
+    return this.jsonResponse({ document, text: getDocumentText(this.sql, document.id) });
+  }
+
+  // Stores (POST) or removes (DELETE ?documentId=) the text and keyword index
+  // of a document that was processed outside an ingestion job - the eval
+  // corpus, see eval.js. Nothing gets registered, so these never show up in
+  // /documents. Body: { documentId, text, chunkTexts, sessionId, owner }
+  async handleContent(request) {
+    switch (request.method) {
+      case 'POST': {
+        const { documentId, text = '', chunkTexts, sessionId = null, owner = null } = await request.json();
+        if (!documentId || !Array.isArray(chunkTexts)) {
+          return this.jsonResponse({ error: 'documentId and chunkTexts are required' }, 400);
+        }
+        storeDocumentContent(this.sql, documentId, text, chunkTexts);
+        indexDocumentChunks(this.sql, documentId, chunkTexts, { sessionId, owner });
+        return this.jsonResponse({ success: true, chunks: chunkTexts.length });
+      }
+
+      case 'DELETE': {
+        const documentId = new URL(request.url).searchParams.get('documentId');
+        if (!documentId) {
+          return this.jsonResponse({ error: 'documentId is required' }, 400);
+        }
+        // Uploads are deleted through /documents/item, which also unregisters them
+        if (this.getDocument(documentId)) {
+          return this.jsonResponse({ error: 'Registered documents are deleted through /documents/item' }, 409);
+        }
+        deleteDocumentChunks(this.sql, documentId);
+        deleteDocumentContent(this.sql, documentId);
+        return this.jsonResponse({ success: true });
+      }
+
+      default:
+        return this.jsonResponse({ error: 'Method Not Allowed' }, 405);
+    }
+  }
+
+  // Chunk texts by vector id. Body: { ids }. The ids come from search results
+  // that were already checked against the caller's scope
+  async handleChunkContents(request) {
+    if (request.method !== 'POST') {
+      return this.jsonResponse({ error: 'Method Not Allowed' }, 405);
+    }
+    const { ids } = await request.json();
+    if (!Array.isArray(ids)) {
+      return this.jsonResponse({ error: 'ids is required' }, 400);
+    }
+    return this.jsonResponse({ texts: getChunkTexts(this.sql, ids.map(String)) });
+  }
+
+  // Where each of ?ids= is at: 'ready', a job stage, or 'unknown' (not a
+  // document we know about - e.g. uploaded before jobs existed)
+  async handleStatus(request) {
+    const url = new URL(request.url);
+    const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+
+    const statuses = {};
+    for (const id of ids) {
+      if (this.getDocument(id)) {
+        statuses[id] = 'ready';
+        continue;
+      }
+      const rows = this.sql.exec(
+        'SELECT stage FROM jobs WHERE document_id = ? ORDER BY created_at DESC LIMIT 1', id
+      ).toArray();
+      statuses[id] = rows.length > 0 ? rows[0].stage : 'unknown';
+    }
+
+    return this.jsonResponse({ statuses });
+  }
+
+  // Document summaries for ?ids=, limited to the ?sessionId= or ?owner= they
+  // belong to like handleItem. Ids without one (or out of scope) are left out
+  async handleSummaries(request) {
+    const url = new URL(request.url);
+    const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+    const owner = url.searchParams.get('owner');
+    const sessionId = url.searchParams.get('sessionId');
+    if (!owner && !sessionId) {
+      return this.jsonResponse({ error: 'sessionId or owner is required' }, 400);
+    }
+
+    const summaries = {};
+    for (const id of ids) {
+      const row = this.sql.exec('SELECT summary, session_id, owner FROM documents WHERE id = ?', id).toArray()[0];
+      const allowed = row && (owner ? row.owner === owner : row.session_id === sessionId);
+      if (allowed && row.summary) {
+        summaries[id] = row.summary;
+      }
+    }
+
+    return this.jsonResponse({ summaries });
+  }
+
+  // Queues an upload. The body is multipart: the job fields plus `file` for
+  // anything that isn't a URL. The bytes are kept until the job finishes
+  async handleCreateJob(request) {
+    if (request.method !== 'POST') {
+      return this.jsonResponse({ error: 'Method Not Allowed' }, 405);
+    }
+
+    const form = await request.formData();
+    const job = {
+      id: crypto.randomUUID(),
+      documentId: form.get('documentId'),
+      type: form.get('type'),
+      source: form.get('source'),
+      filename: form.get('filename') || form.get('source'),
+      sessionId: form.get('sessionId') || null,
+      owner: form.get('owner') || null
+    };
+    if (!job.documentId || !job.type || !job.source) {
+      return this.jsonResponse({ error: 'documentId, type and source are required' }, 400);
+    }
+
+    const file = form.get('file');
+    const data = file ? await file.arrayBuffer() : null;
+    const now = Date.now();
+
+    this.sql.exec(
+      `INSERT INTO jobs (id, document_id, stage, source, filename, type, size, session_id, owner, created_at, updated_at)
+       VALUES (?, ?, 'queued', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      job.id, job.documentId, job.source, job.filename, job.type,
+      data ? data.byteLength : job.source.length,
+      job.sessionId, job.owner, now, now
+    );
+    if (data) {
+      for (let offset = 0, part = 0; offset < data.byteLength; offset += PAYLOAD_PART_SIZE, part++) {
+        this.sql.exec(
+          'INSERT INTO job_payloads (job_id, part, data) VALUES (?, ?, ?)',
+          job.id, part, data.slice(offset, offset + PAYLOAD_PART_SIZE)
+        );
+      }
+    }
+
+    await this.scheduleJobs();
+    console.log(`📥 Queued ingestion job ${job.id} for ${job.documentId}`);
+
+    return this.jsonResponse({ job: this.getJob(job.id) }, 202);
+  }
+
+  // BM25 search over the chunks a scope ({ sessionId, owner, documentIds })
+  // can see. Body: { query, scope, topK }
+  async handleKeywordSearch(request) {
+    if (request.method !== 'POST') {
+      return this.jsonResponse({ error: 'Method Not Allowed' }, 405);
+    }
+    const { query, scope, topK } = await request.json();
+    if (!query) {
+      return this.jsonResponse({ error: 'query is required' }, 400);
+    }
+    const matches = searchKeywordIndex(this.sql, query, buildVectorFilter(scope), Math.min(Number(topK) || 20, MAX_PAGE_SIZE));
+    return this.jsonResponse({ matches });
+  }
+
+  // The local vector index, for when there's no Vectorize binding. Bodies:
+  // upsert { vectors }, query { vector, options }, get / delete { ids }
+  async handleVectors(request, operation) {
+    if (request.method !== 'POST') {
+      return this.jsonResponse({ error: 'Method Not Allowed' }, 405);
+    }
+    if (!this.localVectors) {
+      return this.jsonResponse({ error: 'Vectorize is bound - the local vector index is off' }, 409);
+    }
+
+    const body = await request.json();
+    try {
+      switch (operation) {
+        case 'upsert':
+          return this.jsonResponse(await this.localVectors.upsert(body.vectors || []));
+        case 'query':
+          return this.jsonResponse(await this.localVectors.query(body.vector || [], body.options));
+        case 'get':
+          return this.jsonResponse({ vectors: await this.localVectors.getByIds(body.ids || []) });
+        default:
+          return this.jsonResponse(await this.localVectors.deleteByIds(body.ids || []));
+      }
+    } catch (error) {
+      return this.jsonResponse({ error: error.message }, 400);
+    }
+  }
+
+  async handleJob(request) {
+    const job = this.getAllowedJob(new URL(request.url));
+    if (!job) {
+      return this.jsonResponse({ error: 'Job not found' }, 404);
+    }
+    return this.jsonResponse({ job });
+  }
+
+  // Runs one queued job per alarm and re-arms the alarm while there's more,
+  // so a big backlog never hits the alarm's time limit
+  async alarm() {
+    this.recoverInterruptedJobs();
+
+    const next = this.sql.exec(
+      "SELECT id FROM jobs WHERE stage = 'queued' ORDER BY created_at ASC LIMIT 1"
+    ).toArray();
+    if (next.length > 0) {
+      await this.runJob(next[0].id);
+    }
+
+    await this.scheduleJobs();
+  }
+
+  async scheduleJobs() {
+    const queued = this.sql.exec("SELECT COUNT(*) AS count FROM jobs WHERE stage = 'queued'").toArray();
+    if (queued[0].count > 0 && !(await this.state.storage.getAlarm())) {
+      await this.state.storage.setAlarm(Date.now());
+    }
+  }
+
+  // Alarms never overlap, so anything still mid-pipeline when one starts was
+  // cut off (eviction, deploy). Put it back in the queue, or give up on it
+  recoverInterruptedJobs() {
+    const interrupted = this.sql.exec(
+      "SELECT id, attempts FROM jobs WHERE stage NOT IN ('queued', 'ready', 'failed')"
+    ).toArray();
+
+    for (const job of interrupted) {
+      if (job.attempts >= MAX_JOB_ATTEMPTS) {
+        this.failJob(job.id, `Gave up after ${job.attempts} interrupted attempts`);
+      } else {
+        console.warn(`⚠️ Requeueing interrupted ingestion job ${job.id}`);
+        this.setJobStage(job.id, 'queued');
+      }
+    }
+  }
+
+  async runJob(jobId) {
+    const row = this.sql.exec('SELECT * FROM jobs WHERE id = ?', jobId).toArray()[0];
+    this.sql.exec('UPDATE jobs SET attempts = attempts + 1 WHERE id = ?', jobId);
+    // How many chunks went to storeContent - the vectors get upserted right
+    // after, so this is how many may need deleting if the job fails
+    let storedChunks = 0;
+
+    try {
+      // Every upload is stored as bytes, text formats included - the
+      // extractors decode them. URL jobs have no payload
+      const data = this.loadPayload(jobId);
+
+      const result = await processDocument(row.source, row.type, data, this.env, {
+        documentId: row.document_id,
+        sessionId: row.session_id,
+        owner: row.owner,
+        sourceName: row.filename,
+        onStage: async (stage) => this.setJobStage(jobId, stage),
+        storeContent: async (documentId, text, chunkTexts) => {
+          storedChunks = chunkTexts.length;
+          storeDocumentContent(this.sql, documentId, text, chunkTexts);
+          indexDocumentChunks(this.sql, documentId, chunkTexts, {
+            sessionId: row.session_id,
+            owner: row.owner
+          });
+        }
+      });
+
+      // Not 'ready' until search can find it - if Vectorize never caught up,
+      // fail the job (the catch below cleans up) so the upload can be retried
+      if (!(await waitForIndexedVectors(result.documentId, result.chunks, this.env))) {
+        throw new Error('The document was stored but never became searchable - please upload it again');
+      }
+
+      this.registerDocument({
+        id: result.documentId,
+        filename: result.source,
+        type: row.type,
+        size: row.size,
+        chunkCount: result.chunks,
+        textLength: result.textLength,
+        summary: result.summary,
+        sessionId: row.session_id,
+        owner: row.owner,
+        createdAt: row.created_at
+      });
+      this.setJobStage(jobId, 'ready');
+      this.deletePayload(jobId);
+      console.log(`✅ Ingestion job ${jobId} ready: ${result.chunks} chunks for ${result.documentId}`);
+    } catch (error) {
+      console.error(`❌ Ingestion job ${jobId} failed:`, error);
+      // The text (and some of the vectors) may already be stored if it was
+      // the upsert or the wait for it that failed
+      if (!this.getDocument(row.document_id)) {
+        deleteDocumentContent(this.sql, row.document_id);
+        deleteDocumentChunks(this.sql, row.document_id);
+        if (storedChunks > 0) {
+          try {
+            await deleteDocumentVectors(row.document_id, storedChunks, this.env);
+          } catch (cleanupError) {
+            console.warn(`⚠️ Failed to delete the vectors of ${row.document_id}:`, cleanupError);
+          }
+        }
+      }
+      this.failJob(jobId, error.message || String(error));
+    }
+  }
+
+  setJobStage(jobId, stage) {
+    this.sql.exec('UPDATE jobs SET stage = ?, updated_at = ? WHERE id = ?', stage, Date.now(), jobId);
+  }
+
+  failJob(jobId, message) {
+    this.sql.exec(
+      "UPDATE jobs SET stage = 'failed', error = ?, updated_at = ? WHERE id = ?",
+      message, Date.now(), jobId
+    );
+    this.deletePayload(jobId);
+  }
+
+  // Glues the stored parts back into one ArrayBuffer (null for URL jobs)
+  loadPayload(jobId) {
+    const parts = this.sql.exec(
+      'SELECT data FROM job_payloads WHERE job_id = ? ORDER BY part ASC', jobId
+    ).toArray().map(row => new Uint8Array(row.data));
+    if (parts.length === 0) return null;
+
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.byteLength, 0));
+    let offset = 0;
+    for (const part of parts) {
+      bytes.set(part, offset);
+      offset += part.byteLength;
+    }
+    return bytes.buffer;
+  }
+
+  deletePayload(jobId) {
+    this.sql.exec('DELETE FROM job_payloads WHERE job_id = ?', jobId);
+  }
+
+  getJob(id) {
+    if (!id) return null;
+    const rows = this.sql.exec('SELECT * FROM jobs WHERE id = ?', id).toArray();
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    return {
+      id: row.id,
+      documentId: row.document_id,
+      stage: row.stage,
+      done: FINISHED_STAGES.includes(row.stage),
+      error: row.error,
+      filename: row.filename,
+      type: row.type,
+      size: row.size,
+      sessionId: row.session_id,
+      owner: row.owner,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // The job named by ?id=, if its upload belongs to the ?sessionId= or
+  // ?owner= given - the same rule as getAllowedDocument, null otherwise
+  getAllowedJob(url) {
+    const job = this.getJob(url.searchParams.get('id'));
+    const owner = url.searchParams.get('owner');
+    const sessionId = url.searchParams.get('sessionId');
+
+    const allowed = job && (
+      (owner && job.owner === owner) ||
+      (sessionId && job.sessionId === sessionId)
+    );
+    return allowed ? job : null;
+  }
+
+  // The document named by ?id=, if it belongs to the ?sessionId= or ?owner=
+  // given - null otherwise
+  getAllowedDocument(url) {
+    const document = this.getDocument(url.searchParams.get('id'));
+    const owner = url.searchParams.get('owner');
+    const sessionId = url.searchParams.get('sessionId');
+
+    const allowed = document && (
+      (owner && document.owner === owner) ||
+      (sessionId && document.sessionId === sessionId)
+    );
+    return allowed ? document : null;
+  }
+
+  getDocument(id) {
+    if (!id) return null;
+    const rows = this.sql.exec('SELECT * FROM documents WHERE id = ?', id).toArray();
+    return rows.length > 0 ? this.formatDocument(rows[0]) : null;
+  }
+
+  formatDocument(row) {
+    return {
+      id: row.id,
+      filename: row.filename,
+      type: row.type,
+      size: row.size,
+      chunkCount: row.chunk_count,
+      textLength: row.text_length,
+      hasSummary: !!row.summary,
+      sessionId: row.session_id,
+      owner: row.owner,
+      createdAt: row.created_at
+    };
+  }
+
+  parseLimit(value) {
+    const limit = parseInt(value, 10);
+    if (!limit || limit < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Which library a scope's documents live in. Same precedence as the vector
+// filter (buildVectorFilter in rag.js): a signed-in owner's uploads and
+// searches all go to their library, whatever the session
+export function getLibraryName({ sessionId = null, owner = null } = {}) {
+  if (owner) return `owner:${owner}`;
+  if (sessionId) return `session:${sessionId}`;
+  return null;
+}
+
+export function getDocumentLibrary(env, scope) {
+  const name = getLibraryName(scope);
+  if (!name) {
+    throw new Error('The document library needs a sessionId or owner');
+  }
+  return env.DOCUMENT_LIBRARY.get(env.DOCUMENT_LIBRARY.idFromName(name));
+}
+
+// Waits until none of documentIds are still being ingested, polling the
+// library. Resolves to { pending, failed } - the ids that still weren't ready
+// when we gave up, and the ones whose job failed. Documents the library
+// doesn't know about count as ready (they predate ingestion jobs)
+export async function waitForDocuments(env, documentIds, scope, { timeoutMs = 30000, intervalMs = 1000 } = {}) {
+  if (!env.DOCUMENT_LIBRARY || !documentIds?.length || !getLibraryName(scope)) {
+    return { pending: [], failed: [] };
+  }
+
+  const library = getDocumentLibrary(env, scope);
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    const response = await library.fetch(
+      `http://internal/documents/status?ids=${documentIds.map(encodeURIComponent).join(',')}`
+    );
+    const { statuses } = await response.json();
+
+    const pending = documentIds.filter(id => !['ready', 'failed', 'unknown'].includes(statuses[id]));
+    const failed = documentIds.filter(id => statuses[id] === 'failed');
+    if (pending.length === 0 || Date.now() + intervalMs > deadline) {
+      return { pending, failed };
+    }
+
+    console.log(`⏳ Waiting for ${pending.length} document(s) to finish ingesting...`);
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Keyword (BM25) matches for a query within a retrieval scope - see
+// keyword-index.js. Resolves to [{ id, documentId, score }], best first
+export async function searchKeywords(query, scope, env, topK = 20) {
+  if (!env.DOCUMENT_LIBRARY || !getLibraryName(scope)) {
+    return [];
+  }
+
+  const library = getDocumentLibrary(env, scope);
+  const response = await library.fetch('http://internal/keywords/search', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, scope, topK })
+  });
+  if (!response.ok) {
+    throw new Error(`Keyword search failed: ${response.status}`);
+  }
+  const { matches } = await response.json();
+  return matches || [];
+}
+
+// The stored document summaries for documentIds, within a retrieval scope
+// ({ sessionId, owner }). Resolves to { [documentId]: summary } - documents
+// without one aren't in it
+export async function getDocumentSummaries(env, documentIds, { sessionId = null, owner = null } = {}) {
+  if (!env.DOCUMENT_LIBRARY || !documentIds?.length || (!sessionId && !owner)) {
+    return {};
+  }
+
+  const library = getDocumentLibrary(env, { sessionId, owner });
+  const params = new URLSearchParams({ ids: documentIds.join(',') });
+  if (owner) params.set('owner', owner);
+  else params.set('sessionId', sessionId);
+
+  const response = await library.fetch(`http://internal/documents/summaries?${params}`);
+  if (!response.ok) {
+    throw new Error(`Loading document summaries failed: ${response.status}`);
+  }
+  const { summaries } = await response.json();
+  return summaries || {};
+}
+
+// Fills in the text of chunks that came out of Vectorize (similaritySearch,
+// getChunksByIds) from the content store of the scope's library. Vectors
+// stored before the content store existed keep their text in metadata, so
+// whatever text a chunk already has is the fallback. Chunks that end up with
+// no text are dropped - there's nothing to show for them
+export async function hydrateChunks(chunks, env, scope) {
+  const ids = chunks.filter(chunk => chunk.id).map(chunk => chunk.id);
+  let texts = {};
+  if (env.DOCUMENT_LIBRARY && ids.length > 0 && getLibraryName(scope)) {
+    try {
+      const library = getDocumentLibrary(env, scope);
+      const response = await library.fetch('http://internal/content/chunks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids })
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status}`);
+      }
+      texts = (await response.json()).texts || {};
+    } catch (error) {
+      console.warn('⚠️ Loading chunk text failed:', error.message || error);
+    }
+  }
+
+  return chunks
+    .map(chunk => ({ ...chunk, text: texts[chunk.id] ?? chunk.text ?? '' }))
+    .filter(chunk => chunk.text.trim().length > 0);
+}
+
+// Stores a document's text and keyword index in the library for a document
+// processed with processDocument directly instead of through an ingestion job
+// (the eval corpus). With the scope bound it has options.storeContent's
+// signature: (documentId, text, chunkTexts) => ...
+export async function storeLibraryContent(env, documentId, text, chunkTexts, { sessionId = null, owner = null } = {}) {
+  if (!env.DOCUMENT_LIBRARY) {
+    return;
+  }
+
+  const library = getDocumentLibrary(env, { sessionId, owner });
+  const response = await library.fetch('http://internal/content', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ documentId, text, chunkTexts, sessionId, owner })
+  });
+  if (!response.ok) {
+    throw new Error(`Storing document content failed: ${response.status}`);
+  }
+}
+
+// Undoes storeLibraryContent
+export async function deleteLibraryContent(env, documentId, scope) {
+  if (!env.DOCUMENT_LIBRARY) {
+    return;
+  }
+
+  const library = getDocumentLibrary(env, scope);
+  const response = await library.fetch(`http://internal/content?documentId=${encodeURIComponent(documentId)}`, {
+    method: 'DELETE'
+  });
+  if (!response.ok) {
+    throw new Error(`Deleting document content failed: ${response.status}`);
+  }
+}
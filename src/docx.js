@@ -0,0 +1,339 @@
+// DOCX text extraction without a library. A .docx is just a zip file with
+// the document body in word/document.xml, so this:
+// - reads the zip's central directory and inflates the parts we need with
+//   DecompressionStream('deflate-raw')
+// - walks the XML paragraph by paragraph, picking up the text runs (w:t),
+//   tabs and line breaks
+// - turns Heading 1-6 / Title paragraphs into Markdown '#' headings (the
+//   heading names come from word/styles.xml, since Word localizes style ids)
+// - writes list items as '- ' lines and table rows as '| a | b |' lines
+// Old binary .doc files are a completely different format and aren't handled
+
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP_CENTRAL_DIR_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+const MAX_ZIP_COMMENT = 65535;
+
+// Returns the document as Markdown-style text
+export async function extractDocxText(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const entries = readZipDirectory(bytes);
+
+  const documentEntry = entries.get('word/document.xml');
+  if (!documentEntry) {
+    throw new Error('Not a Word document (word/document.xml is missing)');
+  }
+
+  const stylesEntry = entries.get('word/styles.xml');
+  const headingStyles = stylesEntry ? parseHeadingStyles(await readZipEntry(bytes, stylesEntry)) : new Map();
+
+  const body = renderDocument(await readZipEntry(bytes, documentEntry), headingStyles);
+
+  // Footnotes and endnotes live in their own parts, tack them on at the end
+  // under their own heading so they don't land in the last section
+  const notes = [];
+  for (const name of ['word/footnotes.xml', 'word/endnotes.xml']) {
+    if (entries.has(name)) {
+      const text = renderDocument(await readZipEntry(bytes, entries.get(name)), headingStyles);
+      if (text) notes.push(text);
+    }
+  }
+
+  return [body, notes.length > 0 ? `# Notes\n\n${notes.join('\n\n')}` : ''].filter(Boolean).join('\n\n');
+}
+
+// ---------------------------------------------------------------------------
+// Zip reading
+
+// Map of file name -> { method, compressedSize, localHeaderOffset }
+function readZipDirectory(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-central-directory record sits at the very end, after an
+  // optional comment, so search backwards for its signature
+  let eocd = -1;
+  const stop = Math.max(0, bytes.length - 22 - MAX_ZIP_COMMENT);
+  for (let i = bytes.length - 22; i >= stop; i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIR) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw new Error('Not a valid DOCX file (zip directory not found)');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  const decoder = new TextDecoder('utf-8');
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== ZIP_CENTRAL_DIR_ENTRY) {
+      throw new Error('Corrupted DOCX file (bad zip directory entry)');
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localHeaderOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, { name, method, compressedSize, localHeaderOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// Returns the entry's contents as a string
+async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const header = entry.localHeaderOffset;
+  if (header + 30 > bytes.length || view.getUint32(header, true) !== ZIP_LOCAL_FILE_HEADER) {
+    throw new Error(`Corrupted DOCX file (bad header for ${entry.name})`);
+  }
+
+  // The local header has its own name/extra lengths, which don't always
+  // match the central directory's
+  const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+  const compressed = bytes.subarray(start, start + entry.compressedSize);
+
+  let contents;
+  if (entry.method === 0) {
+    contents = compressed;
+  } else if (entry.method === 8) {
+    contents = await inflateRaw(compressed);
+  } else {
+    throw new Error(`Unsupported zip compression method ${entry.method} in ${entry.name}`);
+  }
+  return new TextDecoder('utf-8').decode(contents);
+}
+
+async function inflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ---------------------------------------------------------------------------
+// XML
+
+// Yields { type: 'open' | 'close' | 'text', name, attrs, selfClosing, text }
+// Good enough for Office XML - no DTDs, and CDATA never shows up in these parts
+function* xmlTokens(xml) {
+  const pattern = /<(\/?)([A-Za-z_][\w:.-]*)([^>]*?)(\/?)>|<[?!][^>]*>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    if (match[5] !== undefined) {
+      yield { type: 'text', text: match[5] };
+    } else if (match[2]) {
+      yield {
+        type: match[1] ? 'close' : 'open',
+        name: match[2],
+        attrs: match[3],
+        selfClosing: match[4] === '/'
+      };
+    }
+  }
+}
+
+function getAttribute(attrs, name) {
+  const match = new RegExp(`(?:^|\\s)${name}="([^"]*)"`).exec(attrs || '');
+  return match ? unescapeXml(match[1]) : null;
+}
+
+function unescapeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+    switch (code.toLowerCase()) {
+      case 'amp': return '&';
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'quot': return '"';
+      case 'apos': return "'";
+    }
+    const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(value) && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Styles and document body
+
+// styleId -> heading level (1-6). Word writes localized ids ("berschrift1"
+// in a German Word), but the style's w:name and outline level are stable
+function parseHeadingStyles(xml) {
+  const levels = new Map();
+  let styleId = null;
+  let level = null;
+
+  for (const token of xmlTokens(xml)) {
+    if (token.type === 'open' && token.name === 'w:style') {
+      styleId = getAttribute(token.attrs, 'w:styleId');
+      level = null;
+    } else if (token.type === 'open' && token.name === 'w:name' && styleId) {
+      const name = (getAttribute(token.attrs, 'w:val') || '').toLowerCase();
+      const heading = /^heading\s*(\d)$/.exec(name);
+      if (heading) level = Number(heading[1]);
+      else if (name === 'title') level = 1;
+    } else if (token.type === 'open' && token.name === 'w:outlineLvl' && styleId && level === null) {
+      level = Number(getAttribute(token.attrs, 'w:val')) + 1;
+    } else if (token.type === 'close' && token.name === 'w:style') {
+      if (styleId && level >= 1 && level <= 9) {
+        levels.set(styleId, Math.min(level, 6));
+      }
+      styleId = null;
+    }
+  }
+  return levels;
+}
+
+function headingLevelFromStyleId(styleId, headingStyles) {
+  if (!styleId) return null;
+  if (headingStyles.has(styleId)) return headingStyles.get(styleId);
+  const match = /^heading(\d)$/i.exec(styleId);
+  if (match) return Math.min(Number(match[1]), 6);
+  return styleId.toLowerCase() === 'title' ? 1 : null;
+}
+
+// Walks document.xml (or footnotes.xml / endnotes.xml) and returns its text
+function renderDocument(xml, headingStyles) {
+  const blocks = []; // { kind: 'heading' | 'paragraph' | 'list' | 'row', text }
+  const tables = []; // stack of { cells, cell } - tables can nest
+  let paragraph = null;
+  let inText = false;
+  let skipDepth = 0; // inside mc:Fallback, which repeats mc:Choice's content
+
+  const finishParagraph = () => {
+    const text = paragraph.text.replace(/[ \t]+/g, ' ').trim();
+    const table = tables[tables.length - 1];
+
+    if (table) {
+      // Paragraphs inside a cell become part of that cell
+      if (text) table.cell.push(text);
+    } else if (text) {
+      const level = paragraph.outlineLevel ?? headingLevelFromStyleId(paragraph.styleId, headingStyles);
+      if (level) {
+        blocks.push({ kind: 'heading', text: `${'#'.repeat(level)} ${text.replace(/\n+/g, ' ')}` });
+      } else if (paragraph.isListItem) {
+        blocks.push({ kind: 'list', text: `- ${text}` });
+      } else {
+        blocks.push({ kind: 'paragraph', text });
+      }
+    }
+    paragraph = null;
+  };
+
+  for (const token of xmlTokens(xml)) {
+    if (skipDepth > 0) {
+      if (token.name === 'mc:Fallback') {
+        if (token.type === 'open' && !token.selfClosing) skipDepth++;
+        if (token.type === 'close') skipDepth--;
+      }
+      continue;
+    }
+
+    if (token.type === 'text') {
+      if (inText && paragraph) paragraph.text += unescapeXml(token.text);
+      continue;
+    }
+
+    const { name } = token;
+    if (token.type === 'open') {
+      switch (name) {
+        case 'mc:Fallback':
+          if (!token.selfClosing) skipDepth = 1;
+          break;
+        case 'w:p':
+          // A paragraph nested in a text box inside another paragraph just
+          // continues the outer one
+          if (!paragraph) paragraph = { text: '', styleId: null, outlineLevel: null, isListItem: false };
+          if (token.selfClosing) finishParagraph();
+          break;
+        case 'w:pStyle':
+          if (paragraph) paragraph.styleId = getAttribute(token.attrs, 'w:val');
+          break;
+        case 'w:outlineLvl':
+          if (paragraph) {
+            const level = Number(getAttribute(token.attrs, 'w:val'));
+            // Level 9 means "body text"
+            if (level >= 0 && level < 9) paragraph.outlineLevel = Math.min(level + 1, 6);
+          }
+          break;
+        case 'w:numPr':
+          if (paragraph) paragraph.isListItem = true;
+          break;
+        case 'w:t':
+          inText = !token.selfClosing;
+          break;
+        case 'w:tab':
+          if (paragraph) paragraph.text += '\t';
+          break;
+        case 'w:br':
+        case 'w:cr':
+          if (paragraph) paragraph.text += '\n';
+          break;
+        case 'w:noBreakHyphen':
+          if (paragraph) paragraph.text += '-';
+          break;
+        case 'w:tbl':
+          if (!token.selfClosing) tables.push({ cells: [], cell: [] });
+          break;
+        case 'w:tr': {
+          const table = tables[tables.length - 1];
+          if (table) table.cells = [];
+          break;
+        }
+        case 'w:tc': {
+          const table = tables[tables.length - 1];
+          if (table) table.cell = [];
+          break;
+        }
+      }
+    } else {
+      switch (name) {
+        case 'w:t':
+          inText = false;
+          break;
+        case 'w:p':
+          if (paragraph) finishParagraph();
+          break;
+        case 'w:tc': {
+          const table = tables[tables.length - 1];
+          if (table) table.cells.push(table.cell.join(' '));
+          break;
+        }
+        case 'w:tr': {
+          const table = tables[tables.length - 1];
+          if (table && table.cells.some(Boolean)) {
+            const row = `| ${table.cells.map(cell => cell.replace(/\|/g, '\\|').replace(/\s+/g, ' ')).join(' | ')} |`;
+            if (tables.length > 1) {
+              // Nested table - squash the row into the outer table's cell
+              tables[tables.length - 2].cell.push(row);
+            } else {
+              blocks.push({ kind: 'row', text: row });
+            }
+          }
+          break;
+        }
+        case 'w:tbl':
+          tables.pop();
+          break;
+      }
+    }
+  }
+
+  // Lists and table rows stay on consecutive lines, everything else gets a
+  // blank line in between like Markdown paragraphs
+  let text = '';
+  for (let i = 0; i < blocks.length; i++) {
+    if (i > 0) {
+      const sameRun = blocks[i].kind === blocks[i - 1].kind && (blocks[i].kind === 'list' || blocks[i].kind === 'row');
+      text += sameRun ? '\n' : '\n\n';
+    }
+    text += blocks[i].text;
+  }
+  return text;
+}
@@ -0,0 +1,160 @@
+// Embeddings - everything that turns text into vectors goes through here.
+// Ingestion used to make one AI call per chunk, one after the other, so a big
+// document meant thousands of sequential calls and the job ran out of time.
+// Now texts are sent in batches (the BGE models take an array of texts), a
+// few batches run at once, and a batch that fails gets retried with
+// exponential backoff before we give up on the whole document.
+//
+// The model has also handed back vectors in a handful of shapes over time,
+// and three different places had their own copy of the code sniffing them
+// out. extractVectors is the one place that does that now
+
+export const EMBEDDING_MODEL = '@cf/baai/bge-small-en-v1.5';
+export const EMBEDDING_DIMENSIONS = 384;
+
+const BATCH_SIZE = 50; // Workers AI takes up to 100 texts per call, keep some headroom
+const MAX_CONCURRENT_BATCHES = 4;
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 500;
+
+// Embeds texts in order, returning one vector (number[]) per text
+export async function embedTexts(texts, env, {
+  batchSize = BATCH_SIZE,
+  concurrency = MAX_CONCURRENT_BATCHES,
+  maxAttempts = MAX_ATTEMPTS
+} = {}) {
+  if (!env.AI) {
+    throw new Error('AI binding not available');
+  }
+  if (texts.length === 0) {
+    return [];
+  }
+
+  const emptyIndex = texts.findIndex(text => typeof text !== 'string' || text.trim().length === 0);
+  if (emptyIndex >= 0) {
+    throw new Error(`Cannot embed empty text (index ${emptyIndex})`);
+  }
+
+  const batches = [];
+  for (let start = 0; start < texts.length; start += batchSize) {
+    batches.push(texts.slice(start, start + batchSize));
+  }
+
+  // Small worker pool - each worker keeps taking the next batch until they're
+  // all done. Once one batch has failed for good the rest stop picking up work
+  const results = new Array(batches.length);
+  let nextBatch = 0;
+  let failed = false;
+  const worker = async () => {
+    while (!failed && nextBatch < batches.length) {
+      const index = nextBatch++;
+      try {
+        results[index] = await embedBatch(batches[index], env, maxAttempts, index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, worker));
+
+  if (batches.length > 1) {
+    console.log(`🔢 Embedded ${texts.length} texts in ${batches.length} batches`);
+  }
+  return results.flat();
+}
+
+// Single text -> single vector, for search queries
+export async function embedQuery(text, env) {
+  const [vector] = await embedTexts([text], env, { maxAttempts: 2 });
+  return vector;
+}
+
+async function embedBatch(texts, env, maxAttempts, batchIndex) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let result;
+    try {
+      result = await env.AI.run(EMBEDDING_MODEL, { text: texts });
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️ Embedding batch ${batchIndex} failed (attempt ${attempt}/${maxAttempts}): ${error.message}`);
+      if (attempt < maxAttempts) {
+        // Exponential backoff with a bit of jitter so parallel batches don't
+        // all come back at the same moment
+        await sleep(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1) * (1 + Math.random() * 0.5));
+      }
+      continue;
+    }
+    // A response we can't read won't get better by asking again, so this
+    // isn't retried
+    return extractVectors(result, texts.length);
+  }
+  throw new Error(`Failed to create embeddings after ${maxAttempts} attempts: ${lastError.message}`);
+}
+
+// Normalizes whatever the embedding model returned into `expectedCount`
+// vectors of EMBEDDING_DIMENSIONS numbers. Seen in the wild:
+//   { shape: [n, 384], data: [[...], ...] }      (current)
+//   { shape: [n, 384], data: Float32Array(n*384) } (one flat array)
+//   { data: [...] }, [[...], ...], [...], { embedding: [...] }, { values: [...] }
+export function extractVectors(result, expectedCount = 1) {
+  const data = Array.isArray(result) || ArrayBuffer.isView(result)
+    ? result
+    : (result?.data ?? result?.embedding ?? result?.values);
+  if (!data || data.length === 0) {
+    console.error('❌ Could not extract vectors from embedding response:', describeResponse(result));
+    throw new Error('Embedding model returned no data');
+  }
+
+  let rows;
+  if (Array.isArray(data[0]) || ArrayBuffer.isView(data[0])) {
+    rows = Array.from(data, row => Array.from(row));
+  } else {
+    // One flat array - split it using the shape, or evenly if there's none
+    const flat = Array.from(data);
+    const dims = Array.isArray(result?.shape) && result.shape.length === 2
+      ? result.shape[1]
+      : flat.length / expectedCount;
+    if (!Number.isInteger(dims) || dims < 1) {
+      console.error('❌ Unexpected embedding response:', describeResponse(result));
+      throw new Error(`Can't split ${flat.length} embedding values into ${expectedCount} vectors`);
+    }
+    rows = [];
+    for (let start = 0; start < flat.length; start += dims) {
+      rows.push(flat.slice(start, start + dims));
+    }
+  }
+
+  if (rows.length !== expectedCount) {
+    console.error('❌ Unexpected embedding response:', describeResponse(result));
+    throw new Error(`Expected ${expectedCount} embeddings, got ${rows.length}`);
+  }
+
+  return rows.map((row, index) => {
+    if (row.length !== EMBEDDING_DIMENSIONS) {
+      throw new Error(`Embedding ${index} has ${row.length} dimensions, expected ${EMBEDDING_DIMENSIONS}`);
+    }
+    return row.map((value, position) => {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`Invalid embedding value at index ${index}, position ${position}: ${value}`);
+      }
+      return number;
+    });
+  });
+}
+
+function describeResponse(result) {
+  return {
+    type: typeof result,
+    isArray: Array.isArray(result),
+    keys: result && typeof result === 'object' && !Array.isArray(result) ? Object.keys(result) : null,
+    shape: result?.shape,
+    preview: JSON.stringify(result)?.substring(0, 200)
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,423 @@
+// Evaluation harness. Every change to chunk sizes, search candidates, the
+// reranker or the system prompt used to be judged by asking a few questions
+// and squinting at the answers. runEval ingests a fixture corpus through
+// processDocument (into an eval-only session, deleted again afterwards), runs
+// a question set through the same retrieval and ChatWorkflow as /api/chat and
+// scores it:
+//
+// - retrieval: recall@k and MRR of the reranked search results against the
+//   passages each question is labeled with, plus context recall - how many
+//   of those passages made it into the context the model actually got
+// - faithfulness: how much of the answer is backed by that context and the
+//   tool results (word overlap per sentence, or a model as judge)
+// - tool selection: whether the agent called exactly the tools a question
+//   expects, out of AVAILABLE_FUNCTIONS
+//
+// A dataset looks like this (eval/datasets/ has the bundled one):
+//
+//   { name, documents: [{ name, content | data (base64), type }],
+//     questions: [{ id, question, history, relevant: ['passage' | { document, text }], tools: ['calculate'] }] }
+//
+// A relevant passage matches a chunk that contains it (case and whitespace
+// don't matter), so labels keep working when the chunk sizes change. Leave
+// relevant out for questions that aren't about the corpus, and tools out for
+// questions where any tool choice is fine - tools: [] means "no tools".
+// The report is plain JSON with the settings it ran with, and
+// formatEvalReport turns one (and optionally a baseline to compare with)
+// into Markdown
+
+import { processDocument, waitForIndexedVectors, deleteDocumentVectors } from './rag.js';
+import { detectDocumentType } from './extractors.js';
+import { buildRagContext } from './retrieval.js';
+import { ChatWorkflow, PRIMARY_MODEL } from './workflow.js';
+import { AVAILABLE_FUNCTIONS } from './functions.js';
+import { hasVectorizeBinding } from './local-vector-store.js';
+import { storeLibraryContent, deleteLibraryContent } from './document-library.js';
+import { SUMMARY_KINDS } from './summaries.js';
+
+export const EVAL_REPORT_VERSION = 1;
+
+const DEFAULT_K = 5;
+// A sentence counts as supported when this much of its content words are in
+// the sources
+const SUPPORTED_SENTENCE_OVERLAP = 0.6;
+// Sentences shorter than this ("Sure!", "Here you go:") aren't claims
+const MIN_CLAIM_WORDS = 3;
+// The [vars] that change what retrieval or the agent do - recorded in every
+// report so two runs can be told apart
+const REPORTED_SETTINGS = ['AI_PROVIDER', 'INTENT_CLASSIFIER', 'QUERY_REWRITE', 'QUERY_VARIANTS', 'RERANKER', 'RAG_CONTEXT_TOKENS', 'RAG_NEIGHBOR_CHUNKS', 'DOCUMENT_SUMMARIES'];
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'been', 'being', 'has', 'have', 'had', 'this', 'that', 'these', 'those',
+  'with', 'from', 'into', 'onto', 'about', 'than', 'then', 'there', 'their', 'they', 'them', 'its', 'your', 'you',
+  'our', 'can', 'could', 'would', 'should', 'will', 'may', 'might', 'must', 'also', 'just', 'only', 'very', 'more',
+  'most', 'some', 'such', 'any', 'each', 'all', 'not', 'but', 'which', 'what', 'when', 'where', 'who', 'how', 'why',
+  'does', 'did', 'doing', 'here', 'according', 'based', 'says', 'said', 'document', 'documents', 'source', 'sources'
+]);
+
+// How faithfulness is scored - { name, score(answer, grounding) } resolving
+// to a number between 0 and 1 (or null when there's nothing to score)
+export const FAITHFULNESS_JUDGES = {
+  lexical: () => ({
+    name: 'lexical',
+    score: async (answer, grounding) => scoreLexicalFaithfulness(answer, grounding).score
+  }),
+  // Asks the chat model. Falls back to word overlap when the reply isn't a number
+  model: (env) => ({
+    name: 'model',
+    score: async (answer, grounding) => {
+      const response = await env.AI.run(PRIMARY_MODEL, {
+        messages: [
+          { role: 'system', content: 'You check answers against their sources. Reply with only a number between 0 and 1: the fraction of the claims in the answer that the sources support.' },
+          { role: 'user', content: `SOURCES:\n${grounding}\n\nANSWER:\n${answer}` }
+        ],
+        temperature: 0,
+        max_tokens: 10
+      });
+      const value = parseFloat(String(response?.response ?? '').match(/\d*\.?\d+/)?.[0]);
+      return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : scoreLexicalFaithfulness(answer, grounding).score;
+    }
+  })
+};
+
+// Runs the dataset against env and resolves to the report. options: k (for
+// recall@k, default 5), label (what this run is, e.g. "chunks-400"), judge
+// ('lexical' or 'model')
+export async function runEval(dataset, env, { k = DEFAULT_K, label = null, judge = 'lexical' } = {}) {
+  validateDataset(dataset);
+  if (!FAITHFULNESS_JUDGES[judge]) {
+    throw new Error(`Unknown faithfulness judge: ${judge} (use ${Object.keys(FAITHFULNESS_JUDGES).join(' or ')})`);
+  }
+  const faithfulnessJudge = FAITHFULNESS_JUDGES[judge](env);
+
+  const startedAt = new Date();
+  // Its own session, so the corpus never shows up in anybody's chat and a
+  // half-finished run can't leak into the next one
+  const scope = { sessionId: `eval-${startedAt.getTime()}-${Math.random().toString(36).substring(2, 8)}` };
+  const corpus = [];
+
+  console.log(`🧪 Eval "${dataset.name}": ${dataset.documents.length} documents, ${dataset.questions.length} questions`);
+  try {
+    for (const document of dataset.documents) {
+      corpus.push(await ingestDocument(document, scope, env));
+    }
+
+    const results = [];
+    for (const question of dataset.questions) {
+      results.push(await evaluateQuestion(question, scope, env, { k, faithfulnessJudge }));
+    }
+
+    return {
+      version: EVAL_REPORT_VERSION,
+      label,
+      dataset: dataset.name,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      settings: {
+        k,
+        judge,
+        model: PRIMARY_MODEL,
+        vectorIndex: hasVectorizeBinding(env) ? 'vectorize' : 'local',
+        ...Object.fromEntries(REPORTED_SETTINGS.map(name => [name, env[name] ?? null]))
+      },
+      corpus: corpus.map(({ name, documentId, chunks }) => ({ name, documentId, chunks })),
+      metrics: summarizeResults(results, k),
+      questions: results
+    };
+  } finally {
+    for (const document of corpus) {
+      try {
+        await deleteDocumentVectors(document.documentId, document.chunks, env, scope);
+        await deleteLibraryContent(env, document.documentId, scope);
+      } catch (error) {
+        console.warn(`⚠️ Could not clean up eval document ${document.documentId}:`, error.message);
+      }
+    }
+  }
+}
+
+// Throws on anything that would make the scores meaningless - a typo in a
+// tool name would otherwise just count as a miss
+export function validateDataset(dataset) {
+  if (!dataset || !Array.isArray(dataset.documents) || !Array.isArray(dataset.questions)) {
+    throw new Error('A dataset needs documents and questions arrays');
+  }
+  if (dataset.questions.length === 0) {
+    throw new Error('The dataset has no questions');
+  }
+
+  const documentNames = new Set();
+  for (const document of dataset.documents) {
+    if (!document?.name || (typeof document.content !== 'string' && typeof document.data !== 'string')) {
+      throw new Error(`Every document needs a name and content (or base64 data): ${JSON.stringify(document?.name ?? document)}`);
+    }
+    if (!(document.type || detectDocumentType(document.name))) {
+      throw new Error(`Can't tell the type of ${document.name} - add a type`);
+    }
+    documentNames.add(document.name);
+  }
+
+  const toolNames = new Set(AVAILABLE_FUNCTIONS.map(tool => tool.function.name));
+  const ids = new Set();
+  dataset.questions.forEach((question, index) => {
+    const id = question?.id ?? `#${index + 1}`;
+    if (!question?.question) {
+      throw new Error(`Question ${id} has no question`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`Duplicate question id: ${id}`);
+    }
+    ids.add(id);
+    for (const passage of normalizeRelevant(question.relevant)) {
+      if (passage.document && !documentNames.has(passage.document)) {
+        throw new Error(`Question ${id} points at ${passage.document}, which isn't in the corpus`);
+      }
+    }
+    for (const tool of question.tools || []) {
+      if (!toolNames.has(tool)) {
+        throw new Error(`Question ${id} expects unknown tool ${tool} (available: ${[...toolNames].join(', ')})`);
+      }
+    }
+  });
+}
+
+async function ingestDocument(document, scope, env) {
+  const type = document.type || detectDocumentType(document.name);
+  const data = typeof document.data === 'string'
+    ? Uint8Array.from(atob(document.data), char => char.charCodeAt(0))
+    : new TextEncoder().encode(document.content);
+
+  const startTime = Date.now();
+  const result = await processDocument(document.name, type, data, env, {
+    sessionId: scope.sessionId,
+    sourceName: document.name,
+    storeContent: (documentId, text, chunkTexts) => storeLibraryContent(env, documentId, text, chunkTexts, scope)
+  });
+  await waitForIndexedVectors(result.documentId, result.chunks, env, { scope });
+  console.log(`🧪 Ingested ${document.name}: ${result.chunks} chunks in ${Date.now() - startTime}ms`);
+
+  return { name: document.name, documentId: result.documentId, chunks: result.chunks };
+}
+
+async function evaluateQuestion(question, scope, env, { k, faithfulnessJudge }) {
+  const history = question.history || [];
+  const relevant = normalizeRelevant(question.relevant);
+  const startTime = Date.now();
+  const row = {
+    id: question.id ?? null,
+    question: question.question,
+    intent: null,
+    retrieval: null,
+    faithfulness: null,
+    tools: null,
+    answer: null,
+    durationMs: 0,
+    error: null
+  };
+
+  try {
+    // The whole pipeline, like handleChatRequest minus the session. Retrieval
+    // is scored on the ranking it handed the context builder - a question
+    // the router doesn't search for finds nothing, same as in the chat
+    const { context, intent, sources, ranked } = await buildRagContext(question.question, env, { scope, conversationHistory: history });
+    row.intent = intent.intent;
+    if (relevant.length > 0) {
+      row.retrieval = scoreRanking(ranked, relevant, k);
+      row.retrieval.contextRecall = relevant.filter(passage => normalizeText(context).includes(normalizeText(passage.text))).length / relevant.length;
+    }
+
+    const workflow = new ChatWorkflow();
+    const result = await workflow.execute({
+      message: question.question,
+      sessionId: scope.sessionId,
+      conversationHistory: history,
+      ragContext: context,
+      sources,
+      retrievalIntent: intent.intent
+    }, env);
+    row.answer = result.response;
+
+    // Recorded for every question - a document question that went off
+    // calling tools is worth seeing even when tool choice isn't scored
+    const used = [...new Set(result.agent?.toolsUsed || [])].sort();
+    const expected = Array.isArray(question.tools) ? [...new Set(question.tools)].sort() : null;
+    row.tools = { used, expected, correct: expected ? expected.join(',') === used.join(',') : null };
+
+    // Only answers that had something to be faithful to - general knowledge
+    // isn't scored
+    const toolOutputs = (result.agent?.functionCallsExecuted || []).map(call => JSON.stringify(call.result));
+    const grounding = [context, ...toolOutputs].filter(Boolean).join('\n\n');
+    if (grounding) {
+      row.faithfulness = await faithfulnessJudge.score(result.response, grounding);
+    }
+  } catch (error) {
+    console.error(`❌ Eval question ${row.id ?? question.question} failed:`, error);
+    row.error = error.message || String(error);
+  }
+
+  row.durationMs = Date.now() - startTime;
+  return row;
+}
+
+// Where the labeled passages ended up in the ranking. Only the document's own
+// chunks count - a summary that happens to repeat a sentence isn't the label
+function scoreRanking(ranked, relevant, k) {
+  const chunks = ranked.filter(chunk => !Object.values(SUMMARY_KINDS).includes(chunk.metadata?.kind));
+  const matches = (chunk, passage) =>
+    (!passage.document || chunk.metadata?.source === passage.document) &&
+    normalizeText(chunk.text).includes(normalizeText(passage.text));
+
+  const firstHit = chunks.findIndex(chunk => relevant.some(passage => matches(chunk, passage)));
+  const topK = chunks.slice(0, k);
+  const found = relevant.filter(passage => topK.some(chunk => matches(chunk, passage)));
+
+  return {
+    recallAtK: found.length / relevant.length,
+    reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+    firstRelevantRank: firstHit === -1 ? null : firstHit + 1,
+    missed: relevant.filter(passage => !found.includes(passage)).map(passage => passage.text),
+    contextRecall: null
+  };
+}
+
+// Word overlap per sentence: a sentence is supported when most of its
+// content words (numbers always count) appear in the sources. Crude - it
+// can't tell a paraphrase from a contradiction - but it's free, deterministic
+// and moves when the model starts making things up. Resolves to
+// { score, sentences, unsupported }, score null when there's no claim in it
+export function scoreLexicalFaithfulness(answer, grounding) {
+  const sourceWords = new Set(contentWords(grounding));
+  const sentences = String(answer || '')
+    .replace(/\[\d+\]/g, '')
+    .replace(/[*_`#>]/g, '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => contentWords(sentence).length >= MIN_CLAIM_WORDS);
+
+  if (sentences.length === 0) {
+    return { score: null, sentences: 0, unsupported: [] };
+  }
+
+  const unsupported = sentences.filter(sentence => {
+    const words = contentWords(sentence);
+    return words.filter(word => sourceWords.has(word)).length / words.length < SUPPORTED_SENTENCE_OVERLAP;
+  });
+  return {
+    score: (sentences.length - unsupported.length) / sentences.length,
+    sentences: sentences.length,
+    unsupported
+  };
+}
+
+function summarizeResults(results, k) {
+  const withRetrieval = results.filter(row => row.retrieval);
+  const withFaithfulness = results.filter(row => typeof row.faithfulness === 'number');
+  const withTools = results.filter(row => row.tools?.expected);
+
+  return {
+    retrieval: {
+      k,
+      questions: withRetrieval.length,
+      recallAtK: average(withRetrieval.map(row => row.retrieval.recallAtK)),
+      mrr: average(withRetrieval.map(row => row.retrieval.reciprocalRank)),
+      contextRecall: average(withRetrieval.filter(row => row.retrieval.contextRecall !== null).map(row => row.retrieval.contextRecall))
+    },
+    faithfulness: {
+      questions: withFaithfulness.length,
+      score: average(withFaithfulness.map(row => row.faithfulness))
+    },
+    toolSelection: {
+      questions: withTools.length,
+      accuracy: average(withTools.map(row => (row.tools.correct ? 1 : 0)))
+    },
+    errors: results.filter(row => row.error).length
+  };
+}
+
+// Markdown for a report - the headline numbers (with the change from
+// baseline, when there is one), the settings and a row per question
+export function formatEvalReport(report, baseline = null) {
+  const metric = (path) => path.reduce((value, key) => value?.[key], report.metrics);
+  const baselineMetric = (path) => path.reduce((value, key) => value?.[key], baseline?.metrics);
+  const format = (value) => (typeof value === 'number' ? value.toFixed(3) : '-');
+  const delta = (path) => {
+    const current = metric(path);
+    const previous = baselineMetric(path);
+    if (typeof current !== 'number' || typeof previous !== 'number') return '';
+    const change = current - previous;
+    return Math.abs(change) < 0.0005 ? ' (±0)' : ` (${change > 0 ? '+' : ''}${change.toFixed(3)})`;
+  };
+  const k = report.metrics.retrieval.k;
+
+  const rows = [
+    [`Recall@${k}`, ['retrieval', 'recallAtK'], report.metrics.retrieval.questions],
+    ['MRR', ['retrieval', 'mrr'], report.metrics.retrieval.questions],
+    ['Context recall', ['retrieval', 'contextRecall'], report.metrics.retrieval.questions],
+    ['Faithfulness', ['faithfulness', 'score'], report.metrics.faithfulness.questions],
+    ['Tool selection accuracy', ['toolSelection', 'accuracy'], report.metrics.toolSelection.questions]
+  ];
+
+  const lines = [
+    `# Eval: ${report.dataset}${report.label ? ` - ${report.label}` : ''}`,
+    '',
+    `Run ${report.startedAt}, ${(report.durationMs / 1000).toFixed(1)}s, ${report.questions.length} questions, ${report.metrics.errors} errors.` +
+      (baseline ? ` Compared with ${baseline.label || baseline.startedAt}.` : ''),
+    '',
+    '| Metric | Score | Questions |',
+    '| --- | --- | --- |',
+    ...rows.map(([name, path, questions]) => `| ${name} | ${format(metric(path))}${delta(path)} | ${questions} |`),
+    '',
+    '## Settings',
+    '',
+    ...Object.entries(report.settings)
+      .filter(([, value]) => value !== null)
+      .map(([name, value]) => {
+        const previous = baseline?.settings?.[name];
+        return `- \`${name}\`: ${value}${baseline && previous !== value ? ` (was ${previous ?? 'unset'})` : ''}`;
+      }),
+    '',
+    '## Questions',
+    '',
+    `| Question | Intent | Recall@${k} | RR | Faithfulness | Tools |`,
+    '| --- | --- | --- | --- | --- | --- |',
+    ...report.questions.map(row => {
+      let tools = row.tools ? row.tools.used.join(', ') || 'none' : '-';
+      if (row.tools?.expected) {
+        tools = row.tools.correct ? `✅ ${tools}` : `❌ ${tools} (expected ${row.tools.expected.join(', ') || 'none'})`;
+      }
+      const name = `${row.id ? `**${row.id}** ` : ''}${escapeCell(row.question)}${row.error ? ` ⚠️ ${escapeCell(row.error)}` : ''}`;
+      return `| ${name} | ${row.intent || '-'} | ${format(row.retrieval?.recallAtK)} | ${format(row.retrieval?.reciprocalRank)} | ${format(row.faithfulness)} | ${tools} |`;
+    })
+  ];
+
+  const misses = report.questions.filter(row => row.retrieval?.missed.length > 0);
+  if (misses.length > 0) {
+    lines.push('', `## Passages missing from the top ${k}`, '');
+    for (const row of misses) {
+      lines.push(`- **${row.id || escapeCell(row.question)}**: ${row.retrieval.missed.map(text => `"${text}"`).join(', ')}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function normalizeRelevant(relevant = []) {
+  return (relevant || []).map(passage => (typeof passage === 'string' ? { text: passage } : passage));
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function contentWords(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+(?:[.,][0-9]+)*/g) || [])
+    .filter(word => /\d/.test(word) || (word.length > 2 && !STOPWORDS.has(word)));
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
@@ -0,0 +1,695 @@
+// Document type registry - one entry per kind of upload we know how to turn
+// into text. processDocument looks the type up here instead of walking an
+// if (type === ...) chain, and the upload route uses the same table to work
+// out what a file is and how big it's allowed to be. Supporting a new format
+// is one more entry (or a registerDocumentType call):
+//
+//   { label, extensions, mimeTypes, binary, maxSize, chunking, extract({ source, data, text }, env) }
+//
+// data is the uploaded bytes and text is those bytes decoded as UTF-8 (only
+// for formats that aren't binary). extract resolves to { text, pages? } -
+// pages ([{ pageNumber, text }]) is only there for PDFs. chunking overrides
+// the chunker's defaults for the type (see DEFAULT_CHUNKING in chunker.js).
+//
+// Markdown, HTML and DOCX all come out as Markdown-style text with their '#'
+// headings kept, so the chunker can still tell where sections start
+
+import { extractPdfPages } from './pdf.js';
+import { extractDocxText } from './docx.js';
+
+const MB = 1024 * 1024;
+
+export const DOCUMENT_TYPES = {
+  pdf: {
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    binary: true,
+    maxSize: 10 * MB,
+    // No heading markup in extracted PDF text, a '#' line is just a '#' line
+    chunking: { maxTokens: 200, overlapTokens: 30, headings: false },
+    extract: async ({ data }) => {
+      const pages = await extractTextFromPDF(data);
+      return { text: pages.map(page => page.text).join('\n\n'), pages };
+    }
+  },
+  docx: {
+    label: 'Word',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    binary: true,
+    maxSize: 10 * MB,
+    chunking: { maxTokens: 256, overlapTokens: 30 },
+    extract: async ({ data }) => {
+      try {
+        return { text: await extractDocxText(data) };
+      } catch (error) {
+        throw new Error(`DOCX extraction failed: ${error.message}`);
+      }
+    }
+  },
+  markdown: {
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    maxSize: 10 * MB,
+    chunking: { maxTokens: 256, overlapTokens: 30 },
+    extract: async ({ text }) => ({ text: markdownToText(text) })
+  },
+  html: {
+    label: 'HTML',
+    extensions: ['.html', '.htm', '.xhtml'],
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    maxSize: 10 * MB,
+    chunking: { maxTokens: 256, overlapTokens: 30 },
+    extract: async ({ text }) => ({ text: htmlToText(text) })
+  },
+  csv: {
+    label: 'CSV',
+    extensions: ['.csv', '.tsv'],
+    mimeTypes: ['text/csv', 'text/tab-separated-values', 'application/csv'],
+    maxSize: 10 * MB,
+    // Every row line stands on its own, so no overlap and never split one
+    chunking: { maxTokens: 256, overlapTokens: 0, headings: false, lineBased: true },
+    extract: async ({ text }) => ({ text: csvToText(text) })
+  },
+  json: {
+    label: 'JSON',
+    extensions: ['.json', '.jsonl', '.ndjson'],
+    mimeTypes: ['application/json', 'application/x-ndjson'],
+    maxSize: 10 * MB,
+    chunking: { maxTokens: 256, overlapTokens: 0, headings: false, lineBased: true },
+    extract: async ({ text }) => ({ text: jsonToText(text) })
+  },
+  text: {
+    label: 'Text',
+    extensions: ['.txt', '.text', '.log'],
+    // text/* is the catch-all for anything textual we don't have a better entry for
+    mimeTypes: ['text/plain', 'text/*'],
+    maxSize: 10 * MB,
+    chunking: { headings: false },
+    extract: async ({ text }) => ({ text })
+  },
+  image: {
+    label: 'Image',
+    extensions: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'],
+    mimeTypes: ['image/*'],
+    binary: true,
+    maxSize: 5 * MB,
+    // Descriptions are short - keep each one in a single chunk so the
+    // [IMAGE DESCRIPTION] marker stays with all of it
+    chunking: { maxTokens: 450, overlapTokens: 0, headings: false },
+    extract: async ({ data }, env) => {
+      let description;
+      try {
+        description = await extractTextFromImage(data, env);
+        console.log(`✅ Image description extracted: ${description.length} characters`);
+        
+        // Validate that we got a meaningful description (not just an error message)
+        if (!description || description.trim().length < 20) {
+          throw new Error('Image description is too short or empty. The vision model may not have processed the image correctly.');
+        }
+      } catch (imageError) {
+        console.error('❌ Image extraction failed:', imageError);
+        throw new Error(`Failed to extract description from image: ${imageError.message}. The image may be corrupted, too large, or vision models may not be available.`);
+      }
+      // Add a prefix to indicate this is image content (helps with filtering later)
+      return { text: `[IMAGE DESCRIPTION] ${description}` };
+    }
+  },
+  url: {
+    label: 'Web page',
+    extensions: [],
+    mimeTypes: [],
+    extract: async ({ source }, env) => extractTextFromURL(source, env)
+  }
+};
+
+export function registerDocumentType(type, definition) {
+  if (typeof definition?.extract !== 'function') {
+    throw new Error(`Document type "${type}" needs an extract function`);
+  }
+  DOCUMENT_TYPES[type] = { extensions: [], mimeTypes: [], maxSize: 10 * MB, ...definition };
+}
+
+export function getDocumentType(type) {
+  return Object.hasOwn(DOCUMENT_TYPES, type) ? DOCUMENT_TYPES[type] : null;
+}
+
+// Works out the type of an upload - the file extension wins, then the exact
+// MIME type, then wildcards like image/*. Returns null if nothing matches
+export function detectDocumentType(fileName = '', mimeType = '') {
+  const lowerName = String(fileName).toLowerCase();
+  const baseMime = String(mimeType).split(';')[0].trim().toLowerCase();
+  const entries = Object.entries(DOCUMENT_TYPES);
+
+  const byExtension = entries.find(([, definition]) => definition.extensions.some(ext => lowerName.endsWith(ext)));
+  if (byExtension) return byExtension[0];
+  if (!baseMime) return null;
+
+  const byMime = entries.find(([, definition]) => definition.mimeTypes.includes(baseMime));
+  if (byMime) return byMime[0];
+
+  const byWildcard = entries.find(([, definition]) => definition.mimeTypes.some(mime =>
+    mime.endsWith('/*') && baseMime.startsWith(mime.slice(0, -1))
+  ));
+  return byWildcard ? byWildcard[0] : null;
+}
+
+// "PDF (.pdf), Word (.docx), ..." for error messages
+export function describeSupportedTypes() {
+  return Object.values(DOCUMENT_TYPES)
+    .filter(definition => definition.extensions.length > 0)
+    .map(definition => `${definition.label} (${definition.extensions.join(', ')})`)
+    .join(', ');
+}
+
+export function decodeText(data) {
+  return new TextDecoder('utf-8').decode(data);
+}
+
+// Runs the type's extractor and resolves to { type, text, pages? }. For text
+// formats without data, source is the content itself (that's how
+// processDocument has always taken plain text)
+export async function extractDocument(type, { source, data = null }, env) {
+  const definition = getDocumentType(type);
+  if (!definition) {
+    throw new Error(`Unsupported document type: ${type}`);
+  }
+  if (definition.binary && (!data || data.byteLength === 0)) {
+    throw new Error(`${definition.label} file is empty or invalid`);
+  }
+
+  const text = definition.binary ? null : (data ? decodeText(data) : source);
+  // type is the extractor that actually ran - for URLs that's whatever the
+  // page turned out to be, which is what chunking should be configured by
+  const result = await definition.extract({ source, data, text }, env);
+  return { type, ...(typeof result === 'string' ? { text: result } : result) };
+}
+
+// Extracts text from PDFs, one entry per page: [{ pageNumber, text }]
+// The real parsing lives in pdf.js (streams, fonts, ToUnicode CMaps and so
+// on) - this just makes sure we actually got something out of it. Scanned
+// PDFs have no text layer at all, so they end up here with nothing
+export async function extractTextFromPDF(pdfData) {
+  try {
+    const pages = await extractPdfPages(pdfData);
+    const textLength = pages.reduce((total, page) => total + page.text.length, 0);
+    if (textLength < 50) {
+      throw new Error('Could not extract sufficient text from PDF. The PDF might be image-based (scanned), encrypted, or use unsupported fonts.');
+    }
+    console.log(`📄 Extracted ${textLength} characters from ${pages.length} PDF pages`);
+    return pages.filter(page => page.text.length > 0);
+  } catch (error) {
+    throw new Error(`PDF extraction failed: ${error.message}`);
+  }
+}
+
+// Fetches a URL and runs whatever extractor matches what came back - the
+// Content-Type first, then the URL's file extension. So a link to a PDF,
+// a CSV export or a plain web page all work
+export async function extractTextFromURL(url, env) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch URL: ${response.statusText}`);
+    }
+    
+    const contentType = response.headers.get('content-type') || '';
+    const pathname = new URL(url).pathname;
+    const type = detectDocumentType('', contentType) || detectDocumentType(pathname, '');
+    if (!type || type === 'url') {
+      throw new Error(`Unsupported content type: ${contentType}`);
+    }
+    
+    const definition = DOCUMENT_TYPES[type];
+    const data = new Uint8Array(await response.arrayBuffer());
+    if (data.byteLength > definition.maxSize) {
+      throw new Error(`${definition.label} at this URL is larger than ${definition.maxSize / MB}MB`);
+    }
+    console.log(`🌐 Fetched ${data.byteLength} bytes of ${definition.label} from ${url}`);
+    return await extractDocument(type, { source: url, data }, env);
+  } catch (error) {
+    throw new Error(`Error fetching URL: ${error.message}`);
+  }
+}
+
+// Markdown is already pretty much what we want - keep the headings, lists,
+// tables and code, drop the bits that are just syntax (link targets, image
+// URLs, emphasis markers, table separator rows, front matter)
+export function markdownToText(markdown) {
+  const lines = markdown
+    .replace(/\r\n?/g, '\n')
+    .replace(/^---\n[\s\S]*?\n---\n/, '') // YAML front matter
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .split('\n');
+
+  const output = [];
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Code blocks pass through untouched
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (fenceMatch && (!fence || fenceMatch[1].startsWith(fence))) {
+      fence = fence ? null : fenceMatch[1];
+      output.push(line);
+      continue;
+    }
+    if (fence) {
+      output.push(line);
+      continue;
+    }
+
+    // Setext headings ("Title" underlined with === or ---) become '#' ones
+    const next = lines[i + 1] || '';
+    if (line.trim() && !/^\s*([#>|]|[-*+]\s|\d+\.\s)/.test(line) && /^\s*(=+|-+)\s*$/.test(next)) {
+      output.push(`${next.trim()[0] === '=' ? '#' : '##'} ${markdownInline(line.trim())}`);
+      i++;
+      continue;
+    }
+
+    const heading = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+    if (heading) {
+      output.push(`${heading[1]} ${markdownInline(heading[2])}`);
+    } else if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line) && line.includes('-')) {
+      // Table separator row or horizontal rule - nothing to read there
+      if (!line.includes('|')) output.push('');
+    } else if (/^\s*([*_])(\s*\1){2,}\s*$/.test(line)) {
+      output.push('');
+    } else if (/^\s{0,3}\[[^\]]+\]:\s*\S+/.test(line)) {
+      // Reference link definitions
+      continue;
+    } else {
+      output.push(markdownInline(line));
+    }
+  }
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function markdownInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links -> link text
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1') // reference links
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*(?!\w)/g, '$1$2')
+    .replace(/<\/?[A-Za-z][^>]*>/g, '');
+}
+
+// HTML -> Markdown-style text: headings become '#' lines, list items '- '
+// lines and table rows '| a | b |' lines. Scripts, styles and navigation
+// are dropped, and the <title> is used as the heading if the page has no <h1>
+export function htmlToText(html) {
+  const title = /<title[^>]*>([\s\S]*?)<\/title\s*>/i.exec(html);
+
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<head\b[\s\S]*?<\/head\s*>/gi, '')
+    .replace(/<(script|style|noscript|template|svg|nav|iframe)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  // <pre> keeps its whitespace - park it until the rest is normalized
+  const preformatted = [];
+  text = text.replace(/<pre\b[^>]*>([\s\S]*?)<\/pre\s*>/gi, (_, content) => {
+    preformatted.push(decodeEntities(content.replace(/<[^>]+>/g, '')).replace(/^\n+|\s+$/g, ''));
+    return `\n\n\u0000${preformatted.length - 1}\u0000\n\n`;
+  });
+
+  text = text
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (_, level, content) =>
+      `\n\n${'#'.repeat(Number(level))} ${content.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<tr\b[^>]*>/gi, '\n| ')
+    .replace(/<\/t[dh]\s*>/gi, ' | ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|main|header|footer|aside|blockquote|ul|ol|dl|dt|dd|table|thead|tbody|tfoot|figure|figcaption|form|fieldset|address|details|summary|hr)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  text = decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\f\v\u00a0]+/g, ' ').trim())
+    .filter(line => line !== '|')
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => preformatted[Number(index)])
+    .trim();
+
+  const pageTitle = title ? decodeEntities(title[1].replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim() : '';
+  if (pageTitle && !/^# /m.test(text)) {
+    text = `# ${pageTitle}\n\n${text}`;
+  }
+  return text;
+}
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  bull: '•', middot: '·', deg: '°', times: '×', divide: '÷', euro: '€',
+  pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶', larr: '←', rarr: '→'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) && value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code] ?? HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// CSV -> one line per row, with each value labelled by its column header:
+//   Row 3: name: Alice; team: Platform; started: 2021-04-01
+// so a chunk that lands in the middle of the file still says what every
+// value means. Delimiter (comma, semicolon, tab or pipe) is guessed from the
+// header row
+export function csvToText(csv) {
+  const rows = parseCsv(csv.replace(/^\uFEFF/, ''), detectDelimiter(csv))
+    .filter(row => row.some(value => value.trim()));
+  if (rows.length === 0) return '';
+
+  const header = rows[0].map((name, index) => name.trim() || `Column ${index + 1}`);
+  const lines = rows.slice(1).map((row, index) => {
+    const fields = row
+      .map((value, column) => [header[column] || `Column ${column + 1}`, value.replace(/\s+/g, ' ').trim()])
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}: ${value}`);
+    return `Row ${index + 1}: ${fields.join('; ')}`;
+  });
+
+  return [`Columns: ${header.join(', ')}`, ...lines].join('\n');
+}
+
+function detectDelimiter(csv) {
+  const firstLine = csv.slice(0, csv.search(/\r?\n|$/));
+  const candidates = [',', ';', '\t', '|'];
+  const counts = candidates.map(delimiter => firstLine.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? candidates[best] : ',';
+}
+
+// RFC 4180-ish: quoted fields can contain delimiters, newlines and "" quotes
+function parseCsv(csv, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+    if (quoted) {
+      if (char === '"' && csv[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && csv[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// JSON -> one "path: value" line per leaf, e.g.
+//   server.port: 8080
+//   users[2].email: bob@example.com
+//   tags: alpha, beta
+// Top-level keys (or array items) are separated by blank lines so related
+// values end up in the same chunk. JSON Lines files work too
+export function jsonToText(json) {
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    try {
+      value = json.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  let sections;
+  if (Array.isArray(value)) {
+    sections = value.map((item, index) => flattenJson(item, `[${index}]`));
+  } else if (value && typeof value === 'object') {
+    sections = Object.entries(value).map(([key, item]) => flattenJson(item, key));
+  } else {
+    sections = [[formatJsonScalar(value)]];
+  }
+  return sections.map(lines => lines.join('\n')).join('\n\n');
+}
+
+function flattenJson(value, path, lines = []) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      lines.push(`${path}: []`);
+    } else if (value.every(item => item === null || typeof item !== 'object')) {
+      lines.push(`${path}: ${value.map(formatJsonScalar).join(', ')}`);
+    } else {
+      value.forEach((item, index) => flattenJson(item, `${path}[${index}]`, lines));
+    }
+  } else if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) lines.push(`${path}: {}`);
+    for (const [key, item] of entries) {
+      flattenJson(item, path ? `${path}.${key}` : key, lines);
+    }
+  } else {
+    lines.push(`${path}: ${formatJsonScalar(value)}`);
+  }
+  return lines;
+}
+
+function formatJsonScalar(value) {
+  return value === null ? 'null' : String(value);
+}
+
+// Extracts text/description from images using vision models - I try multiple
+// models because they're not all available on every plan. The base64 conversion
+// was a pain but necessary. Also handles different response formats because
+// nothing is ever consistent
+async function extractTextFromImage(imageData, env) {
+  try {
+    const uint8Array = new Uint8Array(imageData);
+    
+    // Convert to base64 for Workers AI (most vision models expect base64)
+    let base64Image = '';
+    try {
+      // Convert Uint8Array to base64
+      const binaryString = String.fromCharCode.apply(null, uint8Array);
+      base64Image = btoa(binaryString);
+    } catch (base64Error) {
+      console.warn('Base64 conversion failed, trying alternative method:', base64Error);
+      // Alternative: use Buffer if available, or try direct array
+      base64Image = null;
+    }
+    
+    // Use Cloudflare Workers AI image understanding models
+    // Try multiple vision models in order of preference
+    const visionModels = [
+      {
+        name: '@cf/llava-hf/llava-1.5-7b',
+        prompt: "Describe this image in detail, including any text visible in the image. Be thorough and descriptive. If there is text in the image, transcribe it exactly."
+      },
+      {
+        name: '@cf/unum/uform-gen2-qwen-500m',
+        prompt: "Describe everything you see in this image, including any text, objects, people, scenes, and details. Transcribe any visible text."
+      },
+      {
+        name: '@cf/meta/llama-3.2-11b-vision-instruct',
+        prompt: "Analyze this image and describe what you see, including any text content. Be detailed and accurate."
+      }
+    ];
+    
+    // Track error details for better diagnostics
+    const errorDetails = {
+      firstError: null,
+      hasAuthError: false,
+      hasAvailabilityError: false,
+      hasPlanError: false
+    };
+    
+    for (const model of visionModels) {
+      try {
+        console.log(`🖼️ Trying vision model: ${model.name}`);
+        console.log(`📊 Image size: ${uint8Array.length} bytes`);
+        
+        // Try different image formats that Workers AI might accept
+        let response = null;
+        const formatsToTry = [];
+        
+        // Format 1: Base64 string
+        if (base64Image) {
+          formatsToTry.push({ image: base64Image });
+        }
+        
+        // Format 2: Uint8Array directly
+        formatsToTry.push({ image: uint8Array });
+        
+        // Format 3: Array from Uint8Array
+        formatsToTry.push({ image: Array.from(uint8Array) });
+        
+        // Format 4: With messages format (some models use this)
+        if (base64Image) {
+          formatsToTry.push({
+            messages: [
+              {
+                role: 'user',
+                content: [
+                  { type: 'text', text: model.prompt },
+                  { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${base64Image}` } }
+                ]
+              }
+            ]
+          });
+        }
+        
+        // Try each format until one works
+        for (const format of formatsToTry) {
+          try {
+            console.log(`🔄 Trying format: ${Object.keys(format)[0]}`);
+            
+            if (format.messages) {
+              // For message-based format
+              response = await env.AI.run(model.name, format);
+            } else {
+              // For direct image format
+              response = await env.AI.run(model.name, {
+                ...format,
+                prompt: model.prompt
+              });
+            }
+            
+            // If we got a response, break out of format loop
+            if (response) {
+              break;
+            }
+          } catch (formatError) {
+            console.warn(`⚠️ Format failed:`, formatError.message);
+            continue; // Try next format
+          }
+        }
+        
+        if (!response) {
+          throw new Error('No response from model with any format');
+        }
+        
+        console.log(`📥 Response received from ${model.name}:`, typeof response, response ? Object.keys(response) : 'null');
+        
+        // Handle different response formats
+        let description = '';
+        if (response && typeof response === 'string') {
+          description = response;
+        } else if (response && response.description) {
+          description = response.description;
+        } else if (response && response.response) {
+          description = response.response;
+        } else if (response && response.text) {
+          description = response.text;
+        } else if (response && response.choices && response.choices[0] && response.choices[0].message) {
+          description = response.choices[0].message.content || response.choices[0].message.text || '';
+        } else if (response && response.content) {
+          description = response.content;
+        } else if (response && Array.isArray(response) && response.length > 0) {
+          description = response.map(r => typeof r === 'string' ? r : r.text || r.description || r.content || '').join(' ');
+        } else if (response && typeof response === 'object') {
+          // Try to extract any text-like fields
+          const possibleFields = ['output', 'result', 'answer', 'summary', 'description', 'text', 'content'];
+          for (const field of possibleFields) {
+            if (response[field] && typeof response[field] === 'string') {
+              description = response[field];
+              break;
+            }
+          }
+        }
+        
+        if (description && description.trim().length > 10) {
+          console.log(`✅ Successfully extracted ${description.length} characters from image using ${model.name}`);
+          return description.trim();
+        } else {
+          console.warn(`⚠️ Response from ${model.name} was empty or too short:`, description);
+        }
+      } catch (modelError) {
+        console.warn(`⚠️ Model ${model.name} failed:`, modelError.message);
+        console.warn(`📋 Error details:`, modelError);
+        
+        // Check for specific error types
+        const errorMsg = modelError.message?.toLowerCase() || '';
+        const errorString = String(modelError).toLowerCase();
+        
+        // Store the first meaningful error for better diagnostics
+        if (!errorDetails.firstError && errorMsg) {
+          errorDetails.firstError = modelError.message || String(modelError);
+        }
+        
+        // Check if it's an authentication/authorization error
+        if (errorMsg.includes('not logged in') || errorMsg.includes('authentication') || errorMsg.includes('unauthorized')) {
+          errorDetails.hasAuthError = true;
+        }
+        
+        // Check if it's a model availability error
+        if (errorMsg.includes('not available') || errorMsg.includes('not found') || errorMsg.includes('does not exist')) {
+          errorDetails.hasAvailabilityError = true;
+        }
+        
+        // Check if it's a plan/limit error
+        if (errorMsg.includes('plan') || errorMsg.includes('limit') || errorMsg.includes('quota') || errorMsg.includes('subscription')) {
+          errorDetails.hasPlanError = true;
+        }
+        
+        continue; // Try next model
+      }
+    }
+    
+    // If all models failed, provide helpful error with specific guidance
+    const errorMessages = [];
+    
+    // Provide specific error message based on what we detected
+    if (errorDetails.hasAuthError) {
+      errorMessages.push('Authentication error: Please ensure you are logged in with `wrangler login`');
+    } else if (errorDetails.hasAvailabilityError || errorDetails.hasPlanError) {
+      errorMessages.push('Vision models are not available in your Cloudflare Workers AI plan.');
+      errorMessages.push('Vision models require a paid Cloudflare Workers AI plan.');
+    } else {
+      errorMessages.push('Failed to process image with available vision models.');
+      if (errorDetails.firstError) {
+        errorMessages.push(`Error: ${errorDetails.firstError}`);
+      }
+    }
+    
+    errorMessages.push('');
+    errorMessages.push('Alternative options:');
+    errorMessages.push('1. Describe the image in text and ask questions about it');
+    errorMessages.push('2. Use OCR tools (like Google Lens, Adobe Acrobat) to extract text from images before uploading');
+    errorMessages.push('3. Convert images to text files manually');
+    errorMessages.push('4. Upgrade your Cloudflare Workers AI plan to access vision models');
+    errorMessages.push('5. Use text files, PDFs, or URLs instead');
+    
+    throw new Error(errorMessages.join('\n'));
+    
+  } catch (error) {
+    console.error('Image extraction error:', error);
+    throw new Error(`Failed to extract text from image: ${error.message}. The image may be corrupted, too large, or image understanding models may not be available in your Cloudflare Workers AI plan.`);
+  }
+}
@@ -0,0 +1,258 @@
+// Fake Workers AI binding - for running the whole app offline and for tests.
+// Every path (embeddings, search, image uploads, the chat agent) calls
+// env.AI.run, so without a Cloudflare login nothing worked past the first
+// upload. AI_PROVIDER = "fake" in [vars] swaps the binding for this one, which
+// answers every model the app uses, the same way every time:
+// - embeddings: words hashed into 384 dimensions, so texts that share words
+//   end up close together - good enough to find "zebra" in a zebra document
+// - reranker: scored by how many of the query's words a text contains
+// - vision models: a canned description (FAKE_AI_VISION_DESCRIPTION)
+// - text models: a script of rules (FAKE_AI_SCRIPT, JSON) matched against the
+//   latest user message - a rule can answer or call tools. Without a matching
+//   rule there are defaults: a few tool triggers ("weather in Paris",
+//   "calculate 2 + 2"...), answers that quote the first retrieved passage,
+//   and pass-throughs for the query rewriter and the summarizer
+//
+// A rule is { match, system, response, tool_calls }: match (and system, for
+// the system prompt) is a case-insensitive substring or a RegExp, tool_calls
+// is [{ name, arguments }]. A rule with tool_calls calls them first, then
+// answers with response (or a default) once the results are back.
+// response can also be a function (question, request) => string in tests
+
+const DIMENSIONS = 384;
+const DEFAULT_VISION_DESCRIPTION = 'A photo of a whiteboard with a hand-drawn diagram. The text on it reads "Fake vision model output".';
+const MAX_ANSWER_LENGTH = 400;
+
+let cached = null;
+
+// env with AI swapped for the fake when AI_PROVIDER is "fake", otherwise env
+// as it is. The fake is reused as long as the settings don't change, so
+// anything cached per binding (the intent router) stays cached
+export function withAIProvider(env) {
+  if (env.AI_PROVIDER !== 'fake') {
+    return env;
+  }
+
+  const key = `${env.FAKE_AI_SCRIPT || ''}\n${env.FAKE_AI_VISION_DESCRIPTION || ''}`;
+  if (!cached || cached.key !== key) {
+    let script = [];
+    if (env.FAKE_AI_SCRIPT) {
+      try {
+        script = JSON.parse(env.FAKE_AI_SCRIPT);
+      } catch (error) {
+        throw new Error(`FAKE_AI_SCRIPT is not valid JSON: ${error.message}`);
+      }
+    }
+    cached = { key, ai: createFakeAI({ script, visionDescription: env.FAKE_AI_VISION_DESCRIPTION }) };
+    console.log(`🧪 Using the fake AI binding (${script.length} scripted rules)`);
+  }
+  return { ...env, AI: cached.ai };
+}
+
+// The binding itself. calls records every run(model, inputs), for tests
+export function createFakeAI({ script = [], visionDescription = DEFAULT_VISION_DESCRIPTION } = {}) {
+  const rules = [...script, ...DEFAULT_RULES];
+  const calls = [];
+
+  return {
+    calls,
+    async run(model, inputs = {}) {
+      calls.push({ model, inputs });
+
+      if (model.includes('reranker')) {
+        return { response: rerank(inputs.query || '', (inputs.contexts || []).map(context => context.text || '')) };
+      }
+      if (model.startsWith('@cf/baai/bge')) {
+        const texts = Array.isArray(inputs.text) ? inputs.text : [inputs.text || ''];
+        return { shape: [texts.length, DIMENSIONS], data: texts.map(embedText) };
+      }
+      if (isVisionRequest(model, inputs)) {
+        return { description: visionDescription };
+      }
+
+      const result = complete(rules, inputs);
+      return inputs.stream ? toStream(result) : result;
+    }
+  };
+}
+
+// Words (and word pairs, so word order counts a little) hashed into buckets
+// with a sign, then normalized. Deterministic across runs and isolates
+export function embedText(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+  const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+  const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+  for (const feature of features) {
+    const hash = hashString(feature);
+    vector[hash % DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+  if (norm === 0) {
+    vector[0] = 1; // empty text still needs a valid vector
+    return vector;
+  }
+  return vector.map(value => value / norm);
+}
+
+const DEFAULT_RULES = [
+  // query-rewrite.js - keep the message as typed, no variants
+  { system: 'standalone search query', response: (question, request) => lastUserContent(request).split('Latest message:').pop().trim() },
+  { system: 'search queries that would find', response: '' },
+  { system: 'short passage', response: '' },
+  // summaries.js (section summaries, then the combining step) - the first
+  // couple of sentences of whatever it was given
+  { system: /you summarize one part of a document|you are given summaries of consecutive parts/i, response: (question, request) => extractSentences(stripHeaderLines(lastUserContent(request)), 2) },
+  // A few tool triggers, so the tool loop can run offline
+  { match: /\bweather (?:in|for) ([a-z .'-]+?)[?.!]*$/i, tool_calls: match => [{ name: 'get_weather', arguments: { location: match[1].trim() } }] },
+  { match: /\b(?:calculate|compute|what is) ([\d\s.+\-*/()^%]+\d[\s)]*)[?.!]*$/i, tool_calls: match => [{ name: 'calculate', arguments: { expression: match[1].trim() } }] },
+  { match: /\bconvert ([\d.]+) ([a-z]{3}) to ([a-z]{3})\b/i, tool_calls: match => [{ name: 'convert_currency', arguments: { amount: Number(match[1]), from: match[2].toUpperCase(), to: match[3].toUpperCase() } }] },
+  { match: /\bwhat time is it\b|\bcurrent time\b/i, tool_calls: () => [{ name: 'get_current_time', arguments: {} }] },
+  { match: /\bsearch (?:the web )?for (.+?)[?.!]*$/i, tool_calls: match => [{ name: 'search_web', arguments: { query: match[1].trim() } }] }
+];
+
+function complete(rules, request) {
+  const messages = request.messages || [{ role: 'user', content: request.prompt || '' }];
+  const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n');
+  const { question, toolResults } = readTurn(messages);
+  const offeredTools = (request.tools || []).map(tool => tool.function?.name || tool.name);
+
+  for (const rule of rules) {
+    if (rule.system && !matches(rule.system, system)) continue;
+    const match = rule.match ? matches(rule.match, question) : true;
+    if (!match) continue;
+
+    if (rule.tool_calls) {
+      if (toolResults.length > 0) {
+        return { response: rule.response !== undefined ? render(rule.response, question, request) : describeToolResults(toolResults) };
+      }
+      const toolCalls = typeof rule.tool_calls === 'function' ? rule.tool_calls(match) : rule.tool_calls;
+      // Only tools the request offered - otherwise fall through to an answer
+      if (toolCalls.every(call => offeredTools.includes(call.name))) {
+        return { response: '', tool_calls: toolCalls.map(call => ({ name: call.name, arguments: call.arguments || {} })) };
+      }
+      continue;
+    }
+    return { response: render(rule.response, question, request) };
+  }
+
+  if (toolResults.length > 0) {
+    return { response: describeToolResults(toolResults) };
+  }
+  return { response: answer(question, lastUserContent(request)) };
+}
+
+// The question this turn is about, and the tool results that came back for
+// it. After running tools the workflow appends the results and then an
+// instruction as a user message - that's not the question
+function readTurn(messages) {
+  let end = messages.length - 1;
+  if (messages[end]?.role === 'user' && messages[end - 1]?.role === 'tool') end--;
+  const toolResults = [];
+  while (end >= 0 && messages[end].role === 'tool') {
+    toolResults.unshift(messages[end--]);
+  }
+  while (end >= 0 && messages[end].role !== 'user') end--;
+
+  const content = textOf(messages[end]?.content);
+  // Document questions come wrapped in the retrieved context
+  const request = content.match(/USER REQUEST:\s*([\s\S]*?)(?:\n\n|$)/);
+  return { question: (request ? request[1] : content).trim(), toolResults };
+}
+
+// Quotes the first retrieved passage if there is one, so the answer is
+// grounded in the context the way a real one should be
+function answer(question, content) {
+  const passage = content.match(/\[1\] Source: ([^\n]*)\n([\s\S]*?)(?:\n\n---|\n\nUSER REQUEST:|$)/);
+  if (passage) {
+    return `According to ${passage[1].trim()} [1]: ${extractSentences(passage[2], 2)}`;
+  }
+  if (content.includes('[IMAGE DESCRIPTION]')) {
+    return `The image shows: ${extractSentences(content.split('[IMAGE DESCRIPTION]').pop(), 2)}`;
+  }
+  return `This is a fake response to: ${question}`;
+}
+
+function describeToolResults(toolResults) {
+  return toolResults
+    .map(result => `${result.name || 'tool'} returned: ${truncate(textOf(result.content), MAX_ANSWER_LENGTH)}`)
+    .join('\n');
+}
+
+function rerank(query, texts) {
+  const terms = new Set(String(query).toLowerCase().match(/[a-z0-9]+/g) || []);
+  return texts.map((text, id) => {
+    const words = new Set(String(text).toLowerCase().match(/[a-z0-9]+/g) || []);
+    const shared = [...terms].filter(term => words.has(term)).length;
+    return { id, score: terms.size ? shared / terms.size : 0 };
+  }).sort((a, b) => b.score - a.score);
+}
+
+// The same result as Workers AI's stream: true - SSE frames of
+// { response } tokens, then tool_calls, then [DONE]
+function toStream(result) {
+  const encoder = new TextEncoder();
+  const frames = (result.response.match(/\S+\s*/g) || []).map(token => ({ response: token }));
+  if (result.tool_calls) frames.push({ response: '', tool_calls: result.tool_calls });
+  return new ReadableStream({
+    start(controller) {
+      for (const frame of frames) {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(frame)}\n\n`));
+      }
+      controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+      controller.close();
+    }
+  });
+}
+
+function isVisionRequest(model, inputs) {
+  if (inputs.image) return true;
+  return /llava|uform|vision/.test(model) && (inputs.messages || []).some(message =>
+    Array.isArray(message.content) && message.content.some(part => part.type === 'image_url'));
+}
+
+function matches(pattern, text) {
+  if (pattern instanceof RegExp) {
+    return text.match(pattern) || null;
+  }
+  return text.toLowerCase().includes(String(pattern).toLowerCase()) ? [text] : null;
+}
+
+function render(response, question, request) {
+  return typeof response === 'function' ? String(response(question, request) ?? '') : String(response ?? '');
+}
+
+function lastUserContent(request) {
+  const users = (request.messages || []).filter(message => message.role === 'user');
+  return textOf(users.length > 0 ? users[users.length - 1].content : request.prompt);
+}
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(part => part.text || '').join(' ');
+  return content == null ? '' : JSON.stringify(content);
+}
+
+function stripHeaderLines(text) {
+  return text.split('\n').filter(line => !/^(Document|Part):|^\[[^\]]*\]$/.test(line)).join('\n');
+}
+
+function extractSentences(text, count) {
+  // A sentence ends at punctuation followed by a space - not at "file.txt"
+  const sentences = String(text).replace(/\s+/g, ' ').trim().match(/.+?[.!?](?=\s|$)|.+$/g) || [];
+  return truncate(sentences.slice(0, count).join(' ').replace(/\s+/g, ' ').trim(), MAX_ANSWER_LENGTH);
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength)}…` : text;
+}
+
+// FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
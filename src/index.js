@@ -2,12 +2,22 @@
 // handles all the api endpoints and routes requests
 
 
-import { ChatSession } from './chat-session.js';
-import { ChatWorkflow } from './workflow.js';
-import { processDocument, similaritySearch, queryByDocumentId } from './rag.js';
+import { ChatSession, SESSION_DIRECTORY_NAME, getDirectoryName } from './chat-session.js';
+import { ChatWorkflow, buildChatPayload } from './workflow.js';
+import { createDocumentId, deleteDocumentVectors } from './rag.js';
+import { detectDocumentType, getDocumentType, describeSupportedTypes, decodeText } from './extractors.js';
+import { DocumentLibrary, getDocumentLibrary } from './document-library.js';
+import { buildRagContext } from './retrieval.js';
+import { createSSEStream } from './streaming.js';
+import { handleChatCompletions, handleListModels } from './openai.js';
+import { withAIProvider } from './fake-ai.js';
+import { createTraceRecorder } from './trace.js';
+import { runEval, validateDataset, formatEvalReport, FAITHFULNESS_JUDGES } from './eval.js';
+import { getAuthenticatedOwner } from './auth.js';
 
 export default {
   async fetch(request, env, ctx) {
+    env = withAIProvider(env); // AI_PROVIDER = "fake" runs without Workers AI
     const url = new URL(request.url);
     const path = url.pathname;
 
@@ -15,7 +25,7 @@ export default {
     // this down in production
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     };
 
@@ -27,6 +37,19 @@ export default {
       });
     }
 
+    // Session management has ids in the path, so it gets its own little router
+    if (path === '/api/sessions' || path.startsWith('/api/sessions/')) {
+      return this.handleSessionsRequest(request, env, corsHeaders);
+    }
+
+    if (path === '/api/documents' || path.startsWith('/api/documents/')) {
+      return this.handleDocumentsRequest(request, env, corsHeaders);
+    }
+
+    if (path.startsWith('/api/jobs/')) {
+      return this.handleJobRequest(request, env, corsHeaders);
+    }
+
   // Route requests to the right handler - simple switch statement, nothing fancy
     switch (path) {
 
@@ -40,13 +63,25 @@ export default {
       case '/api/chat':
         const url = new URL(request.url);
         const stream = url.searchParams.get('stream') === 'true';
-        return this.handleChatRequest(request, env, corsHeaders, stream);
+        // ?trace=true records the request's AI and Vectorize calls and sends
+        // them back with the answer (only with TRACE_RECORDING = "on")
+        const trace = url.searchParams.get('trace') === 'true' && env.TRACE_RECORDING === 'on';
+        return this.handleChatRequest(request, env, corsHeaders, stream, trace);
       
       case '/api/upload':
         return this.handleDocumentUpload(request, env, corsHeaders);
       
       case '/api/health':
         return this.handleHealthCheck(corsHeaders);
+
+      case '/api/eval':
+        return this.handleEvalRequest(request, env, corsHeaders);
+
+      case '/v1/chat/completions':
+        return handleChatCompletions(request, env, corsHeaders, ctx);
+
+      case '/v1/models':
+        return handleListModels(request, corsHeaders);
       
       case '/ws':
         return this.handleWebSocket(request, env);
@@ -56,7 +91,7 @@ export default {
     }
   },
 
-  async handleChatRequest(request, env, corsHeaders) {
+  async handleChatRequest(request, env, corsHeaders, stream = false, trace = false) {
     if (request.method !== 'POST') {
       return new Response('Method Not Allowed', { 
         status: 405, 
@@ -65,7 +100,12 @@ export default {
     }
 
     try {
-      const { message, sessionId, conversationHistory = [], lastImageDocumentId } = await request.json();
+      // Note: any conversationHistory the client sends is ignored on purpose -
+      // the Durable Object's SQLite store is the source of truth now
+      const body = await request.json();
+      const { message } = body;
+      // Only set behind Cloudflare Access (see auth.js), never from the body
+      const owner = await getAuthenticatedOwner(request, env);
 
       if (!message) {
         return new Response(JSON.stringify({ error: 'Message is required' }), {
@@ -73,13 +113,31 @@ export default {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
         });
       }
+      if (isReservedSessionId(body.sessionId)) {
+        return jsonResponse({ error: 'Invalid sessionId' }, 400, corsHeaders);
+      }
+      // No session yet - start a new one instead of sharing a 'default' one
+      // with every other client. Its id comes back in the response
+      const sessionId = body.sessionId || (await this.createSession(env, owner)).sessionId;
+
+      // Recording mode - see trace.js. Streaming answers aren't recorded,
+      // the trace goes out with the JSON response
+      const recorder = trace && !stream ? createTraceRecorder() : null;
+      if (recorder) {
+        env = recorder.wrap(env, { sessionId, owner });
+      }
 
       // Get the chat session - Durable Objects are Cloudflare's way of keeping state
       // between requests, which is perfect for conversation history
-      const durableObjectId = env.CHAT_SESSION.idFromName(sessionId || 'default');
+      const durableObjectId = env.CHAT_SESSION.idFromName(sessionId);
       const durableObject = env.CHAT_SESSION.get(durableObjectId);
 
-      // Build up the conversation history so the AI remembers what we talked about
+      // Build up the conversation history so the AI remembers what we talked about.
+      // null means there's no such session (or it isn't this user's)
+      const conversationHistory = await this.loadConversationHistory(durableObject, sessionId, owner);
+      if (!conversationHistory) {
+        return jsonResponse({ error: 'Session not found' }, 404, corsHeaders);
+      }
       const messages = conversationHistory.map(msg => ({
         role: msg.role,
         content: msg.content
@@ -91,534 +149,46 @@ export default {
         content: message
       });
 
-      // Check if they're asking about a document they uploaded - if so, search for
-      // relevant chunks in Vectorize. I made it smart enough to not search on
-      // simple greetings, which was annoying before
-      let ragContext = '';
-      try {
-        // Detect document-related requests (summarize, explain, analyze, etc.)
-        // IMPORTANT: Don't search for documents on simple greetings or casual messages
-        const lowerMessage = message.toLowerCase().trim();
-        const isGreeting = lowerMessage === 'hi' || 
-                          lowerMessage === 'hello' || 
-                          lowerMessage === 'hey' ||
-                          lowerMessage.startsWith('hi ') ||
-                          lowerMessage.startsWith('hello ') ||
-                          lowerMessage.startsWith('hey ');
-        
-        // Detect if this is a document-related request
-        // Only trigger RAG if user explicitly mentions documents/files OR if they use action words that imply document content
-        const hasDocumentKeywords = lowerMessage.includes('document') || 
-                                   lowerMessage.includes('pdf') || 
-                                   lowerMessage.includes('file') ||
-                                   lowerMessage.includes('text') ||
-                                   lowerMessage.includes('link') ||
-                                   lowerMessage.includes('url') ||
-                                   lowerMessage.includes('image') ||
-                                   lowerMessage.includes('picture') ||
-                                   lowerMessage.includes('photo') ||
-                                   lowerMessage.includes('resume') ||
-                                   lowerMessage.includes('cv') ||
-                                   lowerMessage.includes('uploaded') ||
-                                   lowerMessage.includes('attached');
-        
-      const hasDocumentActionWords = lowerMessage.includes('summarize') || 
-                                   lowerMessage.includes('summary') ||
-                                   lowerMessage.includes('explain') ||
-                                   lowerMessage.includes('analyze') ||
-                                   lowerMessage.includes('review') ||
-                                   lowerMessage.includes('what does it say') ||
-                                   lowerMessage.includes('what is this about') ||
-                                   lowerMessage.includes('tell me about') ||
-                                   lowerMessage.includes('describe') ||
-                                   lowerMessage.includes('what is in') ||
-                                   lowerMessage.includes('what do you see') ||
-                                   lowerMessage.includes('what is this') ||
-                                   lowerMessage === 'explain' || // Catch exact matches
-                                   lowerMessage === 'explain?';
-        
-        // Only do RAG search if user mentions documents/files OR if they use action words WITH document keywords or context words
-        // This prevents RAG search for general knowledge questions like "explain how quicksort works"
-        // IMPORTANT: For image queries, ALWAYS trigger RAG search to find uploaded images
-        const isImageQueryForRAG = lowerMessage.includes('image') || 
-                                   lowerMessage.includes('picture') || 
-                                   lowerMessage.includes('photo') ||
-                                   lowerMessage.includes('what\'s there in') ||
-                                   lowerMessage.includes('what is there in') ||
-                                   lowerMessage.includes('what\'s in') ||
-                                   lowerMessage.includes('what is in') ||
-                                   lowerMessage.includes('what\'s this') ||
-                                   lowerMessage.includes('what is this') ||
-                                   lowerMessage.includes('what do you see');
-        
-        const isDocumentRequest = !isGreeting && (
-          hasDocumentKeywords || // Trigger if they say "PDF", "Document", "Image", etc.
-          isImageQueryForRAG || // ALWAYS trigger RAG for image queries
-          (hasDocumentActionWords && lowerMessage.length < 20) || // Trigger if they just say "Explain?" or "What's this?"
-          (hasDocumentActionWords && (
-              lowerMessage.includes('this') || 
-              lowerMessage.includes('it') || 
-              lowerMessage.includes('the document') ||
-              lowerMessage.includes('the file') ||
-              lowerMessage.includes('the pdf') ||
-              lowerMessage.includes('the image') ||
-              lowerMessage.includes('the photo') ||
-              lowerMessage.includes('my resume') ||
-              lowerMessage.includes('my cv')
-          ))
-      );
-        
-        // Only search for documents if it's a document-related request (not a greeting)
-        if (isDocumentRequest) {
-          // For document requests, use a broad search to get all relevant content
-          // Try multiple search strategies to get comprehensive context
-          let allChunks = [];
-          
-          // For summarize/explain requests, use generic queries that will match document content
-          const isSummaryOrExplain = lowerMessage.includes('summarize') || 
-                                     lowerMessage.includes('summary') || 
-                                     lowerMessage.includes('explain') ||
-                                     lowerMessage.includes('analyze') ||
-                                     lowerMessage.includes('what does it say') ||
-                                     lowerMessage.includes('what is this about') ||
-                                     lowerMessage.includes('tell me about') ||
-                                     lowerMessage.includes('describe') ||
-                                     lowerMessage.includes('what is in') ||
-                                     lowerMessage.includes('what do you see');
-          
-          if (isSummaryOrExplain) {
-            // Strategy 1: Use very generic queries that will match any document/image content
-            // These queries are designed to retrieve chunks from uploaded documents and images
-            const genericQueries = [
-              'document content information text data',
-              'the document text content',
-              'information content text',
-              'document information',
-              'image description content',
-              'image analysis description',
-              'visual content description',
-              'picture description content',
-              '[IMAGE DESCRIPTION]', // Direct search for image descriptions
-              'image shows',
-              'image contains',
-              'in the image',
-              'the image',
-              'picture shows',
-              'photo shows'
-            ];
-            
-            for (const query of genericQueries) {
-              const chunks = await similaritySearch(query, env, 25);
-              if (chunks && chunks.length > 0) {
-                allChunks.push(...chunks);
-              }
-            }
-            
-            // Strategy 2: If user's message has specific terms (not just "summarize"), also search with those
-            // Remove common action words to get content-related terms
-            const contentTerms = message
-              .toLowerCase()
-              .replace(/\b(summarize|summary|explain|analyze|what|about|tell|me|this|the|document|pdf|file|text|link|url|image|picture|photo|see|describe)\b/gi, '')
-              .trim();
-            
-            if (contentTerms.length > 3) {
-              const specificChunks = await similaritySearch(contentTerms, env, 15);
-              if (specificChunks && specificChunks.length > 0) {
-                allChunks.push(...specificChunks);
-              }
-            }
-          } else {
-            // For other document questions, use the user's message as query
-            const messageChunks = await similaritySearch(message, env, 20);
-            if (messageChunks && messageChunks.length > 0) {
-              allChunks.push(...messageChunks);
-            }
-            
-            // Also try generic search as fallback
-            const genericChunks = await similaritySearch('document content information', env, 15);
-            if (genericChunks && genericChunks.length > 0) {
-              allChunks.push(...genericChunks);
-            }
-          }
-          
-          // Remove duplicates by ID and sort by score
-          const chunkMap = new Map();
-          for (const chunk of allChunks) {
-            const chunkId = chunk.id || chunk.metadata?.id || `${chunk.metadata?.documentId}-${chunk.metadata?.chunkIndex}` || Math.random().toString();
-            if (!chunkMap.has(chunkId) || (chunk.score || 0) > (chunkMap.get(chunkId).score || 0)) {
-              chunkMap.set(chunkId, chunk);
-            }
-          }
-          
-          const uniqueChunks = Array.from(chunkMap.values());
-          
-          // Group chunks by document ID to prioritize most recent document
-          const chunksByDocument = new Map();
-          for (const chunk of uniqueChunks) {
-            const docId = chunk.metadata?.documentId || 'unknown';
-            if (!chunksByDocument.has(docId)) {
-              chunksByDocument.set(docId, []);
-            }
-            chunksByDocument.get(docId).push(chunk);
-          }
-          
-          // Helper function to extract timestamp from documentId (format: image-{timestamp}-{random})
-          const extractTimestampFromDocId = (docId) => {
-            if (!docId) return 0;
-            // Try metadata timestamp first
-            // If not available, extract from documentId format: {type}-{timestamp}-{random}
-            const match = docId.match(/-(\d+)-/);
-            if (match) {
-              return parseInt(match[1], 10);
-            }
-            return 0;
-          };
-          
-          // Find the most recent document (highest timestamp)
-          // Use both metadata timestamp and documentId timestamp for better accuracy
-          let mostRecentDocId = null;
-          let mostRecentTimestamp = 0;
-          for (const [docId, chunks] of chunksByDocument.entries()) {
-            // Get max timestamp from metadata
-            const maxMetadataTimestamp = Math.max(...chunks.map(c => c.metadata?.timestamp || 0));
-            // Get timestamp from documentId (for old documents without metadata timestamp)
-            const docIdTimestamp = extractTimestampFromDocId(docId);
-            // Use the maximum of both
-            const maxTimestamp = Math.max(maxMetadataTimestamp, docIdTimestamp);
-            
-            if (maxTimestamp > mostRecentTimestamp) {
-              mostRecentTimestamp = maxTimestamp;
-              mostRecentDocId = docId;
-            }
-          }
-          
-          // Check if we're dealing with images - ONLY based on user's message, NOT search results
-          // This prevents treating regular questions as image queries just because image chunks were found
-          const isImageQuery = lowerMessage.includes('image') || 
-                              lowerMessage.includes('picture') || 
-                              lowerMessage.includes('photo') ||
-                              lowerMessage.includes('what do you see') ||
-                              lowerMessage.includes('what\'s there in') ||
-                              lowerMessage.includes('what is there in') ||
-                              lowerMessage.includes('what\'s in') ||
-                              lowerMessage.includes('what is in') ||
-                              lowerMessage.includes('what\'s this') ||
-                              lowerMessage.includes('what is this') ||
-                             (lowerMessage.includes('describe') && (lowerMessage.includes('image') || 
-                              lowerMessage.includes('picture') || 
-                              lowerMessage.includes('photo'))) ||
-                              (hasDocumentActionWords && (lowerMessage.includes('image') || lowerMessage.includes('picture') || lowerMessage.includes('photo')));
-          
-          // For image queries, find ALL image documents and get the most recent one
-          let mostRecentImageDocId = null;
-          let mostRecentImageTimestamp = 0;
-          if (isImageQuery) {
-            for (const [docId, chunks] of chunksByDocument.entries()) {
-              // Check if this is an image document
-              const isImageDoc = chunks.some(c => c.text?.includes('[IMAGE DESCRIPTION]'));
-              if (isImageDoc) {
-                const maxMetadataTimestamp = Math.max(...chunks.map(c => c.metadata?.timestamp || 0));
-                const docIdTimestamp = extractTimestampFromDocId(docId);
-                const maxTimestamp = Math.max(maxMetadataTimestamp, docIdTimestamp);
-                
-                if (maxTimestamp > mostRecentImageTimestamp) {
-                  mostRecentImageTimestamp = maxTimestamp;
-                  mostRecentImageDocId = docId;
-                }
-              }
-            }
-          }
-          
-          // Sort chunks: prioritize chunks from most recent document, then by score
-          let sortedChunks = uniqueChunks
-            .sort((a, b) => {
-              const aIsRecent = a.metadata?.documentId === mostRecentDocId;
-              const bIsRecent = b.metadata?.documentId === mostRecentDocId;
-              const aIsImage = a.text?.includes('[IMAGE DESCRIPTION]');
-              const bIsImage = b.text?.includes('[IMAGE DESCRIPTION]');
-              
-              // For image queries, ALWAYS prioritize most recent image over old ones
-              if (isImageQuery && aIsImage && bIsImage) {
-                const aIsRecentImage = a.metadata?.documentId === mostRecentImageDocId;
-                const bIsRecentImage = b.metadata?.documentId === mostRecentImageDocId;
-                
-                if (aIsRecentImage && !bIsRecentImage) return -1; // Recent image always wins
-                if (!aIsRecentImage && bIsRecentImage) return 1;  // Recent image always wins
-                
-                // If both are recent or both are old, use timestamp
-                const aTimestamp = a.metadata?.timestamp || extractTimestampFromDocId(a.metadata?.documentId);
-                const bTimestamp = b.metadata?.timestamp || extractTimestampFromDocId(b.metadata?.documentId);
-                return bTimestamp - aTimestamp;
-              }
-              
-              // For non-image queries or mixed content, use standard prioritization
-              // If one is from recent doc and other isn't, prioritize recent
-              if (aIsRecent && !bIsRecent) return -1;
-              if (!aIsRecent && bIsRecent) return 1;
-              
-              // If both from same doc (or both not recent), sort by score
-              const scoreDiff = (b.score || 0) - (a.score || 0);
-              if (Math.abs(scoreDiff) > 0.1) return scoreDiff;
-              
-              // If scores are close, prefer newer timestamp
-              const aTimestamp = a.metadata?.timestamp || extractTimestampFromDocId(a.metadata?.documentId);
-              const bTimestamp = b.metadata?.timestamp || extractTimestampFromDocId(b.metadata?.documentId);
-              return bTimestamp - aTimestamp;
-            })
-            .slice(0, 30); // Get top 30 chunks for comprehensive context
-          
-          // For NON-IMAGE queries, EXCLUDE image chunks from results BEFORE processing
-          // This prevents AI from explaining images when user asks regular questions
-          if (!isImageQuery) {
-            const imageChunksCount = sortedChunks.filter(c => c.text?.includes('[IMAGE DESCRIPTION]')).length;
-            if (imageChunksCount > 0) {
-              sortedChunks = sortedChunks.filter(c => !c.text?.includes('[IMAGE DESCRIPTION]'));
-            }
-          }
-          
-          let finalChunks = sortedChunks;
-          if (isImageQuery) {
-            // Query Vectorize directly with generic queries to get ALL image chunks
-            // This bypasses similarity score filtering and ensures we find ALL images in the database
-            const imageSearchQueries = [
-              '[IMAGE DESCRIPTION]',
-              'image description',
-              'image shows',
-              'picture shows',
-              'photo shows',
-              'visual content',
-              'image contains'
-            ];
-            
-            let allImageChunksFromDB = [];
-            for (const query of imageSearchQueries) {
-              try {
-                // Use a large topK to get as many image chunks as possible
-                const chunks = await similaritySearch(query, env, 100);
-                const imageChunks = chunks.filter(c => c.text?.includes('[IMAGE DESCRIPTION]'));
-                allImageChunksFromDB.push(...imageChunks);
-              } catch (err) {
-                // Continue to next query
-              }
-            }
-            
-            // Remove duplicates by chunk ID
-            const imageChunkMap = new Map();
-            for (const chunk of allImageChunksFromDB) {
-              const chunkId = chunk.id || chunk.metadata?.id || `${chunk.metadata?.documentId}-${chunk.metadata?.chunkIndex}`;
-              if (!imageChunkMap.has(chunkId)) {
-                imageChunkMap.set(chunkId, chunk);
-              }
-            }
-            const allImageChunks = Array.from(imageChunkMap.values());
-            
-            if (allImageChunks.length > 0) {
-              // Group image chunks by document ID
-              const imageDocs = new Map();
-              for (const chunk of allImageChunks) {
-                const docId = chunk.metadata?.documentId || 'unknown';
-                if (!imageDocs.has(docId)) {
-                  // Get timestamp from metadata (preferred) or extract from documentId
-                  const metadataTimestamp = chunk.metadata?.timestamp || 0;
-                  const docIdTimestamp = extractTimestampFromDocId(docId);
-                  // Use the maximum of both for most accurate timestamp
-                  const maxTimestamp = Math.max(metadataTimestamp, docIdTimestamp);
-                  imageDocs.set(docId, { timestamp: maxTimestamp, chunks: [] });
-                }
-                imageDocs.get(docId).chunks.push(chunk);
-              }
-              
-              // Find the document with the highest timestamp (most recent)
-              let bestDocId = null;
-              let bestTimestamp = 0;
-              const allImageDocs = [];
-              for (const [docId, data] of imageDocs.entries()) {
-                allImageDocs.push({ docId, timestamp: data.timestamp, chunkCount: data.chunks.length });
-                if (data.timestamp > bestTimestamp) {
-                  bestTimestamp = data.timestamp;
-                  bestDocId = docId;
-                }
-              }
-              
-              allImageDocs.sort((a, b) => b.timestamp - a.timestamp);
-              
-              if (bestDocId && imageDocs.has(bestDocId)) {
-                finalChunks = imageDocs.get(bestDocId).chunks;
-                
-                finalChunks = finalChunks.filter(chunk => {
-                  const chunkDocId = chunk.metadata?.documentId || 'unknown';
-                  return chunkDocId === bestDocId;
-                });
-                
-                const uniqueDocIds = [...new Set(finalChunks.map(c => c.metadata?.documentId || 'unknown'))];
-                if (uniqueDocIds.length > 1) {
-                  console.error(`Error: finalChunks contains chunks from multiple documents: ${uniqueDocIds.join(', ')}`);
-                  finalChunks = finalChunks.filter(c => (c.metadata?.documentId || 'unknown') === bestDocId);
-                }
-              } else {
-                if (mostRecentImageDocId) {
-                  const recentChunks = allImageChunks.filter(c => c.metadata?.documentId === mostRecentImageDocId);
-                  if (recentChunks.length > 0) {
-                    finalChunks = recentChunks;
-                  } else {
-                    if (allImageDocs.length > 0) {
-                      const newestDoc = allImageDocs[0];
-                      finalChunks = imageDocs.get(newestDoc.docId)?.chunks || [allImageChunks[0]];
-                    } else {
-                      finalChunks = [allImageChunks[0]];
-                    }
-                  }
-                } else {
-                  if (allImageDocs.length > 0) {
-                    const newestDoc = allImageDocs[0];
-                    finalChunks = imageDocs.get(newestDoc.docId)?.chunks || [allImageChunks[0]];
-                  } else {
-                    finalChunks = [allImageChunks[0]];
-                  }
-                }
-              }
-            } else {
-              
-              // RACE CONDITION FIX: Try querying by document ID with retries
-              // This handles the case where the image was just uploaded and Vectorize is still indexing
-              // Priority: 1) lastImageDocumentId from frontend, 2) mostRecentImageDocId from search, 3) timestamp-based search
-              const documentIdToQuery = lastImageDocumentId || mostRecentImageDocId;
-              
-              if (documentIdToQuery) {
-              const documentChunks = await queryByDocumentId(documentIdToQuery, env, 3, 500);
-              if (documentChunks.length > 0) {
-                finalChunks = documentChunks;
-              } else {
-                const fallbackImageChunks = uniqueChunks.filter(c => c.text?.includes('[IMAGE DESCRIPTION]'));
-                if (fallbackImageChunks.length > 0) {
-                  finalChunks = fallbackImageChunks;
-                } else {
-                  ragContext = '[IMAGE_PROCESSING] The image was uploaded but is still being processed by the system. This usually takes 15-30 seconds. Please wait a moment and try asking again.';
-                }
-              }
-              } else {
-                // Try to find the most recent image document ID by querying with recent timestamps
-                // Document ID format: image-{timestamp}-{random}
-                // Try querying with timestamps from the last 2 minutes (in case image was just uploaded)
-                const now = Date.now();
-                const recentTimestamps = [];
-                for (let i = 0; i < 24; i++) { // Try last 2 minutes in 5-second intervals
-                  recentTimestamps.push(now - (i * 5000));
-                }
-                
-                let foundRecentDoc = false;
-                for (const timestamp of recentTimestamps) {
-                  // Try document ID pattern: image-{timestamp}-*
-                  // We'll query with a generic search and filter by timestamp in metadata
-                  try {
-                    const testChunks = await similaritySearch('[IMAGE DESCRIPTION]', env, 50);
-                    const recentImageChunks = testChunks.filter(c => {
-                      const chunkTimestamp = c.metadata?.timestamp || extractTimestampFromDocId(c.metadata?.documentId || '');
-                      // Check if timestamp is within 2 minutes
-                      return Math.abs(chunkTimestamp - timestamp) < 120000; // 2 minutes
-                    });
-                    
-                    if (recentImageChunks.length > 0) {
-                      // Group by document ID and find most recent
-                      const recentDocs = new Map();
-                      for (const chunk of recentImageChunks) {
-                        const docId = chunk.metadata?.documentId || 'unknown';
-                        if (!recentDocs.has(docId)) {
-                          const metaTs = chunk.metadata?.timestamp || 0;
-                          const docIdTs = extractTimestampFromDocId(docId);
-                          recentDocs.set(docId, Math.max(metaTs, docIdTs));
-                        }
-                      }
-                      
-                      // Get the most recent document ID
-                      let bestDocId = null;
-                      let bestTimestamp = 0;
-                      for (const [docId, ts] of recentDocs.entries()) {
-                        if (ts > bestTimestamp) {
-                          bestTimestamp = ts;
-                          bestDocId = docId;
-                        }
-                      }
-                      
-                      if (bestDocId) {
-                        const documentChunks = await queryByDocumentId(bestDocId, env, 2, 1000);
-                        if (documentChunks.length > 0) {
-                          finalChunks = documentChunks;
-                          foundRecentDoc = true;
-                          break;
-                        }
-                      }
-                    }
-                  } catch (err) {
-                    // Continue to next timestamp
-                    continue;
-                  }
-                }
-                
-                if (!foundRecentDoc) {
-                  const fallbackImageChunks = uniqueChunks.filter(c => c.text?.includes('[IMAGE DESCRIPTION]'));
-                  if (fallbackImageChunks.length > 0) {
-                    finalChunks = fallbackImageChunks;
-                  }
-                }
-              }
-            }
-          }
-          
-          if (finalChunks.length > 0) {
-            // FINAL SAFETY CHECK: For image queries, ensure we only have chunks from ONE document
-            if (isImageQuery) {
-              const uniqueDocIds = [...new Set(finalChunks.map(c => c.metadata?.documentId || 'unknown'))];
-              if (uniqueDocIds.length > 1) {
-                console.error(`Error: finalChunks contains chunks from ${uniqueDocIds.length} different documents: ${uniqueDocIds.join(', ')}`);
-                let mostRecentDocId = null;
-                let mostRecentTimestamp = 0;
-                for (const docId of uniqueDocIds) {
-                  const docChunks = finalChunks.filter(c => (c.metadata?.documentId || 'unknown') === docId);
-                  const maxTimestamp = Math.max(...docChunks.map(c => {
-                    const metaTs = c.metadata?.timestamp || 0;
-                    const docIdTs = extractTimestampFromDocId(docId);
-                    return Math.max(metaTs, docIdTs);
-                  }));
-                  if (maxTimestamp > mostRecentTimestamp) {
-                    mostRecentTimestamp = maxTimestamp;
-                    mostRecentDocId = docId;
-                  }
-                }
-                if (mostRecentDocId) {
-                  finalChunks = finalChunks.filter(c => (c.metadata?.documentId || 'unknown') === mostRecentDocId);
-                }
-              }
-            }
-            
-            ragContext = finalChunks
-              .map(chunk => chunk.text)
-              .join('\n\n---\n\n');
-            const docIds = [...new Set(finalChunks.map(c => c.metadata?.documentId || 'unknown'))];
-            if (isImageQuery && docIds.length > 1) {
-              console.error(`Error: Multiple document IDs found in finalChunks for image query: ${docIds.join(', ')}`);
-            }
-          } else {
-            if (hasDocumentKeywords) {
-              console.warn('No document chunks found. Document may still be processing or search failed.');
-            }
-          }
-        }
-        // Don't search for documents on greetings or casual messages - only on explicit document requests
-      } catch (error) {
-        console.warn('RAG search failed, continuing without context:', error);
+      // Pull document/image context for the message (empty string if none).
+      // Only documents pinned to this session are searched. With a signed-in
+      // owner the filter is theirs instead of the session's, so a document
+      // they uploaded in another session can be pinned here and searched too
+      const documentIds = await this.loadPinnedDocuments(durableObject, sessionId, owner);
+      const { context: ragContext, intent, sources } = await buildRagContext(message, env, {
+        scope: { sessionId, owner, documentIds },
+        conversationHistory
+      });
+
+      // Streaming mode - hand the same input to the workflow but push tokens
+      // to the client as SSE instead of waiting for the whole answer
+      if (stream) {
+        return this.streamChatResponse({
+          message,
+          sessionId,
+          owner,
+          conversationHistory,
+          ragContext,
+          sources,
+          retrievalIntent: intent.intent
+        }, env, corsHeaders, durableObject);
       }
 
       // Use workflow to process the chat request
       // Add timeout to prevent 504 Gateway Timeout errors
      const workflow = new ChatWorkflow();
       await workflow.defineWorkflow(); // Initialize the workflow steps
-      const workflowPromise = workflow.execute({
+      const workflowInput = {
         message,
-        sessionId: sessionId || 'default',
+        sessionId,
         conversationHistory,
-        ragContext: ragContext // Pass RAG context to workflow
-      }, env);
+        ragContext: ragContext, // Pass RAG context to workflow
+        sources,
+        retrievalIntent: intent.intent
+      };
+      if (recorder) {
+        recorder.phase = 'workflow';
+      }
+      const workflowPromise = workflow.execute(workflowInput, env);
       
       // Set a timeout of 45 seconds (Cloudflare Workers have a 60s limit for free tier)
       // Reduced from 50s to account for retry logic overhead
@@ -647,37 +217,14 @@ export default {
         : String(result.response || "I apologize, but I couldn't generate a response. Please try again.");
 
       // Store the conversation in Durable Object
-      try {
-      await durableObject.fetch('http://internal/api/sessions', {
-        method: 'POST',
-        body: JSON.stringify({
-          sessionId: sessionId || 'default',
-            messages: result.conversationHistory || []
-        })
-      });
-      } catch (storageError) {
-        console.warn('⚠️ Failed to store conversation:', storageError);
-        // Continue even if storage fails
-      }
+      await this.storeConversation(durableObject, sessionId, owner, result);
 
-      // Calculate confidence based on tool execution
-      const agentMetadata = result.agent || { isAgent: true, toolsUsed: [], usedTools: false };
-      const confidence = agentMetadata.usedTools ? 'high' : 'high'; // Can be enhanced based on tool results
+      const payload = buildChatPayload(result, responseText, sessionId);
+      if (recorder) {
+        payload.trace = recorder.finish(workflowInput, result);
+      }
 
-      return new Response(JSON.stringify({
-        response: responseText,
-        sessionId: result.sessionId || sessionId || 'default',
-        timestamp: result.timestamp || Date.now(),
-        conversationLength: result.conversationLength || 0,
-        model: result.model || 'unknown',
-        processingTime: result.processingTime || 0,
-        confidence: confidence, // Add confidence indicator
-        // Agent metadata
-        agent: {
-          ...agentMetadata,
-          confidence: confidence
-        }
-      }), {
+      return new Response(JSON.stringify(payload), {
         headers: { 
           ...corsHeaders, 
           'Content-Type': 'application/json' 
@@ -721,6 +268,404 @@ This is required to use Cloudflare Workers AI. Once authenticated, I'll be able
     }
   },
 
+  // Runs the workflow in streaming mode and turns its events into SSE.
+  // The client gets `token`, `tool_call` and `tool_result` events while the
+  // agent works, then one `metadata` event with the same payload the JSON
+  // endpoint returns (agent, model, processingTime, ...). Errors show up as an
+  // `error` event because the 200 status is already on the wire by then
+  streamChatResponse(input, env, corsHeaders, durableObject) {
+    const sse = createSSEStream(corsHeaders);
+
+    const run = async () => {
+      try {
+        sse.send('start', { sessionId: input.sessionId, timestamp: Date.now() });
+
+        const workflow = new ChatWorkflow();
+        const result = await workflow.execute({
+          ...input,
+          onEvent: (event, data) => sse.send(event, data)
+        }, env);
+
+        if (!result || !result.response) {
+          throw new Error('The agent workflow did not return a valid response');
+        }
+
+        const responseText = typeof result.response === 'string'
+          ? result.response
+          : String(result.response);
+
+        await this.storeConversation(durableObject, input.sessionId, input.owner, result);
+        await sse.send('metadata', buildChatPayload(result, responseText, input.sessionId));
+      } catch (error) {
+        console.error('Streaming chat error:', error);
+        await sse.send('error', {
+          error: 'Internal server error',
+          details: error.message || String(error)
+        });
+      } finally {
+        await sse.close();
+      }
+    };
+
+    run();
+    return sse.response;
+  },
+
+  // Pulls the stored history for a session out of its Durable Object, or
+  // null if the session doesn't exist or belongs to someone else. If the
+  // store is unreachable we carry on with an empty history rather than fail
+  async loadConversationHistory(durableObject, sessionId, owner) {
+    try {
+      const response = await durableObject.fetch(sessionUrl('/api/sessions/history', { sessionId, owner }));
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`History request failed with status ${response.status}`);
+      }
+      const data = await response.json();
+      return (data.messages || []).map(msg => ({
+        role: msg.role,
+        content: msg.content
+      }));
+    } catch (error) {
+      console.warn('⚠️ Failed to load conversation history:', error);
+      return [];
+    }
+  },
+
+  // Document ids pinned to the session - retrieval sticks to these when set
+  async loadPinnedDocuments(durableObject, sessionId, owner) {
+    try {
+      const response = await durableObject.fetch(sessionUrl('/api/sessions/documents', { sessionId, owner }));
+      if (!response.ok) {
+        throw new Error(`Pinned documents request failed with status ${response.status}`);
+      }
+      const data = await response.json();
+      return data.documentIds || [];
+    } catch (error) {
+      console.warn('⚠️ Failed to load pinned documents:', error);
+      return [];
+    }
+  },
+
+  // Attaches a freshly uploaded document to the session. If this fails the
+  // upload is still searchable from the session, just not pinned
+  async pinDocumentToSession(env, sessionId, owner, documentId) {
+    try {
+      await this.getSessionObject(env, sessionId).fetch(
+        sessionUrl('/api/sessions/documents', { sessionId, owner }),
+        { method: 'POST', body: JSON.stringify({ documentIds: [documentId] }) }
+      );
+    } catch (error) {
+      console.warn('⚠️ Failed to pin document to session:', error);
+    }
+  },
+
+  async storeConversation(durableObject, sessionId, owner, result) {
+    try {
+      // The workflow returns history + this turn; only the last two entries
+      // (user message and agent answer) are new
+      const newMessages = (result.conversationHistory || []).slice(-2);
+      await durableObject.fetch(sessionUrl('/api/sessions', { sessionId, owner }), {
+        method: 'POST',
+        body: JSON.stringify({ messages: newMessages })
+      });
+    } catch (storageError) {
+      console.warn('⚠️ Failed to store conversation:', storageError);
+      // Continue even if storage fails
+    }
+  },
+
+  // Session management REST API:
+  //   GET    /api/sessions                     - list sessions (most recent first)
+  //   POST   /api/sessions                     - create a session { title? }
+  //   GET    /api/sessions/:id                 - session metadata
+  //   PATCH  /api/sessions/:id                 - rename { title }
+  //   DELETE /api/sessions/:id                 - delete session + history
+  //   GET    /api/sessions/:id/messages        - history, ?limit=&cursor=&order=asc|desc
+  // Each session lives in its own Durable Object; the list comes from the
+  // signed-in owner's directory object, which their sessions report to.
+  // Every call carries the verified owner (auth.js) - a session someone else
+  // started while signed in is a 404, see ChatSession.fetch
+  async handleSessionsRequest(request, env, corsHeaders) {
+    const url = new URL(request.url);
+    const parts = url.pathname.split('/').filter(Boolean).slice(2); // drop "api", "sessions"
+    const owner = await getAuthenticatedOwner(request, env);
+
+    const forward = async (durableObject, internalPath, params = {}, init = {}) => {
+      const response = await durableObject.fetch(sessionUrl(internalPath, { ...params, owner }), init);
+      return new Response(response.body, {
+        status: response.status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    };
+
+    try {
+      if (parts.length === 0) {
+        if (request.method === 'GET') {
+          // Anonymous sessions aren't listed anywhere - there's no one to list them for
+          if (!owner) {
+            return jsonResponse({ error: 'Sign in to list your sessions' }, 401, corsHeaders);
+          }
+          const directory = env.CHAT_SESSION.get(env.CHAT_SESSION.idFromName(getDirectoryName(owner)));
+          return forward(directory, '/api/sessions', { limit: url.searchParams.get('limit') });
+        }
+        if (request.method === 'POST') {
+          const body = await request.text();
+          return jsonResponse(await this.createSession(env, owner, body || '{}'), 200, corsHeaders);
+        }
+        return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+      }
+
+      const sessionId = decodeURIComponent(parts[0]);
+      if (!sessionId || isReservedSessionId(sessionId)) {
+        return jsonResponse({ error: 'Session not found' }, 404, corsHeaders);
+      }
+      const durableObject = this.getSessionObject(env, sessionId);
+
+      if (parts.length === 1) {
+        if (!['GET', 'PATCH', 'DELETE'].includes(request.method)) {
+          return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+        }
+        return forward(durableObject, '/api/sessions/info', { sessionId }, {
+          method: request.method,
+          body: request.method === 'PATCH' ? await request.text() : undefined
+        });
+      }
+
+      // Pinned documents: GET / PUT / POST the list, DELETE one by id
+      if (parts[1] === 'documents' && parts.length <= 3) {
+        if (parts.length === 3) {
+          if (request.method !== 'DELETE') {
+            return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+          }
+          return forward(durableObject, '/api/sessions/documents', {
+            sessionId,
+            documentId: decodeURIComponent(parts[2])
+          }, { method: 'DELETE' });
+        }
+        if (!['GET', 'PUT', 'POST'].includes(request.method)) {
+          return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+        }
+        return forward(durableObject, '/api/sessions/documents', { sessionId }, {
+          method: request.method,
+          body: request.method === 'GET' ? undefined : await request.text()
+        });
+      }
+
+      if (parts.length === 2 && parts[1] === 'messages') {
+        if (request.method !== 'GET') {
+          return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+        }
+        return forward(durableObject, '/api/sessions/messages', {
+          sessionId,
+          limit: url.searchParams.get('limit'),
+          cursor: url.searchParams.get('cursor'),
+          order: url.searchParams.get('order')
+        });
+      }
+
+      return jsonResponse({ error: 'Not Found' }, 404, corsHeaders);
+    } catch (error) {
+      console.error('Session API error:', error);
+      return jsonResponse({ error: 'Internal server error', details: error.message }, 500, corsHeaders);
+    }
+  },
+
+  // Document library REST API:
+  //   GET    /api/documents?sessionId=      - list uploads (newest first), ?limit=
+  //   GET    /api/documents/:id?sessionId=  - one document
+  //   GET    /api/documents/:id/text?sessionId= - the full text extracted from it
+  //   DELETE /api/documents/:id?sessionId=  - delete it, its vectors and its pins
+  // You always have to say whose documents you're asking about - anything
+  // outside that session is a 404. Signed-in users (Cloudflare Access, see
+  // auth.js) can leave out sessionId to get all of theirs
+  async handleDocumentsRequest(request, env, corsHeaders) {
+    const url = new URL(request.url);
+    const parts = url.pathname.split('/').filter(Boolean).slice(2); // drop "api", "documents"
+    const sessionId = url.searchParams.get('sessionId');
+    const owner = await getAuthenticatedOwner(request, env);
+
+    if (parts.length > 2 || (parts.length === 2 && parts[1] !== 'text')) {
+      return jsonResponse({ error: 'Not Found' }, 404, corsHeaders);
+    }
+    const scopeError = await this.checkLibraryScope(env, sessionId, owner, corsHeaders);
+    if (scopeError) return scopeError;
+
+    const library = getDocumentLibrary(env, { sessionId, owner });
+    const internalUrl = (internalPath, params = {}) => {
+      const target = new URL(`http://internal${internalPath}`);
+      for (const [key, value] of Object.entries({ sessionId, owner, ...params })) {
+        if (value !== null && value !== undefined) target.searchParams.set(key, value);
+      }
+      return target.toString();
+    };
+
+    try {
+      if (parts.length === 0) {
+        if (request.method !== 'GET') {
+          return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+        }
+        const response = await library.fetch(internalUrl('/documents', { limit: url.searchParams.get('limit') }));
+        return jsonResponse(await response.json(), response.status, corsHeaders);
+      }
+
+      if (parts.length === 2) {
+        if (request.method !== 'GET') {
+          return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+        }
+        const response = await library.fetch(internalUrl('/documents/text', { id: decodeURIComponent(parts[0]) }));
+        return jsonResponse(await response.json(), response.status, corsHeaders);
+      }
+
+      if (!['GET', 'DELETE'].includes(request.method)) {
+        return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+      }
+
+      const itemUrl = internalUrl('/documents/item', { id: decodeURIComponent(parts[0]) });
+      const found = await library.fetch(itemUrl);
+      if (request.method === 'GET' || !found.ok) {
+        return jsonResponse(await found.json(), found.status, corsHeaders);
+      }
+
+      // Vectors first - if that fails the registry entry stays so the delete
+      // can be retried instead of leaving orphaned chunks nobody can find
+      const { document } = await found.json();
+      const deletedVectors = await deleteDocumentVectors(document.id, document.chunkCount, env, { sessionId, owner });
+      if (document.sessionId) {
+        await this.unpinDocumentFromSession(env, document.sessionId, owner, document.id);
+      }
+      await library.fetch(itemUrl, { method: 'DELETE' });
+
+      return jsonResponse({ success: true, documentId: document.id, deletedVectors }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Document API error:', error);
+      return jsonResponse({ error: 'Internal server error', details: error.message }, 500, corsHeaders);
+    }
+  },
+
+  // GET /api/jobs/:id?sessionId=... - where an upload is at: queued,
+  // extracting, chunking, embedding, indexing, then ready or failed (with
+  // `error`). Scoped like /api/documents, since a job carries the filename,
+  // session and owner of the upload
+  async handleJobRequest(request, env, corsHeaders) {
+    if (request.method !== 'GET') {
+      return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+    }
+    const url = new URL(request.url);
+    const parts = url.pathname.split('/').filter(Boolean).slice(2); // drop "api", "jobs"
+    if (parts.length !== 1) {
+      return jsonResponse({ error: 'Not Found' }, 404, corsHeaders);
+    }
+    const sessionId = url.searchParams.get('sessionId');
+    const owner = await getAuthenticatedOwner(request, env);
+    const scopeError = await this.checkLibraryScope(env, sessionId, owner, corsHeaders);
+    if (scopeError) return scopeError;
+
+    try {
+      const target = new URL('http://internal/jobs/item');
+      for (const [key, value] of Object.entries({ id: decodeURIComponent(parts[0]), sessionId, owner })) {
+        if (value) target.searchParams.set(key, value);
+      }
+      const response = await getDocumentLibrary(env, { sessionId, owner }).fetch(target.toString());
+      return jsonResponse(await response.json(), response.status, corsHeaders);
+    } catch (error) {
+      console.error('Job API error:', error);
+      return jsonResponse({ error: 'Internal server error', details: error.message }, 500, corsHeaders);
+    }
+  },
+
+  // What /api/documents and /api/jobs are scoped to: the signed-in owner, or a
+  // sessionId - but only once its session object says the caller may open it
+  // (one we issued, and theirs if it has an owner), so a guessed or someone
+  // else's id never reaches the library. Returns the error response, if any
+  async checkLibraryScope(env, sessionId, owner, corsHeaders) {
+    if (!sessionId && !owner) {
+      return jsonResponse({ error: 'sessionId query parameter is required' }, 400, corsHeaders);
+    }
+    if (isReservedSessionId(sessionId)) {
+      return jsonResponse({ error: 'Invalid sessionId' }, 400, corsHeaders);
+    }
+    if (sessionId && !(await this.canAccessSession(env, sessionId, owner))) {
+      return jsonResponse({ error: 'Session not found' }, 404, corsHeaders);
+    }
+    return null;
+  },
+
+  // Runs an eval dataset (see eval.js) against this deployment's bindings and
+  // returns the report plus its Markdown. Body: { dataset, label, k, judge,
+  // baseline } - baseline is an earlier report to compare with. It ingests a
+  // whole corpus and asks every question, so it's off unless EVAL_ENDPOINT = "on".
+  // npm run eval (eval/run.mjs) is the client
+  async handleEvalRequest(request, env, corsHeaders) {
+    if (env.EVAL_ENDPOINT !== 'on') {
+      return jsonResponse({ error: 'The eval endpoint is off - set EVAL_ENDPOINT = "on" in [vars]' }, 403, corsHeaders);
+    }
+    if (request.method !== 'POST') {
+      return jsonResponse({ error: 'Method Not Allowed' }, 405, corsHeaders);
+    }
+
+    let body;
+    try {
+      body = await request.json();
+      validateDataset(body.dataset);
+      if (body.judge && !FAITHFULNESS_JUDGES[body.judge]) {
+        throw new Error(`Unknown faithfulness judge: ${body.judge}`);
+      }
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid eval request', details: error.message }, 400, corsHeaders);
+    }
+
+    try {
+      const report = await runEval(body.dataset, env, {
+        k: Number(body.k) || undefined,
+        label: body.label || null,
+        judge: body.judge || undefined
+      });
+      return jsonResponse({ report, markdown: formatEvalReport(report, body.baseline || null) }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Eval error:', error);
+      return jsonResponse({ error: 'Eval failed', details: error.message }, 500, corsHeaders);
+    }
+  },
+
+  async unpinDocumentFromSession(env, sessionId, owner, documentId) {
+    try {
+      await this.getSessionObject(env, sessionId).fetch(
+        sessionUrl('/api/sessions/documents', { sessionId, owner, documentId }),
+        { method: 'DELETE' }
+      );
+    } catch (error) {
+      console.warn('⚠️ Failed to unpin deleted document:', error);
+    }
+  },
+
+  // Starts a session with a fresh random id - returns { sessionId, session }.
+  // body is the JSON POST /api/sessions got ({ title }), if any
+  async createSession(env, owner, body = '{}') {
+    const sessionId = crypto.randomUUID();
+    const response = await this.getSessionObject(env, sessionId).fetch(
+      sessionUrl('/api/sessions/create', { sessionId, owner }),
+      { method: 'POST', body }
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to create session: ${response.status}`);
+    }
+    return response.json();
+  },
+
+  // Whether the session exists and this caller may use it (ChatSession
+  // answers 404 otherwise)
+  async canAccessSession(env, sessionId, owner) {
+    const response = await this.getSessionObject(env, sessionId).fetch(sessionUrl('/api/sessions/info', { sessionId, owner }));
+    return response.ok;
+  },
+
+  getSessionObject(env, sessionId) {
+    return env.CHAT_SESSION.get(env.CHAT_SESSION.idFromName(sessionId));
+  },
+
   async callLlamaAI(env, messages) {
     try {
        const currentDate = new Date().toLocaleDateString('en-US', { 
@@ -789,12 +734,30 @@ Always cite sources when using web search results.`;
   },
 
   async handleWebSocket(request, env) {
-    // Get or create Durable Object instance for WebSocket handling
-    const durableObjectId = env.CHAT_SESSION.idFromName('websocket-session');
+    if (request.headers.get('Upgrade') !== 'websocket') {
+      return new Response('Expected WebSocket upgrade', { status: 426 });
+    }
+
+    // One Durable Object per session - the same one /api/chat uses for that
+    // sessionId, so both transports share history. New clients without a
+    // sessionId get a fresh one
+    const url = new URL(request.url);
+    if (isReservedSessionId(url.searchParams.get('sessionId'))) {
+      return new Response('Invalid sessionId', { status: 400 });
+    }
+    // The session object reads the owner from the URL - only ever the one
+    // Cloudflare Access vouched for (see auth.js)
+    const owner = await getAuthenticatedOwner(request, env);
+    const sessionId = url.searchParams.get('sessionId') || (await this.createSession(env, owner)).sessionId;
+    url.searchParams.set('sessionId', sessionId);
+    url.searchParams.delete('owner');
+    if (owner) url.searchParams.set('owner', owner);
+
+    const durableObjectId = env.CHAT_SESSION.idFromName(sessionId);
     const durableObject = env.CHAT_SESSION.get(durableObjectId);
 
     // Forward WebSocket request to Durable Object
-    return durableObject.fetch(request);
+    return durableObject.fetch(new Request(url.toString(), request));
   },
 
   async handleDocumentUpload(request, env, corsHeaders) {
@@ -805,26 +768,20 @@ Always cite sources when using web search results.`;
       });
     }
 
-    // Debug: Check Vectorize binding availability
-    const hasVectorize = !!(env.VECTORIZE || env.vectorize || env.Vectorize);
-    if (!hasVectorize) {
-      return new Response(JSON.stringify({ 
-        success: false,
-        error: 'Vectorize binding not available',
-        message: 'The Vectorize binding is not available in the current environment.',
-        details: 'This usually means the dev server is running in local mode (--local flag) or the binding is not properly configured.',
-        suggestion: 'Please restart the dev server WITHOUT the --local flag:\n1. Stop the server (Ctrl+C)\n2. Run: npm run dev\n3. Make sure wrangler.toml has the Vectorize binding configured'
-      }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      });
-    }
-    
+    // No Vectorize binding (local mode) is fine - rag.js falls back to the
+    // local vector index, see local-vector-store.js
     try {
       const formData = await request.formData();
       const url = formData.get('url');
       const file = formData.get('file');
 
+      // Every upload belongs to a session (and to the signed-in user, if
+      // there is one - see auth.js) so other people's chats can never retrieve it
+      const owner = await getAuthenticatedOwner(request, env);
+      if (isReservedSessionId(formData.get('sessionId'))) {
+        return jsonResponse({ error: 'Invalid sessionId' }, 400, corsHeaders);
+      }
+
       if (!url && !file) {
         return new Response(JSON.stringify({ 
           error: 'Either URL or file is required' 
@@ -834,33 +791,37 @@ Always cite sources when using web search results.`;
         });
       }
 
-      let result;
+      // An upload without a session starts a new one (see handleChatRequest).
+      // One that names a session has to be allowed into it
+      let sessionId = formData.get('sessionId');
+      if (sessionId && !(await this.canAccessSession(env, sessionId, owner))) {
+        return jsonResponse({ error: 'Session not found' }, 404, corsHeaders);
+      }
+      sessionId = sessionId || (await this.createSession(env, owner)).sessionId;
+
+      // Processing happens in the background (see document-library.js) - here
+      // we just validate the upload and queue it
+      const job = new FormData();
+      job.append('sessionId', sessionId);
+      if (owner) job.append('owner', owner);
+
+      let type;
       if (url) {
-        // Process URL
-        result = await processDocument(url, 'url', null, env);
+        type = 'url';
+        job.append('source', url);
       } else if (file) {
-        // Process file
-        
-        // Check file type
+        // Work out the format from the extension / MIME type - extractors.js
+        // has the list of what we can read
         const fileType = file.type || '';
         const fileName = file.name || '';
-        const lowerFileName = fileName.toLowerCase();
-        
-        const isPDF = fileType.includes('pdf') || lowerFileName.endsWith('.pdf');
-        const isText = fileType.includes('text') || lowerFileName.endsWith('.txt');
-        const isImage = fileType.startsWith('image/') || 
-                       lowerFileName.endsWith('.jpg') || 
-                       lowerFileName.endsWith('.jpeg') || 
-                       lowerFileName.endsWith('.png') || 
-                       lowerFileName.endsWith('.gif') || 
-                       lowerFileName.endsWith('.webp') || 
-                       lowerFileName.endsWith('.bmp');
+        type = detectDocumentType(fileName, fileType);
+        const definition = type ? getDocumentType(type) : null;
         
-        if (!isPDF && !isText && !isImage) {
+        if (!definition) {
           return new Response(JSON.stringify({ 
             error: 'Unsupported file type',
-            message: `File type "${fileType || 'unknown'}" is not supported. Please upload a PDF, text file, or image.`,
-            suggestion: 'Supported formats: PDF (.pdf), Text (.txt), or Images (.jpg, .jpeg, .png, .gif, .webp, .bmp)'
+            message: `File type "${fileType || (fileName.includes('.') ? fileName.split('.').pop() : 'unknown')}" is not supported.`,
+            suggestion: `Supported formats: ${describeSupportedTypes()}`
           }), {
             status: 400,
             headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -880,8 +841,8 @@ Always cite sources when using web search results.`;
           });
         }
         
-        // Check file size (limit to 10MB for documents, 5MB for images)
-        const maxSize = isImage ? 5 * 1024 * 1024 : 10 * 1024 * 1024; // 5MB for images, 10MB for documents
+        // Each format has its own size limit (5MB for images, 10MB for documents)
+        const maxSize = definition.maxSize;
         if (arrayBuffer.byteLength > maxSize) {
           return new Response(JSON.stringify({ 
             error: 'File too large',
@@ -893,61 +854,49 @@ Always cite sources when using web search results.`;
           });
         }
         
-        // For text files, extract directly
-        if (isText) {
-          try {
-            // Try UTF-8 first, fallback to other encodings if needed
-            let text;
-            try {
-              text = new TextDecoder('utf-8', { fatal: false }).decode(arrayBuffer);
-            } catch (e) {
-              // Fallback to latin1 if UTF-8 fails
-              text = new TextDecoder('latin1', { fatal: false }).decode(arrayBuffer);
-            }
-            
-            if (!text || text.trim().length === 0) {
-              return new Response(JSON.stringify({ 
-                error: 'Empty text file',
-                message: 'The text file appears to be empty or contains no readable content.',
-                suggestion: 'Please check the file and ensure it contains text content.'
-              }), {
-                status: 400,
-                headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-              });
-            }
-            
-            result = await processDocument(text, 'text', null, env);
-          } catch (textError) {
-            console.error('Error processing text file:', textError);
-            throw new Error(`Failed to process text file: ${textError.message}`);
-          }
-        } else if (isImage) {
-          // For image files, use image processing
-          try {
-            result = await processDocument(fileName, 'image', arrayBuffer, env);
-          } catch (imageError) {
-            console.error('❌ Image processing error:', imageError);
-            const errorMsg = imageError.message || 'Unknown error';
-            
-            // Provide more specific error message for image processing failures
-            if (errorMsg.includes('vision models') || errorMsg.includes('not available')) {
-              throw new Error(`Image processing failed: Vision models are not available in your Cloudflare Workers AI plan.\n\nVision models require a paid plan. Alternatives:\n1. Describe the image in text and ask questions about it\n2. Use OCR tools to extract text from images before uploading\n3. Upgrade your Cloudflare Workers AI plan`);
-            } else {
-              throw new Error(`Failed to process image: ${errorMsg}`);
-            }
-          }
-        } else {
-          // For PDF files, use PDF extraction
-          result = await processDocument(file.name, 'pdf', arrayBuffer, env);
+        // For text formats, make sure there's actually something readable in there
+        if (!definition.binary && decodeText(arrayBuffer).trim().length === 0) {
+          return new Response(JSON.stringify({ 
+            error: 'Empty text file',
+            message: 'The text file appears to be empty or contains no readable content.',
+            suggestion: 'Please check the file and ensure it contains text content.'
+          }), {
+            status: 400,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
         }
+        
+        job.append('file', new Blob([arrayBuffer]));
+        job.append('source', fileName || `${type} upload`);
       }
 
+      const documentId = createDocumentId(type);
+      job.append('type', type);
+      job.append('documentId', documentId);
+
+      const queued = await getDocumentLibrary(env, { sessionId, owner }).fetch('http://internal/jobs', {
+        method: 'POST',
+        body: job
+      });
+      const queuedData = await queued.json();
+      if (!queued.ok) {
+        throw new Error(queuedData.error || 'Failed to queue document');
+      }
+
+      // Pinned right away, so a "summarize this" sent while the job is still
+      // running waits for this document instead of answering from an older one
+      await this.pinDocumentToSession(env, sessionId, owner, documentId);
+
       return new Response(JSON.stringify({
         success: true,
-        documentId: result.documentId,
-        chunks: result.chunks,
-        message: 'Document processed and stored successfully'
+        jobId: queuedData.job.id,
+        documentId,
+        sessionId,
+        stage: queuedData.job.stage,
+        statusUrl: `/api/jobs/${queuedData.job.id}?sessionId=${encodeURIComponent(sessionId)}`,
+        message: 'Document queued for processing'
       }), {
+        status: 202,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
 
@@ -1013,7 +962,7 @@ Always cite sources when using web search results.`;
       service: 'AI Agent with Function Calling & RAG',
       version: '2.1.0',
       mode: 'agent',
-      capabilities: ['function_calling', 'tool_use', 'autonomous_decision_making', 'rag', 'vectorize']
+      capabilities: ['function_calling', 'tool_use', 'autonomous_decision_making', 'rag', 'vectorize', 'streaming', 'openai_compatible', 'document_library', 'async_ingestion']
     }), {
       headers: { 
         ...corsHeaders, 
@@ -1023,5 +972,29 @@ Always cite sources when using web search results.`;
   }
 };
 
-// Export the Durable Object class
-export { ChatSession };
+// The session directories (see chat-session.js) are ChatSession objects too.
+// A client that sent one's name as a sessionId would be chatting in it,
+// pinning uploads to it, or listening on its sockets
+function isReservedSessionId(sessionId) {
+  return typeof sessionId === 'string' && sessionId.startsWith(SESSION_DIRECTORY_NAME);
+}
+
+// Internal URL for a session object call - null params are left out, so an
+// anonymous caller just has no owner
+function sessionUrl(path, params) {
+  const url = new URL(`http://internal${path}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined) url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+function jsonResponse(data, status, corsHeaders) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+// Export the Durable Object classes
+export { ChatSession, DocumentLibrary };
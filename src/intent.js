@@ -0,0 +1,315 @@
+// retrieval intent router - decides what (if anything) we should retrieve for
+// a chat message: nothing, the uploaded documents, an uploaded image, or the web.
+// This replaced a few hundred lines of lowerMessage.includes(...) checks that
+// kept firing on stuff like "text me a joke" and missing real document questions.
+//
+// Classifiers are pluggable - each one is just { name, classify(message) } where
+// classify resolves to { intent, confidence, scores }. The router tries them in
+// order and takes the first confident answer, so the cheap ones can go last as
+// a safety net. Everything takes its dependencies as arguments (embed / run
+// functions), so you can feed it fixture messages without a real AI binding.
+
+import { embedTexts } from './embeddings.js';
+
+const CLASSIFIER_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+const SOFTMAX_TEMPERATURE = 0.05; // cosine scores are close together, this spreads them out
+
+export const INTENTS = {
+  NONE: 'none',
+  DOCUMENT: 'document',
+  IMAGE: 'image',
+  WEB_SEARCH: 'web_search'
+};
+
+// Example messages for each intent. The embedding classifier compares the
+// incoming message against these, so adding a phrasing here is usually all
+// it takes to fix a misroute
+export const INTENT_EXAMPLES = {
+  [INTENTS.NONE]: [
+    'hi',
+    'hello there, how are you?',
+    'text me a joke',
+    'tell me a joke',
+    'thanks, that was helpful',
+    'explain how quicksort works',
+    'write a python function that reverses a string',
+    'what is 15% of 240?',
+    'convert 100 USD to EUR',
+    'what is the capital of France?'
+  ],
+  [INTENTS.DOCUMENT]: [
+    'summarize the document',
+    'summarize this pdf',
+    'what does the file say about pricing?',
+    'explain this',
+    'what is this document about?',
+    'review my resume',
+    'what skills are listed on my cv?',
+    'according to the uploaded file, when is the deadline?',
+    'find the section about refunds in the document',
+    'what are the key points of the article I sent?'
+  ],
+  [INTENTS.IMAGE]: [
+    'what is in this image?',
+    'describe the picture',
+    'what do you see in the photo?',
+    'what does the image show?',
+    'what colors are in the picture I uploaded?',
+    'is there a person in the photo?',
+    'read the text in this screenshot'
+  ],
+  [INTENTS.WEB_SEARCH]: [
+    'what is the latest news today?',
+    'who won the game last night?',
+    'what is the current price of bitcoin?',
+    'what happened in the election this week?',
+    'what are the newest AI releases in 2025?',
+    'search the web for cloudflare workers pricing'
+  ]
+};
+
+// Embedding-similarity classifier: embeds the examples once, then scores a
+// message by its best cosine match per intent. `embed` takes an array of
+// strings and resolves to an array of vectors
+export function createEmbeddingClassifier({ embed, examples = INTENT_EXAMPLES } = {}) {
+  if (typeof embed !== 'function') {
+    throw new Error('createEmbeddingClassifier needs an embed(texts) function');
+  }
+
+  let prototypes = null; // { intent: [vector, ...] }, built on first use
+
+  const loadPrototypes = async () => {
+    if (prototypes) return prototypes;
+
+    const intents = Object.keys(examples);
+    const texts = intents.flatMap(intent => examples[intent]);
+    const vectors = await embed(texts);
+
+    const built = {};
+    let offset = 0;
+    for (const intent of intents) {
+      built[intent] = vectors.slice(offset, offset + examples[intent].length);
+      offset += examples[intent].length;
+    }
+    prototypes = built;
+    return prototypes;
+  };
+
+  return {
+    name: 'embedding',
+    async classify(message) {
+      const protos = await loadPrototypes();
+      const [vector] = await embed([message]);
+
+      const scores = {};
+      for (const [intent, vectors] of Object.entries(protos)) {
+        scores[intent] = Math.max(...vectors.map(v => cosineSimilarity(vector, v)));
+      }
+
+      return pickBest(softmax(scores, SOFTMAX_TEMPERATURE), scores);
+    }
+  };
+}
+
+// Small-model classifier: asks a fast LLM to label the message. `run` takes
+// chat messages and resolves to the model's text
+export function createModelClassifier({ run } = {}) {
+  if (typeof run !== 'function') {
+    throw new Error('createModelClassifier needs a run(messages) function');
+  }
+
+  const labels = Object.values(INTENTS);
+
+  return {
+    name: 'model',
+    async classify(message) {
+      const text = await run([
+        {
+          role: 'system',
+          content: `You route chat messages for an assistant that can read the user's uploaded documents and images and search the web.
+Reply with JSON only: {"intent": "<one of ${labels.join(', ')}>", "confidence": <0 to 1>}.
+- document: the user asks about a file, PDF, link or text they uploaded
+- image: the user asks about a picture or photo they uploaded
+- web_search: the user needs current or recent information
+- none: anything else (chit-chat, general knowledge, coding, math)`
+        },
+        { role: 'user', content: message }
+      ]);
+
+      const parsed = parseModelLabel(text);
+      if (!parsed || !labels.includes(parsed.intent)) {
+        return { intent: INTENTS.NONE, confidence: 0, scores: {} };
+      }
+
+      const confidence = clamp(Number(parsed.confidence) || 0, 0, 1);
+      return { intent: parsed.intent, confidence, scores: { [parsed.intent]: confidence } };
+    }
+  };
+}
+
+// Keyword classifier - the last resort when there's no AI binding (or the
+// other classifiers failed). Whole-word matches only, so "text me a joke"
+// doesn't count as a document question anymore
+export function createKeywordClassifier() {
+  const patterns = {
+    [INTENTS.IMAGE]: /\b(image|picture|photo|screenshot|what do you see)\b/,
+    [INTENTS.DOCUMENT]: /\b(document|pdf|file|resume|cv|uploaded|attached|article|the link|the url)\b/,
+    [INTENTS.WEB_SEARCH]: /\b(latest|news|today|this week|right now|current(ly)?|20(2[5-9]))\b/
+  };
+  const followUp = /^(summari[sz]e|explain|analy[sz]e|describe|review)( (this|it|that))?\W*$/;
+
+  return {
+    name: 'keyword',
+    async classify(message) {
+      const lower = message.toLowerCase().trim();
+      const scores = {};
+
+      for (const [intent, pattern] of Object.entries(patterns)) {
+        if (pattern.test(lower)) scores[intent] = 0.7;
+      }
+      // "Explain?" / "summarize it" right after an upload is about the document
+      if (!scores[INTENTS.DOCUMENT] && !scores[INTENTS.IMAGE] && followUp.test(lower)) {
+        scores[INTENTS.DOCUMENT] = 0.6;
+      }
+
+      // Images beat documents ("the photo I uploaded"), both beat the web
+      for (const intent of [INTENTS.IMAGE, INTENTS.DOCUMENT, INTENTS.WEB_SEARCH]) {
+        if (scores[intent]) {
+          return { intent, confidence: scores[intent], scores };
+        }
+      }
+      return { intent: INTENTS.NONE, confidence: 0.6, scores: { [INTENTS.NONE]: 0.6 } };
+    }
+  };
+}
+
+// Runs the classifiers in order and returns the first result at or above
+// minConfidence. If nobody is confident we go with the best guess we saw
+export function createIntentRouter({ classifiers, minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  if (!Array.isArray(classifiers) || classifiers.length === 0) {
+    throw new Error('createIntentRouter needs at least one classifier');
+  }
+
+  return {
+    async route(message) {
+      let best = null;
+
+      for (const classifier of classifiers) {
+        try {
+          const result = await classifier.classify(message);
+          const decision = { ...result, classifier: classifier.name };
+          if (decision.confidence >= minConfidence) {
+            return decision;
+          }
+          if (!best || decision.confidence > best.confidence) {
+            best = decision;
+          }
+        } catch (error) {
+          console.warn(`⚠️ Intent classifier "${classifier.name}" failed:`, error.message || error);
+        }
+      }
+
+      return best || { intent: INTENTS.NONE, confidence: 0, scores: {}, classifier: 'none' };
+    }
+  };
+}
+
+// The router the chat paths use. INTENT_CLASSIFIER picks the primary
+// classifier ('embedding' by default, or 'model' / 'keyword'); the keyword one
+// always sits at the end as the fallback. Cached per AI binding so the example
+// embeddings only get computed once per isolate
+const routerCache = new WeakMap();
+
+export function getIntentRouter(env) {
+  const cacheKey = env.AI || env;
+  const cached = routerCache.get(cacheKey);
+  if (cached && cached.mode === env.INTENT_CLASSIFIER) {
+    return cached.router;
+  }
+
+  const classifiers = [];
+  if (env.AI && env.INTENT_CLASSIFIER !== 'keyword') {
+    if (env.INTENT_CLASSIFIER === 'model') {
+      classifiers.push(createModelClassifier({
+        run: async (messages) => {
+          const result = await env.AI.run(CLASSIFIER_MODEL, { messages, max_tokens: 50, temperature: 0 });
+          return result?.response || '';
+        }
+      }));
+    } else {
+      classifiers.push(createEmbeddingClassifier({
+        embed: (texts) => embedTexts(texts, env)
+      }));
+    }
+  }
+  classifiers.push(createKeywordClassifier());
+
+  const router = createIntentRouter({ classifiers });
+  routerCache.set(cacheKey, { mode: env.INTENT_CLASSIFIER, router });
+  return router;
+}
+
+// Convenience wrapper that also logs the decision
+export async function classifyRetrievalIntent(message, env) {
+  const decision = await getIntentRouter(env).route(message);
+  console.log(`🧭 Retrieval intent: ${decision.intent} (confidence ${decision.confidence.toFixed(2)}, via ${decision.classifier})`);
+  return decision;
+}
+
+// Which document questions are about the whole document rather than one
+// detail - those get the stored summary (see retrieval.js). Whole words, like
+// the keyword classifier, so "summary" counts but "unexplained" doesn't
+const SUMMARY_REQUEST = /\b(summari[sz]e|summary|tl;?dr|overview|explain|analy[sz]e|describe)\b|\b(what does (it|this) say|what is (it|this) about|tell me about)\b/;
+
+export function isSummaryRequest(message) {
+  return typeof message === 'string' && SUMMARY_REQUEST.test(message.toLowerCase());
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function softmax(scores, temperature) {
+  const entries = Object.entries(scores);
+  const max = Math.max(...entries.map(([, score]) => score));
+  const exps = entries.map(([intent, score]) => [intent, Math.exp((score - max) / temperature)]);
+  const total = exps.reduce((sum, [, value]) => sum + value, 0);
+  return Object.fromEntries(exps.map(([intent, value]) => [intent, value / total]));
+}
+
+function pickBest(probabilities, scores) {
+  let intent = INTENTS.NONE;
+  let confidence = 0;
+  for (const [candidate, probability] of Object.entries(probabilities)) {
+    if (probability > confidence) {
+      intent = candidate;
+      confidence = probability;
+    }
+  }
+  return { intent, confidence, scores };
+}
+
+// Pulls the JSON object out of the model's reply (they love adding prose around it)
+function parseModelLabel(text) {
+  const match = typeof text === 'string' ? text.match(/\{[\s\S]*?\}/) : null;
+  if (!match) return null;
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    return null;
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,176 @@
+// Keyword (BM25) index over chunk text. Vector search is good at "what is this
+// about" but bad at exact strings - an error code like E-1042, a part number
+// or a surname all embed to something vague and the right chunk doesn't come
+// back. This index catches those, and search.js fuses its ranking with the
+// Vectorize one.
+//
+// It lives in the DocumentLibrary's SQLite next to the document registry:
+// keyword_chunks has one row per chunk (its scope and length), and
+// keyword_postings one row per (term, chunk) with how often the term appears.
+// Chunk ids are the same as the vector ids, so a match can be looked up in
+// Vectorize. Everything here takes the Durable Object's `sql` handle
+
+const BM25_K1 = 1.2; // how quickly repeating a term stops adding to the score
+const BM25_B = 0.75; // how much long chunks get penalized
+const MAX_QUERY_TERMS = 32;
+const MAX_TERM_LENGTH = 64;
+
+// Words that are in nearly every chunk and only add noise to the scores
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for',
+  'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their',
+  'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+export function initializeKeywordSchema(sql) {
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS keyword_chunks (
+      id TEXT PRIMARY KEY,
+      document_id TEXT NOT NULL,
+      session_id TEXT,
+      owner TEXT,
+      length INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_keyword_chunks_document ON keyword_chunks (document_id);
+    CREATE INDEX IF NOT EXISTS idx_keyword_chunks_session ON keyword_chunks (session_id);
+    CREATE INDEX IF NOT EXISTS idx_keyword_chunks_owner ON keyword_chunks (owner);
+
+    CREATE TABLE IF NOT EXISTS keyword_postings (
+      term TEXT NOT NULL,
+      chunk_id TEXT NOT NULL,
+      frequency INTEGER NOT NULL,
+      PRIMARY KEY (term, chunk_id)
+    ) WITHOUT ROWID;
+    CREATE INDEX IF NOT EXISTS idx_keyword_postings_chunk ON keyword_postings (chunk_id);
+  `);
+}
+
+// Lowercased words and numbers, minus stopwords. Identifiers that hold
+// together with - _ . : / or # (E-1042, ERR_TIMEOUT, v2.3.1, KB#55) are kept
+// whole *and* split into their parts, so "E-1042" matches exactly but "1042"
+// still finds it. No stemming - exact terms are the whole point of this index
+export function tokenize(text) {
+  const tokens = [];
+  const keep = (term) => {
+    if (term.length > MAX_TERM_LENGTH || STOPWORDS.has(term)) return;
+    if (term.length < 2 && !/\d/.test(term)) return;
+    tokens.push(term);
+  };
+
+  const matches = String(text || '').toLowerCase().matchAll(/[\p{L}\p{N}]+(?:[-_.:/#][\p{L}\p{N}]+)*/gu);
+  for (const [word] of matches) {
+    keep(word);
+    if (/[-_.:/#]/.test(word)) {
+      word.split(/[-_.:/#]/).forEach(keep);
+    }
+  }
+  return tokens;
+}
+
+// (Re)indexes a document's chunks. chunkTexts are in chunk order, so chunk i
+// gets the vector id `${documentId}-chunk-${i}`
+export function indexDocumentChunks(sql, documentId, chunkTexts, { sessionId = null, owner = null } = {}) {
+  deleteDocumentChunks(sql, documentId);
+
+  let postings = 0;
+  chunkTexts.forEach((text, index) => {
+    const chunkId = `${documentId}-chunk-${index}`;
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+
+    sql.exec(
+      'INSERT INTO keyword_chunks (id, document_id, session_id, owner, length) VALUES (?, ?, ?, ?, ?)',
+      chunkId, documentId, sessionId, owner, terms.length
+    );
+    for (const [term, frequency] of frequencies) {
+      sql.exec(
+        'INSERT INTO keyword_postings (term, chunk_id, frequency) VALUES (?, ?, ?)',
+        term, chunkId, frequency
+      );
+    }
+    postings += frequencies.size;
+  });
+
+  console.log(`🔤 Indexed ${chunkTexts.length} chunks (${postings} terms) for keyword search: ${documentId}`);
+}
+
+export function deleteDocumentChunks(sql, documentId) {
+  sql.exec(
+    'DELETE FROM keyword_postings WHERE chunk_id IN (SELECT id FROM keyword_chunks WHERE document_id = ?)',
+    documentId
+  );
+  sql.exec('DELETE FROM keyword_chunks WHERE document_id = ?', documentId);
+}
+
+// BM25 over the chunks the filter allows - the same { owner | sessionId,
+// documentId: { $in } } filter rag.js builds for Vectorize. Document
+// frequencies and the average length are computed within that scope too, so
+// other people's uploads don't skew the scores.
+// Returns [{ id, documentId, score }] best first
+export function searchKeywordIndex(sql, query, filter, topK) {
+  const terms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+  const scope = scopeClause(filter);
+  if (terms.length === 0 || !scope) return [];
+
+  const stats = sql.exec(
+    `SELECT COUNT(*) AS count, AVG(length) AS average FROM keyword_chunks c WHERE ${scope.clause}`,
+    ...scope.params
+  ).toArray()[0];
+  if (!stats?.count) return [];
+
+  const postings = sql.exec(
+    `SELECT p.term, p.chunk_id, p.frequency, c.document_id, c.length
+     FROM keyword_postings p JOIN keyword_chunks c ON c.id = p.chunk_id
+     WHERE p.term IN (${terms.map(() => '?').join(', ')}) AND ${scope.clause}`,
+    ...terms, ...scope.params
+  ).toArray();
+
+  const documentFrequency = new Map();
+  for (const posting of postings) {
+    documentFrequency.set(posting.term, (documentFrequency.get(posting.term) || 0) + 1);
+  }
+
+  const averageLength = stats.average || 1;
+  const scores = new Map();
+  for (const posting of postings) {
+    const df = documentFrequency.get(posting.term);
+    const idf = Math.log(1 + (stats.count - df + 0.5) / (df + 0.5));
+    const tf = posting.frequency;
+    const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * posting.length / averageLength);
+    const entry = scores.get(posting.chunk_id) || { id: posting.chunk_id, documentId: posting.document_id, score: 0 };
+    entry.score += idf * (tf * (BM25_K1 + 1)) / norm;
+    scores.set(posting.chunk_id, entry);
+  }
+
+  return [...scores.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+// WHERE clause for a retrieval filter, or null when it names neither an owner
+// nor a session - same rule as similaritySearch, no scope means no results
+function scopeClause(filter = {}) {
+  const conditions = [];
+  const params = [];
+  if (filter.owner) {
+    conditions.push('c.owner = ?');
+    params.push(filter.owner);
+  } else if (filter.sessionId) {
+    conditions.push('c.session_id = ?');
+    params.push(filter.sessionId);
+  } else {
+    return null;
+  }
+
+  const documentIds = filter.documentId?.$in;
+  if (Array.isArray(documentIds) && documentIds.length > 0) {
+    conditions.push(`c.document_id IN (${documentIds.map(() => '?').join(', ')})`);
+    params.push(...documentIds);
+  }
+  return { clause: conditions.join(' AND '), params };
+}
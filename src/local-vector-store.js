@@ -0,0 +1,208 @@
+// Local vector index - a stand-in for Vectorize when there's no binding, e.g.
+// `wrangler dev` without --remote. It has the same upsert / query / getByIds /
+// deleteByIds surface, so rag.js doesn't care which one it's talking to, and
+// does a brute-force cosine search over every stored vector. That's fine for
+// the few thousand chunks you'd upload while developing, not for production.
+//
+// Vectors are kept in the DocumentLibrary's SQLite (so they survive restarts
+// and every isolate sees the same ones), next to their documents in the
+// scope's library - the library uses the table directly, everyone else goes
+// through its /vectors routes. Without a DOCUMENT_LIBRARY binding either,
+// they're kept in memory for as long as the isolate lives
+
+import { getDocumentLibrary } from './document-library.js';
+
+// Same limits Vectorize has, so code that works here works there too
+const MAX_TOP_K = 100;
+const MAX_TOP_K_WITH_METADATA = 20;
+
+let memoryIndex = null;
+let announced = false;
+
+export function hasVectorizeBinding(env) {
+  return !!(env.VECTORIZE || env.vectorize || env.Vectorize);
+}
+
+// The Vectorize binding if there is one, otherwise the local index. scope
+// ({ sessionId, owner }) picks the library the local vectors are in
+export function getVectorIndex(env, scope = {}) {
+  const vectorize = env.VECTORIZE || env.vectorize || env.Vectorize;
+  if (vectorize) {
+    return vectorize;
+  }
+
+  if (!announced) {
+    console.log(`🧪 No Vectorize binding - using the local vector index (${env.DOCUMENT_LIBRARY ? 'document library SQLite' : 'in memory'})`);
+    announced = true;
+  }
+  if (env.DOCUMENT_LIBRARY) {
+    return createLibraryVectorIndex(env, scope);
+  }
+  memoryIndex = memoryIndex || createMemoryVectorIndex();
+  return memoryIndex;
+}
+
+export function initializeVectorSchema(sql) {
+  sql.exec(`
+    CREATE TABLE IF NOT EXISTS local_vectors (
+      id TEXT PRIMARY KEY,
+      vector BLOB NOT NULL,
+      metadata TEXT NOT NULL
+    );
+  `);
+}
+
+// The index on top of the DocumentLibrary's SQLite. Values are stored as
+// float32 like Vectorize does
+export function createSqlVectorIndex(sql) {
+  return createVectorIndex({
+    put(id, values, metadata) {
+      sql.exec(
+        `INSERT INTO local_vectors (id, vector, metadata) VALUES (?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET vector = excluded.vector, metadata = excluded.metadata`,
+        id, new Float32Array(values).buffer, JSON.stringify(metadata)
+      );
+    },
+    get(ids) {
+      return ids.flatMap(id => sql.exec('SELECT * FROM local_vectors WHERE id = ?', id).toArray().map(fromRow));
+    },
+    remove(ids) {
+      for (const id of ids) {
+        sql.exec('DELETE FROM local_vectors WHERE id = ?', id);
+      }
+    },
+    all() {
+      return sql.exec('SELECT * FROM local_vectors').toArray().map(fromRow);
+    }
+  });
+}
+
+export function createMemoryVectorIndex() {
+  const vectors = new Map();
+  return createVectorIndex({
+    put(id, values, metadata) {
+      vectors.set(id, { id, values: Array.from(new Float32Array(values)), metadata });
+    },
+    get(ids) {
+      return ids.filter(id => vectors.has(id)).map(id => vectors.get(id));
+    },
+    remove(ids) {
+      ids.forEach(id => vectors.delete(id));
+    },
+    all() {
+      return [...vectors.values()];
+    }
+  });
+}
+
+// Talks to the scope's DocumentLibrary index over its /vectors routes - what
+// the worker and the chat sessions use
+export function createLibraryVectorIndex(env, scope) {
+  const call = async (operation, body) => {
+    const library = getDocumentLibrary(env, scope);
+    const response = await library.fetch(`http://internal/vectors/${operation}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `Local vector index ${operation} failed: ${response.status}`);
+    }
+    return result;
+  };
+
+  return {
+    upsert: async (vectors) => call('upsert', { vectors }),
+    query: async (vector, options = {}) => call('query', { vector: Array.from(vector), options }),
+    getByIds: async (ids) => (await call('get', { ids })).vectors,
+    deleteByIds: async (ids) => call('delete', { ids })
+  };
+}
+
+// Vectorize's behaviour on top of a plain store (put / get / remove / all)
+function createVectorIndex(store) {
+  return {
+    async upsert(vectors) {
+      for (const vector of vectors) {
+        if (!vector.id || !vector.values?.length) {
+          throw new Error('Every vector needs an id and values');
+        }
+        store.put(String(vector.id), vector.values, vector.metadata || {});
+      }
+      return { count: vectors.length, ids: vectors.map(vector => String(vector.id)) };
+    },
+
+    async query(vector, { topK = 5, returnMetadata = false, returnValues = false, filter = {} } = {}) {
+      const withMetadata = !!returnMetadata && returnMetadata !== 'none';
+      const limit = withMetadata || returnValues ? MAX_TOP_K_WITH_METADATA : MAX_TOP_K;
+      if (topK > limit) {
+        throw new Error(`topK can be at most ${limit} when returning metadata or values`);
+      }
+
+      const matches = store.all()
+        .filter(stored => stored.values.length === vector.length && matchesFilter(stored.metadata, filter))
+        .map(stored => ({ stored, score: cosineSimilarity(vector, stored.values) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map(({ stored, score }) => ({
+          id: stored.id,
+          score,
+          ...(withMetadata ? { metadata: stored.metadata } : {}),
+          ...(returnValues ? { values: stored.values } : {})
+        }));
+      return { count: matches.length, matches };
+    },
+
+    async getByIds(ids) {
+      return store.get(ids.map(String));
+    },
+
+    async deleteByIds(ids) {
+      store.remove(ids.map(String));
+      return { count: ids.length, ids };
+    }
+  };
+}
+
+// The metadata filter operators Vectorize supports: a plain value (equals),
+// $eq, $ne, $in and $nin
+function matchesFilter(metadata, filter) {
+  return Object.entries(filter || {}).every(([key, condition]) => {
+    const value = metadata?.[key];
+    if (condition === null || typeof condition !== 'object') {
+      return value === condition;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return value === operand;
+        case '$ne': return value !== operand;
+        case '$in': return operand.includes(value);
+        case '$nin': return !operand.includes(value);
+        default: throw new Error(`Unsupported filter operator ${operator}`);
+      }
+    });
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function fromRow(row) {
+  // Copy the bytes so the Float32Array is aligned whatever SQLite handed back
+  const bytes = new Uint8Array(row.vector).slice();
+  return {
+    id: row.id,
+    values: Array.from(new Float32Array(bytes.buffer)),
+    metadata: JSON.parse(row.metadata)
+  };
+}
@@ -0,0 +1,298 @@
+// OpenAI-compatible API - /v1/chat/completions and /v1/models
+// lets existing OpenAI SDKs and tools talk to the agent by just swapping the
+// base URL. Requests still go through the normal ChatWorkflow (RAG, built-in
+// tools, fallback model), this file only translates the request/response shapes
+
+import { ChatWorkflow, PRIMARY_MODEL, FALLBACK_MODEL } from './workflow.js';
+import { buildRagContext } from './retrieval.js';
+import { createSSEStream } from './streaming.js';
+import { getAuthenticatedOwner } from './auth.js';
+
+const SUPPORTED_MODELS = [PRIMARY_MODEL, FALLBACK_MODEL];
+const VALID_ROLES = ['system', 'user', 'assistant', 'tool'];
+const MAX_MESSAGE_LENGTH = 2000; // same limit the workflow enforces
+const REQUEST_TIMEOUT_MS = 45000;
+
+// POST /v1/chat/completions. ctx keeps a streamed answer running after the
+// response has been returned
+export async function handleChatCompletions(request, env, corsHeaders, ctx) {
+  if (request.method !== 'POST') {
+    return openAIError('Method Not Allowed', 'invalid_request_error', null, 405, corsHeaders);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return openAIError('Request body must be valid JSON', 'invalid_request_error', null, 400, corsHeaders);
+  }
+
+  const invalid = validateRequest(body);
+  if (invalid) {
+    return openAIError(invalid.message, 'invalid_request_error', invalid.param, 400, corsHeaders);
+  }
+
+  // The system prompt is ours - client system messages stay in the list as
+  // extra instructions after it instead of replacing it
+  const messages = body.messages.map(normalizeMessage);
+  const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+  const model = SUPPORTED_MODELS.includes(body.model) ? body.model : PRIMARY_MODEL;
+
+  try {
+    // There's no session here, so documents are only searched for a user
+    // signed in through Cloudflare Access (see auth.js) - all of theirs.
+    // `user` is just a label, anyone can send any
+    const owner = await getAuthenticatedOwner(request, env);
+    const scope = owner ? { owner } : {};
+    const { context: ragContext, intent, sources } = await buildRagContext(lastUserMessage.content, env, {
+      scope,
+      conversationHistory: messages.slice(0, messages.lastIndexOf(lastUserMessage))
+    });
+
+    const input = {
+      message: lastUserMessage.content,
+      messages,
+      sessionId: typeof body.user === 'string' && body.user ? body.user : 'openai',
+      ragContext,
+      sources,
+      retrievalIntent: intent.intent,
+      model,
+      tools: body.tools,
+      toolChoice: body.tool_choice,
+      temperature: body.temperature,
+      maxTokens: body.max_tokens ?? body.max_completion_tokens
+    };
+
+    if (body.stream === true) {
+      return streamCompletion(input, env, corsHeaders, ctx);
+    }
+
+    const result = await withTimeout(new ChatWorkflow().execute(input, env));
+
+    return new Response(JSON.stringify(buildCompletion(result, model)), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    console.error('Chat completions error:', error);
+    return openAIError(error.message || String(error), 'server_error', null, 500, corsHeaders);
+  }
+}
+
+// GET /v1/models
+export function handleListModels(request, corsHeaders) {
+  if (request.method !== 'GET') {
+    return openAIError('Method Not Allowed', 'invalid_request_error', null, 405, corsHeaders);
+  }
+
+  return new Response(JSON.stringify({
+    object: 'list',
+    data: SUPPORTED_MODELS.map(id => ({
+      id,
+      object: 'model',
+      created: 0,
+      owned_by: 'cloudflare'
+    }))
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+// Streams chat.completion.chunk objects as data-only SSE, ending with [DONE].
+// The content comes from the workflow's token events, which only carry the
+// final answer (see emitAnswer in workflow.js)
+function streamCompletion(input, env, corsHeaders, ctx) {
+  const sse = createSSEStream(corsHeaders);
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+
+  const chunk = (delta, finishReason = null) => ({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model: input.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  const run = async () => {
+    try {
+      sse.sendData(chunk({ role: 'assistant', content: '' }));
+
+      const workflow = new ChatWorkflow();
+      const result = await withTimeout(workflow.execute({
+        ...input,
+        onEvent: (event, data) => {
+          if (event === 'token' && data.token) {
+            sse.sendData(chunk({ content: data.token }));
+          }
+        }
+      }, env));
+
+      const toolCalls = formatToolCalls(result?.pendingToolCalls);
+      if (toolCalls) {
+        sse.sendData(chunk({
+          tool_calls: toolCalls.map((call, index) => ({ index, ...call }))
+        }));
+      }
+      sse.sendData(chunk({}, toolCalls ? 'tool_calls' : 'stop'));
+    } catch (error) {
+      console.error('Streaming chat completions error:', error);
+      await sse.sendData({
+        error: { message: error.message || String(error), type: 'server_error', param: null, code: null }
+      });
+    } finally {
+      await sse.sendData('[DONE]');
+      await sse.close();
+    }
+  };
+
+  const running = run();
+  ctx?.waitUntil?.(running);
+  return sse.response;
+}
+
+// Rejects once the workflow has taken REQUEST_TIMEOUT_MS, streaming or not
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Request timeout: The AI is taking too long to respond.')), REQUEST_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Turns a workflow result into an OpenAI chat.completion object
+function buildCompletion(result, model) {
+  const toolCalls = formatToolCalls(result?.pendingToolCalls);
+  const message = {
+    role: 'assistant',
+    content: toolCalls ? (result.response || null) : (result?.response || '')
+  };
+  if (toolCalls) {
+    message.tool_calls = toolCalls;
+  }
+
+  const completion = {
+    id: `chatcmpl-${crypto.randomUUID()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message,
+      finish_reason: toolCalls ? 'tool_calls' : 'stop'
+    }],
+    usage: {
+      prompt_tokens: result?.usage?.prompt_tokens || 0,
+      completion_tokens: result?.usage?.completion_tokens || 0,
+      total_tokens: result?.usage?.total_tokens || 0
+    }
+  };
+
+  // Not part of OpenAI's format, but clients ignore unknown fields and this is
+  // what the [n] markers in RAG answers point to
+  if (result?.sources?.length > 0) {
+    completion.sources = result.sources;
+  }
+  return completion;
+}
+
+// Tool calls the client has to run, in OpenAI's shape (arguments is a JSON string)
+function formatToolCalls(calls) {
+  if (!Array.isArray(calls) || calls.length === 0) return null;
+
+  return calls.map(call => ({
+    id: `call_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string'
+        ? call.arguments
+        : JSON.stringify(call.arguments || {})
+    }
+  }));
+}
+
+// Flattens content parts into plain text (Workers AI wants strings) and keeps
+// the tool-calling fields so tool results can be sent back in
+function normalizeMessage(msg) {
+  let content = msg.content;
+  if (Array.isArray(content)) {
+    content = content
+      .filter(part => part?.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+
+  const normalized = { role: msg.role, content: content || '' };
+  if (msg.name) normalized.name = msg.name;
+  if (msg.tool_call_id) normalized.tool_call_id = msg.tool_call_id;
+  if (Array.isArray(msg.tool_calls)) normalized.tool_calls = msg.tool_calls;
+  return normalized;
+}
+
+// Returns { message, param } for the first problem found, or null if the body is fine
+function validateRequest(body) {
+  if (!body || !Array.isArray(body.messages) || body.messages.length === 0) {
+    return { message: "'messages' must be a non-empty array", param: 'messages' };
+  }
+
+  for (let i = 0; i < body.messages.length; i++) {
+    const msg = body.messages[i];
+    if (!msg || !VALID_ROLES.includes(msg.role)) {
+      return { message: `Invalid role at messages[${i}]: expected one of ${VALID_ROLES.join(', ')}`, param: `messages[${i}].role` };
+    }
+  }
+
+  const lastUser = [...body.messages].reverse().find(msg => msg.role === 'user');
+  if (!lastUser) {
+    return { message: 'At least one user message is required', param: 'messages' };
+  }
+  const lastUserText = normalizeMessage(lastUser).content;
+  if (!lastUserText.trim()) {
+    return { message: 'The last user message must have text content', param: 'messages' };
+  }
+  if (lastUserText.length > MAX_MESSAGE_LENGTH) {
+    return { message: `Message too long: maximum ${MAX_MESSAGE_LENGTH} characters`, param: 'messages' };
+  }
+
+  if (body.tools !== undefined) {
+    if (!Array.isArray(body.tools) || body.tools.some(tool => tool?.type !== 'function' || !tool.function?.name)) {
+      return { message: "'tools' must be an array of { type: 'function', function: { name, ... } }", param: 'tools' };
+    }
+  }
+
+  // 'required' and { function: { name } } can't be honoured - the agent
+  // decides for itself whether a tool is needed, so they'd quietly act like
+  // 'auto' (or leave no tools at all, for a name that isn't in 'tools').
+  // Better to say so
+  const toolChoice = body.tool_choice;
+  if (toolChoice === 'required' || (toolChoice && typeof toolChoice === 'object')) {
+    const named = toolChoice?.function?.name;
+    if (named && !(body.tools || []).some(tool => tool.function.name === named)) {
+      return { message: `'tool_choice' names '${named}', which isn't in 'tools'`, param: 'tool_choice' };
+    }
+    return { message: "'tool_choice' can only be 'auto' or 'none' - the agent can't be made to call a tool", param: 'tool_choice' };
+  }
+  if (toolChoice !== undefined && !['none', 'auto'].includes(toolChoice)) {
+    return { message: "'tool_choice' must be 'none' or 'auto'", param: 'tool_choice' };
+  }
+
+  if (body.temperature !== undefined && (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 2)) {
+    return { message: "'temperature' must be a number between 0 and 2", param: 'temperature' };
+  }
+
+  const maxTokens = body.max_tokens ?? body.max_completion_tokens;
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+    return { message: "'max_tokens' must be a positive integer", param: 'max_tokens' };
+  }
+
+  return null;
+}
+
+function openAIError(message, type, param, status, corsHeaders) {
+  return new Response(JSON.stringify({
+    error: { message, type, param, code: null }
+  }), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
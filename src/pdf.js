@@ -0,0 +1,1016 @@
+// PDF text extraction without a PDF library. The old extractor regex-scanned
+// the raw bytes for BT/ET blocks, which only works when content streams are
+// stored uncompressed - almost no modern PDF does that, so we mostly got
+// metadata junk. This one actually reads the file:
+// - finds every object (including ones packed into compressed object streams)
+// - walks the page tree so text comes out page by page, in order
+// - inflates FlateDecode streams with DecompressionStream
+// - maps character codes through the font's ToUnicode CMap, or its encoding
+//   (WinAnsi / MacRoman / Differences) for simple fonts without one
+// - runs the content stream operators (Tj, TJ, ', ", Td, Tm, T*, ...) and uses
+//   glyph widths to work out where the spaces and line breaks go
+// Scanned (image-only) and encrypted PDFs still give you nothing - there's no
+// text in the first and we don't do decryption
+
+const MAX_FORM_DEPTH = 5; // form XObjects can nest, and some files loop
+const MAX_CMAP_RANGE = 65536;
+const DEFAULT_GLYPH_WIDTH = 500; // thousandths of an em, for fonts without widths
+
+// Returns [{ pageNumber, text }] - one entry per page, 1-based like a PDF viewer
+export async function extractPdfPages(data) {
+  const pdf = new PdfFile(data instanceof Uint8Array ? data : new Uint8Array(data));
+  await pdf.load();
+
+  const pages = [];
+  const pageDicts = pdf.getPages();
+  for (let i = 0; i < pageDicts.length; i++) {
+    const text = await pdf.extractPageText(pageDicts[i]);
+    pages.push({ pageNumber: i + 1, text: cleanPageText(text) });
+  }
+  return pages;
+}
+
+class PdfFile {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.src = bytesToBinaryString(bytes);
+    this.objects = new Map(); // object number -> value (streams are { dict, raw })
+    this.trailers = [];
+    this.fontCache = new Map();
+  }
+
+  async load() {
+    if (!this.src.slice(0, 1024).includes('%PDF-')) {
+      throw new Error('Not a PDF file');
+    }
+
+    this.scanObjects();
+    this.scanTrailers();
+    if (this.trailers.some(trailer => trailer.Encrypt)) {
+      throw new Error('This PDF is encrypted');
+    }
+    await this.loadObjectStreams();
+  }
+
+  // Walks the file for "N G obj ... endobj" instead of trusting the xref table,
+  // which is broken surprisingly often. Stream data is skipped over so binary
+  // content can't produce fake matches. Later definitions win (incremental saves)
+  scanObjects() {
+    const header = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = header.exec(this.src)) !== null) {
+      const lexer = new PdfLexer(this.src, header.lastIndex, { refs: true });
+      let value;
+      try {
+        value = lexer.readValue();
+      } catch (error) {
+        continue;
+      }
+
+      lexer.skipWhitespace();
+      if (isDict(value) && this.src.startsWith('stream', lexer.pos)) {
+        let start = lexer.pos + 6;
+        if (this.src[start] === '\r') start++;
+        if (this.src[start] === '\n') start++;
+
+        const endstream = this.src.indexOf('endstream', start);
+        if (endstream === -1) break;
+        value = { dict: value, start, end: endstream, raw: null };
+        header.lastIndex = endstream + 9;
+      } else {
+        header.lastIndex = lexer.pos;
+      }
+
+      this.objects.set(Number(match[1]), value);
+    }
+  }
+
+  // Classic "trailer << ... >>" dictionaries plus cross-reference streams,
+  // which is where /Root and /Encrypt live in newer files
+  scanTrailers() {
+    const trailer = /trailer\s*<</g;
+    let match;
+    while ((match = trailer.exec(this.src)) !== null) {
+      try {
+        const lexer = new PdfLexer(this.src, match.index + 7, { refs: true });
+        this.trailers.push(lexer.readValue());
+      } catch (error) {
+        // broken trailer, the others (or the catalog search) will do
+      }
+    }
+    for (const value of this.objects.values()) {
+      if (isStream(value) && value.dict.Type === '/XRef') {
+        this.trailers.push(value.dict);
+      }
+    }
+  }
+
+  // PDF 1.5+ packs most non-stream objects (pages, fonts, ...) into
+  // compressed /ObjStm streams. Anything defined directly takes precedence
+  async loadObjectStreams() {
+    for (const value of [...this.objects.values()]) {
+      if (!isStream(value) || value.dict.Type !== '/ObjStm') continue;
+
+      const data = await this.decodeStream(value);
+      if (!data) continue;
+
+      const content = bytesToBinaryString(data);
+      const count = this.resolve(value.dict.N);
+      const first = this.resolve(value.dict.First);
+      const header = new PdfLexer(content, 0);
+      const entries = [];
+      for (let i = 0; i < count; i++) {
+        const objectNumber = header.readValue();
+        const offset = header.readValue();
+        if (typeof objectNumber !== 'number' || typeof offset !== 'number') break;
+        entries.push([objectNumber, offset]);
+      }
+
+      for (const [objectNumber, offset] of entries) {
+        if (this.objects.has(objectNumber)) continue;
+        try {
+          this.objects.set(objectNumber, new PdfLexer(content, first + offset, { refs: true }).readValue());
+        } catch (error) {
+          // skip the one broken object
+        }
+      }
+    }
+  }
+
+  resolve(value, depth = 0) {
+    while (isRef(value) && depth++ < 20) {
+      value = this.objects.get(value.num);
+    }
+    return value;
+  }
+
+  // Pages in reading order, each with the /Resources it inherits from the tree
+  getPages() {
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (node, inheritedResources) => {
+      if (isRef(node)) {
+        if (visited.has(node.num)) return;
+        visited.add(node.num);
+      }
+      const dict = this.resolve(node);
+      if (!isDict(dict)) return;
+
+      const resources = dict.Resources !== undefined ? dict.Resources : inheritedResources;
+      const kids = this.resolve(dict.Kids);
+      if (dict.Type === '/Pages' || Array.isArray(kids)) {
+        for (const kid of kids || []) walk(kid, resources);
+      } else {
+        pages.push({ dict, resources: this.resolve(resources) });
+      }
+    };
+
+    const root = this.trailers.map(trailer => this.resolve(trailer.Root)).find(isDict)
+      || [...this.objects.values()].find(value => isDict(value) && value.Type === '/Catalog');
+    if (root) {
+      walk(root.Pages, undefined);
+    }
+
+    // No usable page tree - fall back to every /Page object in file order
+    if (pages.length === 0) {
+      const numbers = [...this.objects.keys()].sort((a, b) => a - b);
+      for (const number of numbers) {
+        const value = this.objects.get(number);
+        if (isDict(value) && value.Type === '/Page') {
+          pages.push({ dict: value, resources: this.resolve(value.Resources) });
+        }
+      }
+    }
+    return pages;
+  }
+
+  async extractPageText(page) {
+    let contents = this.resolve(page.dict.Contents);
+    if (!Array.isArray(contents)) contents = contents ? [contents] : [];
+
+    // A page's content can be split over several streams - they're one
+    // program, so glue them together before running it
+    const parts = [];
+    for (const item of contents) {
+      const stream = this.resolve(item);
+      if (!isStream(stream)) continue;
+      const data = await this.decodeStream(stream);
+      if (data) parts.push(bytesToBinaryString(data));
+    }
+
+    const output = new TextOutput();
+    await this.runContent(parts.join('\n'), page.resources, output, 0);
+    return output.toString();
+  }
+
+  // Interprets a content stream, sending text to `output`. Only the text
+  // operators matter - everything else just clears the operand stack
+  async runContent(content, resources, output, depth) {
+    const lexer = new PdfLexer(content, 0);
+    const state = new TextState();
+    const saved = [];
+    let operands = [];
+
+    while (true) {
+      let token;
+      try {
+        token = lexer.readValue();
+      } catch (error) {
+        break; // a broken stream still gives us the text before the damage
+      }
+      if (token === undefined) break;
+      if (!isOperator(token)) {
+        operands.push(token);
+        continue;
+      }
+
+      switch (token.op) {
+        case 'BT':
+          state.beginText();
+          break;
+        case 'Tf':
+          state.font = await this.getFont(resources, operands[0]);
+          state.fontSize = numberOr(operands[1], state.fontSize);
+          break;
+        case 'TL':
+          state.leading = numberOr(operands[0], state.leading);
+          break;
+        case 'Tc':
+          state.charSpacing = numberOr(operands[0], 0);
+          break;
+        case 'Tz':
+          state.horizontalScale = numberOr(operands[0], 100) / 100;
+          break;
+        case 'Td':
+          state.moveLine(numberOr(operands[0], 0), numberOr(operands[1], 0));
+          break;
+        case 'TD':
+          state.leading = -numberOr(operands[1], 0);
+          state.moveLine(numberOr(operands[0], 0), numberOr(operands[1], 0));
+          break;
+        case 'Tm':
+          state.setMatrix(operands.map(value => numberOr(value, 0)));
+          break;
+        case 'T*':
+          state.moveLine(0, -state.leading);
+          break;
+        case 'Tj':
+          state.show(operands[0], output);
+          break;
+        case "'":
+          state.moveLine(0, -state.leading);
+          state.show(operands[0], output);
+          break;
+        case '"':
+          state.moveLine(0, -state.leading);
+          state.show(operands[2], output);
+          break;
+        case 'TJ':
+          for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+            if (typeof item === 'number') {
+              state.adjust(item); // negative numbers move right - that's how word gaps are made
+            } else {
+              state.show(item, output);
+            }
+          }
+          break;
+        case 'q':
+          saved.push(state.save());
+          break;
+        case 'Q':
+          if (saved.length > 0) state.restore(saved.pop());
+          break;
+        case 'Do':
+          if (depth < MAX_FORM_DEPTH) {
+            await this.runForm(resources, operands[0], output, depth);
+          }
+          break;
+        case 'ID':
+          lexer.skipInlineImage();
+          break;
+      }
+      operands = [];
+    }
+  }
+
+  // Form XObjects are reusable chunks of content - headers, footers and
+  // whole pages are often drawn this way
+  async runForm(resources, name, output, depth) {
+    const xobjects = this.resolve(resources?.XObject);
+    const xobject = isDict(xobjects) && typeof name === 'string' ? this.resolve(xobjects[name.slice(1)]) : null;
+    if (!isStream(xobject) || xobject.dict.Subtype !== '/Form') return;
+
+    const data = await this.decodeStream(xobject);
+    if (!data) return;
+
+    output.newline();
+    const formResources = this.resolve(xobject.dict.Resources) || resources;
+    await this.runContent(bytesToBinaryString(data), formResources, output, depth + 1);
+    output.newline();
+  }
+
+  async getFont(resources, name) {
+    const fonts = this.resolve(resources?.Font);
+    if (!isDict(fonts) || typeof name !== 'string') return null;
+
+    const entry = fonts[name.slice(1)];
+    const key = isRef(entry) ? entry.num : null;
+    if (key !== null && this.fontCache.has(key)) {
+      return this.fontCache.get(key);
+    }
+
+    const dict = this.resolve(entry);
+    const font = isDict(dict) ? await this.loadFont(dict) : null;
+    if (key !== null) this.fontCache.set(key, font);
+    return font;
+  }
+
+  async loadFont(dict) {
+    const composite = dict.Subtype === '/Type0';
+    const font = {
+      composite,
+      cmap: null,
+      encoding: composite ? null : this.buildEncoding(dict),
+      widths: new Map(),
+      defaultWidth: DEFAULT_GLYPH_WIDTH
+    };
+
+    const toUnicode = this.resolve(dict.ToUnicode);
+    if (isStream(toUnicode)) {
+      const data = await this.decodeStream(toUnicode);
+      if (data) font.cmap = parseCMap(bytesToBinaryString(data));
+    }
+
+    if (composite) {
+      const descendant = this.resolve((this.resolve(dict.DescendantFonts) || [])[0]);
+      if (isDict(descendant)) {
+        font.defaultWidth = numberOr(this.resolve(descendant.DW), 1000);
+        this.readCIDWidths(this.resolve(descendant.W), font.widths);
+      }
+    } else {
+      const widths = this.resolve(dict.Widths);
+      const firstChar = numberOr(this.resolve(dict.FirstChar), 0);
+      if (Array.isArray(widths)) {
+        widths.forEach((width, index) => font.widths.set(firstChar + index, numberOr(this.resolve(width), 0)));
+      }
+    }
+    return font;
+  }
+
+  // /W is [ c [w1 w2 ...] ] (consecutive codes from c) or [ cFirst cLast w ]
+  readCIDWidths(list, widths) {
+    if (!Array.isArray(list)) return;
+    for (let i = 0; i < list.length;) {
+      const first = this.resolve(list[i]);
+      const next = this.resolve(list[i + 1]);
+      if (Array.isArray(next)) {
+        next.forEach((width, index) => widths.set(first + index, numberOr(this.resolve(width), 0)));
+        i += 2;
+      } else {
+        const last = next;
+        const width = numberOr(this.resolve(list[i + 2]), 0);
+        for (let code = first; code <= last && code - first < MAX_CMAP_RANGE; code++) {
+          widths.set(code, width);
+        }
+        i += 3;
+      }
+    }
+  }
+
+  // Byte -> character table for simple fonts: a base encoding plus /Differences
+  buildEncoding(dict) {
+    const encoding = this.resolve(dict.Encoding);
+    const baseName = typeof encoding === 'string' ? encoding : this.resolve(encoding?.BaseEncoding);
+    const table = baseName === '/MacRomanEncoding' ? MAC_ROMAN : WIN_ANSI;
+    const chars = Array.from({ length: 256 }, (_, code) => table(code));
+    if (baseName === '/StandardEncoding') {
+      chars[0x27] = '’';
+      chars[0x60] = '‘';
+    }
+
+    const differences = isDict(encoding) ? this.resolve(encoding.Differences) : null;
+    if (Array.isArray(differences)) {
+      let code = 0;
+      for (const item of differences) {
+        const value = this.resolve(item);
+        if (typeof value === 'number') {
+          code = value;
+        } else if (typeof value === 'string' && code < 256) {
+          chars[code++] = glyphNameToUnicode(value.slice(1));
+        }
+      }
+    }
+    return chars;
+  }
+
+  async decodeStream(stream) {
+    if (!stream.raw) {
+      // /Length is the real end of the data - the endstream search is only a
+      // fallback for when it's missing or wrong
+      const length = this.resolve(stream.dict.Length);
+      let end = stream.end;
+      if (typeof length === 'number' && stream.start + length <= stream.end) {
+        end = stream.start + length;
+      } else {
+        while (end > stream.start && (this.src[end - 1] === '\n' || this.src[end - 1] === '\r')) end--;
+      }
+      stream.raw = this.bytes.subarray(stream.start, end);
+    }
+
+    let filters = this.resolve(stream.dict.Filter);
+    if (!filters) return stream.raw;
+    if (!Array.isArray(filters)) filters = [filters];
+
+    let data = stream.raw;
+    for (const filter of filters.map(value => this.resolve(value))) {
+      if (filter === '/FlateDecode' || filter === '/Fl') {
+        data = await inflate(data);
+      } else if (filter === '/ASCIIHexDecode' || filter === '/AHx') {
+        data = decodeASCIIHex(data);
+      } else if (filter === '/ASCII85Decode' || filter === '/A85') {
+        data = decodeASCII85(data);
+      } else {
+        return null; // images (DCT, JBIG2, ...) and LZW - no text for us in there
+      }
+      if (!data) return null;
+    }
+    return data;
+  }
+}
+
+// Tracks where the "pen" is in text space so we can tell a new word or a new
+// line from the next glyph of the same word. Widths come from the font
+class TextState {
+  constructor() {
+    this.font = null;
+    this.fontSize = 12;
+    this.leading = 0;
+    this.charSpacing = 0;
+    this.horizontalScale = 1;
+    this.beginText();
+    this.pen = null;
+  }
+
+  beginText() {
+    this.matrix = [1, 0, 0, 1, 0, 0];
+    this.lineMatrix = [1, 0, 0, 1, 0, 0];
+  }
+
+  moveLine(tx, ty) {
+    const [a, b, c, d, e, f] = this.lineMatrix;
+    this.lineMatrix = [a, b, c, d, e + tx * a + ty * c, f + tx * b + ty * d];
+    this.matrix = [...this.lineMatrix];
+  }
+
+  setMatrix(values) {
+    if (values.length < 6) return;
+    this.lineMatrix = values.slice(0, 6);
+    this.matrix = [...this.lineMatrix];
+  }
+
+  // Horizontal move in thousandths of an em (TJ numbers and glyph advances)
+  advance(amount) {
+    const distance = amount / 1000 * this.fontSize * this.horizontalScale;
+    this.matrix[4] += distance * this.matrix[0];
+    this.matrix[5] += distance * this.matrix[1];
+  }
+
+  adjust(amount) {
+    this.advance(-amount);
+  }
+
+  show(string, output) {
+    if (!string || typeof string.str !== 'string') return;
+
+    const { text, width, glyphs } = decodeString(string.str, this.font);
+    const [a, b, c, d, x, y] = this.matrix;
+    const em = Math.abs(this.fontSize) * (Math.hypot(a, b) || 1);
+    const lineHeight = Math.abs(this.fontSize) * (Math.hypot(c, d) || 1);
+
+    if (this.pen) {
+      const dx = x - this.pen.x;
+      const dy = y - this.pen.y;
+      if (Math.abs(dy) > lineHeight * 0.5) {
+        output.newline();
+      } else if (dx > em * 0.15 || dx < -em) {
+        output.space();
+      }
+    }
+
+    output.write(text);
+    this.advance(width + this.charSpacing * 1000 / (this.fontSize || 1) * glyphs);
+    this.pen = { x: this.matrix[4], y: this.matrix[5] };
+  }
+
+  save() {
+    return { font: this.font, fontSize: this.fontSize, leading: this.leading, charSpacing: this.charSpacing, horizontalScale: this.horizontalScale };
+  }
+
+  restore(saved) {
+    Object.assign(this, saved);
+  }
+}
+
+// Collects the page text, never doubling up separators
+class TextOutput {
+  constructor() {
+    this.parts = [];
+    this.last = '\n';
+  }
+
+  write(text) {
+    if (!text) return;
+    this.parts.push(text);
+    this.last = text[text.length - 1];
+  }
+
+  space() {
+    if (this.last !== ' ' && this.last !== '\n') this.write(' ');
+  }
+
+  newline() {
+    if (this.last !== '\n') this.write('\n');
+  }
+
+  toString() {
+    return this.parts.join('');
+  }
+}
+
+// Character codes -> text using the font's ToUnicode map, its encoding table,
+// or for composite fonts without a map... nothing (CIDs aren't Unicode and
+// guessing just produces junk). Also returns the total glyph width
+function decodeString(bytes, font) {
+  let text = '';
+  let width = 0;
+  let glyphs = 0;
+  const codeLengths = font?.cmap?.codeLengths.length ? font.cmap.codeLengths : [font?.composite ? 2 : 1];
+
+  for (let i = 0; i < bytes.length;) {
+    let code = null;
+    let length = codeLengths[codeLengths.length - 1];
+    for (const candidate of codeLengths) {
+      const value = readCode(bytes, i, candidate);
+      if (font?.cmap?.map.has(value) || candidate === codeLengths[codeLengths.length - 1]) {
+        code = value;
+        length = candidate;
+        break;
+      }
+    }
+    i += length;
+    glyphs++;
+
+    if (font?.cmap?.map.has(code)) {
+      text += font.cmap.map.get(code);
+    } else if (font?.encoding) {
+      text += font.encoding[code & 0xff] || '';
+    } else if (!font) {
+      text += WIN_ANSI(code & 0xff);
+    }
+    width += font ? (font.widths.get(code) ?? font.defaultWidth) : DEFAULT_GLYPH_WIDTH;
+  }
+  return { text, width, glyphs };
+}
+
+function readCode(bytes, offset, length) {
+  let code = 0;
+  for (let i = 0; i < length; i++) {
+    code = code * 256 + (bytes.charCodeAt(offset + i) || 0);
+  }
+  return code;
+}
+
+// ToUnicode CMaps: codespace ranges tell us how many bytes a code is, and the
+// bfchar / bfrange sections map codes to UTF-16BE strings
+function parseCMap(content) {
+  const map = new Map();
+  const codeLengths = new Set();
+  const lexer = new PdfLexer(content, 0);
+  const values = [];
+  let section = null;
+
+  while (true) {
+    let token;
+    try {
+      token = lexer.readValue();
+    } catch (error) {
+      break;
+    }
+    if (token === undefined) break;
+
+    if (!isOperator(token)) {
+      if (section) values.push(token);
+      continue;
+    }
+
+    if (['begincodespacerange', 'beginbfchar', 'beginbfrange'].includes(token.op)) {
+      section = token.op;
+      values.length = 0;
+    } else if (token.op === 'endcodespacerange') {
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        if (values[i]?.str !== undefined) codeLengths.add(values[i].str.length);
+      }
+      section = null;
+    } else if (token.op === 'endbfchar') {
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        const source = values[i];
+        const target = values[i + 1];
+        if (source?.str === undefined) continue;
+        const code = readCode(source.str, 0, source.str.length);
+        if (target?.str !== undefined) {
+          map.set(code, utf16ToString(target.str));
+        } else if (typeof target === 'string') {
+          map.set(code, glyphNameToUnicode(target.slice(1)));
+        }
+      }
+      section = null;
+    } else if (token.op === 'endbfrange') {
+      for (let i = 0; i + 2 < values.length; i += 3) {
+        const [low, high, target] = values.slice(i, i + 3);
+        if (low?.str === undefined || high?.str === undefined) continue;
+        const start = readCode(low.str, 0, low.str.length);
+        const end = Math.min(readCode(high.str, 0, high.str.length), start + MAX_CMAP_RANGE);
+        for (let code = start; code <= end; code++) {
+          if (Array.isArray(target)) {
+            const item = target[code - start];
+            if (item?.str !== undefined) map.set(code, utf16ToString(item.str));
+          } else if (target?.str !== undefined) {
+            map.set(code, utf16ToString(incrementLastUnit(target.str, code - start)));
+          }
+        }
+      }
+      section = null;
+    }
+  }
+
+  return { map, codeLengths: [...codeLengths].sort((a, b) => a - b) };
+}
+
+// bfrange targets count up from the start value in their last byte pair
+function incrementLastUnit(bytes, amount) {
+  if (amount === 0 || bytes.length < 2) return bytes;
+  const last = readCode(bytes, bytes.length - 2, 2) + amount;
+  return bytes.slice(0, -2) + String.fromCharCode((last >> 8) & 0xff, last & 0xff);
+}
+
+function utf16ToString(bytes) {
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    text += String.fromCharCode(bytes.charCodeAt(i) * 256 + bytes.charCodeAt(i + 1));
+  }
+  return text;
+}
+
+// Tokenizer/parser for PDF syntax - shared by object bodies, content streams
+// and CMaps. Values come back as plain JS:
+//   numbers, booleans, null          -> themselves
+//   names (/Type)                    -> '/Type'
+//   strings ((abc) or <616263>)      -> { str } with the raw bytes as a binary string
+//   arrays / dictionaries            -> arrays / plain objects (keys without the slash)
+//   references (12 0 R)              -> { num, gen } (only with { refs: true })
+//   anything else (Tj, BT, ...)      -> { op }
+class PdfLexer {
+  constructor(src, pos, { refs = false } = {}) {
+    this.src = src;
+    this.pos = pos;
+    this.refs = refs;
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.src.length) {
+      const ch = this.src[this.pos];
+      if (ch === '%') {
+        while (this.pos < this.src.length && this.src[this.pos] !== '\n' && this.src[this.pos] !== '\r') this.pos++;
+      } else if (WHITESPACE.has(ch)) {
+        this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readValue() {
+    this.skipWhitespace();
+    if (this.pos >= this.src.length) return undefined;
+
+    const ch = this.src[this.pos];
+    if (ch === '/') return this.readName();
+    if (ch === '(') return this.readLiteralString();
+    if (ch === '<') {
+      return this.src[this.pos + 1] === '<' ? this.readDictionary() : this.readHexString();
+    }
+    if (ch === '[') return this.readArray();
+    if (ch === ']' || ch === '>' || ch === ')' || ch === '{' || ch === '}') {
+      this.pos++;
+      return { op: ch };
+    }
+
+    const token = this.readToken();
+    if (NUMBER.test(token)) {
+      const number = parseFloat(token);
+      return this.refs && Number.isInteger(number) ? this.maybeReference(number) : number;
+    }
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    return { op: token };
+  }
+
+  readToken() {
+    const start = this.pos;
+    while (this.pos < this.src.length && !WHITESPACE.has(this.src[this.pos]) && !DELIMITERS.has(this.src[this.pos])) {
+      this.pos++;
+    }
+    if (this.pos === start) this.pos++; // lone delimiter we don't handle - don't get stuck
+    return this.src.slice(start, this.pos);
+  }
+
+  // "12 0 R" - only a reference if both the next tokens fit, otherwise rewind
+  maybeReference(number) {
+    const saved = this.pos;
+    this.skipWhitespace();
+    const generation = this.readToken();
+    if (/^\d+$/.test(generation)) {
+      this.skipWhitespace();
+      if (this.readToken() === 'R') {
+        return { num: number, gen: Number(generation) };
+      }
+    }
+    this.pos = saved;
+    return number;
+  }
+
+  readName() {
+    this.pos++;
+    const raw = this.readToken();
+    return '/' + raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readLiteralString() {
+    this.pos++;
+    let depth = 1;
+    let out = '';
+    while (this.pos < this.src.length) {
+      const ch = this.src[this.pos++];
+      if (ch === '\\') {
+        const next = this.src[this.pos++];
+        if (next === undefined) break;
+        if (next in ESCAPES) {
+          out += ESCAPES[next];
+        } else if (next === '\r') {
+          if (this.src[this.pos] === '\n') this.pos++; // line continuation
+        } else if (next === '\n') {
+          // line continuation
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && this.src[this.pos] >= '0' && this.src[this.pos] <= '7') {
+            octal += this.src[this.pos++];
+          }
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else {
+          out += next;
+        }
+      } else if (ch === '(') {
+        depth++;
+        out += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) break;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+    return { str: out };
+  }
+
+  readHexString() {
+    const end = this.src.indexOf('>', this.pos);
+    const stop = end === -1 ? this.src.length : end;
+    let hex = this.src.slice(this.pos + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = stop + 1;
+    if (hex.length % 2 === 1) hex += '0';
+
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    }
+    return { str: out };
+  }
+
+  readArray() {
+    this.pos++;
+    const items = [];
+    while (true) {
+      this.skipWhitespace();
+      if (this.pos >= this.src.length) break;
+      if (this.src[this.pos] === ']') {
+        this.pos++;
+        break;
+      }
+      items.push(this.readValue());
+    }
+    return items;
+  }
+
+  readDictionary() {
+    this.pos += 2;
+    const dict = {};
+    while (true) {
+      this.skipWhitespace();
+      if (this.pos >= this.src.length) break;
+      if (this.src.startsWith('>>', this.pos)) {
+        this.pos += 2;
+        break;
+      }
+      const key = this.readValue();
+      if (typeof key !== 'string') continue; // junk where a key should be - skip it
+      dict[key.slice(1)] = this.readValue();
+    }
+    return dict;
+  }
+
+  // Inline images are raw bytes between "ID" and "EI" - skip them so they
+  // don't get tokenized as text operators
+  skipInlineImage() {
+    const end = /\sEI(?=[\s\x00]|$)/g;
+    end.lastIndex = this.pos;
+    const match = end.exec(this.src);
+    this.pos = match ? match.index + match[0].length : this.src.length;
+  }
+}
+
+const WHITESPACE = new Set(['\x00', '\t', '\n', '\f', '\r', ' ']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+function isRef(value) {
+  return value !== null && typeof value === 'object' && typeof value.num === 'number' && 'gen' in value;
+}
+
+function isStream(value) {
+  return value !== null && typeof value === 'object' && 'dict' in value && 'start' in value;
+}
+
+function isDict(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !isRef(value) && !isStream(value) && !('op' in value) && !('str' in value);
+}
+
+function isOperator(value) {
+  return value !== null && typeof value === 'object' && typeof value.op === 'string';
+}
+
+function numberOr(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+// Inflates zlib data. PDFs regularly have a few junk bytes after the end of
+// the compressed data (or are cut short), which makes the stream error out -
+// whatever came out before that is still good, so we keep it
+async function inflate(bytes) {
+  const reader = new Response(bytes).body.pipeThrough(new DecompressionStream('deflate')).getReader();
+  const parts = [];
+  let total = 0;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(value);
+      total += value.byteLength;
+    }
+  } catch (error) {
+    if (total === 0) return null;
+  }
+
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.byteLength;
+  }
+  return out;
+}
+
+function decodeASCIIHex(bytes) {
+  let hex = bytesToBinaryString(bytes).split('>')[0].replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2 === 1) hex += '0';
+  const out = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return out;
+}
+
+function decodeASCII85(bytes) {
+  const text = bytesToBinaryString(bytes).split('~>')[0].replace(/^<~/, '').replace(/\s/g, '');
+  const out = [];
+  let group = [];
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      const value = group.reduce((total, digit) => total * 85 + digit, 0);
+      out.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      group = [];
+    }
+  }
+  if (group.length > 1) {
+    const padded = group.length;
+    while (group.length < 5) group.push(84);
+    const value = group.reduce((total, digit) => total * 85 + digit, 0);
+    const tail = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    out.push(...tail.slice(0, padded - 1));
+  }
+  return new Uint8Array(out);
+}
+
+// Byte-for-byte conversion so string offsets line up with file offsets
+function bytesToBinaryString(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+// Joins words hyphenated across lines, expands ligatures and tidies spacing
+function cleanPageText(text) {
+  return text
+    .replace(/[\uFB00-\uFB06]/g, ch => ch.normalize('NFKC'))
+    .replace(/\u00a0/g, ' ')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/(\w)-\n(?=[a-z])/g, '$1')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// WinAnsi is Latin-1 except for 0x80-0x9F, where it has the curly quotes,
+// dashes and friends
+const WIN_ANSI_HIGH = '€�‚ƒ„…†‡ˆ‰Š‹Œ�Ž�' +
+  '�‘’“”•–—˜™š›œ�žŸ';
+
+function WIN_ANSI(code) {
+  if (code >= 0x80 && code <= 0x9f) {
+    const ch = WIN_ANSI_HIGH[code - 0x80];
+    return ch === '�' ? '' : ch;
+  }
+  return code < 0x20 ? '' : String.fromCharCode(code);
+}
+
+const MAC_ROMAN_HIGH = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+  '¿¡¬√ƒ≈∆«»… ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+function MAC_ROMAN(code) {
+  if (code >= 0x80) return MAC_ROMAN_HIGH[code - 0x80] || '';
+  return code < 0x20 ? '' : String.fromCharCode(code);
+}
+
+// Glyph names from /Differences and bfchar targets. Covers the Adobe names
+// that actually show up in text (letters, digits, punctuation, accented
+// letters, ligatures) plus the uniXXXX / uXXXX forms
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/',
+  colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>', question: '?', at: '@',
+  bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_',
+  grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~', bullet: '•',
+  endash: '–', emdash: '—', quotedblleft: '“', quotedblright: '”',
+  quotesinglbase: '‚', quotedblbase: '„', ellipsis: '…', dagger: '†',
+  daggerdbl: '‡', trademark: '™', copyright: '©', registered: '®',
+  degree: '°', section: '§', paragraph: '¶', minus: '−', multiply: '×',
+  divide: '÷', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', germandbls: 'ß',
+  ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', oslash: 'ø', Oslash: 'Ø',
+  dotlessi: 'ı', sterling: '£', yen: '¥', Euro: '€', cent: '¢',
+  periodcentered: '·', guillemotleft: '«', guillemotright: '»', nbspace: ' ',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+const ACCENTS = {
+  acute: '́', grave: '̀', circumflex: '̂', tilde: '̃', dieresis: '̈',
+  ring: '̊', cedilla: '̧', caron: '̌'
+};
+
+function glyphNameToUnicode(name) {
+  const base = name.split('.')[0]; // "a.sc", "one.oldstyle" -> the plain glyph
+  if (GLYPH_NAMES[base] !== undefined) return GLYPH_NAMES[base];
+  if (/^[A-Za-z]$/.test(base)) return base;
+
+  let match = base.match(/^uni([0-9A-Fa-f]{4})+$/);
+  if (match) {
+    return base.slice(3).match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  }
+  match = base.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (match) return String.fromCodePoint(parseInt(match[1], 16));
+
+  match = base.match(/^([A-Za-z])(acute|grave|circumflex|tilde|dieresis|ring|cedilla|caron)$/);
+  if (match) return (match[1] + ACCENTS[match[2]]).normalize('NFC');
+
+  return '';
+}
@@ -0,0 +1,144 @@
+// Query rewriting - turns the latest chat message into something worth
+// searching for. Follow-ups like "what about section 3?" or "and the second
+// one?" used to be embedded as they are, which finds nothing useful because
+// the subject is in an earlier turn. With conversation history, a small model
+// condenses the message and the last few turns into one standalone query.
+//
+// It can also come up with extra variants of that query - QUERY_VARIANTS in
+// [vars]:
+// - 'multi': a few alternative phrasings, so a chunk that words things
+//   differently from the user still gets found
+// - 'hyde': a short made-up answer. A passage that looks like the answer
+//   tends to embed closer to the real answer than the question does
+// - 'off' (default): just the one query
+// retrieve() searches with all of them and fuses the results.
+// Only follow-ups are condensed - a message that stands on its own is searched
+// as typed. QUERY_REWRITE = "off" skips the condensing step altogether. Any
+// failure falls back to the message as typed
+
+const REWRITE_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+
+const MAX_HISTORY_MESSAGES = 6;
+const MAX_HISTORY_MESSAGE_LENGTH = 500;
+const MAX_QUERY_LENGTH = 300;
+const MULTI_QUERY_COUNT = 3;
+const FOLLOW_UP_MAX_WORDS = 5;
+// Pronouns and phrases that refer back to an earlier turn
+const FOLLOW_UP_PATTERN = /^(?:and|but|or|so|also|what about|how about)\b|\b(?:it|its|that|this|these|those|they|them|their|one|ones|same|former|latter|above|previous|earlier|else)\b/;
+
+const CONDENSE_PROMPT = `You rewrite the user's latest message into a standalone search query for their uploaded documents.
+Use the conversation to fill in what the message refers to ("it", "that section", "the second one").
+Drop instructions like "summarize" or "explain" and keep the subject, names, numbers and codes.
+Keep what says where to look ("the document", "the photo", "the PDF") if the conversation is about an upload.
+Reply with the query only - one line, no quotes, no explanation.`;
+
+const MULTI_QUERY_PROMPT = `Write ${MULTI_QUERY_COUNT} different search queries that would find document passages answering the question below.
+Use different wording and synonyms. One query per line, no numbering, nothing else.`;
+
+const HYDE_PROMPT = `Write a short passage (2-4 sentences) that could appear in a document and would answer the question below.
+Write it as the document would, with plausible specifics. Reply with the passage only.`;
+
+// message is the latest user turn, conversationHistory the turns before it
+// ([{ role, content }], oldest first - other roles are ignored).
+// Resolves to { query, rewritten } - query is what to search for, rewritten
+// whether it came from the model rather than the message itself.
+// retrieval.js routes on the query, then asks expandQuery for the variants
+// once it knows there's something to search for
+export async function condenseQuery(message, conversationHistory, env, { run } = {}) {
+  const complete = run || createCompletion(env);
+  let query = message;
+  let rewritten = false;
+
+  const history = (conversationHistory || [])
+    .filter(msg => (msg.role === 'user' || msg.role === 'assistant') && typeof msg.content === 'string' && msg.content.trim())
+    .slice(-MAX_HISTORY_MESSAGES);
+
+  if (complete && history.length > 0 && env.QUERY_REWRITE !== 'off' && isFollowUp(message)) {
+    try {
+      const transcript = history
+        .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${truncate(msg.content, MAX_HISTORY_MESSAGE_LENGTH)}`)
+        .join('\n');
+      const condensed = cleanQuery(await complete(
+        CONDENSE_PROMPT,
+        `Conversation:\n${transcript}\n\nLatest message: ${message}`,
+        80
+      ));
+      if (condensed) {
+        query = condensed;
+        rewritten = condensed.toLowerCase() !== message.trim().toLowerCase();
+      }
+    } catch (error) {
+      console.warn('⚠️ Query rewrite failed, searching with the message as is:', error.message || error);
+    }
+  }
+
+  if (rewritten) {
+    console.log(`✏️ Search query: "${query}" (from "${truncate(message, 100)}")`);
+  }
+  return { query, rewritten };
+}
+
+// The extra queries QUERY_VARIANTS asks for (none by default)
+export async function expandQuery(query, env, { run } = {}) {
+  const complete = run || createCompletion(env);
+  let variants = [];
+  const mode = env.QUERY_VARIANTS;
+  if (complete && (mode === 'multi' || mode === 'hyde')) {
+    try {
+      if (mode === 'multi') {
+        const lines = (await complete(MULTI_QUERY_PROMPT, `Question: ${query}`, 150)).split('\n');
+        variants = lines.map(cleanQuery).filter(line => line && line.toLowerCase() !== query.toLowerCase()).slice(0, MULTI_QUERY_COUNT);
+      } else {
+        const passage = (await complete(HYDE_PROMPT, `Question: ${query}`, 200)).trim();
+        if (passage) variants = [passage];
+      }
+    } catch (error) {
+      console.warn(`⚠️ Generating ${mode} query variants failed:`, error.message || error);
+    }
+  }
+
+  if (variants.length > 0) {
+    console.log(`✏️ Searching "${query}" + ${variants.length} ${mode} variant(s)`);
+  }
+  return variants;
+}
+
+// Whether a message needs the conversation to make sense - short ones ("and
+// the second one?") or ones that point back at something ("what does it say
+// about pricing?"). Anything else is searched as typed: it used to go through
+// the 8B model on every turn with history, for a query that came back the same
+export function isFollowUp(message) {
+  const text = String(message || '').trim().toLowerCase();
+  if (!text) return false;
+  if ((text.match(/\S+/g) || []).length <= FOLLOW_UP_MAX_WORDS) return true;
+  return FOLLOW_UP_PATTERN.test(text);
+}
+
+function createCompletion(env) {
+  if (!env.AI) return null;
+  return async (system, user, maxTokens) => {
+    const result = await env.AI.run(REWRITE_MODEL, {
+      messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+      max_tokens: maxTokens,
+      temperature: 0
+    });
+    return (result?.response || '').trim();
+  };
+}
+
+// Small models like to wrap the answer - strip list markers, "Query:"
+// prefixes and quotes, and give up on anything that isn't a short query
+function cleanQuery(text) {
+  const line = String(text || '')
+    .trim()
+    .split('\n')[0]
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '')
+    .replace(/^(?:standalone\s+)?(?:search\s+)?query\s*:\s*/i, '')
+    .replace(/^["'`]+|["'`]+$/g, '')
+    .trim();
+  return line.length > 0 && line.length <= MAX_QUERY_LENGTH ? line : '';
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength)}…` : text;
+}
@@ -0,0 +1,77 @@
+// Reranking - a second, more careful pass over the retrieved chunks before they
+// go into the prompt. Retrieval compares the question and each chunk
+// separately (as two embeddings, or as keyword overlap); a cross-encoder reads
+// the question and the chunk together and scores how well one answers the
+// other, which is slower but a lot better at ordering a short list.
+// Chat used to sort chunks with a hand-written comparator (recency bonus,
+// score differences over 0.1, timestamp tiebreaks) and send the top 30 -
+// now it's reranked, and the context builder fills its token budget from the
+// top of the list, so the model gets less text and more of it is relevant.
+//
+// Rerankers are pluggable like the intent classifiers - each one is
+// { name, rerank(query, texts) } resolving to one score per text (higher is
+// more relevant). RERANKER in [vars] picks one: 'model' (default) or 'none'
+
+const RERANKER_MODEL = '@cf/baai/bge-reranker-base';
+
+// The bge reranker on Workers AI. run(query, texts) is whatever calls the
+// model, so this can be fed a stub
+export function createModelReranker({ run }) {
+  return {
+    name: 'model',
+    async rerank(query, texts) {
+      const results = await run(query, texts);
+      // The model answers with [{ id, score }] where id is the index of the
+      // text - anything it left out goes to the bottom
+      const scores = new Array(texts.length).fill(-Infinity);
+      for (const result of results || []) {
+        if (Number.isInteger(result?.id) && result.id >= 0 && result.id < texts.length && Number.isFinite(result.score)) {
+          scores[result.id] = result.score;
+        }
+      }
+      if (scores.every(score => score === -Infinity)) {
+        throw new Error('Reranker returned no scores');
+      }
+      return scores;
+    }
+  };
+}
+
+// The reranker the chat path uses, or null when reranking is off (or there's
+// no AI binding to run it on)
+export function getReranker(env) {
+  if (!env.AI || env.RERANKER === 'none') {
+    return null;
+  }
+  return createModelReranker({
+    run: async (query, texts) => {
+      const result = await env.AI.run(RERANKER_MODEL, {
+        query,
+        contexts: texts.map(text => ({ text })),
+        top_k: texts.length
+      });
+      return result?.response;
+    }
+  });
+}
+
+// Reorders chunks by the reranker's score (kept as rerankScore). If the
+// reranker fails the chunks come back in the order they went in - a worse
+// order beats no answer
+export async function rerankChunks(query, chunks, reranker) {
+  if (!reranker || chunks.length < 2) {
+    return chunks;
+  }
+
+  try {
+    const scores = await reranker.rerank(query, chunks.map(chunk => chunk.text));
+    const reranked = chunks
+      .map((chunk, index) => ({ ...chunk, rerankScore: scores[index] }))
+      .sort((a, b) => b.rerankScore - a.rerankScore);
+    console.log(`🎯 Reranked ${chunks.length} chunks with ${reranker.name}, top score ${reranked[0].rerankScore.toFixed(3)}`);
+    return reranked;
+  } catch (error) {
+    console.warn(`⚠️ Reranker "${reranker.name}" failed, keeping the retrieval order:`, error.message || error);
+    return chunks;
+  }
+}
@@ -0,0 +1,176 @@
+// chat-side retrieval - uses the intent router to decide whether a message is
+// about an uploaded document or image, pulls the relevant chunks out of
+// Vectorize and the keyword index and turns them into the context string the workflow puts in front
+// of the user's question. The HTTP, WebSocket and OpenAI routes all use this
+
+import { retrieve } from './search.js';
+import { condenseQuery, expandQuery } from './query-rewrite.js';
+import { getReranker, rerankChunks } from './rerank.js';
+import { buildContext } from './context-builder.js';
+import { classifyRetrievalIntent, isSummaryRequest, INTENTS } from './intent.js';
+import { waitForDocuments, getDocumentSummaries } from './document-library.js';
+import { SUMMARY_KINDS } from './summaries.js';
+
+// How much of each chunk goes into a citation's snippet
+const SNIPPET_LENGTH = 200;
+
+// Ask the intent router whether this message is about an uploaded document,
+// an uploaded image, the web or none of those, and if it's one of the first
+// two, search for relevant chunks (vectors and keywords, see search.js).
+// scope ({ sessionId, owner, documentIds }) limits the search to uploads from
+// this session (or this owner) - documentIds are the ones pinned to the
+// session, and when there are any they decide which document a question is
+// about instead of "whatever was uploaded last". Pinned documents that are
+// still being ingested are waited for first. conversationHistory (the turns
+// before this message, [{ role, content }]) lets follow-ups like "and the
+// second one?" be rewritten into a standalone query before routing and
+// searching.
+// Returns { context, intent, sources, ranked } - context is '' when there's nothing
+// to add, intent is the router's decision (with confidence) so callers can act
+// on web_search and log it, and sources lists the numbered excerpts in the
+// context so the answer's [n] markers can be traced back to the upload.
+// ranked is the reranked search results ([] when nothing was searched) -
+// what the eval harness scores retrieval on
+export async function buildRagContext(message, env, { scope = {}, conversationHistory = [] } = {}) {
+  let ragContext = '';
+  let sources = [];
+  let ranked = [];
+  let intent = { intent: INTENTS.NONE, confidence: 0, scores: {}, classifier: 'none' };
+  try {
+    // Follow-ups are condensed into a standalone query first (see
+    // query-rewrite.js) and routed on that - "and the second one?" says
+    // nothing about a document on its own. The message as typed still gets
+    // a say, in case the rewrite dropped what made it a document question
+    const condensed = await condenseQuery(message, conversationHistory, env);
+    intent = await classifyRetrievalIntent(condensed.query, env);
+    if (condensed.rewritten && intent.intent === INTENTS.NONE) {
+      const typed = await classifyRetrievalIntent(message, env);
+      if (typed.intent !== INTENTS.NONE) intent = typed;
+    }
+    const isImageQuery = intent.intent === INTENTS.IMAGE;
+    const isDocumentRequest = isImageQuery || intent.intent === INTENTS.DOCUMENT;
+    
+    // Only search for documents if the router says it's about an upload
+    if (isDocumentRequest) {
+      // Uploads are ingested in the background. If one of this session's is
+      // still in the pipeline, wait for it - searching now would answer from
+      // whatever else happens to be indexed
+      const { pending } = await waitForDocuments(env, scope.documentIds, scope);
+      if (pending.length > 0) {
+        console.warn(`⏳ Documents still processing: ${pending.join(', ')}`);
+        return {
+          context: '[DOCUMENT_PROCESSING] The uploaded file is still being processed. Please wait a moment and try asking again.',
+          intent,
+          sources,
+          ranked
+        };
+      }
+
+      // Summarize / explain requests want the whole document - see below
+      const isSummaryOrExplain = isSummaryRequest(message);
+
+      // The query is shaped in one place, query-rewrite.js - the condensed
+      // query (or the message as typed) plus its variants
+      const query = condensed.query;
+      
+      // One hybrid (vector + keyword) search over the scope - see search.js.
+      // The results are already deduplicated and ranked. 30 candidates for
+      // the reranker, the context budget decides how many make it to the prompt
+      const variants = await expandQuery(query, env);
+      const uniqueChunks = await retrieve(query, scope, env, { topK: 30, variants });
+      
+      // Rerank (see rerank.js)
+      const rankedChunks = await rerankChunks(query, uniqueChunks, getReranker(env));
+      ranked = rankedChunks;
+      
+      // Image descriptions only answer image questions - otherwise the AI
+      // ends up explaining a photo when the user asked about a document. An
+      // image question with no image to answer from gets the documents
+      const isImageChunk = c => c.text?.includes('[IMAGE DESCRIPTION]');
+      const imageChunks = rankedChunks.filter(isImageChunk);
+      const answerFromImage = isImageQuery && imageChunks.length > 0;
+      const candidates = answerFromImage ? imageChunks : rankedChunks.filter(c => !isImageChunk(c));
+      
+      // Which document (or image) is "the" one. If the session pinned
+      // documents, it's the last pinned one the search found. Otherwise the
+      // ranking decides - the document of the best chunk. Guessing from
+      // upload timestamps picked whatever came in last, even when the
+      // question was about something else
+      const found = new Set(candidates.map(c => c.metadata?.documentId));
+      const pinned = (scope.documentIds || []).filter(id => found.has(id));
+      const currentDocId = pinned.length > 0 ? pinned[pinned.length - 1] : candidates[0]?.metadata?.documentId || null;
+      
+      // Its chunks go first, the split keeps the reranked order in each group
+      const sortedChunks = [
+        ...candidates.filter(c => c.metadata?.documentId === currentDocId),
+        ...candidates.filter(c => c.metadata?.documentId !== currentDocId)
+      ];
+      
+      let finalChunks = sortedChunks;
+      
+      // Summarize / explain requests get the document summary built at ingest
+      // (see summaries.js) in front of the chunks, so the answer covers the
+      // whole document rather than whichever chunks came back
+      if (isSummaryOrExplain && !isImageQuery && currentDocId) {
+        try {
+          const summaries = await getDocumentSummaries(env, [currentDocId], scope);
+          if (summaries[currentDocId]) {
+            const isSameSummary = c => c.metadata?.kind === SUMMARY_KINDS.DOCUMENT && c.metadata?.documentId === currentDocId;
+            finalChunks = [
+              {
+                id: `${currentDocId}-summary`,
+                text: summaries[currentDocId],
+                score: null,
+                metadata: {
+                  documentId: currentDocId,
+                  source: sortedChunks[0]?.metadata?.source,
+                  kind: SUMMARY_KINDS.DOCUMENT
+                }
+              },
+              ...finalChunks.filter(c => !isSameSummary(c))
+            ];
+            console.log(`📝 Using the stored summary of ${currentDocId}`);
+          }
+        } catch (error) {
+          console.warn('Could not load the document summary, using retrieved chunks only:', error.message);
+        }
+      }
+      // Image questions are answered from that one image's description only
+      if (answerFromImage) {
+        finalChunks = sortedChunks.filter(c => c.metadata?.documentId === currentDocId);
+      }
+      
+      if (finalChunks.length > 0) {
+        // Merged into labelled passages, in document order and within the
+        // context budget - see context-builder.js
+        const { context, passages } = await buildContext(finalChunks, env, { scope });
+        ragContext = context;
+        sources = buildSources(passages);
+      } else {
+        console.warn('No document chunks found. Document may still be processing or search failed.');
+      }
+    }
+  } catch (error) {
+    console.warn('RAG search failed, continuing without context:', error);
+  }
+
+  return { context: ragContext, intent, sources, ranked };
+}
+
+// One citation per passage, in the same order as the numbered excerpts
+function buildSources(passages) {
+  return passages.map((passage, index) => {
+    const text = (passage.text || '').replace('[IMAGE DESCRIPTION]', '').replace(/\s+/g, ' ').trim();
+    return {
+      id: index + 1,
+      documentId: passage.documentId,
+      chunkIndex: passage.chunkIndex, // the first chunk, when several were merged
+      page: passage.page, // PDFs only
+      endPage: passage.endPage, // last page, when the passage runs over several
+      section: passage.sectionPath, // headings above the passage, "Setup > Linux"
+      score: typeof passage.score === 'number' ? Number(passage.score.toFixed(4)) : null,
+      source: passage.source,
+      snippet: text.length > SNIPPET_LENGTH ? `${text.substring(0, SNIPPET_LENGTH)}…` : text
+    };
+  });
+}
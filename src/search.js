@@ -0,0 +1,98 @@
+// Hybrid retrieval - one retrieve(query, filters) call that runs vector search
+// (Vectorize) and keyword search (BM25, see keyword-index.js) side by side and
+// merges the two rankings with reciprocal rank fusion. Chat used to make up
+// for vector-only search by firing a dozen "generic queries" and merging
+// whatever came back, and exact strings (error codes, part numbers, names)
+// still didn't come back. Now the chat route calls this once.
+//
+// RRF only looks at positions, not scores - cosine similarities and BM25
+// scores aren't on the same scale, so adding them up would mean picking
+// weights by hand. A chunk near the top of either list ends up near the top
+
+import { similaritySearch, getChunksByIds } from './rag.js';
+import { searchKeywords, hydrateChunks } from './document-library.js';
+
+const RRF_K = 60; // the usual constant - dampens how much the very top ranks dominate
+// Vectorize caps topK at 20 when it returns metadata, so that's what each
+// side contributes
+const CANDIDATES_PER_RETRIEVER = 20;
+const DEFAULT_TOP_K = 20;
+
+// filters is the retrieval scope ({ sessionId, owner, documentIds }) - see
+// buildVectorFilter in rag.js. Without a session or owner nothing comes back.
+// Returns chunks like similaritySearch does ({ id, text, score, metadata }),
+// best first, where score is the fused score and vectorScore / keywordScore
+// are the best each retriever gave it (null if it didn't find the chunk).
+// Text comes from the content store, only for the chunks that made the cut.
+// variants are extra queries for the same question (see query-rewrite.js) -
+// each one is searched both ways too, and every ranking goes into the fusion.
+// If one retriever fails we go on with the other
+export async function retrieve(query, filters, env, { topK = DEFAULT_TOP_K, variants = [] } = {}) {
+  const queries = [query, ...variants];
+  const searches = await Promise.all(queries.map(text => Promise.all([
+    similaritySearch(text, env, CANDIDATES_PER_RETRIEVER, filters).catch(error => {
+      console.warn('⚠️ Vector search failed:', error.message);
+      return [];
+    }),
+    searchKeywords(text, filters, env, CANDIDATES_PER_RETRIEVER).catch(error => {
+      console.warn('⚠️ Keyword search failed:', error.message);
+      return [];
+    })
+  ])));
+  const vectorMatches = searches.flatMap(([vector]) => vector);
+  const keywordMatches = searches.flatMap(([, keyword]) => keyword);
+
+  const fused = reciprocalRankFusion(
+    searches.flatMap(([vector, keyword]) => [vector.map(match => match.id), keyword.map(match => match.id)])
+  ).slice(0, topK);
+
+  // Keyword matches only have an id - fetch the ones vector search didn't
+  // also return
+  const chunks = new Map(vectorMatches.map(match => [match.id, match]));
+  const missing = fused.map(entry => entry.id).filter(id => !chunks.has(id));
+  if (missing.length > 0) {
+    for (const chunk of await getChunksByIds(missing, env, filters)) {
+      chunks.set(chunk.id, chunk);
+    }
+  }
+
+  const vectorScores = bestScores(vectorMatches);
+  const keywordScores = bestScores(keywordMatches);
+  const results = await hydrateChunks(fused
+    .filter(entry => chunks.has(entry.id))
+    .map(entry => ({
+      ...chunks.get(entry.id),
+      score: entry.score,
+      vectorScore: vectorScores.get(entry.id) ?? null,
+      keywordScore: keywordScores.get(entry.id) ?? null
+    })), env, filters);
+
+  const both = results.filter(chunk => chunk.vectorScore !== null && chunk.keywordScore !== null).length;
+  console.log(`🔀 Hybrid search${queries.length > 1 ? ` (${queries.length} queries)` : ''}: ${vectorMatches.length} vector + ${keywordMatches.length} keyword matches -> ${results.length} chunks (${both} found by both)`);
+  return results;
+}
+
+// Merges rankings (arrays of ids, best first) into one. Each id scores
+// sum(1 / (k + rank)) over the rankings it appears in, rank starting at 1.
+// Returns [{ id, score }] best first
+export function reciprocalRankFusion(rankings, { k = RRF_K } = {}) {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((id, index) => {
+      scores.set(id, (scores.get(id) || 0) + 1 / (k + index + 1));
+    });
+  }
+  return [...scores.entries()]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function bestScores(matches) {
+  const scores = new Map();
+  for (const match of matches) {
+    if (!scores.has(match.id) || match.score > scores.get(match.id)) {
+      scores.set(match.id, match.score);
+    }
+  }
+  return scores;
+}
@@ -0,0 +1,134 @@
+// server-sent events helpers for the streaming chat endpoint
+// Workers AI streams SSE back to us too, so this file handles both directions:
+// reading the model's token stream and writing our own events to the client
+
+const encoder = new TextEncoder();
+
+// Formats a single SSE frame. The data is always JSON so the client can
+// JSON.parse every event without guessing what it got
+export function formatSSE(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Data-only frame without an event name - that's what OpenAI clients expect.
+// Strings go out untouched so the final `data: [DONE]` works too
+export function formatSSEData(data) {
+  return `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+}
+
+// Creates the streaming Response plus a tiny writer around it. Writes are
+// fire-and-forget - if the client hangs up mid-answer I just stop sending
+// instead of blowing up the whole workflow
+export function createSSEStream(corsHeaders = {}) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  let closed = false;
+
+  const write = (frame) => {
+    if (closed) return Promise.resolve();
+    return writer.write(encoder.encode(frame)).catch(() => {
+      closed = true;
+    });
+  };
+
+  const send = (event, data) => write(formatSSE(event, data));
+  const sendData = (data) => write(formatSSEData(data));
+
+  const close = async () => {
+    if (closed) return;
+    closed = true;
+    try {
+      await writer.close();
+    } catch (error) {
+      // Client already went away, nothing left to close
+    }
+  };
+
+  const response = new Response(readable, {
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    }
+  });
+
+  return { response, send, sendData, close };
+}
+
+// Reads a Workers AI stream (stream: true) and calls onToken for every piece
+// of text as it arrives. Returns the same shape as a non-streaming run so the
+// rest of the workflow doesn't have to care which mode it was in.
+// If the binding hands back a plain object (some models ignore stream: true)
+// I just pass the whole response through as one token
+export async function readAIStream(stream, onToken = () => {}) {
+  if (!stream || typeof stream.getReader !== 'function') {
+    const text = stream?.response || '';
+    if (text) onToken(text);
+    return stream || { response: '' };
+  }
+
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let response = '';
+  let toolCalls = [];
+  let usage = null;
+  let done = false;
+
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return;
+
+    const payload = trimmed.slice(5).trim();
+    if (payload === '[DONE]') {
+      done = true;
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(payload);
+    } catch (e) {
+      // Partial or non-JSON frame, skip it
+      return;
+    }
+
+    const token = typeof parsed.response === 'string' ? parsed.response : '';
+    if (token) {
+      response += token;
+      onToken(token);
+    }
+    if (Array.isArray(parsed.tool_calls) && parsed.tool_calls.length > 0) {
+      toolCalls = toolCalls.concat(parsed.tool_calls);
+    }
+    if (parsed.usage) {
+      usage = parsed.usage;
+    }
+  };
+
+  while (!done) {
+    const { value, done: streamDone } = await reader.read();
+    if (streamDone) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      handleLine(line);
+      if (done) break;
+    }
+  }
+
+  if (!done && buffer) {
+    handleLine(buffer);
+  }
+  if (done) {
+    reader.cancel().catch(() => {});
+  }
+
+  const result = { response };
+  if (toolCalls.length > 0) result.tool_calls = toolCalls;
+  if (usage) result.usage = usage;
+  return result;
+}
@@ -0,0 +1,186 @@
+// Document summaries, built once at ingest. "Summarize this PDF" used to run a
+// pile of generic similarity searches and hand the model whatever 30 chunks
+// came back, so the summary of anything long covered a few random pages.
+// Now processDocument summarizes the document bottom-up:
+// - consecutive chunks are grouped into sections (by top-level heading, or
+//   pages for PDFs) and each section gets a short summary
+// - the section summaries are combined into one document summary - in
+//   several rounds if there are too many of them to read at once
+// Both kinds are stored and embedded as extra chunks (metadata.kind), so
+// "what does chapter 3 cover?" can find a section summary, and the document
+// summary is kept in the document library so summarize / explain requests
+// can use it directly.
+// Summaries are best effort - if the model fails the document is still
+// ingested, just without them. DOCUMENT_SUMMARIES = "off" in [vars] skips them
+
+import { estimateTokens } from './chunker.js';
+
+const SUMMARY_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+
+export const SUMMARY_KINDS = {
+  SECTION: 'section_summary',
+  DOCUMENT: 'document_summary'
+};
+
+const MIN_DOCUMENT_TOKENS = 600; // shorter than this, the chunks are already a summary
+const SECTION_INPUT_TOKENS = 1500; // how much text goes into one section summary
+const MAX_SECTION_INPUT_TOKENS = 3000; // ...at most, for very long documents
+const MAX_SECTIONS = 40;
+const COMBINE_INPUT_TOKENS = 3000; // how much summary text one combining call reads
+const MAX_CONCURRENT_SUMMARIES = 3;
+
+const SECTION_PROMPT = `You summarize one part of a document. Write 2-5 sentences covering its main points.
+Keep names, numbers, dates, codes and other specifics exactly as written. Only use what's in the text - no introductions, no opinions.`;
+
+const DOCUMENT_PROMPT = `You are given summaries of consecutive parts of one document, in order. Write a summary of the whole document:
+one short paragraph on what it is and its purpose, then its key points as a "- " list.
+Keep names, numbers and dates exactly as written. Only use what's in the summaries.`;
+
+// chunks are chunkDocument's output, with `page` on PDF chunks. Returns
+// { sections: [{ text, sectionPath, page }], document } or null when the
+// document is too short or summarizing failed
+export async function summarizeDocument(chunks, env, { sourceName = 'document', run } = {}) {
+  if (env.DOCUMENT_SUMMARIES === 'off' || (!run && !env.AI)) {
+    return null;
+  }
+  const totalTokens = chunks.reduce((total, chunk) => total + chunk.tokens, 0);
+  if (totalTokens < MIN_DOCUMENT_TOKENS) {
+    return null;
+  }
+
+  const complete = run || (async (system, user, maxTokens) => {
+    const result = await env.AI.run(SUMMARY_MODEL, {
+      messages: [{ role: 'system', content: system }, { role: 'user', content: user }],
+      max_tokens: maxTokens,
+      temperature: 0.2
+    });
+    return (result?.response || '').trim();
+  });
+
+  try {
+    const groupTokens = Math.min(
+      Math.max(SECTION_INPUT_TOKENS, Math.ceil(totalTokens / MAX_SECTIONS)),
+      MAX_SECTION_INPUT_TOKENS
+    );
+    const groups = groupSections(chunks, groupTokens);
+
+    const sectionSummaries = await mapWithConcurrency(groups, MAX_CONCURRENT_SUMMARIES, async (group) => {
+      const summary = await complete(
+        SECTION_PROMPT,
+        `Document: ${sourceName}\nPart: ${group.label}\n\n${group.text}`,
+        256
+      );
+      return summary ? { text: summary, label: group.label, sectionPath: group.sectionPath, page: group.page } : null;
+    });
+    const sections = sectionSummaries.filter(Boolean);
+    if (sections.length === 0) {
+      throw new Error('the model returned empty section summaries');
+    }
+
+    const document = await combineSummaries(sections.map(section => `[${section.label}]\n${section.text}`), sourceName, complete);
+    if (!document) {
+      throw new Error('the model returned an empty document summary');
+    }
+
+    console.log(`📝 Summarized ${sourceName}: ${sections.length} sections, ${document.length} character document summary`);
+    return {
+      sections: sections.map(section => ({
+        text: `Summary of ${section.label}: ${section.text}`,
+        sectionPath: section.sectionPath,
+        page: section.page
+      })),
+      document: `Summary of ${sourceName}:\n${document}`
+    };
+  } catch (error) {
+    console.warn(`⚠️ Could not summarize ${sourceName}, continuing without summaries:`, error.message || error);
+    return null;
+  }
+}
+
+// Summaries -> one summary. While they don't fit in one call, summarize them
+// in batches and go again with the results
+async function combineSummaries(summaries, sourceName, complete) {
+  let level = summaries;
+  while (level.length > 1 && estimateTokens(level.join('\n\n')) > COMBINE_INPUT_TOKENS) {
+    const batches = [];
+    let current = [];
+    for (const summary of level) {
+      if (current.length > 0 && estimateTokens([...current, summary].join('\n\n')) > COMBINE_INPUT_TOKENS) {
+        batches.push(current);
+        current = [];
+      }
+      current.push(summary);
+    }
+    if (current.length > 0) batches.push(current);
+    if (batches.length >= level.length) break; // every summary is huge on its own, don't loop forever
+
+    level = (await mapWithConcurrency(batches, MAX_CONCURRENT_SUMMARIES, batch =>
+      complete(SECTION_PROMPT, `Document: ${sourceName}\nPart: several consecutive sections\n\n${batch.join('\n\n')}`, 384)
+    )).filter(Boolean);
+  }
+
+  return complete(DOCUMENT_PROMPT, `Document: ${sourceName}\n\n${level.join('\n\n')}`, 512);
+}
+
+// Consecutive chunks -> sections of up to maxTokens. A new top-level heading
+// starts a new section once the current one has some substance, so short
+// sections get folded into their neighbours instead of summarized alone
+function groupSections(chunks, maxTokens) {
+  const groups = [];
+  let current = null;
+
+  for (const chunk of chunks) {
+    const heading = (chunk.sectionPath || '').split(' > ')[0];
+    const startNew = !current ||
+      current.tokens + chunk.tokens > maxTokens ||
+      (heading !== current.heading && current.tokens >= maxTokens / 3);
+    if (startNew) {
+      current = { heading, headings: [], pages: [], parts: [], tokens: 0 };
+      groups.push(current);
+    }
+    if (heading && !current.headings.includes(heading)) current.headings.push(heading);
+    if (Number.isInteger(chunk.page)) current.pages.push(chunk.page);
+    current.parts.push(chunk.text);
+    current.tokens += chunk.tokens;
+  }
+
+  return groups.map((group, index) => {
+    const firstPage = group.pages.length > 0 ? Math.min(...group.pages) : null;
+    const lastPage = group.pages.length > 0 ? Math.max(...group.pages) : null;
+    let label;
+    if (group.headings.length > 0) {
+      label = group.headings.length > 2
+        ? `${group.headings[0]} … ${group.headings[group.headings.length - 1]}`
+        : group.headings.join(', ');
+    } else if (firstPage !== null) {
+      label = firstPage === lastPage ? `page ${firstPage}` : `pages ${firstPage}-${lastPage}`;
+    } else {
+      label = `part ${index + 1} of ${groups.length}`;
+    }
+    return {
+      label,
+      sectionPath: group.headings.length === 1 ? group.headings[0] : null,
+      page: firstPage,
+      // Overlapping chunks repeat a sentence or two - not worth stripping here
+      text: truncateToTokens(group.parts.join('\n\n'), MAX_SECTION_INPUT_TOKENS)
+    };
+  });
+}
+
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+function truncateToTokens(text, maxTokens) {
+  const maxLength = maxTokens * 4;
+  return text.length > maxLength ? `${text.substring(0, maxLength)}…` : text;
+}
@@ -0,0 +1,248 @@
+// Record and replay for AI interactions. Debugging a bad answer used to mean
+// asking Llama the same thing again and hoping it misbehaved the same way.
+// Now a chat request can be recorded into a trace:
+//
+//   { version, recordedAt, input, result, calls: [{ phase, binding, method, args, output | error, stream }] }
+//
+// - calls: every env.AI.run and Vectorize call (upsert, query, getByIds,
+//   deleteByIds...) in the order they happened, with their arguments and what
+//   came back. phase says whether the call was part of retrieval (intent
+//   routing, query rewrite, search, rerank) or the agent itself ('workflow')
+// - input: what ChatWorkflow.execute was given - the message, history, the
+//   retrieved context and its sources
+// - result: what the workflow returned
+//
+// replayTrace runs ChatWorkflow.execute on the recorded input with bindings
+// that hand back the recorded outputs in order, so the agent makes exactly
+// the same decisions without touching Workers AI. Tools still run for real
+// (they're not bindings) - stub fetch when a trace uses search_web.
+//
+// Bytes (image uploads) are stored as { $bytes: base64 } and streamed
+// responses as the raw SSE text, so a trace is plain JSON you can save to a
+// file, diff and check in as a regression test (see test/replay.test.js)
+
+import { ChatWorkflow } from './workflow.js';
+import { getVectorIndex } from './local-vector-store.js';
+
+export const TRACE_VERSION = 1;
+
+// The Vectorize methods we record - the ones rag.js and the local index use
+const VECTOR_METHODS = ['upsert', 'insert', 'query', 'getByIds', 'deleteByIds', 'describe'];
+
+// Starts recording. recorder.wrap(env, scope) returns env with AI and
+// VECTORIZE swapped for recording versions (VECTORIZE is whatever
+// getVectorIndex would use for the scope, so local mode is recorded too). Set
+// recorder.phase before each part of the request and call
+// finish(input, result) for the trace
+export function createTraceRecorder() {
+  const calls = [];
+  const recorder = {
+    phase: 'retrieval',
+    calls,
+
+    wrap(env, scope = {}) {
+      const wrapped = { ...env };
+      if (env.AI) {
+        wrapped.AI = recordBinding('AI', env.AI, ['run'], recorder);
+      }
+      const index = getVectorIndex(env, scope);
+      wrapped.VECTORIZE = recordBinding('VECTORIZE', index, VECTOR_METHODS.filter(method => typeof index[method] === 'function'), recorder);
+      return wrapped;
+    },
+
+    finish(input, result) {
+      const { onEvent, ...recordedInput } = input || {};
+      return {
+        version: TRACE_VERSION,
+        recordedAt: new Date().toISOString(),
+        input: toJSONValue(recordedInput),
+        result: toJSONValue(result ?? null),
+        calls
+      };
+    }
+  };
+  return recorder;
+}
+
+// Bindings that answer from a trace. Calls are served in recorded order (only
+// the given phases - retrieval isn't part of a workflow replay); each one has
+// to be the same binding, method and model as the recorded one or the replay
+// stops with an error. Arguments that differ (a tool returned another time of
+// day, say) are collected in mismatches - strict: true makes those errors too.
+// The first error sticks (see failure), so the workflow's retries and model
+// fallback can't paper over a replay that went off the recording
+export function createReplayEnv(trace, { phases = ['workflow'], strict = false, env = {} } = {}) {
+  if (trace?.version !== TRACE_VERSION) {
+    throw new Error(`Unsupported trace version: ${trace?.version}`);
+  }
+
+  const queue = trace.calls.filter(call => phases.includes(call.phase));
+  const mismatches = [];
+  let position = 0;
+  let failure = null;
+
+  const fail = (message) => {
+    failure = new Error(message);
+    throw failure;
+  };
+
+  const next = (binding, method, args) => {
+    if (failure) {
+      throw failure;
+    }
+    const call = queue[position];
+    const label = `${binding}.${method}${binding === 'AI' ? `(${args[0]})` : ''}`;
+    if (!call) {
+      fail(`Replay ran out of recorded calls at ${label} (call ${position + 1}, ${queue.length} recorded)`);
+    }
+    const recordedLabel = `${call.binding}.${call.method}${call.binding === 'AI' ? `(${call.args[0]})` : ''}`;
+    if (recordedLabel !== label) {
+      fail(`Replay diverged at call ${position + 1}: expected ${recordedLabel}, got ${label}`);
+    }
+
+    const actual = toJSONValue(args);
+    if (JSON.stringify(actual) !== JSON.stringify(call.args)) {
+      const mismatch = { call: position + 1, binding, method, recorded: call.args, actual };
+      if (strict) {
+        fail(`Replay arguments differ at call ${position + 1} (${label})`);
+      }
+      mismatches.push(mismatch);
+    }
+    position++;
+    return call;
+  };
+
+  const answer = (call) => {
+    if (call.error) {
+      throw new Error(call.error);
+    }
+    if (call.stream) {
+      return streamFromText(call.output);
+    }
+    return fromJSONValue(call.output);
+  };
+
+  const replayBinding = (binding, methods) => Object.fromEntries(methods.map(method => [
+    method,
+    async (...args) => answer(next(binding, method, args))
+  ]));
+
+  return {
+    env: {
+      ...env,
+      AI: replayBinding('AI', ['run']),
+      VECTORIZE: replayBinding('VECTORIZE', VECTOR_METHODS)
+    },
+    mismatches,
+    get failure() {
+      return failure;
+    },
+    // Recorded calls the replay never made - the agent took a shorter path
+    remaining: () => queue.slice(position)
+  };
+}
+
+// Replays the recorded chat request through ChatWorkflow.execute. Resolves to
+// { result, recorded, mismatches, remaining } - recorded is the result from
+// the trace, for comparing. The workflow's retry backoff is skipped, a
+// recorded failure doesn't need waiting out
+export async function replayTrace(trace, options = {}) {
+  const replay = createReplayEnv(trace, options);
+  const workflow = new ChatWorkflow();
+  workflow.sleep = async () => {};
+
+  const input = { ...fromJSONValue(trace.input), ...(options.input || {}) };
+  let result;
+  try {
+    result = await workflow.execute(input, replay.env);
+  } catch (error) {
+    throw replay.failure || error;
+  }
+  if (replay.failure) {
+    throw replay.failure;
+  }
+  return {
+    result,
+    recorded: trace.result,
+    mismatches: replay.mismatches,
+    remaining: replay.remaining()
+  };
+}
+
+function recordBinding(binding, target, methods, recorder) {
+  const wrapped = Object.create(target);
+  for (const method of methods) {
+    wrapped[method] = async (...args) => {
+      const call = { phase: recorder.phase, binding, method, args: toJSONValue(args) };
+      recorder.calls.push(call);
+      const startTime = Date.now();
+      try {
+        let output = await target[method](...args);
+        if (isStream(output)) {
+          // Read it all, keep the text, and hand the caller a fresh copy
+          const text = await new Response(output).text();
+          call.stream = true;
+          call.output = text;
+          output = streamFromText(text);
+        } else {
+          call.output = toJSONValue(output ?? null);
+        }
+        return output;
+      } catch (error) {
+        call.error = error.message || String(error);
+        throw error;
+      } finally {
+        call.durationMs = Date.now() - startTime;
+      }
+    };
+  }
+  return wrapped;
+}
+
+function isStream(value) {
+  return value && typeof value.getReader === 'function';
+}
+
+function streamFromText(text) {
+  const bytes = new TextEncoder().encode(text);
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes);
+      controller.close();
+    }
+  });
+}
+
+// JSON-safe copy: float vectors become plain arrays, bytes become base64
+function toJSONValue(value) {
+  return JSON.parse(JSON.stringify(value, (key, item) => {
+    if (item instanceof ArrayBuffer) {
+      return { $bytes: toBase64(new Uint8Array(item)) };
+    }
+    if (ArrayBuffer.isView(item)) {
+      return item instanceof Uint8Array ? { $bytes: toBase64(item) } : Array.from(item);
+    }
+    return item;
+  }) ?? 'null');
+}
+
+function fromJSONValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(fromJSONValue);
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.$bytes === 'string' && Object.keys(value).length === 1) {
+      return Uint8Array.from(atob(value.$bytes), char => char.charCodeAt(0));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromJSONValue(item)]));
+  }
+  return value;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
@@ -3,6 +3,17 @@
 
 import { webSearch } from './tools.js';
 import { AVAILABLE_FUNCTIONS, executeFunction } from './functions.js';
+import { readAIStream } from './streaming.js';
+
+// Use Llama 3.3 which has better function calling support, with the smaller
+// 3.1 model as a fallback when the big one errors out
+export const PRIMARY_MODEL = '@cf/meta/llama-3.3-70b-instruct';
+export const FALLBACK_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+
+// Defaults for the model call - callers (like the OpenAI-compatible route)
+// can override temperature and max tokens per request
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 4000; // Increased to allow complete responses with code examples
 
 export class ChatWorkflow {
   constructor() {
@@ -123,9 +134,10 @@ export class ChatWorkflow {
     // Get conversation history from Durable Object
     const conversationHistory = input.conversationHistory || [];
     
-    // Check if the message requires current information
+    // Check if the message requires current information - either the
+    // retrieval intent router already said so, or our own keyword check does
     const message = input.message.toLowerCase();
-    const requiresCurrentInfo = this.requiresCurrentInformation(message);
+    const requiresCurrentInfo = input.retrievalIntent === 'web_search' || this.requiresCurrentInformation(message);
     
     // Prepare system prompt (pass RAG context flag)
     const hasRagContext = !!(input.ragContext && input.ragContext.trim().length > 0);
@@ -184,8 +196,8 @@ export class ChatWorkflow {
         }
       }
       
-      // Check if image is still processing
-      const isImageProcessing = input.ragContext && input.ragContext.includes('[IMAGE_PROCESSING]');
+      // Retrieval gave up waiting for an upload that's still being ingested
+      const isStillProcessing = input.ragContext && input.ragContext.includes('[DOCUMENT_PROCESSING]');
       
       // Check if this is image content (reuse the variable from above)
       const contentType = isImageContent ? 'IMAGE CONTENT' : 'DOCUMENT CONTENT';
@@ -193,9 +205,9 @@ export class ChatWorkflow {
         ? 'This is an image description generated from an uploaded image. Use this description to answer questions about what is in the image.'
         : 'This is document content from an uploaded file (PDF, text, or URL).';
       
-      // If image is processing, use a simpler message format
-      if (isImageProcessing) {
-        userMessage = `USER REQUEST: ${input.message}\n\nNOTE: The image was uploaded but is still being processed by the system. This usually takes 15-30 seconds. Please inform the user that the image may still be processing and suggest they wait a moment and try again.`;
+      // If the upload is still processing, use a simpler message format
+      if (isStillProcessing) {
+        userMessage = `USER REQUEST: ${input.message}\n\nNOTE: The file the user uploaded is still being processed by the system. Please inform the user that it is still processing and suggest they wait a moment and try again.`;
       } else {
         userMessage = `${contentType} (from uploaded file):\n\n${input.ragContext}\n\nUSER REQUEST: ${input.message}\n\nINSTRUCTIONS: ${instruction}\n\nCRITICAL RULES:
 1. Use ONLY the ${isImageContent ? 'image description' : 'document content'} provided above
@@ -207,6 +219,12 @@ export class ChatWorkflow {
 7. ${isImageContent ? 'If the image description is unclear, say so clearly. But if a description is provided, you CAN see the image.' : 'If the content is about metadata/PDF structure, ignore it and say "I couldn\'t find meaningful content in this document"'}
 8. Provide a direct answer based on the ${isImageContent ? 'image description' : 'document content'} provided
 9. ${isImageContent ? 'CRITICAL: The image description above IS the image. You can see it. Do not say you cannot see images.' : 'For resume/CV reviews: Provide specific feedback on formatting, content, skills, experience, and suggestions for improvement. Be constructive and helpful.'}`;
+        
+        // The excerpts are numbered [1], [2], ... - ask for matching inline
+        // markers so every claim can be checked against its source
+        if (Array.isArray(input.sources) && input.sources.length > 0) {
+          userMessage += `\n10. CITATIONS: The excerpts above are numbered [1] to [${input.sources.length}]. After each sentence that uses information from an excerpt, add its number in square brackets, e.g. "The project started in 2021 [2]." Use several markers if a sentence relies on several excerpts, e.g. [1][3]. Only use numbers that appear above and never invent sources.`;
+        }
       }
     } else {
       // Check if user asked about an image but no RAG context was found
@@ -222,34 +240,41 @@ export class ChatWorkflow {
                           lowerMessage.includes('what is this') ||
                           lowerMessage.includes('what do you see');
       
-      // Check if RAG context indicates image is processing
-      const isImageProcessing = input.ragContext && input.ragContext.includes('[IMAGE_PROCESSING]');
-      
       if (isImageQuery) {
-        if (isImageProcessing) {
-          console.warn('Image query detected - image is still processing');
-        } else {
-          console.warn('Image query detected but no RAG context found. Image may still be processing.');
-        }
+        console.warn('Image query detected but no RAG context found.');
         // Don't add a message about this - let the AI handle it naturally
       } else {
       }
     }
     
-    // Format messages for AI
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...conversationHistory.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      })),
-      { role: 'user', content: userMessage }
-    ];
+    // Format messages for AI. Callers that already have a full message list
+    // (OpenAI-style clients) pass `messages` instead of history + message -
+    // then we keep their list as-is and only swap in the RAG-wrapped version
+    // of the latest user message
+    let messages;
+    if (Array.isArray(input.messages) && input.messages.length > 0) {
+      const lastUserIndex = input.messages.map(msg => msg.role).lastIndexOf('user');
+      messages = [
+        { role: 'system', content: systemPrompt },
+        ...input.messages.map((msg, index) => (
+          index === lastUserIndex ? { ...msg, content: userMessage } : { ...msg }
+        ))
+      ];
+    } else {
+      messages = [
+        { role: 'system', content: systemPrompt },
+        ...conversationHistory.map(msg => ({
+          role: msg.role,
+          content: msg.content
+        })),
+        { role: 'user', content: userMessage }
+      ];
+    }
     
     this.state.context = {
       messages,
       systemPrompt,
-      conversationLength: conversationHistory.length,
+      conversationLength: Array.isArray(input.messages) ? Math.max(input.messages.length - 1, 0) : conversationHistory.length,
       sessionId: input.sessionId,
       requiresCurrentInfo: requiresCurrentInfo,
       hasRagContext: !!(input.ragContext && input.ragContext.trim().length > 0)
@@ -320,11 +345,20 @@ export class ChatWorkflow {
   // can decide to use tools, and we handle that in a loop until it's done
   // I limit it to 5 iterations because sometimes it gets stuck
   async callAIAgent() {
-    const { context, env } = this.state;
+    const { context, env, input } = this.state;
+    
+    // When the caller passes an onEvent callback we run in streaming mode -
+    // tool calls get pushed out as they happen, the answer once it's final
+    const streaming = typeof input?.onEvent === 'function';
+    
+    const primaryModel = input?.model || PRIMARY_MODEL;
+    const fallbackModel = FALLBACK_MODEL;
+    const temperature = typeof input?.temperature === 'number' ? input.temperature : DEFAULT_TEMPERATURE;
+    const maxTokens = typeof input?.maxTokens === 'number' ? input.maxTokens : DEFAULT_MAX_TOKENS;
     
-    // Use Llama 3.3 which has better function calling support
-    const primaryModel = '@cf/meta/llama-3.3-70b-instruct';
-    const fallbackModel = '@cf/meta/llama-3.1-8b-instruct';
+    // Tools the model is allowed to use on this request (empty when the
+    // caller sent tool_choice: 'none')
+    const activeTools = this.getActiveTools();
     
     // Maximum iterations for agent tool use loop (prevents infinite loops)
     const maxIterations = 5;
@@ -340,19 +374,22 @@ export class ChatWorkflow {
         // Prepare the AI request
         const aiRequest = {
           messages: currentMessages,
-          max_tokens: 4000, // Increased to allow complete responses with code examples
-          temperature: 0.7,
+          max_tokens: maxTokens,
+          temperature: temperature,
           top_p: 0.9,
-          stream: false // Streaming disabled for now - needs frontend support
+          stream: streaming
         };
 
         // Add tools parameter for function calling
         // The agent will decide when to use these tools
-        if (AVAILABLE_FUNCTIONS && AVAILABLE_FUNCTIONS.length > 0) {
-          aiRequest.tools = AVAILABLE_FUNCTIONS;
+        if (activeTools.length > 0) {
+          aiRequest.tools = activeTools;
         }
 
-        const response = await env.AI.run(primaryModel, aiRequest);
+        let response = await env.AI.run(primaryModel, aiRequest);
+        if (streaming) {
+          response = await readAIStream(response);
+        }
         
         // Extract response text - handle different response formats
         let responseText = '';
@@ -366,7 +403,29 @@ export class ChatWorkflow {
         const rawResponse = response;
         
         // Agent decision: Check if the agent wants to use a tool
-        const functionCalls = this.detectAgentFunctionCalls(responseText, rawResponse);
+        const functionCalls = activeTools.length > 0
+          ? this.detectAgentFunctionCalls(responseText, rawResponse)
+          : null;
+        
+        // Tools the caller declared but we can't run here (OpenAI-style client
+        // tools) end the loop - the calls go back to the caller to execute
+        const clientToolCalls = (functionCalls || []).filter(call => !this.canExecuteTool(call.name));
+        if (clientToolCalls.length > 0) {
+          for (const call of clientToolCalls) {
+            this.emit('tool_call', { name: call.name, arguments: call.arguments || {}, iteration, pending: true });
+          }
+          finalResponse = {
+            content: responseText.trim(),
+            model: primaryModel.split('/').pop(),
+            timestamp: Date.now(),
+            usage: response?.usage || null,
+            toolsUsed: toolsUsed,
+            functionCallsExecuted: functionCallsExecuted,
+            pendingToolCalls: clientToolCalls,
+            agentIterations: iteration
+          };
+          break;
+        }
         
         if (functionCalls && functionCalls.length > 0) {
           const functionResults = [];
@@ -374,6 +433,7 @@ export class ChatWorkflow {
             try {
 
               let result;
+              this.emit('tool_call', { name: funcCall.name, arguments: funcCall.arguments || {}, iteration });
       
                 if (funcCall.name === 'web_search') {
                   console.log(`🔍 Executing web search: "${funcCall.arguments.query}"`);
@@ -394,8 +454,14 @@ export class ChatWorkflow {
               });
               
               toolsUsed.push(funcCall.name);
+              this.emit('tool_result', {
+                name: funcCall.name,
+                success: !(result && (result.success === false || result.error)),
+                iteration
+              });
             } catch (error) {
               console.error(`❌ Error executing tool ${funcCall.name}:`, error);
+              this.emit('tool_result', { name: funcCall.name, success: false, error: error.message, iteration });
               functionResults.push({
                 name: funcCall.name,
                 result: { 
@@ -611,9 +677,10 @@ export class ChatWorkflow {
           
           finalResponse = {
             content: cleanedResponse,
-            model: 'llama-3.3-70b-instruct',
+            model: primaryModel.split('/').pop(),
             timestamp: Date.now(),
             tokens: response?.tokens || 0,
+            usage: response?.usage || null,
             toolsUsed: toolsUsed,
             functionCallsExecuted: functionCallsExecuted,
             agentIterations: iteration
@@ -659,13 +726,16 @@ export class ChatWorkflow {
         if (iteration === 0 && !isAuthError) {
           try {
             console.log('🔄 Trying fallback model...');
-            const response2 = await env.AI.run(fallbackModel, {
+            let response2 = await env.AI.run(fallbackModel, {
               messages: currentMessages,
-              max_tokens: 4000, // Increased to allow complete responses with code examples
-        temperature: 0.7,
+              max_tokens: maxTokens,
+        temperature: temperature,
         top_p: 0.9,
-        stream: false
+        stream: streaming
       });
+            if (streaming) {
+              response2 = await readAIStream(response2);
+            }
       
             const content = response2.response || response2 || 'I apologize, but I was unable to generate a response.';
             finalResponse = {
@@ -720,6 +790,13 @@ export class ChatWorkflow {
       };
     }
 
+    // The model's stream is only read above, never forwarded as it comes - an
+    // iteration can turn out to be a tool call (JSON nobody should see) and
+    // the cleanup rewrites the text. So the answer goes out once it's final
+    if (streaming) {
+      this.emitAnswer(finalResponse.content);
+    }
+
     this.state.aiResponse = finalResponse;
     this.state.agentMetadata = {
       toolsUsed: toolsUsed,
@@ -737,6 +814,8 @@ export class ChatWorkflow {
   // parsing from the response text. Also auto-trigger for obvious cases like weather
   detectAgentFunctionCalls(responseText, rawResponse) {
     const functionCalls = [];
+    const activeTools = this.getActiveTools();
+    const isActive = (name) => activeTools.some(f => f.function?.name === name);
     
     // Method 1: Check for structured tool_calls in response (native function calling)
     if (rawResponse.tool_calls && Array.isArray(rawResponse.tool_calls)) {
@@ -761,10 +840,12 @@ export class ChatWorkflow {
     
     // Method 3: Parse JSON function calls from agent's response
     try {
+      // Objects can have one level of nesting ("arguments": {...}) - stopping
+      // at the first closing brace cut those off and they never parsed
       const jsonPatterns = [
-        /\{[\s\S]*?"(?:function|name|tool)"[\s\S]*?\}/g,
-        /\{[\s\S]*?"function_name"[\s\S]*?\}/g,
-        /\{[\s\S]*?"tool_name"[\s\S]*?\}/g
+        /\{(?:[^{}]|\{[^{}]*\})*?"(?:function|name|tool)"(?:[^{}]|\{[^{}]*\})*\}/g,
+        /\{(?:[^{}]|\{[^{}]*\})*?"function_name"(?:[^{}]|\{[^{}]*\})*\}/g,
+        /\{(?:[^{}]|\{[^{}]*\})*?"tool_name"(?:[^{}]|\{[^{}]*\})*\}/g
       ];
       
       for (const pattern of jsonPatterns) {
@@ -774,7 +855,7 @@ export class ChatWorkflow {
             try {
               const parsed = JSON.parse(match);
               const funcName = parsed.function || parsed.name || parsed.tool_name || parsed.function_name;
-              if (funcName && AVAILABLE_FUNCTIONS.some(f => f.function.name === funcName)) {
+              if (funcName && isActive(funcName)) {
                 functionCalls.push({
                   name: funcName,
                   arguments: parsed.arguments || parsed.args || parsed.params || {}
@@ -798,7 +879,7 @@ export class ChatWorkflow {
       const funcName = toolCallMatch[1];
       const argsString = toolCallMatch[2];
       const args = this.parseFunctionArguments(argsString);
-      if (AVAILABLE_FUNCTIONS.some(f => f.function.name === funcName)) {
+      if (isActive(funcName)) {
         functionCalls.push({
           name: funcName,
           arguments: args
@@ -814,9 +895,9 @@ export class ChatWorkflow {
     const lowerUserMessage = userMessage.toLowerCase();
     
     // Auto-trigger get_weather for weather queries
-    if (lowerUserMessage.includes('weather') || lowerUserMessage.includes('temperature') || 
+    if (isActive('get_weather') && (lowerUserMessage.includes('weather') || lowerUserMessage.includes('temperature') || 
         lowerUserMessage.includes('forecast') || lowerUserMessage.includes('how cold') || 
-        lowerUserMessage.includes('how hot')) {
+        lowerUserMessage.includes('how hot'))) {
       const args = this.extractArgumentsFromText(userMessage, 'get_weather');
       if (!args.location || args.location.trim() === '') {
         // Try to extract location from user message
@@ -840,7 +921,7 @@ export class ChatWorkflow {
                            lowerUserMessage.includes('this year') ||
                            lowerUserMessage.includes('current year');
     
-    if (requiresCurrentInfo || hasYearKeywords) {
+    if (isActive('search_web') && (requiresCurrentInfo || hasYearKeywords)) {
       const args = this.extractArgumentsFromText(responseText, 'search_web');
       // Use the original user message as query if no specific query extracted
       if (!args.query || args.query.trim() === '') {
@@ -863,8 +944,11 @@ export class ChatWorkflow {
       return functionCalls; // Return early since we found what we need
     }
     
-    const functionNames = AVAILABLE_FUNCTIONS.map(f => f.function.name);
+    const functionNames = activeTools.map(f => f.function.name);
     for (const funcName of functionNames) {
+      // Already found as JSON or a [TOOL: ...] marker - don't run it twice
+      if (functionCalls.some(call => call.name === funcName)) continue;
+      
       // Agent decision patterns
       const agentPatterns = [
         new RegExp(`(?:I (?:will|need to|should|must|can) (?:call|use|invoke|execute)|Let me (?:call|use|get|fetch)|I'll (?:call|use|get))\\s+${funcName}`, 'i'),
@@ -876,7 +960,7 @@ export class ChatWorkflow {
       for (const regex of agentPatterns) {
         if (regex.test(responseText)) {
           const args = this.extractArgumentsFromText(responseText, funcName);
-          const funcDef = AVAILABLE_FUNCTIONS.find(f => f.function.name === funcName);
+          const funcDef = activeTools.find(f => f.function.name === funcName);
           const requiredParams = funcDef?.function.parameters?.required || [];
           
           // Only add if we have meaningful arguments or if the function doesn't require them
@@ -899,10 +983,11 @@ export class ChatWorkflow {
     const args = {};
     if (!argsString || argsString.trim() === '') return args;
     
-    const parts = argsString.match(/(\w+)\s*=\s*['"]([^'"]+)['"]|(\w+)\s*=\s*(\S+)/g) || [];
+    // Unquoted values end at a comma too - amount=20, from="USD"
+    const parts = argsString.match(/(\w+)\s*=\s*['"]([^'"]+)['"]|(\w+)\s*=\s*([^,\s]+)/g) || [];
     
     for (const part of parts) {
-      const match = part.match(/(\w+)\s*=\s*(?:['"]([^'"]+)['"]|(\S+))/);
+      const match = part.match(/(\w+)\s*=\s*(?:['"]([^'"]+)['"]|([^,\s]+))/);
       if (match) {
         const key = match[1];
         const value = match[2] || match[3];
@@ -1037,8 +1122,9 @@ export class ChatWorkflow {
       processedContent = '';
     }
     
-    // Basic content filtering
-    if (processedContent.length === 0) {
+    // Basic content filtering - an empty answer is fine when the model is
+    // handing tool calls back to the caller instead of replying
+    if (processedContent.length === 0 && !aiResponse.pendingToolCalls) {
       processedContent = "I apologize, but I couldn't generate a proper response. Please try rephrasing your question.";
     }
     
@@ -1064,7 +1150,7 @@ export class ChatWorkflow {
     const { input, processedResponse, context, agentMetadata, aiResponse } = this.state;
     
     // Ensure processedResponse exists and has content
-    if (!processedResponse || !processedResponse.content) {
+    if (!processedResponse || (!processedResponse.content && !aiResponse?.pendingToolCalls)) {
       console.error('❌ processedResponse is missing or has no content');
       const fallbackContent = "I apologize, but I encountered an error processing your request. Please try again.";
       this.state.processedResponse = {
@@ -1093,6 +1179,20 @@ export class ChatWorkflow {
       }
     };
     
+    // Citations for the excerpts the answer was grounded in
+    if (Array.isArray(input.sources) && input.sources.length > 0) {
+      this.state.result.sources = input.sources;
+    }
+    
+    // Only set when the model asked for tools the caller has to run itself
+    if (aiResponse?.pendingToolCalls?.length > 0) {
+      this.state.result.response = processedResponse?.content || '';
+      this.state.result.pendingToolCalls = aiResponse.pendingToolCalls;
+    }
+    if (aiResponse?.usage) {
+      this.state.result.usage = aiResponse.usage;
+    }
+    
     // Update conversation history
     const updatedHistory = [
       ...(input.conversationHistory || []),
@@ -1101,7 +1201,8 @@ export class ChatWorkflow {
         role: 'assistant', 
         content: processedResponse.content, 
         timestamp: Date.now(),
-        agentMetadata: agentMetadata
+        agentMetadata: agentMetadata,
+        sources: this.state.result.sources
       }
     ];
     
@@ -1117,7 +1218,7 @@ export class ChatWorkflow {
   // Generate agent-focused system prompt
   // This transforms the system from a chatbot to an intelligent agent
   generateSystemPrompt(sessionId, requiresCurrentInfo = false, hasRagContext = false, isImageContext = false) {
-    const functionList = AVAILABLE_FUNCTIONS.map(f => 
+    const functionList = this.getActiveTools().map(f => 
       `- ${f.function.name}: ${f.function.description}`
     ).join('\n');
     
@@ -1324,6 +1425,53 @@ RESPONSE STYLE - CRITICAL FORMATTING RULES:
     return agentPrompt;
   }
 
+  // Tools the model gets to see on this request: our built-in functions plus
+  // any the API caller declared (theirs win on a name clash). tool_choice
+  // 'none' turns tools off
+  getActiveTools() {
+    const input = this.state.input || {};
+    if (input.toolChoice === 'none') {
+      return [];
+    }
+    
+    const clientTools = Array.isArray(input.tools) ? input.tools : [];
+    const clientNames = new Set(clientTools.map(f => f.function?.name));
+    return [
+      ...AVAILABLE_FUNCTIONS.filter(f => !clientNames.has(f.function.name)),
+      ...clientTools
+    ];
+  }
+
+  // Whether we run a tool ourselves or hand the call back to the caller
+  canExecuteTool(name) {
+    const clientTools = Array.isArray(this.state.input?.tools) ? this.state.input.tools : [];
+    if (clientTools.some(f => f.function?.name === name)) {
+      return false;
+    }
+    return name === 'web_search' || AVAILABLE_FUNCTIONS.some(f => f.function.name === name);
+  }
+
+  // Pushes a streaming event to whoever is listening (SSE, WebSocket, ...).
+  // A broken listener should never take down the agent, so errors are swallowed
+  emit(event, data) {
+    const onEvent = this.state.input?.onEvent;
+    if (typeof onEvent !== 'function') return;
+    try {
+      onEvent(event, data);
+    } catch (error) {
+      console.warn(`⚠️ Failed to emit ${event} event:`, error);
+    }
+  }
+
+  // Sends a finished answer as token events, a word at a time. The pieces
+  // join back to exactly the answer processResponse keeps (it's trimmed there)
+  emitAnswer(text) {
+    const tokens = String(text ?? '').trim().match(/\S+\s*/g) || [];
+    for (const token of tokens) {
+      this.emit('token', { token });
+    }
+  }
+
   // Utility function for delays
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -1340,6 +1488,31 @@ RESPONSE STYLE - CRITICAL FORMATTING RULES:
   }
 }
 
+// Shared response body for every chat transport (JSON, SSE, WebSocket) -
+// takes the workflow result and adds the confidence indicator the UI shows
+export function buildChatPayload(result, responseText, sessionId) {
+  // Calculate confidence based on tool execution
+  const agentMetadata = result.agent || { isAgent: true, toolsUsed: [], usedTools: false };
+  const confidence = agentMetadata.usedTools ? 'high' : 'high'; // Can be enhanced based on tool results
+
+  return {
+    response: responseText,
+    sessionId: result.sessionId || sessionId || 'default',
+    timestamp: result.timestamp || Date.now(),
+    conversationLength: result.conversationLength || 0,
+    model: result.model || 'unknown',
+    processingTime: result.processingTime || 0,
+    confidence: confidence, // Add confidence indicator
+    // Agent metadata
+    agent: {
+      ...agentMetadata,
+      confidence: confidence
+    },
+    // Documents the answer's [n] markers point to (empty if it wasn't RAG-grounded)
+    sources: result.sources || []
+  };
+}
+
 // Workflow factory function
 export function createChatWorkflow() {
   return new ChatWorkflow();
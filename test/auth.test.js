@@ -0,0 +1,275 @@
+// The owner documents and sessions get scoped to only ever comes from a
+// Cloudflare Access token (see auth.js) - an `owner` in the request is
+// ignored everywhere
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import worker from '../src/index.js';
+import { getAuthenticatedOwner } from '../src/auth.js';
+import { processDocument } from '../src/rag.js';
+import { DocumentLibrary, getLibraryName } from '../src/document-library.js';
+import { ChatSession } from '../src/chat-session.js';
+import { createTestEnv, createMockAI, createMockChatSession, mockFetch } from './helpers/bindings.js';
+import { createDurableObjectNamespace } from './helpers/durable-object.js';
+
+const TEAM = 'example.cloudflareaccess.com';
+const AUD = 'app-audience-tag';
+const ACCESS_VARS = { ACCESS_TEAM_DOMAIN: `https://${TEAM}/`, ACCESS_AUD: AUD };
+
+let privateKey;
+let publicJwk;
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const encodeJson = (value) => base64Url(new TextEncoder().encode(JSON.stringify(value)));
+
+async function signToken(claims = {}, { kid = 'key-1' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encodeJson({ alg: 'RS256', kid, typ: 'JWT' });
+  const payload = encodeJson({ iss: `https://${TEAM}`, aud: [AUD], email: 'alice@example.com', iat: now, exp: now + 600, ...claims });
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', privateKey, new TextEncoder().encode(`${header}.${payload}`));
+  return `${header}.${payload}.${base64Url(signature)}`;
+}
+
+const requestWith = (token, url = 'http://localhost/api/chat', init = {}) => new Request(url, {
+  ...init,
+  headers: { ...(token ? { 'Cf-Access-Jwt-Assertion': token } : {}), ...init.headers }
+});
+
+beforeAll(async () => {
+  const keys = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  privateKey = keys.privateKey;
+  publicJwk = { ...(await crypto.subtle.exportKey('jwk', keys.publicKey)), kid: 'key-1' };
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const stubCerts = () => {
+  const fetch = mockFetch([[`https://${TEAM}/cdn-cgi/access/certs`, () => ({ keys: [publicJwk] })]]);
+  vi.stubGlobal('fetch', fetch);
+  return fetch;
+};
+
+describe('getAuthenticatedOwner', () => {
+  it('returns the email from a valid Access token', async () => {
+    const fetch = stubCerts();
+    expect(await getAuthenticatedOwner(requestWith(await signToken()), ACCESS_VARS)).toBe('alice@example.com');
+    expect(fetch).toHaveBeenCalledWith(`https://${TEAM}/cdn-cgi/access/certs`);
+  });
+
+  it('uses the client id for service tokens', async () => {
+    stubCerts();
+    const token = await signToken({ email: undefined, common_name: 'ci-bot.access' });
+    expect(await getAuthenticatedOwner(requestWith(token), ACCESS_VARS)).toBe('ci-bot.access');
+  });
+
+  it('rejects tokens that are expired, for another app or issuer, tampered with or signed by an unknown key', async () => {
+    stubCerts();
+    const owner = async (token) => getAuthenticatedOwner(requestWith(token), ACCESS_VARS);
+
+    expect(await owner(await signToken({ exp: Math.floor(Date.now() / 1000) - 1 }))).toBeNull();
+    expect(await owner(await signToken({ aud: ['another-app'] }))).toBeNull();
+    expect(await owner(await signToken({ iss: 'https://evil.cloudflareaccess.com' }))).toBeNull();
+    expect(await owner(await signToken({}, { kid: 'key-2' }))).toBeNull();
+
+    const [header, , signature] = (await signToken()).split('.');
+    expect(await owner(`${header}.${encodeJson({ iss: `https://${TEAM}`, aud: [AUD], email: 'mallory@example.com', exp: 9999999999 })}.${signature}`)).toBeNull();
+    expect(await owner('not-a-token')).toBeNull();
+  });
+
+  it('is null without a token, or when Access isn\'t configured', async () => {
+    const fetch = stubCerts();
+    expect(await getAuthenticatedOwner(requestWith(null), ACCESS_VARS)).toBeNull();
+    expect(await getAuthenticatedOwner(requestWith(await signToken()), {})).toBeNull();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('owner scoping', () => {
+  const ALICE_TEXT = 'Alice resume: ten years of experience as a zebra veterinarian in Kenya and Tanzania.';
+
+  // Alice uploaded her resume in her own session; Eve pins its id to hers
+  async function setup(overrides = {}) {
+    const env = createTestEnv({
+      CHAT_SESSION: createMockChatSession({ 's-eve': { documentIds: ['doc-alice'] }, 's-alice-2': { documentIds: ['doc-alice'] } }),
+      ...ACCESS_VARS,
+      ...overrides
+    });
+    await processDocument(ALICE_TEXT, 'text', null, env, {
+      documentId: 'doc-alice',
+      sessionId: 's-alice',
+      owner: 'alice@example.com',
+      sourceName: 'resume.txt',
+      storeContent: env.DOCUMENT_LIBRARY.storeContent
+    });
+    return env;
+  }
+
+  const chat = async (env, body, token = null) => (await worker.fetch(requestWith(token, 'http://localhost/api/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }), env, {})).json();
+
+  it('ignores an owner sent in the chat body', async () => {
+    stubCerts();
+    const env = await setup();
+    const body = await chat(env, { message: 'what does the resume say?', sessionId: 's-eve', owner: 'alice@example.com' });
+    expect(body.sources).toEqual([]);
+    expect(body.response).not.toContain('veterinarian');
+  });
+
+  it('lets a signed-in owner search their upload from another session', async () => {
+    stubCerts();
+    const env = await setup();
+    const body = await chat(env, { message: 'what does the resume say?', sessionId: 's-alice-2' }, await signToken());
+    expect(body.sources[0]).toMatchObject({ documentId: 'doc-alice', source: 'resume.txt' });
+  });
+
+  it('only searches documents for signed-in users on /v1/chat/completions', async () => {
+    stubCerts();
+    const env = await setup();
+    const complete = async (token) => (await worker.fetch(requestWith(token, 'http://localhost/v1/chat/completions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messages: [{ role: 'user', content: 'what does the resume say?' }], user: 'alice@example.com' })
+    }), env, {})).json();
+
+    expect((await complete(null)).choices[0].message.content).not.toContain('veterinarian');
+    expect((await complete(await signToken())).choices[0].message.content).toContain('veterinarian');
+  });
+
+  it('never lists or deletes documents for an ?owner= or a ?sessionId= the caller can\'t open', async () => {
+    stubCerts();
+    const env = createTestEnv({
+      DOCUMENT_LIBRARY: createDurableObjectNamespace(DocumentLibrary, { AI: createMockAI() }),
+      CHAT_SESSION: createMockChatSession({ 's-eve': {}, 's-alice': { owner: 'alice@example.com' } }),
+      ...ACCESS_VARS
+    });
+    // Alice's upload went to her own library
+    const aliceLibrary = getLibraryName({ owner: 'alice@example.com' });
+    await env.DOCUMENT_LIBRARY.get(env.DOCUMENT_LIBRARY.idFromName(aliceLibrary)).fetch('http://internal/documents/status');
+    (await env.DOCUMENT_LIBRARY.objects.get(aliceLibrary)).registerDocument({
+      id: 'doc-alice', filename: 'resume.txt', type: 'text', sessionId: 's-alice', owner: 'alice@example.com'
+    });
+    const api = async (path, token = null, method = 'GET') => {
+      const response = await worker.fetch(requestWith(token, `http://localhost${path}`, { method }), env, {});
+      return { status: response.status, body: await response.json() };
+    };
+
+    expect((await api('/api/documents?owner=alice@example.com')).status).toBe(400);
+    expect((await api('/api/documents?sessionId=s-eve&owner=alice@example.com')).body.documents).toEqual([]);
+    expect((await api('/api/documents/doc-alice?sessionId=s-eve&owner=alice@example.com', null, 'DELETE')).status).toBe(404);
+
+    const signedIn = await api('/api/documents', await signToken());
+    expect(signedIn.body.documents.map(document => document.id)).toEqual(['doc-alice']);
+
+    // The document's own sessionId only works for a session the caller can open
+    expect((await api('/api/documents?sessionId=s-alice')).status).toBe(404);
+    expect((await api('/api/documents/doc-alice?sessionId=s-alice')).status).toBe(404);
+    expect((await api('/api/documents/doc-alice/text?sessionId=s-guessed')).status).toBe(404);
+    const inSession = await api('/api/documents?sessionId=s-alice', await signToken());
+    expect(inSession.body.documents.map(document => document.id)).toEqual(['doc-alice']);
+  });
+
+  it('keeps each owner\'s and each anonymous session\'s uploads in their own library', async () => {
+    stubCerts();
+    const env = createTestEnv({ DOCUMENT_LIBRARY: createDurableObjectNamespace(DocumentLibrary, { AI: createMockAI() }), ...ACCESS_VARS });
+    const upload = async (token) => {
+      const form = new FormData();
+      form.append('file', new File([ALICE_TEXT], 'resume.txt', { type: 'text/plain' }));
+      return (await worker.fetch(requestWith(token, 'http://localhost/api/upload', { method: 'POST', body: form }), env, {})).json();
+    };
+
+    await upload(await signToken());
+    await upload(await signToken());
+    const first = await upload(null);
+    const second = await upload(null);
+
+    expect([...env.DOCUMENT_LIBRARY.objects.keys()]).toEqual([
+      'owner:alice@example.com',
+      `session:${first.sessionId}`,
+      `session:${second.sessionId}`
+    ]);
+  });
+
+  it('only shows an upload\'s job to its session or owner', async () => {
+    stubCerts();
+    const env = createTestEnv({
+      DOCUMENT_LIBRARY: createDurableObjectNamespace(DocumentLibrary, { AI: createMockAI() }),
+      CHAT_SESSION: createMockChatSession({ 's-eve': {} }),
+      ...ACCESS_VARS
+    });
+    const form = new FormData();
+    form.append('file', new File([ALICE_TEXT], 'resume.txt', { type: 'text/plain' }));
+    const upload = await (await worker.fetch(requestWith(await signToken(), 'http://localhost/api/upload', { method: 'POST', body: form }), env, {})).json();
+    const job = async (query, token = null) => (await worker.fetch(requestWith(token, `http://localhost/api/jobs/${upload.jobId}${query}`), env, {})).status;
+
+    expect(await job('')).toBe(400);
+    expect(await job('?sessionId=s-eve')).toBe(404);
+    expect(await job('?sessionId=s-eve&owner=alice@example.com')).toBe(404);
+    expect(await job(`?sessionId=${upload.sessionId}`)).toBe(404); // Alice's session, and Eve isn't signed in as her
+    expect(await job('', await signToken())).toBe(200);
+
+    const polled = await worker.fetch(requestWith(await signToken(), `http://localhost${upload.statusUrl}`), env, {});
+    expect((await polled.json()).job).toMatchObject({ documentId: upload.documentId, filename: 'resume.txt' });
+  });
+});
+
+describe('session ownership', () => {
+  const setup = () => {
+    const env = createTestEnv(ACCESS_VARS);
+    env.CHAT_SESSION = createDurableObjectNamespace(ChatSession, env, 'CHAT_SESSION');
+    return env;
+  };
+  const api = async (env, path, token = null, init = {}) => {
+    const response = await worker.fetch(requestWith(token, `http://localhost${path}`, init), env, {});
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('issues random session ids and lists only the caller\'s sessions', async () => {
+    stubCerts();
+    const env = setup();
+    const alice = await signToken();
+    const bob = await signToken({ email: 'bob@example.com' });
+
+    const created = await api(env, '/api/sessions', alice, { method: 'POST', body: JSON.stringify({ title: 'Planning' }) });
+    expect(created.body.sessionId).toMatch(/^[0-9a-f-]{36}$/);
+    await api(env, '/api/sessions', bob, { method: 'POST' });
+    await api(env, '/api/sessions', null, { method: 'POST' });
+
+    expect((await api(env, '/api/sessions', alice)).body.sessions.map(session => session.title)).toEqual(['Planning']);
+    expect((await api(env, '/api/sessions', bob)).body.sessions).toHaveLength(1);
+    expect((await api(env, '/api/sessions')).status).toBe(401);
+  });
+
+  it('only opens a signed-in user\'s session for them', async () => {
+    stubCerts();
+    const env = setup();
+    const alice = await signToken();
+    const bob = await signToken({ email: 'bob@example.com' });
+    const { sessionId } = (await api(env, '/api/sessions', alice, { method: 'POST' })).body;
+
+    for (const token of [bob, null]) {
+      expect((await api(env, `/api/sessions/${sessionId}`, token)).status).toBe(404);
+      expect((await api(env, `/api/sessions/${sessionId}/messages`, token)).status).toBe(404);
+      expect((await api(env, `/api/sessions/${sessionId}`, token, { method: 'DELETE' })).status).toBe(404);
+      const chat = await api(env, '/api/chat', token, { method: 'POST', body: JSON.stringify({ message: 'hello', sessionId }) });
+      expect(chat.status).toBe(404);
+    }
+
+    expect((await api(env, `/api/sessions/${sessionId}`, alice)).status).toBe(200);
+    const chat = await api(env, '/api/chat', alice, { method: 'POST', body: JSON.stringify({ message: 'hello', sessionId }) });
+    expect(chat.body.sessionId).toBe(sessionId);
+  });
+
+  it('doesn\'t accept a session id the worker didn\'t issue', async () => {
+    stubCerts();
+    const env = setup();
+    const chat = await api(env, '/api/chat', null, { method: 'POST', body: JSON.stringify({ message: 'hello', sessionId: 'demo-session-1' }) });
+    expect(chat).toEqual({ status: 404, body: { error: 'Session not found' } });
+  });
+});
@@ -0,0 +1,189 @@
+// ChatSession on real SQLite (see helpers/durable-object.js): stored turns
+// and their tool calls, paging, pinned documents, who may open a session and
+// the per-owner session directory. Every session is its own object, like in
+// production, and they keep the directory object up to date through the
+// CHAT_SESSION namespace
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ChatSession, SESSION_DIRECTORY_NAME, getDirectoryName } from '../src/chat-session.js';
+import { createMockAI } from './helpers/bindings.js';
+import { createDurableObjectNamespace } from './helpers/durable-object.js';
+
+const OWNER = 'alice@example.com';
+
+let namespace;
+
+// Calls go in as OWNER, the way the worker passes along the signed-in user
+const call = async (name, path, init, owner = OWNER) => {
+  const stub = namespace.get(namespace.idFromName(name));
+  const url = new URL(`http://internal${path}`);
+  if (owner) url.searchParams.set('owner', owner);
+  const response = await stub.fetch(url.toString(), init);
+  return { status: response.status, body: await response.json() };
+};
+const send = (name, path, method, body, owner) => call(name, path, { method, body: JSON.stringify(body) }, owner);
+
+const startSession = (sessionId, owner = OWNER, body = {}) =>
+  send(sessionId, `/api/sessions/create?sessionId=${sessionId}`, 'POST', body, owner);
+
+const saveTurn = (sessionId, question, answer, agentMetadata) => send(sessionId, `/api/sessions?sessionId=${sessionId}`, 'POST', {
+  messages: [
+    { role: 'user', content: question },
+    { role: 'assistant', content: answer, agentMetadata }
+  ]
+});
+
+beforeEach(() => {
+  namespace = createDurableObjectNamespace(ChatSession, { AI: createMockAI() }, 'CHAT_SESSION');
+  return startSession('s1');
+});
+
+describe('messages', () => {
+  it('stores a turn with its tool calls and gives it back as history', async () => {
+    const saved = await saveTurn('s1', 'calculate 6 * 7', 'It is 42.', {
+      toolsUsed: ['calculate'],
+      iterations: 2,
+      functionCallsExecuted: [{ name: 'calculate', arguments: { expression: '6 * 7' }, result: { result: 42 }, timestamp: 1000 }]
+    });
+    expect(saved.body).toMatchObject({ success: true, saved: 2, session: { id: 's1', title: 'calculate 6 * 7', messageCount: 2 } });
+
+    const { body } = await call('s1', '/api/sessions/history?sessionId=s1');
+    expect(body.messages).toEqual([
+      { id: 1, role: 'user', content: 'calculate 6 * 7', timestamp: expect.any(Number) },
+      {
+        id: 2,
+        role: 'assistant',
+        content: 'It is 42.',
+        timestamp: expect.any(Number),
+        metadata: { toolsUsed: ['calculate'], iterations: 2 },
+        toolCalls: [{ name: 'calculate', arguments: { expression: '6 * 7' }, result: { result: 42 }, timestamp: 1000 }]
+      }
+    ]);
+  });
+
+  it('limits history to the latest messages, oldest first', async () => {
+    for (let turn = 1; turn <= 3; turn++) {
+      await saveTurn('s1', `question ${turn}`, `answer ${turn}`);
+    }
+
+    const { body } = await call('s1', '/api/sessions/history?sessionId=s1&limit=3');
+    expect(body.messages.map(message => message.content)).toEqual(['answer 2', 'question 3', 'answer 3']);
+  });
+
+  it('pages through messages with a cursor, both ways', async () => {
+    for (let turn = 1; turn <= 3; turn++) {
+      await saveTurn('s1', `question ${turn}`, `answer ${turn}`);
+    }
+
+    const first = (await call('s1', '/api/sessions/messages?sessionId=s1&limit=4')).body;
+    expect(first.messages.map(message => message.id)).toEqual([1, 2, 3, 4]);
+    expect(first.hasMore).toBe(true);
+    const second = (await call('s1', `/api/sessions/messages?sessionId=s1&limit=4&cursor=${first.nextCursor}`)).body;
+    expect(second).toMatchObject({ hasMore: false, nextCursor: null });
+    expect(second.messages.map(message => message.id)).toEqual([5, 6]);
+
+    const newest = (await call('s1', '/api/sessions/messages?sessionId=s1&limit=2&order=desc')).body;
+    expect(newest.messages.map(message => message.id)).toEqual([6, 5]);
+
+    expect((await call('s1', '/api/sessions/messages?sessionId=s1&cursor=%%%')).status).toBe(400);
+    expect((await call('s2', '/api/sessions/messages?sessionId=s2')).status).toBe(404);
+  });
+
+  it('clears the messages but keeps the session', async () => {
+    await saveTurn('s1', 'hello', 'hi');
+    expect((await call('s1', '/api/sessions/clear?sessionId=s1', { method: 'POST' })).body).toEqual({ success: true });
+
+    expect((await call('s1', '/api/sessions/history?sessionId=s1')).body.messages).toEqual([]);
+    expect((await call('s1', '/api/sessions/info?sessionId=s1')).body.session).toMatchObject({ title: 'hello', messageCount: 0 });
+  });
+});
+
+describe('pinned documents', () => {
+  it('adds, replaces and unpins documents in pin order', async () => {
+    const path = '/api/sessions/documents?sessionId=s1';
+    await send('s1', path, 'POST', { documentIds: ['doc-a', 'doc-b'] });
+    expect((await send('s1', path, 'POST', { documentIds: ['doc-a'] })).body.documentIds).toEqual(['doc-b', 'doc-a']);
+
+    expect((await send('s1', path, 'PUT', { documentIds: ['doc-c', 'doc-d'] })).body.documentIds).toEqual(['doc-c', 'doc-d']);
+    expect((await call('s1', `${path}&documentId=doc-c`, { method: 'DELETE' })).body.documentIds).toEqual(['doc-d']);
+    expect((await call('s1', path)).body.documentIds).toEqual(['doc-d']);
+
+    expect((await send('s1', path, 'POST', { documentIds: [42] })).status).toBe(400);
+  });
+});
+
+describe('session directory', () => {
+  const listSessions = async (owner = OWNER) => (await call(getDirectoryName(owner), '/api/sessions')).body.sessions;
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('lists every session, most recently active first', async () => {
+    vi.useFakeTimers({ toFake: ['Date'], now: 1000 });
+    await saveTurn('s1', 'first conversation', 'ok');
+    vi.setSystemTime(2000);
+    await startSession('s2');
+    await saveTurn('s2', 'second conversation', 'ok');
+    // Renaming isn't activity - s1 stays second
+    vi.setSystemTime(3000);
+    await send('s1', '/api/sessions/info?sessionId=s1', 'PATCH', { title: '  Renamed   session ' });
+
+    const sessions = await listSessions();
+    expect(sessions.map(session => [session.id, session.title, session.messageCount, session.lastActivityAt])).toEqual([
+      ['s2', 'second conversation', 2, 2000],
+      ['s1', 'Renamed session', 2, 1000]
+    ]);
+  });
+
+  it('removes a deleted session from the directory and from its own object', async () => {
+    await saveTurn('s1', 'hello', 'hi');
+    await send('s1', '/api/sessions/documents?sessionId=s1', 'POST', { documentIds: ['doc-a'] });
+
+    expect((await call('s1', '/api/sessions/info?sessionId=s1', { method: 'DELETE' })).body).toEqual({ success: true, deleted: 's1' });
+
+    expect(await listSessions()).toEqual([]);
+    expect((await call('s1', '/api/sessions/info?sessionId=s1')).status).toBe(404);
+    expect((await call('s1', '/api/sessions/documents?sessionId=s1')).status).toBe(404);
+  });
+
+  it('creates an empty session with a title, once', async () => {
+    const { body } = await startSession('s3', OWNER, { title: 'Planning' });
+    expect(body).toMatchObject({ sessionId: 's3', session: { title: 'Planning', messageCount: 0 } });
+    expect((await listSessions()).map(session => session.id).sort()).toEqual(['s1', 's3']);
+
+    expect((await startSession('s3')).status).toBe(409);
+  });
+
+  it("keeps each owner's sessions in their own directory and doesn't list anonymous ones", async () => {
+    await startSession('bobs', 'bob@example.com');
+    await startSession('anon', null);
+    await saveTurn('anon', 'hello', 'hi');
+
+    expect((await listSessions()).map(session => session.id)).toEqual(['s1']);
+    expect((await listSessions('bob@example.com')).map(session => session.id)).toEqual(['bobs']);
+    expect((await call(SESSION_DIRECTORY_NAME, '/api/sessions')).body.sessions).toEqual([]);
+  });
+});
+
+describe('who can open a session', () => {
+  it("is a 404 for someone else's session, like a session that doesn't exist", async () => {
+    await saveTurn('s1', 'hello', 'hi');
+
+    for (const owner of ['bob@example.com', null]) {
+      expect((await call('s1', '/api/sessions/history?sessionId=s1', {}, owner)).status).toBe(404);
+      expect((await send('s1', '/api/sessions/info?sessionId=s1', 'PATCH', { title: 'mine now' }, owner)).status).toBe(404);
+      expect((await call('s1', '/api/sessions/info?sessionId=s1', { method: 'DELETE' }, owner)).status).toBe(404);
+    }
+    expect((await call('s1', '/api/sessions/info?sessionId=s1')).body.session).toMatchObject({ title: 'hello', messageCount: 2 });
+  });
+
+  it("only opens sessions the worker created, by their id", async () => {
+    expect((await saveTurn('made-up', 'hello', 'hi')).status).toBe(404);
+    expect((await call('s1', '/api/sessions/history')).status).toBe(404);
+    expect((await send('new', '/api/sessions/create', 'POST', {})).status).toBe(400);
+
+    // A session started without anyone signed in opens for whoever has its id
+    await startSession('anon', null);
+    expect((await call('anon', '/api/sessions/history?sessionId=anon', {}, 'bob@example.com')).status).toBe(200);
+  });
+});
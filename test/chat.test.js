@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { processDocument } from '../src/rag.js';
+import { SESSION_DIRECTORY_NAME } from '../src/chat-session.js';
+import { DocumentLibrary } from '../src/document-library.js';
+import { createTestEnv, createMockAI, createMockChatSession } from './helpers/bindings.js';
+import { createDurableObjectNamespace } from './helpers/durable-object.js';
+
+const chat = (env, body) => worker.fetch(new Request('http://localhost/api/chat', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+}), env, {});
+
+describe('POST /api/chat', () => {
+  it('answers with the session history and stores the new turn', async () => {
+    const env = createTestEnv({
+      CHAT_SESSION: createMockChatSession({
+        s1: { messages: [{ role: 'user', content: 'my name is Ada' }, { role: 'assistant', content: 'Hi Ada!' }] }
+      })
+    });
+
+    const response = await chat(env, { message: 'what is my name?', sessionId: 's1' });
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body).toMatchObject({ response: 'This is a fake response to: what is my name?', sessionId: 's1', conversationLength: 3 });
+
+    const request = env.AI.run.mock.calls.find(([model]) => model.includes('llama-3.3'))[1];
+    expect(request.messages.map(message => message.content).slice(1)).toEqual(['my name is Ada', 'Hi Ada!', 'what is my name?']);
+    expect(env.CHAT_SESSION.stored.s1.map(message => message.content)).toEqual(['what is my name?', body.response]);
+  });
+
+  it('grounds document questions in the session\'s uploads and cites them', async () => {
+    const env = createTestEnv({ CHAT_SESSION: createMockChatSession({ s1: {} }) });
+    await processDocument('Zebras are African equines. Each zebra has a unique stripe pattern, much like a fingerprint.', 'text', null, env, {
+      sessionId: 's1',
+      sourceName: 'zebras.txt',
+      storeContent: env.DOCUMENT_LIBRARY.storeContent
+    });
+
+    const body = await (await chat(env, { message: 'what does the document say about zebras?', sessionId: 's1' })).json();
+    expect(body.response).toBe('According to zebras.txt [1]: Zebras are African equines. Each zebra has a unique stripe pattern, much like a fingerprint.');
+    expect(body.sources).toHaveLength(1);
+    expect(body.sources[0]).toMatchObject({ id: 1, source: 'zebras.txt' });
+  });
+
+  it('requires a message', async () => {
+    const response = await chat(createTestEnv(), { sessionId: 's1' });
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Message is required' });
+  });
+});
+
+describe('the session directory', () => {
+  it('can\'t be used as a sessionId', async () => {
+    const env = createTestEnv({ CHAT_SESSION: createMockChatSession() });
+    const request = (path, init) => worker.fetch(new Request(`http://localhost${path}`, init), env, {});
+    const form = new FormData();
+    form.append('file', new File(['Zebras are African equines.'], 'zebras.txt', { type: 'text/plain' }));
+    form.append('sessionId', SESSION_DIRECTORY_NAME);
+
+    const chatResponse = await chat(env, { message: 'hello', sessionId: SESSION_DIRECTORY_NAME });
+    expect(chatResponse.status).toBe(400);
+    expect(await chatResponse.json()).toEqual({ error: 'Invalid sessionId' });
+    expect((await request(`/ws?sessionId=${SESSION_DIRECTORY_NAME}`, { headers: { Upgrade: 'websocket' } })).status).toBe(400);
+    expect((await request('/api/upload', { method: 'POST', body: form })).status).toBe(400);
+    expect((await request(`/api/documents?sessionId=${SESSION_DIRECTORY_NAME}`)).status).toBe(400);
+    for (const method of ['GET', 'PATCH', 'DELETE']) {
+      expect((await request(`/api/sessions/${SESSION_DIRECTORY_NAME}`, { method, body: method === 'PATCH' ? '{}' : undefined })).status).toBe(404);
+    }
+    expect((await request(`/api/sessions/${SESSION_DIRECTORY_NAME}/history`)).status).toBe(404);
+
+    expect(env.CHAT_SESSION.idFromName).not.toHaveBeenCalled();
+  });
+});
+
+describe('requests without a session', () => {
+  it('starts a new session for a request without one instead of sharing a default', async () => {
+    const env = createTestEnv();
+    const first = await (await chat(env, { message: 'my name is Ada' })).json();
+    const second = await (await chat(env, { message: 'what is my name?' })).json();
+
+    expect(first.sessionId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(second.sessionId).not.toBe(first.sessionId);
+    expect(second.conversationLength).toBe(1);
+    expect(Object.keys(env.CHAT_SESSION.stored)).toEqual([first.sessionId, second.sessionId]);
+    expect(env.CHAT_SESSION.idFromName).not.toHaveBeenCalledWith('default');
+  });
+
+  it('gives uploads and sockets without a session a new one', async () => {
+    const env = createTestEnv({ DOCUMENT_LIBRARY: createDurableObjectNamespace(DocumentLibrary, { AI: createMockAI() }) });
+    const form = new FormData();
+    form.append('file', new File(['Zebras are African equines.'], 'zebras.txt', { type: 'text/plain' }));
+    const upload = await (await worker.fetch(new Request('http://localhost/api/upload', { method: 'POST', body: form }), env, {})).json();
+    expect(upload.sessionId).toMatch(/^[0-9a-f-]{36}$/);
+    expect((await worker.fetch(new Request(`http://localhost${upload.statusUrl}`), env, {})).status).toBe(200);
+
+    await worker.fetch(new Request('http://localhost/ws', { headers: { Upgrade: 'websocket' } }), env, {});
+    const socketRequest = env.CHAT_SESSION.get.mock.results.at(-1).value.fetch.mock.calls.at(-1)[0];
+    const socketSession = new URL(socketRequest.url).searchParams.get('sessionId');
+    expect(socketSession).toMatch(/^[0-9a-f-]{36}$/);
+    expect(socketSession).not.toBe(upload.sessionId);
+    expect(env.CHAT_SESSION.idFromName).not.toHaveBeenCalledWith('default');
+  });
+});
@@ -0,0 +1,266 @@
+// The DocumentLibrary on real SQLite (see helpers/durable-object.js):
+// ingestion jobs run by the alarm, the content store, the BM25 keyword index
+// and the local vector index it keeps when there's no Vectorize binding
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { DocumentLibrary } from '../src/document-library.js';
+import { initializeKeywordSchema, indexDocumentChunks, searchKeywordIndex } from '../src/keyword-index.js';
+import { createMockAI, createMockVectorize } from './helpers/bindings.js';
+import { createDurableObjectState, createSqlStorage, runAlarms } from './helpers/durable-object.js';
+
+const ZEBRA_TEXT = 'Zebras are African equines with distinctive black-and-white striped coats. Each zebra has a unique stripe pattern, and a group of zebras is called a dazzle.';
+
+let state;
+let library;
+
+const call = async (path, init) => {
+  const response = await library.fetch(new Request(`http://internal${path}`, init));
+  return { status: response.status, body: await response.json() };
+};
+const post = (path, body) => call(path, { method: 'POST', body: JSON.stringify(body) });
+
+const queueUpload = (fields, text) => {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  if (text !== undefined) form.append('file', new Blob([text]));
+  return call('/jobs', { method: 'POST', body: form });
+};
+
+beforeEach(async () => {
+  state = await createDurableObjectState();
+  library = new DocumentLibrary(state, { AI: createMockAI() });
+});
+
+describe('ingestion jobs', () => {
+  it('queues an upload and runs it from the alarm', async () => {
+    const queued = await queueUpload({ documentId: 'doc-zebras', type: 'text', source: 'zebras.txt', sessionId: 's1' }, ZEBRA_TEXT);
+    expect(queued.status).toBe(202);
+    expect(queued.body.job).toMatchObject({ documentId: 'doc-zebras', stage: 'queued', done: false, size: ZEBRA_TEXT.length });
+    expect(state.alarmAt).not.toBeNull();
+
+    await runAlarms(library, state);
+
+    const { body } = await call(`/jobs/item?id=${queued.body.job.id}&sessionId=s1`);
+    expect(body.job).toMatchObject({ stage: 'ready', done: true, error: null, attempts: 1 });
+    expect((await call(`/jobs/item?id=${queued.body.job.id}&sessionId=s2`)).status).toBe(404);
+    expect((await call(`/jobs/item?id=${queued.body.job.id}`)).status).toBe(404);
+    expect(library.sql.exec('SELECT COUNT(*) AS count FROM job_payloads').toArray()[0].count).toBe(0);
+
+    const { body: list } = await call('/documents?sessionId=s1');
+    expect(list.documents).toEqual([expect.objectContaining({ id: 'doc-zebras', filename: 'zebras.txt', textLength: ZEBRA_TEXT.length, sessionId: 's1' })]);
+    expect((await call('/documents/text?id=doc-zebras&sessionId=s1')).body.text).toBe(ZEBRA_TEXT);
+    expect((await call('/documents/status?ids=doc-zebras,doc-unknown')).body.statuses).toEqual({ 'doc-zebras': 'ready', 'doc-unknown': 'unknown' });
+  });
+
+  it('stores the vectors, chunk texts and keyword postings for the document', async () => {
+    await queueUpload({ documentId: 'doc-zebras', type: 'text', source: 'zebras.txt', sessionId: 's1' }, ZEBRA_TEXT);
+    await runAlarms(library, state);
+    const { chunkCount } = (await call('/documents/item?id=doc-zebras&sessionId=s1')).body.document;
+
+    const { body: vectors } = await post('/vectors/get', { ids: ['doc-zebras-chunk-0'] });
+    expect(vectors.vectors[0]).toMatchObject({ id: 'doc-zebras-chunk-0', metadata: { documentId: 'doc-zebras', sessionId: 's1' } });
+    expect(vectors.vectors[0].values).toHaveLength(384);
+
+    const { body: chunks } = await post('/content/chunks', { ids: ['doc-zebras-chunk-0', 'doc-other-chunk-0'] });
+    expect(chunks.texts).toEqual({ 'doc-zebras-chunk-0': expect.stringContaining('Zebras are African equines') });
+
+    const { body: search } = await post('/keywords/search', { query: 'dazzle', scope: { sessionId: 's1' } });
+    expect(search.matches.map(match => match.documentId)).toEqual(['doc-zebras']);
+    expect(library.sql.exec('SELECT COUNT(*) AS count FROM keyword_chunks').toArray()[0].count).toBe(chunkCount);
+  });
+
+  it('fails a job whose file has no text, and leaves nothing behind', async () => {
+    const queued = await queueUpload({ documentId: 'doc-blank', type: 'text', source: 'blank.txt', sessionId: 's1' }, '   \n  ');
+    await runAlarms(library, state);
+
+    const { body } = await call(`/jobs/item?id=${queued.body.job.id}&sessionId=s1`);
+    expect(body.job).toMatchObject({ stage: 'failed', done: true });
+    expect(body.job.error).toMatch(/No text extracted/);
+    expect((await call('/documents?sessionId=s1')).body.documents).toEqual([]);
+    expect((await call('/documents/status?ids=doc-blank')).body.statuses).toEqual({ 'doc-blank': 'failed' });
+    for (const table of ['job_payloads', 'keyword_chunks', 'chunk_contents', 'local_vectors']) {
+      expect(library.sql.exec(`SELECT COUNT(*) AS count FROM ${table}`).toArray()[0].count).toBe(0);
+    }
+  });
+
+  it('runs one job per alarm, oldest first', async () => {
+    await queueUpload({ documentId: 'doc-1', type: 'text', source: 'one.txt', sessionId: 's1' }, `The first document. ${ZEBRA_TEXT}`);
+    await queueUpload({ documentId: 'doc-2', type: 'text', source: 'two.txt', sessionId: 's1' }, `The second document. ${ZEBRA_TEXT}`);
+
+    state.alarmAt = null;
+    await library.alarm();
+    expect((await call('/documents/status?ids=doc-1,doc-2')).body.statuses).toEqual({ 'doc-1': 'ready', 'doc-2': 'queued' });
+    expect(state.alarmAt).not.toBeNull();
+
+    await runAlarms(library, state);
+    expect((await call('/documents/status?ids=doc-2')).body.statuses).toEqual({ 'doc-2': 'ready' });
+  });
+
+  it('requeues a job an eviction cut off, and gives up after three attempts', async () => {
+    const { body } = await queueUpload({ documentId: 'doc-1', type: 'text', source: 'one.txt', sessionId: 's1' }, 'Some text.');
+    const jobId = body.job.id;
+
+    library.sql.exec("UPDATE jobs SET stage = 'embedding', attempts = 1 WHERE id = ?", jobId);
+    library.recoverInterruptedJobs();
+    expect((await call(`/jobs/item?id=${jobId}&sessionId=s1`)).body.job.stage).toBe('queued');
+
+    library.sql.exec("UPDATE jobs SET stage = 'embedding', attempts = 3 WHERE id = ?", jobId);
+    library.recoverInterruptedJobs();
+    expect((await call(`/jobs/item?id=${jobId}&sessionId=s1`)).body.job).toMatchObject({ stage: 'failed', error: 'Gave up after 3 interrupted attempts' });
+  });
+});
+
+describe('ingestion jobs with Vectorize', () => {
+  let vectorize;
+
+  beforeEach(() => {
+    vectorize = createMockVectorize();
+    library = new DocumentLibrary(state, { AI: createMockAI(), VECTORIZE: vectorize });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('fails the job and removes everything it stored when the vectors never become searchable', async () => {
+    vectorize.getByIds.mockResolvedValue([]);
+    vi.useFakeTimers({ toFake: ['setTimeout', 'Date'] });
+
+    const { body } = await queueUpload({ documentId: 'doc-zebras', type: 'text', source: 'zebras.txt', sessionId: 's1' }, ZEBRA_TEXT);
+    const running = runAlarms(library, state);
+    await vi.advanceTimersByTimeAsync(61000);
+    await running;
+
+    const { job } = (await call(`/jobs/item?id=${body.job.id}&sessionId=s1`)).body;
+    expect(job).toMatchObject({ stage: 'failed', error: expect.stringMatching(/never became searchable/) });
+    expect((await call('/documents/status?ids=doc-zebras')).body.statuses).toEqual({ 'doc-zebras': 'failed' });
+
+    const upserted = vectorize.upsert.mock.calls.flatMap(([vectors]) => vectors.map(vector => vector.id));
+    expect(upserted.length).toBeGreaterThan(0);
+    expect(vectorize.deleteByIds.mock.calls.flat(2)).toEqual(upserted);
+    expect((await vectorize.query(new Array(384).fill(0.1), { topK: 10 })).matches).toEqual([]);
+    expect((await post('/keywords/search', { query: 'dazzle', scope: { sessionId: 's1' } })).body.matches).toEqual([]);
+    expect((await post('/content/chunks', { ids: upserted })).body.texts).toEqual({});
+  });
+
+  it('cleans up the vectors when the upsert fails', async () => {
+    vectorize.upsert.mockRejectedValueOnce(new Error('Vectorize is down'));
+
+    const { body } = await queueUpload({ documentId: 'doc-zebras', type: 'text', source: 'zebras.txt', sessionId: 's1' }, ZEBRA_TEXT);
+    await runAlarms(library, state);
+
+    expect((await call(`/jobs/item?id=${body.job.id}&sessionId=s1`)).body.job).toMatchObject({ stage: 'failed', error: expect.stringMatching(/Vectorize is down/) });
+    expect(vectorize.deleteByIds).toHaveBeenCalledWith(expect.arrayContaining(['doc-zebras-chunk-0']));
+    expect(library.sql.exec('SELECT COUNT(*) AS count FROM keyword_chunks').toArray()[0].count).toBe(0);
+  });
+});
+
+describe('documents', () => {
+  beforeEach(async () => {
+    await queueUpload({ documentId: 'doc-zebras', type: 'text', source: 'zebras.txt', sessionId: 's1', owner: 'alice' }, ZEBRA_TEXT);
+    await runAlarms(library, state);
+  });
+
+  it('only shows a document to its session or owner', async () => {
+    expect((await call('/documents/item?id=doc-zebras&sessionId=s1')).status).toBe(200);
+    expect((await call('/documents/item?id=doc-zebras&owner=alice')).status).toBe(200);
+    expect((await call('/documents/item?id=doc-zebras&sessionId=s2')).status).toBe(404);
+    expect((await call('/documents?owner=bob')).body.documents).toEqual([]);
+    expect((await call('/documents')).status).toBe(400);
+  });
+
+  it('deletes the registry row, the content and the keyword index together', async () => {
+    const deleted = await call('/documents/item?id=doc-zebras&sessionId=s1', { method: 'DELETE' });
+    expect(deleted.body).toMatchObject({ success: true, document: { id: 'doc-zebras' } });
+
+    expect((await call('/documents?sessionId=s1')).body.documents).toEqual([]);
+    expect((await post('/content/chunks', { ids: ['doc-zebras-chunk-0'] })).body.texts).toEqual({});
+    expect((await post('/keywords/search', { query: 'dazzle', scope: { sessionId: 's1' } })).body.matches).toEqual([]);
+  });
+
+  it('refuses to remove a registered document through /content', async () => {
+    const { status } = await call('/content?documentId=doc-zebras', { method: 'DELETE' });
+    expect(status).toBe(409);
+  });
+});
+
+describe('content store', () => {
+  it('stores, serves and removes text for documents outside ingestion jobs', async () => {
+    const stored = await post('/content', { documentId: 'eval-1', text: 'alpha beta', chunkTexts: ['alpha', 'beta'], sessionId: 'eval' });
+    expect(stored.body).toEqual({ success: true, chunks: 2 });
+
+    expect((await post('/content/chunks', { ids: ['eval-1-chunk-1'] })).body.texts).toEqual({ 'eval-1-chunk-1': 'beta' });
+    expect((await post('/keywords/search', { query: 'beta', scope: { sessionId: 'eval' } })).body.matches)
+      .toEqual([expect.objectContaining({ id: 'eval-1-chunk-1', documentId: 'eval-1' })]);
+    expect((await call('/documents?sessionId=eval')).body.documents).toEqual([]);
+
+    await call('/content?documentId=eval-1', { method: 'DELETE' });
+    expect((await post('/content/chunks', { ids: ['eval-1-chunk-0', 'eval-1-chunk-1'] })).body.texts).toEqual({});
+  });
+
+  it('validates the body', async () => {
+    expect((await post('/content', { documentId: 'eval-1' })).status).toBe(400);
+    expect((await post('/keywords/search', { scope: { sessionId: 's1' } })).status).toBe(400);
+  });
+});
+
+describe('keyword index (BM25)', () => {
+  let sql;
+
+  beforeEach(async () => {
+    sql = await createSqlStorage();
+    initializeKeywordSchema(sql);
+  });
+
+  const search = (query, filter, topK = 10) => searchKeywordIndex(sql, query, filter, topK);
+
+  it('ranks chunks with the rarer term first', () => {
+    indexDocumentChunks(sql, 'doc-a', [
+      'The deploy failed with error E-1042 during the database migration.',
+      'The deploy finished and the database is healthy.',
+      'The database backup ran overnight.'
+    ], { sessionId: 's1' });
+
+    const matches = search('E-1042 database', { sessionId: 's1' });
+    expect(matches.map(match => match.id)).toEqual(['doc-a-chunk-0', 'doc-a-chunk-1', 'doc-a-chunk-2']);
+    expect(matches[0].score).toBeGreaterThan(matches[1].score);
+    expect(search('1042', { sessionId: 's1' }).map(match => match.id)).toEqual(['doc-a-chunk-0']);
+  });
+
+  it('scores a term that repeats higher, and a longer chunk lower', () => {
+    indexDocumentChunks(sql, 'doc-a', [
+      'refund refund policy',
+      'refund policy',
+      'refund policy with many other words about shipping returns exchanges and warranties',
+      'unrelated text about shipping'
+    ], { sessionId: 's1' });
+
+    expect(search('refund', { sessionId: 's1' }).map(match => match.id)).toEqual(['doc-a-chunk-0', 'doc-a-chunk-1', 'doc-a-chunk-2']);
+  });
+
+  it('only searches the scope it is given', () => {
+    indexDocumentChunks(sql, 'doc-mine', ['the zebra stripes'], { sessionId: 's1' });
+    indexDocumentChunks(sql, 'doc-theirs', ['the zebra stripes'], { sessionId: 's2', owner: 'bob' });
+    indexDocumentChunks(sql, 'doc-old', ['zebra facts'], { sessionId: 's1' });
+
+    expect(search('zebra', { sessionId: 's1' }).map(match => match.documentId).sort()).toEqual(['doc-mine', 'doc-old']);
+    expect(search('zebra', { owner: 'bob' }).map(match => match.documentId)).toEqual(['doc-theirs']);
+    expect(search('zebra', { sessionId: 's1', documentId: { $in: ['doc-old'] } }).map(match => match.documentId)).toEqual(['doc-old']);
+    expect(search('zebra', {})).toEqual([]);
+  });
+
+  it('re-indexing a document replaces its chunks', () => {
+    indexDocumentChunks(sql, 'doc-a', ['first version mentions walrus'], { sessionId: 's1' });
+    indexDocumentChunks(sql, 'doc-a', ['second version mentions narwhal'], { sessionId: 's1' });
+
+    expect(search('walrus', { sessionId: 's1' })).toEqual([]);
+    expect(search('narwhal', { sessionId: 's1' })).toHaveLength(1);
+  });
+
+  it('ignores stopwords and empty queries', () => {
+    indexDocumentChunks(sql, 'doc-a', ['what is the answer'], { sessionId: 's1' });
+
+    expect(search('what is the', { sessionId: 's1' })).toEqual([]);
+    expect(search('', { sessionId: 's1' })).toEqual([]);
+    expect(search('answer', { sessionId: 's1' })).toHaveLength(1);
+  });
+});
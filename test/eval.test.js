@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readFileSync, readdirSync } from 'node:fs';
+import worker from '../src/index.js';
+import { ChatWorkflow } from '../src/workflow.js';
+import { runEval, validateDataset, formatEvalReport, scoreLexicalFaithfulness, FAITHFULNESS_JUDGES } from '../src/eval.js';
+import { createTestEnv, mockFetch } from './helpers/bindings.js';
+
+// The bundled dataset, loaded the way eval/run.mjs sends it
+function loadDefaultDataset() {
+  const directory = new URL('../eval/datasets/default/', import.meta.url);
+  const { name, questions } = JSON.parse(readFileSync(new URL('questions.json', directory), 'utf-8'));
+  const documents = readdirSync(new URL('corpus/', directory)).sort().map(file => ({
+    name: file,
+    data: readFileSync(new URL(`corpus/${file}`, directory)).toString('base64')
+  }));
+  return { name, documents, questions };
+}
+
+const ZEBRAS = {
+  name: 'zebras',
+  documents: [{ name: 'zebras.txt', content: 'Zebras are African equines with black and white striped coats. Each zebra has a unique stripe pattern, much like a fingerprint.' }],
+  questions: [
+    { id: 'stripes', question: 'what does the document say about stripes?', relevant: ['unique stripe pattern'], tools: [] },
+    { id: 'math', question: 'calculate 6 * 7', tools: ['calculate'] }
+  ]
+};
+
+describe('runEval', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('scores the bundled dataset and cleans up after itself', async () => {
+    vi.stubGlobal('fetch', mockFetch()); // search_web never reaches the internet
+    const env = createTestEnv();
+    const report = await runEval(loadDefaultDataset(), env, { label: 'baseline' });
+
+    expect(report).toMatchObject({ version: 1, label: 'baseline', dataset: 'default', settings: { k: 5, judge: 'lexical', INTENT_CLASSIFIER: 'keyword' } });
+    expect(report.corpus.map(document => document.name)).toEqual(['api-troubleshooting.md', 'employee-handbook.md', 'release-notes.txt']);
+    expect(report.metrics.retrieval).toMatchObject({ k: 5, questions: 9, recallAtK: 1, contextRecall: 1 });
+    expect(report.metrics.retrieval.mrr).toBeGreaterThan(0.5);
+    expect(report.metrics.toolSelection.questions).toBe(14);
+    expect(report.metrics.errors).toBe(0);
+
+    const byId = Object.fromEntries(report.questions.map(row => [row.id, row]));
+    expect(byId.calculate.tools).toEqual({ used: ['calculate'], expected: ['calculate'], correct: true });
+    expect(byId['convert-currency'].tools.correct).toBe(true);
+    expect(byId['small-talk']).toMatchObject({ intent: 'none', retrieval: null, faithfulness: null, tools: { used: [], correct: true } });
+    expect(byId['vacation-days']).toMatchObject({ intent: 'document', faithfulness: 1, retrieval: { recallAtK: 1, reciprocalRank: 1, missed: [] } });
+
+    // The eval session's vectors and text are gone again
+    expect(env.VECTORIZE.deleteByIds).toHaveBeenCalled();
+    expect((await env.VECTORIZE.query(new Array(384).fill(0.1), { topK: 100 })).matches).toEqual([]);
+    expect(env.DOCUMENT_LIBRARY.chunkTexts.size).toBe(0);
+  }, 60000);
+
+  it('lists labeled passages that retrieval missed', async () => {
+    const report = await runEval({
+      ...ZEBRAS,
+      questions: [{ id: 'otters', question: 'what does the document say about otters?', relevant: ['sea otters hold hands'] }]
+    }, createTestEnv(), { k: 3 });
+
+    expect(report.questions[0].retrieval).toMatchObject({ recallAtK: 0, reciprocalRank: 0, firstRelevantRank: null, missed: ['sea otters hold hands'] });
+    expect(report.metrics.toolSelection).toEqual({ questions: 0, accuracy: null });
+    expect(formatEvalReport(report)).toContain('## Passages missing from the top 3\n\n- **otters**: "sea otters hold hands"');
+  });
+
+  it('scores retrieval on what the chat route searched', async () => {
+    const report = await runEval({
+      ...ZEBRAS,
+      questions: [{ id: 'fingerprints', question: 'zebra fingerprints', relevant: ['unique stripe pattern'] }]
+    }, createTestEnv());
+
+    // The router doesn't send this one to the documents, so nothing was found
+    expect(report.questions[0]).toMatchObject({ intent: 'none', retrieval: { recallAtK: 0, contextRecall: 0 } });
+  });
+
+  it('records a question that failed instead of giving up on the run', async () => {
+    const env = createTestEnv();
+    const fakeAI = createTestEnv().AI;
+    env.AI.run.mockImplementation(async (model, input) => {
+      if (model.includes('llama')) throw new Error('model overloaded');
+      return fakeAI.run(model, input);
+    });
+    vi.spyOn(ChatWorkflow.prototype, 'sleep').mockResolvedValue();
+
+    const report = await runEval({ ...ZEBRAS, questions: ZEBRAS.questions.slice(0, 1) }, env);
+    expect(report.questions[0]).toMatchObject({
+      error: 'Step call_ai_agent failed after 3 attempts: model overloaded',
+      answer: null,
+      retrieval: { recallAtK: 1 }
+    });
+    expect(report.metrics.errors).toBe(1);
+  });
+});
+
+describe('validateDataset', () => {
+  it('rejects tools and documents that do not exist', () => {
+    expect(() => validateDataset({ ...ZEBRAS, questions: [{ question: 'hi', tools: ['get_wether'] }] }))
+      .toThrow('Question #1 expects unknown tool get_wether');
+    expect(() => validateDataset({ ...ZEBRAS, questions: [{ id: 'a', question: 'hi', relevant: [{ document: 'lions.txt', text: 'roar' }] }] }))
+      .toThrow("Question a points at lions.txt, which isn't in the corpus");
+    expect(() => validateDataset({ ...ZEBRAS, questions: [{ id: 'a', question: 'hi' }, { id: 'a', question: 'ho' }] }))
+      .toThrow('Duplicate question id: a');
+    expect(() => validateDataset({ ...ZEBRAS, documents: [{ name: 'zebras.xyz', content: 'stripes' }] }))
+      .toThrow("Can't tell the type of zebras.xyz");
+  });
+});
+
+describe('faithfulness', () => {
+  const context = '[1] Source: handbook.md\nEvery full-time employee gets 25 days of paid vacation per calendar year.';
+
+  it('counts the sentences the sources back up', () => {
+    const result = scoreLexicalFaithfulness(
+      'According to handbook.md [1], full-time employees get 25 days of paid vacation. Employees also receive a company car and free lunches.',
+      context
+    );
+    expect(result).toMatchObject({ score: 0.5, sentences: 2, unsupported: ['Employees also receive a company car and free lunches.'] });
+    expect(scoreLexicalFaithfulness('Sure!', context).score).toBeNull();
+  });
+
+  it('can ask the model instead, and falls back when it does not answer with a number', async () => {
+    const env = createTestEnv();
+    const judge = FAITHFULNESS_JUDGES.model(env);
+    env.AI.run.mockResolvedValueOnce({ response: '0.8' });
+    expect(await judge.score('Employees get 25 vacation days per year.', context)).toBe(0.8);
+    expect(await judge.score('Employees get 25 vacation days per year.', context)).toBe(1);
+  });
+});
+
+describe('formatEvalReport', () => {
+  const report = (label, recall, settings = {}) => ({
+    label,
+    dataset: 'default',
+    startedAt: '2026-01-01T00:00:00.000Z',
+    durationMs: 1500,
+    settings: { k: 5, judge: 'lexical', RERANKER: null, ...settings },
+    metrics: {
+      retrieval: { k: 5, questions: 1, recallAtK: recall, mrr: 0.5, contextRecall: 1 },
+      faithfulness: { questions: 1, score: 1 },
+      toolSelection: { questions: 1, accuracy: 0 },
+      errors: 0
+    },
+    questions: [{ id: 'tip', question: 'calculate 80 | 0.15', intent: 'none', retrieval: null, faithfulness: 1, tools: { used: [], expected: ['calculate'], correct: false }, error: null }]
+  });
+
+  it('shows the change from the baseline, settings included', () => {
+    const markdown = formatEvalReport(report('chunks-300', 1, { RERANKER: 'none' }), report('chunks-400', 0.75));
+
+    expect(markdown).toContain('# Eval: default - chunks-300');
+    expect(markdown).toContain('Compared with chunks-400.');
+    expect(markdown).toContain('| Recall@5 | 1.000 (+0.250) | 1 |');
+    expect(markdown).toContain('| MRR | 0.500 (±0) | 1 |');
+    expect(markdown).toContain('- `RERANKER`: none (was unset)');
+    expect(markdown).toContain('| **tip** calculate 80 \\| 0.15 | none | - | - | 1.000 | ❌ none (expected calculate) |');
+  });
+});
+
+describe('POST /api/eval', () => {
+  const post = (env, body) => worker.fetch(new Request('http://localhost/api/eval', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }), env, {});
+
+  it('is off unless EVAL_ENDPOINT is on', async () => {
+    expect((await post(createTestEnv(), { dataset: ZEBRAS })).status).toBe(403);
+  });
+
+  it('returns the report and its Markdown', async () => {
+    const env = createTestEnv({ EVAL_ENDPOINT: 'on' });
+
+    const invalid = await post(env, { dataset: { ...ZEBRAS, questions: [] } });
+    expect(invalid.status).toBe(400);
+    expect(await invalid.json()).toEqual({ error: 'Invalid eval request', details: 'The dataset has no questions' });
+
+    const body = await (await post(env, { dataset: ZEBRAS, label: 'smoke', k: 3 })).json();
+    expect(body.report.metrics).toMatchObject({
+      retrieval: { k: 3, questions: 1, recallAtK: 1, mrr: 1 },
+      toolSelection: { questions: 2, accuracy: 1 }
+    });
+    expect(body.markdown).toMatch(/^# Eval: zebras - smoke\n/);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { AVAILABLE_FUNCTIONS, executeFunction } from '../src/functions.js';
+import { mockFetch } from './helpers/bindings.js';
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('executeFunction', () => {
+  it('has a case for every advertised tool', async () => {
+    vi.stubGlobal('fetch', mockFetch([]));
+    const sampleArgs = {
+      get_weather: { location: 'Paris' },
+      calculate: { expression: '1 + 1' },
+      get_current_time: {},
+      search_web: { query: 'zebras' },
+      convert_currency: { amount: 1, from: 'USD', to: 'EUR' }
+    };
+
+    for (const tool of AVAILABLE_FUNCTIONS) {
+      expect(sampleArgs).toHaveProperty(tool.function.name);
+      await expect(executeFunction(tool.function.name, sampleArgs[tool.function.name])).resolves.toBeTruthy();
+    }
+  });
+
+  it('throws for unknown tools', async () => {
+    await expect(executeFunction('launch_rockets', {})).rejects.toThrow('Unknown function: launch_rockets');
+  });
+
+  describe('get_weather', () => {
+    it('returns the mock reading for known cities', async () => {
+      const result = await executeFunction('get_weather', { location: 'London' });
+      expect(result).toMatchObject({ location: 'London', temperature: 15, unit: 'celsius', condition: 'Rainy', humidity: 80 });
+    });
+
+    it('converts to fahrenheit', async () => {
+      const result = await executeFunction('get_weather', { location: 'Tokyo', unit: 'fahrenheit' });
+      expect(result).toMatchObject({ temperature: 77, unit: 'fahrenheit' });
+    });
+  });
+
+  describe('calculate', () => {
+    it('evaluates arithmetic', async () => {
+      const result = await executeFunction('calculate', { expression: '(2 + 3) * 4 / 2' });
+      expect(result).toMatchObject({ result: 10, formatted: '10' });
+    });
+
+    it('reports expressions it cannot evaluate', async () => {
+      const result = await executeFunction('calculate', { expression: '6 * 7; alert(1)' });
+      expect(result.error).toBe('Could not calculate: 6 * 7; alert(1)');
+    });
+
+    it('reports results that are not finite numbers', async () => {
+      const result = await executeFunction('calculate', { expression: '1 / 0' });
+      expect(result).toMatchObject({ error: 'Could not calculate: 1 / 0', message: 'Invalid calculation result' });
+    });
+  });
+
+  describe('get_current_time', () => {
+    it('defaults to UTC', async () => {
+      const result = await executeFunction('get_current_time', {});
+      expect(result.timezone).toBe('UTC');
+      expect(Math.abs(result.timestamp - Date.now())).toBeLessThan(5000);
+    });
+
+    it('formats the time in the requested zone', async () => {
+      const result = await executeFunction('get_current_time', { timezone: 'Asia/Tokyo' });
+      expect(result.timezone).toBe('Asia/Tokyo');
+      expect(result.formatted).toMatch(/GMT\+9/);
+    });
+
+    it('reports unknown time zones', async () => {
+      const result = await executeFunction('get_current_time', { timezone: 'Mars/Olympus_Mons' });
+      expect(result.error).toBe('Could not get current time');
+    });
+  });
+
+  describe('search_web', () => {
+    it('uses the DuckDuckGo abstract when there is one', async () => {
+      const fetch = mockFetch([
+        ['api.duckduckgo.com', {
+          Heading: 'Zebra',
+          AbstractText: 'Zebras are African equines with black-and-white striped coats.',
+          AbstractURL: 'https://en.wikipedia.org/wiki/Zebra',
+          RelatedTopics: [{ Text: 'Plains zebra - the most common species', FirstURL: 'https://duckduckgo.com/Plains_zebra' }]
+        }]
+      ]);
+      vi.stubGlobal('fetch', fetch);
+
+      const result = await executeFunction('search_web', { query: 'zebra' });
+      expect(result.answer).toBe('Zebras are African equines with black-and-white striped coats.');
+      expect(result.results.map(entry => entry.title)).toEqual(['Zebra', 'Plains zebra']);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('falls back to the Wikipedia summary', async () => {
+      vi.stubGlobal('fetch', mockFetch([
+        ['api.duckduckgo.com', {}],
+        ['wikipedia.org/api/rest_v1/page/summary/zebra', {
+          title: 'Zebra',
+          extract: 'Zebras are three species of African equines.',
+          content_urls: { desktop: { page: 'https://en.wikipedia.org/wiki/Zebra' } }
+        }]
+      ]));
+
+      const result = await executeFunction('search_web', { query: 'what is zebra' });
+      expect(result.answer).toBe('Zebras are three species of African equines.');
+      expect(result.results[0].url).toBe('https://en.wikipedia.org/wiki/Zebra');
+    });
+
+    it('says so when nothing was found', async () => {
+      vi.stubGlobal('fetch', mockFetch([]));
+
+      const result = await executeFunction('search_web', { query: 'xyzzy' });
+      expect(result.count).toBe(1);
+      expect(result.answer).toContain('couldn\'t find specific current information');
+    });
+
+    it('survives the network being down', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => { throw new Error('offline'); }));
+
+      const result = await executeFunction('search_web', { query: 'zebra' });
+      expect(result.results).toHaveLength(1);
+      expect(result.results[0].title).toBe('Search Information');
+    });
+  });
+
+  describe('convert_currency', () => {
+    it('converts with the mock rates', async () => {
+      const result = await executeFunction('convert_currency', { amount: 100, from: 'USD', to: 'EUR' });
+      expect(result).toMatchObject({ amount: 100, from: 'USD', to: 'EUR', converted: 92, rate: 0.92 });
+    });
+
+    it('reports currencies it has no rate for', async () => {
+      const result = await executeFunction('convert_currency', { amount: 1, from: 'USD', to: 'CHF' });
+      expect(result.error).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,171 @@
+// Mock bindings for the test suites. Each one has the same surface as the
+// real binding, as far as the app uses it:
+// - AI: the fake binding from fake-ai.js, with run wrapped in a vi.fn so
+//   tests can see (and override) every model call
+// - VECTORIZE: the in-memory index from local-vector-store.js
+// - CHAT_SESSION: a Durable Object namespace whose stubs answer the session
+//   routes the worker calls (creating one, history, pinned documents, storing a turn)
+// - DOCUMENT_LIBRARY: just the routes retrieval needs - chunk text, keyword
+//   search, ingestion status and summaries - over whatever storeContent (or
+//   the /content route) saved. Keyword search finds nothing here, so results
+//   come from the vectors alone; document-library.test.js runs the real
+//   object and its BM25 index on SQLite (helpers/durable-object.js)
+
+import { vi } from 'vitest';
+import { createFakeAI } from '../../src/fake-ai.js';
+import { createMemoryVectorIndex } from '../../src/local-vector-store.js';
+
+export function createMockAI(options = {}) {
+  const ai = createFakeAI(options);
+  ai.run = vi.fn(ai.run);
+  return ai;
+}
+
+export function createMockVectorize() {
+  const index = createMemoryVectorIndex();
+  for (const method of ['upsert', 'query', 'getByIds', 'deleteByIds']) {
+    index[method] = vi.fn(index[method]);
+  }
+  return index;
+}
+
+// sessions: { [sessionId]: { messages, documentIds, owner } } to start from.
+// Like the real object, a session that isn't there (or was started by
+// another owner) is a 404. stored collects the turns the worker saved, per
+// session
+export function createMockChatSession(sessions = {}) {
+  const stored = {};
+  const stubs = new Map();
+
+  const respond = (body, status = 200) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  const createStub = (name) => ({
+    fetch: vi.fn(async (input, init = {}) => {
+      const url = new URL(typeof input === 'string' ? input : input.url);
+      const method = init.method || 'GET';
+      const owner = url.searchParams.get('owner');
+
+      if (url.pathname === '/api/sessions/create') {
+        sessions[name] = { owner };
+        return respond({ sessionId: name, session: { id: name, title: 'New conversation', messageCount: 0 } });
+      }
+      const session = sessions[name];
+      if (!session || (session.owner && session.owner !== owner)) {
+        return respond({ error: 'Session not found' }, 404);
+      }
+
+      if (url.pathname === '/api/sessions/info') {
+        return respond({ session: { id: name, title: 'New conversation', messageCount: (session.messages || []).length } });
+      }
+      if (url.pathname === '/api/sessions/history') {
+        return respond({ messages: session.messages || [] });
+      }
+      if (url.pathname === '/api/sessions/documents' && method === 'GET') {
+        return respond({ documentIds: session.documentIds || [] });
+      }
+      if (url.pathname === '/api/sessions/documents' && method === 'POST') {
+        const { documentIds = [] } = JSON.parse(init.body || '{}');
+        session.documentIds = [...(session.documentIds || []).filter(id => !documentIds.includes(id)), ...documentIds];
+        return respond({ documentIds: session.documentIds });
+      }
+      if (url.pathname === '/api/sessions' && method === 'POST') {
+        const { messages = [] } = JSON.parse(init.body || '{}');
+        stored[name] = [...(stored[name] || []), ...messages];
+        return respond({ success: true });
+      }
+      return respond({ error: 'Not found' }, 404);
+    })
+  });
+
+  return {
+    sessions,
+    stored,
+    idFromName: vi.fn(name => ({ name, toString: () => name })),
+    get: vi.fn(id => {
+      if (!stubs.has(id.name)) stubs.set(id.name, createStub(id.name));
+      return stubs.get(id.name);
+    })
+  };
+}
+
+// storeContent has processDocument's options.storeContent signature, so a
+// document processed with it is searchable through this library
+export function createMockDocumentLibrary({ statuses = {}, summaries = {} } = {}) {
+  const chunkTexts = new Map();
+  const storeContent = async (documentId, text, texts) => {
+    texts.forEach((chunkText, index) => chunkTexts.set(`${documentId}-chunk-${index}`, chunkText));
+  };
+
+  const respond = (body) => new Response(JSON.stringify(body), {
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  const stub = {
+    fetch: vi.fn(async (input, init = {}) => {
+      const url = new URL(typeof input === 'string' ? input : input.url);
+      const body = init.body ? JSON.parse(init.body) : {};
+
+      switch (url.pathname) {
+        case '/content':
+          if (init.method === 'DELETE') {
+            const prefix = `${url.searchParams.get('documentId')}-chunk-`;
+            [...chunkTexts.keys()].filter(id => id.startsWith(prefix)).forEach(id => chunkTexts.delete(id));
+          } else {
+            await storeContent(body.documentId, body.text, body.chunkTexts);
+          }
+          return respond({ success: true });
+        case '/content/chunks':
+          return respond({ texts: Object.fromEntries(body.ids.filter(id => chunkTexts.has(id)).map(id => [id, chunkTexts.get(id)])) });
+        case '/keywords/search':
+          return respond({ matches: [] });
+        case '/documents/status':
+          return respond({ statuses: Object.fromEntries(url.searchParams.get('ids').split(',').map(id => [id, statuses[id] || 'unknown'])) });
+        case '/documents/summaries':
+          return respond({ summaries });
+        default:
+          return new Response(JSON.stringify({ error: 'Not found' }), { status: 404 });
+      }
+    })
+  };
+
+  return {
+    storeContent,
+    chunkTexts,
+    idFromName: vi.fn(name => ({ name })),
+    get: vi.fn(() => stub),
+    stub
+  };
+}
+
+// Everything a request needs. Intent routing uses the keyword classifier
+// unless a test asks for another one, so routing doesn't depend on how close
+// the fake embeddings happen to land
+export function createTestEnv(overrides = {}) {
+  return {
+    AI: createMockAI(),
+    VECTORIZE: createMockVectorize(),
+    CHAT_SESSION: createMockChatSession(),
+    DOCUMENT_LIBRARY: createMockDocumentLibrary(),
+    INTENT_CLASSIFIER: 'keyword',
+    ...overrides
+  };
+}
+
+// A fetch that answers by URL - routes is [[pattern, handler]] where pattern
+// is a substring or RegExp and handler returns a Response (or the body for a
+// JSON one). Anything else is a 404
+export function mockFetch(routes = []) {
+  return vi.fn(async (input) => {
+    const url = typeof input === 'string' ? input : input.url;
+    for (const [pattern, handler] of routes) {
+      if (pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)) {
+        const result = await (typeof handler === 'function' ? handler(url) : handler);
+        return result instanceof Response ? result : Response.json(result);
+      }
+    }
+    return new Response('Not found', { status: 404, statusText: 'Not Found' });
+  });
+}
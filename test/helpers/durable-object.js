@@ -0,0 +1,85 @@
+// A Durable Object `state` for running ChatSession and DocumentLibrary
+// themselves in tests, SQLite included. storage.sql is real SQLite (sql.js,
+// compiled to wasm) behind the same exec(query, ...bindings).toArray()
+// surface the objects use. Like the Workers runtime, a query string can hold
+// several statements (the schemas do) and BLOBs come back as ArrayBuffers.
+// Alarms don't fire by themselves - call the object's alarm() when
+// alarmAt is set (runAlarms below)
+
+import initSqlJs from 'sql.js';
+
+let sqlJs = null;
+
+export async function createSqlStorage() {
+  sqlJs = sqlJs || await initSqlJs();
+  const db = new sqlJs.Database();
+
+  const toValue = (value) => value instanceof ArrayBuffer ? new Uint8Array(value) : value;
+  const fromValue = (value) => value instanceof Uint8Array ? value.slice().buffer : value;
+
+  return {
+    exec(query, ...bindings) {
+      let rows = [];
+      for (const statement of db.iterateStatements(query)) {
+        if (bindings.length > 0) statement.bind(bindings.map(toValue));
+        rows = [];
+        while (statement.step()) {
+          const row = statement.getAsObject();
+          for (const column of Object.keys(row)) row[column] = fromValue(row[column]);
+          rows.push(row);
+        }
+        statement.free();
+      }
+      return { toArray: () => rows };
+    }
+  };
+}
+
+export async function createDurableObjectState() {
+  const sockets = [];
+  const state = {
+    alarmAt: null,
+    storage: {
+      sql: await createSqlStorage(),
+      getAlarm: async () => state.alarmAt,
+      setAlarm: async (time) => { state.alarmAt = Number(time); },
+      deleteAlarm: async () => { state.alarmAt = null; }
+    },
+    acceptWebSocket: (ws, tags = []) => sockets.push({ ws, tags }),
+    getWebSockets: (tag) => sockets.filter(socket => !tag || socket.tags.includes(tag)).map(socket => socket.ws)
+  };
+  return state;
+}
+
+// A namespace binding over real objects of ObjectClass, one per name, each
+// with its own SQLite. env is what the objects get (the namespace itself is
+// added as `binding`, e.g. CHAT_SESSION). objects has the instances by name
+// (as promises - the state is created on first use)
+export function createDurableObjectNamespace(ObjectClass, env = {}, binding = null) {
+  const objects = new Map();
+  const namespace = {
+    objects,
+    idFromName: (name) => ({ name, toString: () => name }),
+    get: (id) => ({
+      fetch: async (input, init) => {
+        if (!objects.has(id.name)) {
+          const objectEnv = binding ? { ...env, [binding]: namespace } : env;
+          objects.set(id.name, createDurableObjectState().then(state => new ObjectClass(state, objectEnv)));
+        }
+        const object = await objects.get(id.name);
+        return object.fetch(input instanceof Request ? input : new Request(input, init));
+      }
+    })
+  };
+  return namespace;
+}
+
+// Runs the object's alarm until nothing re-arms it, the way the runtime
+// keeps calling alarm() while a backlog is queued
+export async function runAlarms(object, state, limit = 20) {
+  for (let runs = 0; state.alarmAt !== null; runs++) {
+    if (runs >= limit) throw new Error(`Alarm still set after ${limit} runs`);
+    state.alarmAt = null;
+    await object.alarm();
+  }
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import worker from '../src/index.js';
+import { createTestEnv, createMockAI } from './helpers/bindings.js';
+
+const complete = (env, body, ctx = {}) => worker.fetch(new Request('http://localhost/v1/chat/completions', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ messages: [{ role: 'user', content: 'calculate 6 * 7' }], ...body })
+}), env, ctx);
+
+// The data: frames of a streamed completion, parsed (except [DONE])
+const readFrames = async (response) => (await response.text())
+  .split('\n\n')
+  .filter(frame => frame.startsWith('data: '))
+  .map(frame => frame.slice(6))
+  .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+
+describe('POST /v1/chat/completions tool_choice', () => {
+  it('rejects "required", which the agent cannot enforce', async () => {
+    const env = createTestEnv();
+    const response = await complete(env, { tool_choice: 'required' });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: {
+        message: "'tool_choice' can only be 'auto' or 'none' - the agent can't be made to call a tool",
+        type: 'invalid_request_error',
+        param: 'tool_choice',
+        code: null
+      }
+    });
+    expect(env.AI.run).not.toHaveBeenCalled();
+  });
+
+  it('rejects a named function too, and says so when it isn\'t in tools', async () => {
+    const tools = [{ type: 'function', function: { name: 'lookup_order', parameters: { type: 'object', properties: {} } } }];
+    const error = async (body) => {
+      const response = await complete(createTestEnv(), body);
+      expect(response.status).toBe(400);
+      return (await response.json()).error.message;
+    };
+
+    expect(await error({ tools, tool_choice: { type: 'function', function: { name: 'lookup_order' } } }))
+      .toBe("'tool_choice' can only be 'auto' or 'none' - the agent can't be made to call a tool");
+    expect(await error({ tools, tool_choice: { type: 'function', function: { name: 'lookup_ordr' } } }))
+      .toBe("'tool_choice' names 'lookup_ordr', which isn't in 'tools'");
+    expect(await error({ tool_choice: { type: 'function', function: { name: 'calculate' } } }))
+      .toBe("'tool_choice' names 'calculate', which isn't in 'tools'");
+  });
+
+  it('accepts the choices it supports', async () => {
+    for (const toolChoice of ['auto', 'none']) {
+      const response = await complete(createTestEnv(), { tool_choice: toolChoice });
+      expect(response.status).toBe(200);
+    }
+    expect((await complete(createTestEnv(), { tool_choice: 'always' })).status).toBe(400);
+  });
+});
+
+describe('POST /v1/chat/completions client tools', () => {
+  it('hands a tool call the model wrote out as text back with its arguments intact', async () => {
+    const tools = [{ type: 'function', function: { name: 'lookup_order', parameters: { type: 'object', properties: {} } } }];
+    const env = createTestEnv({
+      AI: createMockAI({ script: [{ match: 'where is my order', response: 'Checking. {"name": "lookup_order", "arguments": {"order_id": "A-17", "fields": "status, eta"}}' }] })
+    });
+    const response = await complete(env, { messages: [{ role: 'user', content: 'where is my order?' }], tools });
+
+    const choice = (await response.json()).choices[0];
+    expect(choice.finish_reason).toBe('tool_calls');
+    expect(choice.message.tool_calls.map(call => call.function)).toEqual([
+      { name: 'lookup_order', arguments: JSON.stringify({ order_id: 'A-17', fields: 'status, eta' }) }
+    ]);
+  });
+});
+
+describe('POST /v1/chat/completions streaming', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('streams only the final answer and keeps running through ctx.waitUntil', async () => {
+    const env = createTestEnv({
+      AI: createMockAI({ script: [{ match: 'add two and two', tool_calls: [{ name: 'calculate', arguments: { expression: '2 + 2' } }], response: 'I found that it is 4. Two and two make 4.' }] })
+    });
+    const ctx = { waitUntil: vi.fn() };
+    const response = await complete(env, { messages: [{ role: 'user', content: 'add two and two' }], stream: true }, ctx);
+
+    expect(ctx.waitUntil).toHaveBeenCalledWith(expect.any(Promise));
+    const frames = await readFrames(response);
+    expect(frames.at(-1)).toBe('[DONE]');
+    expect(frames.slice(0, -1).map(frame => frame.choices[0].delta.content || '').join('')).toBe('Two and two make 4.');
+    expect(frames.at(-2).choices[0].finish_reason).toBe('stop');
+  });
+
+  it('gives up after the same timeout as a normal completion', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout'] });
+    const env = createTestEnv();
+    env.AI.run.mockImplementation(() => new Promise(() => {}));
+    const response = await complete(env, { messages: [{ role: 'user', content: 'hello there' }], stream: true });
+
+    await vi.advanceTimersByTimeAsync(45000);
+    const frames = await readFrames(response);
+    expect(frames.slice(-2)).toEqual([
+      { error: { message: 'Request timeout: The AI is taking too long to respond.', type: 'server_error', param: null, code: null } },
+      '[DONE]'
+    ]);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { processDocument, buildVectorFilter, matchesVectorFilter } from '../src/rag.js';
+import { chunkDocument } from '../src/chunker.js';
+import { detectDocumentType } from '../src/extractors.js';
+import { createTestEnv, mockFetch } from './helpers/bindings.js';
+import { buildPdf, buildDocx, buildPng } from './helpers/fixtures.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+const PARAGRAPH = 'Zebras are African equines with distinctive black and white striped coats. Each animal has a unique pattern, much like a fingerprint.';
+
+// Runs processDocument with a storeContent spy and returns what ended up in
+// the index and the content store
+async function ingest(source, type, data, options = {}) {
+  const env = createTestEnv();
+  const storeContent = vi.fn();
+  const stages = [];
+  const result = await processDocument(source, type, data, env, {
+    sessionId: 'session-1',
+    storeContent,
+    onStage: async (stage) => stages.push(stage),
+    ...options
+  });
+  const [vectors] = env.VECTORIZE.upsert.mock.calls.map(call => call[0]);
+  const [[documentId, text, chunkTexts]] = storeContent.mock.calls;
+  return { env, result, vectors, documentId, text, chunkTexts, stages };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('processDocument', () => {
+  it('indexes a PDF page by page', async () => {
+    const pdf = buildPdf([
+      `Page one: ${PARAGRAPH}`,
+      'Page two: Zebras live in grasslands and savannas across eastern and southern Africa.'
+    ]);
+    const { result, vectors, text, chunkTexts } = await ingest('zebras.pdf', 'pdf', pdf, { sourceName: 'zebras.pdf' });
+
+    expect(result).toMatchObject({ type: 'pdf', source: 'zebras.pdf', chunks: 2, sessionId: 'session-1' });
+    expect(text).toContain('Page one: Zebras are African equines');
+    expect(vectors.map(vector => vector.metadata.page)).toEqual([1, 2]);
+    expect(chunkTexts[1]).toContain('grasslands and savannas');
+  });
+
+  it('keeps DOCX headings as the section path', async () => {
+    const docx = buildDocx([
+      { heading: 1, text: 'Field guide' },
+      { heading: 2, text: 'Zebras' },
+      PARAGRAPH
+    ]);
+    const { vectors, text, chunkTexts } = await ingest('guide.docx', 'docx', docx, { sourceName: 'guide.docx' });
+
+    expect(text).toContain('# Field guide');
+    expect(text).toContain('## Zebras');
+    expect(chunkTexts[0]).toContain('Zebras are African equines');
+    expect(vectors[0].metadata.sectionPath).toBe('Field guide > Zebras');
+  });
+
+  it('strips Markdown syntax but keeps the headings', async () => {
+    const markdown = `# Zebras\n\nSee [the wiki](https://example.com/zebra). ${PARAGRAPH}\n\n## Diet\n\nThey **mostly** eat grass, and sometimes shrubs, herbs, twigs and bark.`;
+    const { vectors, chunkTexts } = await ingest('zebras.md', 'markdown', encode(markdown));
+
+    expect(chunkTexts).toHaveLength(2);
+    expect(chunkTexts[0]).toContain('See the wiki.');
+    expect(chunkTexts[1]).toContain('They mostly eat grass');
+    expect(vectors.map(vector => vector.metadata.sectionPath)).toEqual(['Zebras', 'Zebras > Diet']);
+  });
+
+  it('drops scripts and navigation from HTML', async () => {
+    const html = `<html><head><title>Zebras</title><script>track()</script></head><body><nav>Home | About</nav><p>${PARAGRAPH}</p><ul><li>Plains zebra</li><li>Grevy&apos;s zebra</li></ul></body></html>`;
+    const { text } = await ingest('zebras.html', 'html', encode(html));
+
+    expect(text).toMatch(/^# Zebras/);
+    expect(text).toContain("- Grevy's zebra");
+    expect(text).not.toContain('track()');
+    expect(text).not.toContain('Home | About');
+  });
+
+  it('labels every CSV value with its column', async () => {
+    const csv = 'name,habitat,population\nPlains zebra,Savanna,500000\n"Grevy\'s zebra","Arid grassland, Kenya",2000';
+    const { text, chunkTexts } = await ingest('zebras.csv', 'csv', encode(csv));
+
+    expect(text).toContain('Row 2: name: Grevy\'s zebra; habitat: Arid grassland, Kenya; population: 2000');
+    expect(chunkTexts).toHaveLength(1);
+  });
+
+  it('flattens JSON into path: value lines', async () => {
+    const json = JSON.stringify({ species: [{ name: 'Plains zebra', population: 500000 }, { name: 'Mountain zebra', population: 35000 }] });
+    const { text } = await ingest('zebras.json', 'json', encode(json));
+
+    expect(text).toContain('Plains zebra');
+    expect(text).toContain('35000');
+  });
+
+  it('takes plain text as the source itself when there are no bytes', async () => {
+    const { result, text, documentId, vectors } = await ingest(PARAGRAPH, 'text', null);
+
+    expect(text).toBe(PARAGRAPH);
+    expect(result.source).toBe('Text upload');
+    expect(documentId).toMatch(/^text-\d+-/);
+    expect(vectors[0].id).toBe(`${documentId}-chunk-0`);
+  });
+
+  it('describes images with the vision model', async () => {
+    const { env, text, chunkTexts } = await ingest('photo.png', 'image', buildPng(), { sourceName: 'photo.png' });
+
+    expect(text).toMatch(/^\[IMAGE DESCRIPTION\] A photo of a whiteboard/);
+    expect(chunkTexts).toHaveLength(1);
+    expect(env.AI.run.mock.calls.some(([model]) => model.includes('llava'))).toBe(true);
+  });
+
+  it('fetches URLs and picks the extractor by content type', async () => {
+    vi.stubGlobal('fetch', mockFetch([
+      ['example.com/zebras', () => new Response(`<html><body><h1>Zebras</h1><p>${PARAGRAPH}</p></body></html>`, {
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+      })]
+    ]));
+    const { result, text, vectors } = await ingest('https://example.com/zebras', 'url', null);
+
+    expect(result.source).toBe('https://example.com/zebras');
+    expect(text).toContain('# Zebras');
+    expect(vectors[0].metadata).toMatchObject({ source: 'https://example.com/zebras', sectionPath: 'Zebras' });
+  });
+
+  it('fails when a URL cannot be fetched', async () => {
+    vi.stubGlobal('fetch', mockFetch([]));
+    await expect(processDocument('https://example.com/missing', 'url', null, createTestEnv())).rejects.toThrow('Error fetching URL');
+  });
+
+  it('walks through every stage and stores the text before the vectors', async () => {
+    const env = createTestEnv();
+    const order = [];
+    env.VECTORIZE.upsert.mockImplementationOnce(async (vectors) => {
+      order.push('upsert');
+      return { count: vectors.length };
+    });
+    const stages = [];
+    await processDocument(PARAGRAPH, 'text', null, env, {
+      onStage: async (stage) => stages.push(stage),
+      storeContent: async () => order.push('storeContent')
+    });
+
+    expect(stages).toEqual(['extracting', 'chunking', 'summarizing', 'embedding', 'indexing']);
+    expect(order).toEqual(['storeContent', 'upsert']);
+  });
+
+  it('keeps the text out of the vector metadata', async () => {
+    const { vectors } = await ingest(PARAGRAPH, 'text', null, { owner: 'alice' });
+
+    expect(vectors[0].values).toHaveLength(384);
+    expect(vectors[0].metadata).toMatchObject({ sessionId: 'session-1', owner: 'alice', chunkIndex: 0 });
+    expect(vectors[0].metadata).not.toHaveProperty('text');
+  });
+
+  it('adds summary chunks for long documents', async () => {
+    const long = Array.from({ length: 40 }, (_, index) => `Section ${index} covers zebra fact number ${index}, which is about herds, migration and grazing habits on the plains.`).join('\n\n');
+    const { result, vectors } = await ingest(long, 'text', null);
+
+    expect(result.summary).toBeTruthy();
+    expect(vectors.at(-1).metadata.kind).toBe('document_summary');
+  });
+
+  it('rejects empty documents and unknown types', async () => {
+    await expect(processDocument('   ', 'text', null, createTestEnv())).rejects.toThrow('No text extracted');
+    await expect(processDocument('x', 'spreadsheet', null, createTestEnv())).rejects.toThrow('Unsupported document type');
+    await expect(processDocument('x.pdf', 'pdf', new Uint8Array(), createTestEnv())).rejects.toThrow('empty or invalid');
+  });
+});
+
+describe('detectDocumentType', () => {
+  it('goes by extension, then MIME type, then wildcard', () => {
+    expect(detectDocumentType('Report.PDF', 'text/plain')).toBe('pdf');
+    expect(detectDocumentType('', 'text/html; charset=utf-8')).toBe('html');
+    expect(detectDocumentType('', 'image/avif')).toBe('image');
+    expect(detectDocumentType('', 'text/x-python')).toBe('text');
+    expect(detectDocumentType('archive.zip', 'application/zip')).toBeNull();
+  });
+});
+
+describe('chunkDocument', () => {
+  it('drops chunks too short to be worth embedding', () => {
+    const chunks = chunkDocument('# Title\n\nok\n\n# Next\n\nThis paragraph is long enough to keep around.');
+    expect(chunks.map(chunk => chunk.text)).toEqual(['# Next\n\nThis paragraph is long enough to keep around.']);
+  });
+
+  it('treats # lines as text when headings are off', () => {
+    const chunks = chunkDocument('# not a heading, just a comment in a log file\nsecond line', { headings: false });
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].sectionPath).toBe('');
+  });
+
+  it('keeps chunks under the token limit and overlaps prose', () => {
+    const text = Array.from({ length: 30 }, (_, index) => `Sentence number ${index} talks about zebras.`).join(' ');
+    const chunks = chunkDocument(text, { maxTokens: 50, overlapTokens: 10 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every(chunk => chunk.tokens <= 50)).toBe(true);
+    const tail = chunks[0].text.split(' ').slice(-3).join(' ');
+    expect(chunks[1].text).toContain(tail);
+  });
+
+  it('never splits a CSV row when line based', () => {
+    const text = Array.from({ length: 40 }, (_, index) => `Row ${index}: name: zebra ${index}; habitat: savanna`).join('\n');
+    const chunks = chunkDocument(text, { maxTokens: 60, overlapTokens: 0, lineBased: true, headings: false });
+
+    const lines = chunks.flatMap(chunk => chunk.text.split('\n'));
+    expect(lines.every(line => /^Row \d+: name: zebra \d+; habitat: savanna$/.test(line))).toBe(true);
+    expect(lines).toHaveLength(40);
+  });
+});
+
+describe('vector filters', () => {
+  it('scopes to the owner over the session, narrowed to pinned documents', () => {
+    expect(buildVectorFilter({ sessionId: 's1' })).toEqual({ sessionId: 's1' });
+    expect(buildVectorFilter({ sessionId: 's1', owner: 'alice', documentIds: ['d1'] })).toEqual({ owner: 'alice', documentId: { $in: ['d1'] } });
+    expect(matchesVectorFilter({ owner: 'alice', documentId: 'd2' }, { owner: 'alice', documentId: { $in: ['d1'] } })).toBe(false);
+  });
+});
@@ -0,0 +1,32 @@
+// Regression tests from recorded chat requests. Every trace in test/traces
+// (saved from POST /api/chat?trace=true - see "Recording a chat" in the
+// README) is replayed through ChatWorkflow.execute and has to give the same
+// answer, making exactly the recorded model calls. When a trace captured a
+// bad answer, fix the bug, then add a test below that replays it and checks
+// for the right one
+import { describe, it, expect } from 'vitest';
+import { readdirSync, readFileSync } from 'node:fs';
+import { replayTrace } from '../src/trace.js';
+
+const tracesDir = new URL('./traces/', import.meta.url);
+const loadTrace = (name) => JSON.parse(readFileSync(new URL(name, tracesDir), 'utf-8'));
+
+describe('recorded traces', () => {
+  for (const name of readdirSync(tracesDir).filter(file => file.endsWith('.json'))) {
+    it(`replays ${name}`, async () => {
+      const trace = loadTrace(name);
+      const { result, recorded, mismatches, remaining } = await replayTrace(trace);
+
+      expect(result.response).toBe(recorded.response);
+      expect(result.agent.toolsUsed).toEqual(recorded.agent.toolsUsed);
+      expect(mismatches).toEqual([]);
+      expect(remaining).toEqual([]);
+    });
+  }
+
+  it('cites the uploaded document in document-answer.json', async () => {
+    const { result } = await replayTrace(loadTrace('document-answer.json'));
+    expect(result.response).toMatch(/^According to zebras\.txt \[1\]/);
+    expect(result.sources[0]).toMatchObject({ id: 1, source: 'zebras.txt' });
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { buildRagContext } from '../src/retrieval.js';
+import { processDocument } from '../src/rag.js';
+import { isFollowUp } from '../src/query-rewrite.js';
+import { createKeywordClassifier, isSummaryRequest, INTENTS } from '../src/intent.js';
+import { createTestEnv, createMockDocumentLibrary } from './helpers/bindings.js';
+import { buildPng } from './helpers/fixtures.js';
+
+const ZEBRAS = 'Zebras are African equines with black and white striped coats. Each zebra has a unique stripe pattern, much like a fingerprint.';
+const OTTERS = 'Sea otters hold hands while they sleep so they do not drift apart. They live along the coasts of the northern Pacific Ocean.';
+
+// Ingests documents the way the library does, into the env's index and
+// content store
+async function upload(env, text, options) {
+  return processDocument(text, 'text', null, env, {
+    storeContent: env.DOCUMENT_LIBRARY.storeContent,
+    ...options
+  });
+}
+
+describe('buildRagContext', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('does not search for small talk', async () => {
+    const env = createTestEnv();
+    await upload(env, ZEBRAS, { sessionId: 's1' });
+    env.VECTORIZE.query.mockClear();
+
+    const { context, intent, sources } = await buildRagContext('tell me a joke', env, { scope: { sessionId: 's1' } });
+    expect(intent.intent).toBe(INTENTS.NONE);
+    expect(context).toBe('');
+    expect(sources).toEqual([]);
+    expect(env.VECTORIZE.query).not.toHaveBeenCalled();
+  });
+
+  it('answers document questions from the session\'s uploads', async () => {
+    const env = createTestEnv();
+    const zebras = await upload(env, ZEBRAS, { sessionId: 's1', sourceName: 'zebras.txt' });
+
+    const { context, intent, sources } = await buildRagContext('what does the document say about stripes?', env, { scope: { sessionId: 's1' } });
+    expect(intent.intent).toBe(INTENTS.DOCUMENT);
+    expect(context).toContain('[1] Source: zebras.txt');
+    expect(context).toContain('unique stripe pattern');
+    expect(sources[0]).toMatchObject({ id: 1, documentId: zebras.documentId, source: 'zebras.txt' });
+  });
+
+  it('never returns another session\'s uploads', async () => {
+    const env = createTestEnv();
+    await upload(env, ZEBRAS, { sessionId: 's1' });
+    await upload(env, OTTERS, { sessionId: 's2' });
+
+    const { context } = await buildRagContext('what does the document say about otters?', env, { scope: { sessionId: 's1' } });
+    expect(context).toContain('Zebras');
+    expect(context).not.toContain('otters');
+  });
+
+  it('keeps image descriptions out of document answers and uses them for image questions', async () => {
+    const env = createTestEnv();
+    await upload(env, ZEBRAS, { sessionId: 's1', sourceName: 'zebras.txt' });
+    await processDocument('photo.png', 'image', buildPng(), env, {
+      sessionId: 's1',
+      sourceName: 'photo.png',
+      storeContent: env.DOCUMENT_LIBRARY.storeContent
+    });
+
+    const documentAnswer = await buildRagContext('summarize the document', env, { scope: { sessionId: 's1' } });
+    expect(documentAnswer.context).not.toContain('[IMAGE DESCRIPTION]');
+
+    const imageAnswer = await buildRagContext('what is in the picture?', env, { scope: { sessionId: 's1' } });
+    expect(imageAnswer.intent.intent).toBe(INTENTS.IMAGE);
+    expect(imageAnswer.context).toContain('whiteboard');
+    expect(imageAnswer.context).not.toContain('Zebras');
+  });
+
+  it('puts the best-matching document first, not the newest upload', async () => {
+    const env = createTestEnv();
+    await upload(env, ZEBRAS, { documentId: 'text-1000-a', sessionId: 's1', sourceName: 'zebras.txt' });
+    await upload(env, OTTERS, { documentId: 'text-2000-b', sessionId: 's1', sourceName: 'otters.txt' });
+
+    const zebras = await buildRagContext('what does the document say about the zebra stripe pattern?', env, { scope: { sessionId: 's1' } });
+    expect(zebras.sources[0].documentId).toBe('text-1000-a');
+
+    // Pinned documents still decide when there are any
+    const pinned = await buildRagContext('what does the document say about the zebra stripe pattern?', env, {
+      scope: { sessionId: 's1', documentIds: ['text-1000-a', 'text-2000-b'] }
+    });
+    expect(pinned.sources[0].documentId).toBe('text-2000-b');
+  });
+
+  it('answers image questions from one image - the last pinned, or the best-ranked', async () => {
+    const env = createTestEnv();
+    for (const documentId of ['image-1000-a', 'image-2000-b']) {
+      await processDocument('photo.png', 'image', buildPng(), env, {
+        documentId,
+        sessionId: 's1',
+        sourceName: `${documentId}.png`,
+        storeContent: env.DOCUMENT_LIBRARY.storeContent
+      });
+    }
+
+    const best = await buildRagContext('what is in the picture?', env, { scope: { sessionId: 's1' } });
+    expect(best.sources.map(source => source.documentId)).toEqual([best.ranked[0].metadata.documentId]);
+
+    const pinned = await buildRagContext('what is in the picture?', env, {
+      scope: { sessionId: 's1', documentIds: ['image-2000-b', 'image-1000-a'] }
+    });
+    expect(pinned.sources.map(source => source.documentId)).toEqual(['image-1000-a']);
+  });
+
+  it('routes a short follow-up on the query rewritten from the conversation', async () => {
+    const env = createTestEnv();
+    await upload(env, ZEBRAS, { sessionId: 's1', sourceName: 'zebras.txt' });
+    const conversationHistory = [
+      { role: 'user', content: 'what does the document say about zebras?' },
+      { role: 'assistant', content: 'Zebras are African equines [1].' }
+    ];
+    env.AI.run.mockClear();
+    env.AI.run.mockResolvedValueOnce({ response: 'zebra stripe pattern in the uploaded document' });
+
+    const { context, intent } = await buildRagContext('and their stripes?', env, { scope: { sessionId: 's1' }, conversationHistory });
+    expect(env.AI.run.mock.calls[0][1].messages[1].content).toContain('User: what does the document say about zebras?\nAssistant: Zebras are African equines [1].\n\nLatest message: and their stripes?');
+    expect(intent.intent).toBe(INTENTS.DOCUMENT);
+    expect(context).toContain('unique stripe pattern');
+
+    // Routed on the message alone, it's small talk
+    const typed = await buildRagContext('and their stripes?', createTestEnv(), { scope: { sessionId: 's1' } });
+    expect(typed.intent.intent).toBe(INTENTS.NONE);
+  });
+
+  it('searches summarize requests with the query as typed, not a stripped-down one', async () => {
+    const env = createTestEnv();
+    await upload(env, ZEBRAS, { sessionId: 's1', sourceName: 'zebras.txt' });
+    await upload(env, OTTERS, { sessionId: 's1', sourceName: 'otters.txt' });
+    env.AI.run.mockClear();
+
+    await buildRagContext('explain what the document says about zebra stripes', env, { scope: { sessionId: 's1' } });
+    const rerank = env.AI.run.mock.calls.find(([model]) => model.includes('reranker'));
+    expect(rerank[1].query).toBe('explain what the document says about zebra stripes');
+  });
+
+  it('only asks the rewrite model about follow-ups', async () => {
+    const env = createTestEnv();
+    await upload(env, ZEBRAS, { sessionId: 's1', sourceName: 'zebras.txt' });
+    const conversationHistory = [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'Hello!' }];
+    env.AI.run.mockClear();
+
+    const { context } = await buildRagContext('what does the document say about zebra stripes?', env, { scope: { sessionId: 's1' }, conversationHistory });
+    expect(context).toContain('unique stripe pattern');
+    expect(env.AI.run.mock.calls.map(([model]) => model)).not.toContain('@cf/meta/llama-3.1-8b-instruct');
+
+    expect(isFollowUp('and the second one?')).toBe(true);
+    expect(isFollowUp('what does the pdf say about that?')).toBe(true);
+    expect(isFollowUp('how many vacation days do new employees get?')).toBe(false);
+  });
+
+  it('still searches when the rewrite drops what made it a document question', async () => {
+    const env = createTestEnv();
+    await upload(env, ZEBRAS, { sessionId: 's1', sourceName: 'zebras.txt' });
+    env.AI.run.mockResolvedValueOnce({ response: 'zebra stripe patterns' });
+
+    const { context, intent } = await buildRagContext('what does the pdf say about that?', env, {
+      scope: { sessionId: 's1' },
+      conversationHistory: [{ role: 'user', content: 'tell me about stripes' }, { role: 'assistant', content: 'Which stripes?' }]
+    });
+    expect(intent.intent).toBe(INTENTS.DOCUMENT);
+    expect(context).toContain('unique stripe pattern');
+  });
+
+  it('says so while a pinned upload is still being ingested', async () => {
+    vi.useFakeTimers();
+    const env = createTestEnv({ DOCUMENT_LIBRARY: createMockDocumentLibrary({ statuses: { 'text-1-a': 'embedding' } }) });
+
+    const pending = buildRagContext('summarize the document', env, {
+      scope: { sessionId: 's1', documentIds: ['text-1-a'] }
+    });
+    await vi.runAllTimersAsync(); // it polls for up to 30 seconds
+    const { context } = await pending;
+    expect(env.DOCUMENT_LIBRARY.stub.fetch.mock.calls.length).toBeGreaterThan(1);
+    expect(context).toMatch(/^\[DOCUMENT_PROCESSING\]/);
+  });
+});
+
+describe('keyword intent classifier', () => {
+  const classify = async (message) => (await createKeywordClassifier().classify(message)).intent;
+
+  it('matches whole words only', async () => {
+    expect(await classify('text me a joke')).toBe(INTENTS.NONE);
+    expect(await classify('what skills are on my resume?')).toBe(INTENTS.DOCUMENT);
+    expect(await classify('what is the latest news?')).toBe(INTENTS.WEB_SEARCH);
+  });
+
+  it('prefers images over documents, and treats bare follow-ups as document questions', async () => {
+    expect(await classify('describe the photo I uploaded')).toBe(INTENTS.IMAGE);
+    expect(await classify('Summarize it.')).toBe(INTENTS.DOCUMENT);
+  });
+});
+
+describe('isSummaryRequest', () => {
+  it('spots requests about the whole document, whole words only', () => {
+    for (const message of ['Summarize the PDF', 'give me a summary', 'explain this document', 'TL;DR?', 'what does it say?', 'tell me about the report']) {
+      expect(isSummaryRequest(message)).toBe(true);
+    }
+    for (const message of ['what is the retry limit?', 'any unexplained errors in the log?', 'who wrote the document?']) {
+      expect(isSummaryRequest(message)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { ChatWorkflow } from '../src/workflow.js';
+import { createTraceRecorder, createReplayEnv, replayTrace } from '../src/trace.js';
+import { createTestEnv } from './helpers/bindings.js';
+
+const chat = (env, message, query = '?trace=true') => worker.fetch(new Request(`http://localhost/api/chat${query}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ message })
+}), env, {});
+
+// Runs the workflow on a recording env and returns the trace
+async function record(input, env = createTestEnv()) {
+  const recorder = createTraceRecorder();
+  recorder.phase = 'workflow';
+  const workflow = new ChatWorkflow();
+  workflow.sleep = async () => {};
+  const result = await workflow.execute(input, recorder.wrap(env));
+  return recorder.finish(input, result);
+}
+
+describe('recording', () => {
+  it('sends the trace back with the answer when tracing is on', async () => {
+    const body = await (await chat(createTestEnv({ TRACE_RECORDING: 'on' }), 'calculate 6 * 7')).json();
+
+    expect(body.trace).toMatchObject({ version: 1, input: { message: 'calculate 6 * 7', sessionId: body.sessionId }, result: { response: body.response } });
+    expect(body.trace.calls.map(call => `${call.phase} ${call.binding}.${call.method}`)).toEqual(['workflow AI.run', 'workflow AI.run']);
+    expect(body.trace.calls[0].output.tool_calls[0].name).toBe('calculate');
+  });
+
+  it('does nothing unless TRACE_RECORDING is on', async () => {
+    const body = await (await chat(createTestEnv(), 'calculate 6 * 7')).json();
+    expect(body.trace).toBeUndefined();
+  });
+
+  it('records retrieval calls separately from the agent', async () => {
+    const env = createTestEnv({ INTENT_CLASSIFIER: undefined });
+    const recorder = createTraceRecorder();
+    const wrapped = recorder.wrap(env);
+    await wrapped.VECTORIZE.query([1, 0, 0], { topK: 3 });
+    recorder.phase = 'workflow';
+    await wrapped.AI.run('@cf/meta/llama-3.3-70b-instruct', { messages: [{ role: 'user', content: 'hi' }] });
+
+    const trace = recorder.finish({ message: 'hi', onEvent: () => {} }, null);
+    expect(trace.calls.map(call => call.phase)).toEqual(['retrieval', 'workflow']);
+    expect(trace.calls[0]).toMatchObject({ binding: 'VECTORIZE', method: 'query', args: [[1, 0, 0], { topK: 3 }], output: { count: 0, matches: [] } });
+    expect(trace.input).toEqual({ message: 'hi' });
+  });
+
+  it('keeps streamed answers as SSE text and still streams them to the caller', async () => {
+    const tokens = [];
+    const trace = await record({ message: 'explain recursion', onEvent: (event, data) => event === 'token' && tokens.push(data.token) });
+
+    expect(trace.calls[0].stream).toBe(true);
+    expect(trace.calls[0].output).toMatch(/^data: \{"response":"This /);
+    expect(tokens.join('')).toBe('This is a fake response to: explain recursion');
+  });
+
+  it('records failures so fallbacks replay the same way', async () => {
+    const env = createTestEnv();
+    env.AI.run.mockRejectedValueOnce(new Error('model overloaded'));
+    const trace = await record({ message: 'explain recursion' }, env);
+    expect(trace.calls[0].error).toBe('model overloaded');
+
+    const replay = await replayTrace(trace);
+    expect(replay.result.model).toBe('llama-3.1-8b-instruct');
+    expect(replay.result.response).toBe(trace.result.response);
+  });
+
+  it('stores bytes as base64 and gives them back on replay', async () => {
+    const env = createTestEnv();
+    const recorder = createTraceRecorder();
+    recorder.phase = 'workflow';
+    env.AI.run.mockResolvedValueOnce({ image: new Uint8Array([1, 2, 3]) });
+    await recorder.wrap(env).AI.run('@cf/some/model', { image: new Uint8Array([255, 0]) });
+
+    const trace = recorder.finish({}, null);
+    expect(trace.calls[0].args[1]).toEqual({ image: { $bytes: '/wA=' } });
+
+    const replay = createReplayEnv(trace);
+    expect(await replay.env.AI.run('@cf/some/model', { image: new Uint8Array([255, 0]) })).toEqual({ image: new Uint8Array([1, 2, 3]) });
+    expect(replay.mismatches).toEqual([]);
+  });
+});
+
+describe('replay', () => {
+  it('reproduces the recorded answer without calling the model', async () => {
+    const trace = await record({ message: 'calculate 6 * 7' });
+    const { result, mismatches, remaining } = await replayTrace(trace);
+
+    expect(result.response).toBe(trace.result.response);
+    expect(result.agent.toolsUsed).toEqual(['calculate']);
+    expect(mismatches).toEqual([]);
+    expect(remaining).toEqual([]);
+  });
+
+  it('replays streamed answers through onEvent', async () => {
+    const trace = await record({ message: 'explain recursion', onEvent: () => {} });
+    const tokens = [];
+    const { result } = await replayTrace(trace, { input: { onEvent: (event, data) => event === 'token' && tokens.push(data.token) } });
+
+    expect(tokens.join('')).toBe(result.response);
+  });
+
+  it('collects arguments that differ from the recording, or fails on them in strict mode', async () => {
+    const trace = await record({ message: 'explain recursion' });
+
+    const loose = await replayTrace(trace, { input: { message: 'explain iteration' } });
+    expect(loose.result.response).toBe('This is a fake response to: explain recursion');
+    expect(loose.mismatches).toHaveLength(1);
+    expect(loose.mismatches[0]).toMatchObject({ call: 1, binding: 'AI', method: 'run' });
+
+    await expect(replayTrace(trace, { input: { message: 'explain iteration' }, strict: true }))
+      .rejects.toThrow('Replay arguments differ at call 1');
+  });
+
+  it('stops when the agent makes a call that was not recorded', async () => {
+    const replay = createReplayEnv(await record({ message: 'explain recursion' }));
+    await replay.env.AI.run('@cf/meta/llama-3.3-70b-instruct', {});
+
+    await expect(replay.env.AI.run('@cf/meta/llama-3.3-70b-instruct', {})).rejects.toThrow('Replay ran out of recorded calls');
+    await expect(createReplayEnv(await record({ message: 'hi' })).env.VECTORIZE.query([1]))
+      .rejects.toThrow('Replay diverged at call 1: expected AI.run(@cf/meta/llama-3.3-70b-instruct), got VECTORIZE.query');
+  });
+
+  it('rejects traces from another version', () => {
+    expect(() => createReplayEnv({ version: 99, calls: [] })).toThrow('Unsupported trace version: 99');
+  });
+});
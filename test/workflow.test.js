@@ -0,0 +1,389 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ChatWorkflow, buildChatPayload, PRIMARY_MODEL, FALLBACK_MODEL } from '../src/workflow.js';
+import { createMockAI, createTestEnv } from './helpers/bindings.js';
+
+const RAG_CONTEXT = '[1] Source: zebras.txt\nZebras are African equines with black and white stripes. Each pattern is unique.';
+
+// A workflow with its state set up as if execute had run up to the given
+// step - the steps read everything from this.state
+function workflowFor(input, env = createTestEnv()) {
+  const workflow = new ChatWorkflow();
+  workflow.state = { input, env, startTime: Date.now() };
+  workflow.sleep = vi.fn(async () => {});
+  return workflow;
+}
+
+async function runAgent(input, env) {
+  const workflow = workflowFor(input, env);
+  await workflow.prepareContext();
+  await workflow.callAIAgent();
+  return workflow;
+}
+
+// A workflow whose context holds just the user message, for calling
+// detectAgentFunctionCalls directly
+function detectorFor(userMessage, input = {}) {
+  const workflow = new ChatWorkflow();
+  workflow.state = { input, context: { messages: [{ role: 'user', content: userMessage }] } };
+  return workflow;
+}
+
+describe('validateInput', () => {
+  it('accepts a normal message', async () => {
+    const workflow = workflowFor({ message: 'hello' });
+    await workflow.validateInput();
+    expect(workflow.state.validation).toMatchObject({ isValid: true, messageLength: 5 });
+  });
+
+  it('rejects missing, non-string and overlong messages', async () => {
+    await expect(workflowFor({}).validateInput()).rejects.toThrow('Invalid message');
+    await expect(workflowFor({ message: 42 }).validateInput()).rejects.toThrow('Invalid message');
+    await expect(workflowFor({ message: 'x'.repeat(2001) }).validateInput()).rejects.toThrow('Message too long');
+  });
+});
+
+describe('prepareContext', () => {
+  it('puts the system prompt, the history and the message in order', async () => {
+    const workflow = workflowFor({
+      message: 'and in French?',
+      sessionId: 's1',
+      conversationHistory: [{ role: 'user', content: 'say hi' }, { role: 'assistant', content: 'hi' }]
+    });
+    await workflow.prepareContext();
+
+    const { messages, conversationLength, requiresCurrentInfo, hasRagContext } = workflow.state.context;
+    expect(messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user']);
+    expect(messages[3].content).toBe('and in French?');
+    expect(conversationLength).toBe(2);
+    expect(requiresCurrentInfo).toBe(false);
+    expect(hasRagContext).toBe(false);
+  });
+
+  it('wraps the message in the document context and asks for citations', async () => {
+    const workflow = workflowFor({ message: 'summarize this', ragContext: RAG_CONTEXT, sources: [{ id: 1 }] });
+    await workflow.prepareContext();
+
+    const content = workflow.state.context.messages.at(-1).content;
+    expect(content).toMatch(/^DOCUMENT CONTENT \(from uploaded file\):/);
+    expect(content).toContain('USER REQUEST: summarize this');
+    expect(content).toContain('Provide a concise summary of the document content');
+    expect(content).toContain('10. CITATIONS: The excerpts above are numbered [1] to [1]');
+  });
+
+  it('treats image descriptions as something the model can see', async () => {
+    const workflow = workflowFor({ message: 'what is this?', ragContext: '[IMAGE DESCRIPTION] A red bicycle leaning on a wall.' });
+    await workflow.prepareContext();
+
+    const content = workflow.state.context.messages.at(-1).content;
+    expect(content).toMatch(/^IMAGE CONTENT/);
+    expect(content).toContain('Provide a detailed breakdown of the image');
+  });
+
+  it('tells the model when the upload is still processing', async () => {
+    const workflow = workflowFor({ message: 'summarize it', ragContext: '[DOCUMENT_PROCESSING] still going' });
+    await workflow.prepareContext();
+
+    expect(workflow.state.context.messages.at(-1).content).toMatch(/^USER REQUEST: summarize it\n\nNOTE: The file the user uploaded is still being processed/);
+  });
+
+  it('keeps an OpenAI-style message list and swaps in the latest user message', async () => {
+    const workflow = workflowFor({
+      message: 'what about zebras?',
+      ragContext: RAG_CONTEXT,
+      messages: [
+        { role: 'user', content: 'hi' },
+        { role: 'assistant', content: 'hello' },
+        { role: 'user', content: 'what about zebras?' }
+      ]
+    });
+    await workflow.prepareContext();
+
+    const { messages, conversationLength } = workflow.state.context;
+    expect(messages).toHaveLength(4);
+    expect(messages[1].content).toBe('hi');
+    expect(messages[3].content).toContain('USER REQUEST: what about zebras?');
+    expect(conversationLength).toBe(2);
+  });
+
+  it('flags questions that need current information', async () => {
+    const routed = workflowFor({ message: 'anything new with zebras?', retrievalIntent: 'web_search' });
+    await routed.prepareContext();
+    expect(routed.state.context.requiresCurrentInfo).toBe(true);
+
+    expect(new ChatWorkflow().requiresCurrentInformation('who is the ceo of cloudflare')).toBe(true);
+    expect(new ChatWorkflow().requiresCurrentInformation('explain recursion')).toBe(false);
+  });
+});
+
+describe('callAIAgent', () => {
+  it('answers directly when no tool is needed', async () => {
+    const env = createTestEnv();
+    const workflow = await runAgent({ message: 'explain recursion' }, env);
+
+    expect(workflow.state.aiResponse).toMatchObject({
+      content: 'This is a fake response to: explain recursion',
+      model: PRIMARY_MODEL.split('/').pop(),
+      agentIterations: 0,
+      toolsUsed: []
+    });
+    const [model, request] = env.AI.run.mock.calls[0];
+    expect(model).toBe(PRIMARY_MODEL);
+    expect(request.tools.map(tool => tool.function.name)).toContain('calculate');
+  });
+
+  it('runs the tools the model asks for and feeds the results back', async () => {
+    const env = createTestEnv();
+    const workflow = await runAgent({ message: 'calculate 6 * 7' }, env);
+
+    const { aiResponse, agentMetadata } = workflow.state;
+    expect(agentMetadata.toolsUsed).toEqual(['calculate']);
+    expect(agentMetadata.functionCallsExecuted[0]).toMatchObject({ name: 'calculate', arguments: { expression: '6 * 7' }, result: { result: 42 } });
+    expect(aiResponse.agentIterations).toBe(1);
+    expect(aiResponse.content).toContain('"result":42');
+
+    const secondRequest = env.AI.run.mock.calls[1][1];
+    expect(secondRequest.messages.map(message => message.role).slice(-3)).toEqual(['assistant', 'tool', 'user']);
+  });
+
+  it('does not offer tools when tool_choice is none', async () => {
+    const env = createTestEnv();
+    await runAgent({ message: 'calculate 6 * 7', toolChoice: 'none' }, env);
+
+    expect(env.AI.run).toHaveBeenCalledTimes(1);
+    expect(env.AI.run.mock.calls[0][1].tools).toBeUndefined();
+  });
+
+  it('hands calls to client-declared tools back to the caller', async () => {
+    const env = createTestEnv({
+      AI: createMockAI({ script: [{ match: 'lights', tool_calls: [{ name: 'turn_on_lights', arguments: { room: 'kitchen' } }] }] })
+    });
+    const tools = [{ type: 'function', function: { name: 'turn_on_lights', parameters: { type: 'object', properties: {} } } }];
+    const workflow = await runAgent({ message: 'lights on in the kitchen', tools }, env);
+
+    expect(workflow.state.aiResponse.pendingToolCalls).toEqual([{ name: 'turn_on_lights', arguments: { room: 'kitchen' } }]);
+    expect(env.AI.run).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to the smaller model when the primary one fails', async () => {
+    const env = createTestEnv();
+    env.AI.run.mockRejectedValueOnce(new Error('model overloaded'));
+    const workflow = await runAgent({ message: 'explain recursion' }, env);
+
+    expect(env.AI.run.mock.calls[1][0]).toBe(FALLBACK_MODEL);
+    expect(workflow.state.aiResponse).toMatchObject({ model: 'llama-3.1-8b-instruct', content: 'This is a fake response to: explain recursion' });
+  });
+
+  it('explains how to log in when Workers AI is not authenticated', async () => {
+    const env = createTestEnv();
+    env.AI.run.mockRejectedValueOnce(new Error('Not logged in'));
+    const workflow = await runAgent({ message: 'explain recursion' }, env);
+
+    expect(workflow.state.aiResponse).toMatchObject({ model: 'error-auth', error: 'Authentication required' });
+  });
+
+  it('streams tokens and tool events through onEvent', async () => {
+    const events = [];
+    await runAgent({ message: 'calculate 2 + 2', onEvent: (event, data) => events.push([event, data]) }, createTestEnv());
+
+    const names = events.map(([event]) => event);
+    expect(names.slice(0, 2)).toEqual(['tool_call', 'tool_result']);
+    expect(names.slice(2).every(name => name === 'token')).toBe(true);
+    expect(events.filter(([event]) => event === 'token').map(([, data]) => data.token).join('')).toContain('calculate returned:');
+  });
+
+  it('only streams the final answer, after the tool calls and the cleanup', async () => {
+    const env = createTestEnv({
+      AI: createMockAI({ script: [{ match: 'add two and two', tool_calls: [{ name: 'calculate', arguments: { expression: '2 + 2' } }], response: 'I found that it is 4. Two and two make 4.' }] })
+    });
+    const tokens = [];
+    const workflow = await runAgent({ message: 'add two and two', onEvent: (event, data) => event === 'token' && tokens.push(data.token) }, env);
+
+    expect(workflow.state.aiResponse.content).toBe('Two and two make 4.');
+    expect(tokens).toEqual(['Two ', 'and ', 'two ', 'make ', '4.']);
+  });
+
+  describe('response cleanup', () => {
+    const answerWith = async (response) => {
+      const env = createTestEnv({ AI: createMockAI({ script: [{ match: 'question', response }] }) });
+      const workflow = await runAgent({ message: 'a question' }, env);
+      return workflow.state.aiResponse.content;
+    };
+
+    it('removes talk about tools, searching and training data', async () => {
+      expect(await answerWith("I'll use the search_web tool to find this. Let me check the latest sources. Paris is the capital of France. As of my knowledge cutoff in 2023, it still was."))
+        .toBe('Paris is the capital of France.');
+    });
+
+    it('replaces answers about PDF metadata with upload advice', async () => {
+      expect(await answerWith('The document contains metadata such as the XMP core version and describes the pdf structure.'))
+        .toMatch(/^I couldn't extract meaningful content from this PDF/);
+      expect(await answerWith('Here is what it says: 1 0 R 2 0 R 3 0 R 4 0 R 5 0 R'))
+        .toMatch(/^I couldn't extract meaningful content from this PDF/);
+    });
+
+    it('keeps the original when cleaning would leave nothing', async () => {
+      expect(await answerWith('I found that it is.')).toBe('I found that it is.');
+    });
+
+    it('apologizes for an empty answer', async () => {
+      expect(await answerWith('')).toMatch(/^I apologize, but I couldn't generate a response/);
+    });
+  });
+});
+
+describe('detectAgentFunctionCalls', () => {
+  it('reads native tool_calls with string or object arguments', () => {
+    const calls = detectorFor('hi').detectAgentFunctionCalls('', {
+      tool_calls: [
+        { function: { name: 'calculate', arguments: '{"expression":"1+1"}' } },
+        { name: 'get_current_time', arguments: { timezone: 'UTC' } }
+      ]
+    });
+    expect(calls).toEqual([
+      { name: 'calculate', arguments: { expression: '1+1' } },
+      { name: 'get_current_time', arguments: { timezone: 'UTC' } }
+    ]);
+  });
+
+  it('reads an OpenAI-style function_call', () => {
+    const calls = detectorFor('hi').detectAgentFunctionCalls('', { function_call: { name: 'calculate', arguments: '{"expression":"3*3"}' } });
+    expect(calls).toEqual([{ name: 'calculate', arguments: { expression: '3*3' } }]);
+  });
+
+  it('parses JSON calls out of the text, for active tools only', () => {
+    const text = 'Sure. {"name": "get_current_time", "arguments": {"timezone": "Europe/Paris"}}';
+    expect(detectorFor('hi').detectAgentFunctionCalls(text, {})).toEqual([{ name: 'get_current_time', arguments: { timezone: 'Europe/Paris' } }]);
+    expect(detectorFor('hi', { toolChoice: 'none' }).detectAgentFunctionCalls(text, {})).toBeNull();
+  });
+
+  it('parses [TOOL: name(args)] markers', () => {
+    const calls = detectorFor('hi').detectAgentFunctionCalls('[TOOL: convert_currency(amount=20, from="USD", to="GBP")]', {});
+    expect(calls).toEqual([{ name: 'convert_currency', arguments: { amount: 20, from: 'USD', to: 'GBP' } }]);
+  });
+
+  it('parses calls whose arguments are a nested object', () => {
+    const text = '{"tool_name": "convert_currency", "arguments": {"amount": 5, "from": "EUR", "to": "JPY"}} and {"function_name": "calculate", "args": {"expression": "2^8"}}';
+    expect(detectorFor('hi').detectAgentFunctionCalls(text, {})).toEqual([
+      { name: 'calculate', arguments: { expression: '2^8' } },
+      { name: 'convert_currency', arguments: { amount: 5, from: 'EUR', to: 'JPY' } }
+    ]);
+  });
+
+  it('reads unquoted [TOOL: ...] values up to the comma', () => {
+    const workflow = detectorFor('hi');
+    expect(workflow.parseFunctionArguments('amount=20, from=USD,to=GBP')).toEqual({ amount: 20, from: 'USD', to: 'GBP' });
+    expect(workflow.parseFunctionArguments('expression="1, 2"')).toEqual({ expression: '1, 2' });
+  });
+
+  it('does not run a tool twice when the model names it and also calls it', () => {
+    const text = 'Let me use calculate for this. {"name": "calculate", "arguments": {"expression": "6*7"}}';
+    expect(detectorFor('what is 6 times 7?').detectAgentFunctionCalls(text, {})).toEqual([
+      { name: 'calculate', arguments: { expression: '6*7' } }
+    ]);
+  });
+
+  it('triggers get_weather for weather questions', () => {
+    const calls = detectorFor("What's the weather in Paris?").detectAgentFunctionCalls('Let me think.', {});
+    expect(calls).toEqual([{ name: 'get_weather', arguments: { location: 'Paris' } }]);
+  });
+
+  it('triggers search_web for questions about this year', () => {
+    const calls = detectorFor('Who won the world cup in 2026?').detectAgentFunctionCalls('', {});
+    expect(calls).toHaveLength(1);
+    expect(calls[0].name).toBe('search_web');
+    expect(calls[0].arguments.query).toContain('2026');
+  });
+
+  it('picks up the model saying which tool it will use', () => {
+    const calls = detectorFor('what time is it?').detectAgentFunctionCalls('Let me use get_current_time to check.', {});
+    expect(calls).toEqual([{ name: 'get_current_time', arguments: {} }]);
+  });
+
+  it('skips tools whose required arguments it cannot find', () => {
+    expect(detectorFor('hi').detectAgentFunctionCalls('I could use calculate for that.', {})).toBeNull();
+  });
+
+  it('returns null for a plain answer', () => {
+    expect(detectorFor('tell me a joke').detectAgentFunctionCalls('Why did the zebra cross the road?', {})).toBeNull();
+  });
+});
+
+describe('processResponse and updateState', () => {
+  it('package the answer with the agent metadata and history', async () => {
+    const workflow = workflowFor({
+      message: 'calculate 2 + 2',
+      sessionId: 's1',
+      conversationHistory: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }],
+      sources: [{ id: 1, source: 'math.txt' }]
+    });
+    workflow.state.context = { sessionId: 's1', conversationLength: 2 };
+    workflow.state.aiResponse = { content: '  4  ', model: 'llama-3.3-70b-instruct', usage: { total_tokens: 12 } };
+    workflow.state.agentMetadata = { toolsUsed: ['calculate'], functionCallsExecuted: [], iterations: 1 };
+
+    await workflow.processResponse();
+    expect(workflow.state.processedResponse).toMatchObject({ content: '4', originalLength: 5, processedLength: 1 });
+
+    await workflow.updateState();
+    const { result } = workflow.state;
+    expect(result).toMatchObject({
+      response: '4',
+      sessionId: 's1',
+      conversationLength: 3,
+      model: 'llama-3.3-70b-instruct',
+      usage: { total_tokens: 12 },
+      sources: [{ id: 1, source: 'math.txt' }],
+      agent: { isAgent: true, toolsUsed: ['calculate'], iterations: 1, usedTools: true }
+    });
+    expect(result.conversationHistory.map(message => message.content)).toEqual(['hi', 'hello', 'calculate 2 + 2', '4']);
+  });
+
+  it('fill in an apology when there is no answer', async () => {
+    const workflow = workflowFor({ message: 'hi' });
+    await workflow.processResponse();
+    expect(workflow.state.processedResponse.content).toMatch(/^I apologize/);
+  });
+});
+
+describe('execute', () => {
+  it('runs every step and returns the result', async () => {
+    const workflow = new ChatWorkflow();
+    const result = await workflow.execute({ message: 'calculate 6 * 7', sessionId: 's1' }, createTestEnv());
+
+    expect(result.response).toContain('"result":42');
+    expect(result.agent.toolsUsed).toEqual(['calculate']);
+    expect(workflow.getStatus()).toMatchObject({ currentStep: 4, totalSteps: 5, isComplete: true });
+  });
+
+  it('retries a failing step with exponential backoff', async () => {
+    const workflow = new ChatWorkflow();
+    workflow.sleep = vi.fn(async () => {});
+    vi.spyOn(workflow, 'processResponse').mockRejectedValueOnce(new Error('flaky'));
+
+    const result = await workflow.execute({ message: 'explain recursion' }, createTestEnv());
+    expect(result.response).toBe('This is a fake response to: explain recursion');
+    expect(workflow.processResponse).toHaveBeenCalledTimes(2);
+    expect(workflow.sleep).toHaveBeenCalledWith(2000);
+  });
+
+  it('gives up after the step runs out of retries', async () => {
+    const workflow = new ChatWorkflow();
+    workflow.sleep = vi.fn(async () => {});
+
+    await expect(workflow.execute({ message: '' }, createTestEnv())).rejects.toThrow('Step validate_input failed after 3 attempts: Invalid message');
+    expect(workflow.sleep.mock.calls).toEqual([[2000], [4000]]);
+    expect(workflow.state.error).toBeInstanceOf(Error);
+  });
+});
+
+describe('buildChatPayload', () => {
+  it('fills in defaults for a bare result', () => {
+    expect(buildChatPayload({}, 'hi', 's1')).toMatchObject({
+      response: 'hi',
+      sessionId: 's1',
+      model: 'unknown',
+      confidence: 'high',
+      agent: { isAgent: true, usedTools: false, confidence: 'high' },
+      sources: []
+    });
+  });
+});
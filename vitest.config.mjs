@@ -0,0 +1,13 @@
+// Test config - the suites run in plain Node with mocked bindings (see
+// test/helpers/bindings.js), no Workers runtime or Cloudflare login needed
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.js'],
+    // The app logs every step with console.log - only show it for failures
+    silent: 'passed-only',
+    testTimeout: 20000
+  }
+});